@@ -4,15 +4,102 @@ import { Failure } from "@ucanto/interface";
 import {
   SpaceEncryptionSetup,
   SpaceEncryptionKeyDecrypt,
+  UCANRevoke,
+  UCANRevokeSuccess,
 } from "@storacha/capabilities/types";
-import { RevocationStatusClient } from "./clients/revocation.types.js";
+import {
+  RevocationStatusClient,
+  RevocationStore,
+} from "./clients/revocation.types.js";
 import { KMSService } from "./services/kms.types.js";
-import { SubscriptionStatusService } from "./services/subscription.types.js";
+import { SubscriptionStatusService, AccountSpaceStore } from "./services/subscription.types.js";
 import { UcanPrivacyValidationService } from "./services/ucanValidation.types.js";
 import { KmsRateLimiter } from "./services/kmsRateLimiter.js";
+import { InferInvokedCapability } from "@ucanto/interface";
+import {
+  EncryptionKeyRotate,
+  EncryptionKeyBatchDecrypt,
+  EncryptionKeyInfo,
+  EncryptionKeyDestroy,
+  KeyDisable,
+  KeyEnable,
+  RateLimitStatus,
+} from "./capabilities.js";
+import { RateLimitAlgorithm } from "./services/kmsRateLimiter.types.js";
 
 export type EncryptionSetupResult = { publicKey: string };
 export type KeyDecryptResult = { decryptedSymmetricKey: string };
+export type KeyBatchDecryptResult = {
+  /** One entry per requested key, in request order */
+  results: Array<{ decryptedSymmetricKey: string } | { error: string }>;
+};
+export type KeyRotateResult = {
+  publicKey: string;
+  algorithm: string;
+  provider: string;
+  keyVersion: string;
+};
+
+export type KeyInfoResult = {
+  publicKey: string;
+  algorithm: string;
+  provider: string;
+  keyVersion: string;
+  createdAt: string;
+};
+
+export type SpaceEncryptionKeyInfo = InferInvokedCapability<
+  typeof EncryptionKeyInfo
+>;
+
+export type KeyDestroyResult = {
+  keyVersions: string[];
+  destroyedAt: string;
+};
+
+export type SpaceEncryptionKeyDestroy = InferInvokedCapability<
+  typeof EncryptionKeyDestroy
+>;
+
+export type KeySuspensionResult = {
+  keyVersions: string[];
+  suspended: boolean;
+};
+
+export type KMSKeyDisable = InferInvokedCapability<typeof KeyDisable>;
+
+export type KMSKeyEnable = InferInvokedCapability<typeof KeyEnable>;
+
+export type RateLimitTierStatus = {
+  /** Operations counted in the current window */
+  used: number;
+  /** Operations allowed per window */
+  limit: number;
+  /** Operations still allowed in the current window */
+  remaining: number;
+};
+
+export type RateLimitStatusResult = {
+  operation: string;
+  windowMinutes: number;
+  algorithm: RateLimitAlgorithm;
+  /** Usage of the space */
+  space: RateLimitTierStatus;
+  /** Usage of the invoker */
+  user: RateLimitTierStatus;
+  /** Usage across all users, only reported to admins */
+  global?: RateLimitTierStatus;
+};
+
+export type KMSRateLimitStatus = InferInvokedCapability<typeof RateLimitStatus>;
+
+export type SpaceEncryptionKeyRotate = InferInvokedCapability<
+  typeof EncryptionKeyRotate
+>;
+
+export type SpaceEncryptionKeyBatchDecrypt = InferInvokedCapability<
+  typeof EncryptionKeyBatchDecrypt
+>;
 
 export interface Service {
   space: {
@@ -28,9 +115,37 @@ export interface Service {
           KeyDecryptResult,
           Failure
         >;
+        "batch-decrypt": ServiceMethod<
+          SpaceEncryptionKeyBatchDecrypt,
+          KeyBatchDecryptResult,
+          Failure
+        >;
+        info: ServiceMethod<SpaceEncryptionKeyInfo, KeyInfoResult, Failure>;
+        destroy: ServiceMethod<
+          SpaceEncryptionKeyDestroy,
+          KeyDestroyResult,
+          Failure
+        >;
+        rotate: ServiceMethod<
+          SpaceEncryptionKeyRotate,
+          KeyRotateResult,
+          Failure
+        >;
       };
     };
   };
+  kms: {
+    key: {
+      disable: ServiceMethod<KMSKeyDisable, KeySuspensionResult, Failure>;
+      enable: ServiceMethod<KMSKeyEnable, KeySuspensionResult, Failure>;
+    };
+    "rate-limit": {
+      status: ServiceMethod<KMSRateLimitStatus, RateLimitStatusResult, Failure>;
+    };
+  };
+  ucan: {
+    revoke: ServiceMethod<UCANRevoke, UCANRevokeSuccess, Failure>;
+  };
 }
 
 export interface Context<T = unknown, U = unknown> {
@@ -54,11 +169,21 @@ export interface Context<T = unknown, U = unknown> {
    */
   revocationStatusClient: RevocationStatusClient;
 
+  /**
+   * Store of the revocations submitted with ucan/revoke, optional because it requires KMS_REVOCATIONS_KV
+   */
+  revocationStore?: RevocationStore;
+
   /**
    * Subscription status service for space plan validation
    */
   subscriptionStatusService: SubscriptionStatusService;
 
+  /**
+   * Registry of the encrypted spaces of each account, optional because it requires KMS_KEY_METADATA_KV
+   */
+  accountSpaceStore?: AccountSpaceStore;
+
   /**
    * UCAN privacy validation service for validating delegations
    */
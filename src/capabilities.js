@@ -0,0 +1,149 @@
+import { capability, Schema, ok } from '@ucanto/validator'
+import { SpaceDID, equalWith, equal, and } from '@storacha/capabilities/utils'
+
+/**
+ * Capabilities served by ucan-kms that are not (yet) part of `@storacha/capabilities`.
+ */
+
+/**
+ * "Rotate the KMS key of the subject Space."
+ *
+ * A Principal who may `space/encryption/key/rotate` is permitted to create a new
+ * version of the Space's RSA key. The new version is returned and used for all
+ * subsequent encryption, while previous versions remain available for decryption
+ * so that clients can re-wrap their symmetric keys over time.
+ */
+export const EncryptionKeyRotate = capability({
+  can: 'space/encryption/key/rotate',
+  with: SpaceDID,
+  derives: equalWith
+})
+
+/**
+ * "Decrypt several symmetric keys of the subject Space in one invocation."
+ *
+ * Batched form of `space/encryption/key/decrypt`: the invocation is validated
+ * once and each key in `nb.keys` is decrypted independently, so a single bad key
+ * does not fail the whole batch.
+ */
+export const EncryptionKeyBatchDecrypt = capability({
+  can: 'space/encryption/key/batch-decrypt',
+  with: SpaceDID,
+  nb: Schema.struct({
+    /**
+     * The encrypted symmetric keys to be decrypted
+     */
+    keys: Schema.array(Schema.bytes())
+  }),
+  derives: equalWith
+})
+
+/**
+ * "Read the public key of the subject Space."
+ *
+ * A Principal who may `space/encryption/key/info` is permitted to retrieve the
+ * current public key of the Space, its algorithm, provider, key version and
+ * creation time. It is read-only and never creates a key.
+ */
+export const EncryptionKeyInfo = capability({
+  can: 'space/encryption/key/info',
+  with: SpaceDID,
+  derives: equalWith
+})
+
+/**
+ * "Destroy the KMS key of the subject Space."
+ *
+ * A Principal who may `space/encryption/key/destroy` is permitted to crypto-shred
+ * the Space: every version of its KMS key is scheduled for destruction and the
+ * Space is tombstoned, so its content can no longer be decrypted. Only the Space
+ * owner may do this - the authorization chain must be rooted at the Space itself.
+ */
+export const EncryptionKeyDestroy = capability({
+  can: 'space/encryption/key/destroy',
+  with: SpaceDID,
+  derives: equalWith
+})
+
+/**
+ * "Suspend decryption for a Space."
+ *
+ * Admin capability on the ucan-kms service DID. A Principal who may
+ * `kms/key/disable` is permitted to disable every version of the KMS key of
+ * `nb.space`, e.g. during an abuse investigation. The key is not destroyed and
+ * can be re-enabled with `kms/key/enable`. Only delegations issued by the
+ * service DID grant it.
+ */
+export const KeyDisable = capability({
+  can: 'kms/key/disable',
+  with: Schema.did(),
+  nb: Schema.struct({
+    /**
+     * The space whose key is disabled
+     */
+    space: SpaceDID
+  }),
+  derives: (child, parent) => {
+    return (
+      and(equalWith(child, parent)) ||
+      and(equal(child.nb.space, parent.nb.space, 'space')) ||
+      ok({})
+    )
+  }
+})
+
+/**
+ * "Resume decryption for a Space."
+ *
+ * Admin capability on the ucan-kms service DID that re-enables the key versions
+ * disabled by `kms/key/disable` for `nb.space`.
+ */
+export const KeyEnable = capability({
+  can: 'kms/key/enable',
+  with: Schema.did(),
+  nb: Schema.struct({
+    /**
+     * The space whose key is re-enabled
+     */
+    space: SpaceDID
+  }),
+  derives: (child, parent) => {
+    return (
+      and(equalWith(child, parent)) ||
+      and(equal(child.nb.space, parent.nb.space, 'space')) ||
+      ok({})
+    )
+  }
+})
+
+/**
+ * "Read the rate limit usage of a Space."
+ *
+ * A Principal who may `kms/rate-limit/status` is permitted to read how many
+ * `nb.operation` invocations (`space/encryption/key/decrypt` by default) the
+ * Space and the invoker have made in the current window, and their limits.
+ * Space members invoke it on the Space itself. Invoked on the ucan-kms service
+ * DID with a delegation issued by the service, it also reports the global tier.
+ */
+export const RateLimitStatus = capability({
+  can: 'kms/rate-limit/status',
+  with: Schema.did(),
+  nb: Schema.struct({
+    /**
+     * The space whose usage is read
+     */
+    space: SpaceDID,
+    /**
+     * The rate limited operation, e.g. space/encryption/key/decrypt
+     */
+    operation: Schema.string().optional()
+  }),
+  derives: (child, parent) => {
+    return (
+      and(equalWith(child, parent)) ||
+      and(equal(child.nb.space, parent.nb.space, 'space')) ||
+      and(equal(child.nb.operation, parent.nb.operation, 'operation')) ||
+      ok({})
+    )
+  }
+})
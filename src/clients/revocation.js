@@ -1,9 +1,16 @@
 import { AuditLogService } from '../services/auditLog.js'
 import { error, ok, Failure, isDelegation } from '@ucanto/server'
 import PQueue from 'p-queue'
+import { decrypt as ContentDecrypt } from '@storacha/capabilities/space'
+import { shouldFailOpen } from '../services/failurePolicy.js'
+import { DelegationRevoked } from '../errors.js'
+import { createRevocationCache } from './revocationCache.js'
+import { createRevocationSource, createRevocationStore } from './revocationSource.js'
+
+export { REVOCATION_QUERY, REVOCATION_RESULT } from './revocationSource.js'
 
 /**
- * @import { RevocationStatusClient } from './revocation.types.js'
+ * @import { RevocationStatusClient, RevocationCache, RevocationCacheStatus, RevocationSource, RevocationStore } from './revocation.types.js'
  * @import * as Ucanto from '@ucanto/interface'
  */
 
@@ -17,12 +24,18 @@ export class RevocationStatusClientImpl {
    * @param {Object} [options] - Client options
    * @param {AuditLogService} [options.auditLog] - Audit log service instance
    * @param {string} [options.environment] - Environment name for audit logging
+   * @param {RevocationCache} [options.cache] - Revocation cache - defaults to KMS_REVOCATION_CACHE_KV when bound
+   * @param {RevocationSource} [options.source] - Where revocations are looked up - defaults to the source configured in the environment
+   * @param {RevocationStore} [options.store] - Revocations submitted to the KMS, consulted first - defaults to KMS_REVOCATIONS_KV when bound
    */
   constructor (options = {}) {
     this.auditLog = options.auditLog || new AuditLogService({
       serviceName: 'revocation-status-service',
       environment: options.environment || 'unknown'
     })
+    this.cache = options.cache
+    this.source = options.source
+    this.store = options.store
     // Only log service initialization in development
     if (process.env.NODE_ENV === 'development') {
       this.auditLog.logServiceInitialization('RevocationStatusClient', true)
@@ -30,16 +43,33 @@ export class RevocationStatusClientImpl {
   }
 
   /**
-   * Checks revocation status of UCAN delegations and invocation via Storage UCAN Service
+   * Checks revocation status of UCAN delegations and invocation via Storage UCAN Service.
+   * Every delegation of every proof branch is checked, along with the invocation when given.
    *
    * @param {Ucanto.Proof[]} proofs - Array of UCAN proofs to check
    * @param {string} spaceDID - Space DID to validate delegation context
    * @param {import('../types/env.js').Env} env - Environment configuration
-   * @returns {Promise<import('@ucanto/server').Result<boolean, import('@ucanto/server').Failure>>}
+   * @param {import('./revocation.types.js').CheckStatusOptions} [options] - The exercised capability and the invocation
+   * @returns {Promise<import('@ucanto/server').Result<boolean, import('@ucanto/server').Failure>>} - a revocation fails with
+   * `DelegationRevoked` naming the revoked delegation
    */
-  async checkStatus (proofs, spaceDID, env) {
+  async checkStatus (proofs, spaceDID, env, options = {}) {
+    const { capability = ContentDecrypt.can, invocation } = options
     try {
-      const result = await verifyDelegationChain(proofs, spaceDID, env.UPLOAD_SERVICE_URL)
+      const cache = this.cache ?? createRevocationCache(env)
+      const source = this.source ?? createRevocationSource(env)
+      const store = this.store ?? createRevocationStore(env)
+      /** @param {unknown} err */
+      const failOpen = err => shouldFailOpen(env, 'revocation', err, { auditLog: this.auditLog, metadata: { spaceDID, source: 'store' } })
+      const result = await verifyDelegationChain(proofs, invocation, spaceDID, capability, source, cache, store, failOpen)
+      if (result.isValid && result.unavailable?.length) {
+        // No revocation was found, but the service could not answer for some delegations
+        const err = new Error(`Revocation status unavailable for ${result.unavailable.length} delegations`)
+        if (!shouldFailOpen(env, 'revocation', err, { auditLog: this.auditLog, metadata: { spaceDID, delegations: result.unavailable } })) {
+          // Generic error message must be returned to the client to avoid leaking information
+          return error(new Failure('Revocation status check failed'))
+        }
+      }
       if (result.isValid) {
         this.auditLog.logSecurityEvent('revocation_check_success', {
           operation: 'revocation_check',
@@ -47,7 +77,9 @@ export class RevocationStatusClientImpl {
           metadata: {
             proofsCount: (proofs || []).length,
             spaceDID,
-            result: 'no_revocations_found'
+            capability,
+            result: 'no_revocations_found',
+            cache: result.cache
           }
         })
         return ok(true)
@@ -61,10 +93,12 @@ export class RevocationStatusClientImpl {
         metadata: {
           proofsCount: (proofs || []).length,
           revokedDelegation: result,
-          spaceDID
+          spaceDID,
+          capability,
+          cache: result.cache
         }
       })
-      return error(new Failure(errorMsg))
+      return error(result.revokedDelegation ? new DelegationRevoked(result.revokedDelegation) : new Failure(errorMsg))
     } catch (err) {
       console.error('[checkStatus] something went wrong:', err)
       this.auditLog.logSecurityEvent('revocation_check_failure', {
@@ -85,32 +119,40 @@ export class RevocationStatusClientImpl {
 
 /**
  * Client-side proof chain verification utility
- * Finds decrypt delegation and checks its entire proof chain for revocations.
+ * Requires a delegation that grants the exercised capability, then checks the invocation and every
+ * delegation of every proof branch for revocations, since the handler relies on all of them
+ * (e.g. the plan/get delegation of the subscription check).
  *
  * @param {import('@ucanto/interface').Proof[]} proofs - The proofs to verify
+ * @param {import('@ucanto/interface').Invocation | undefined} invocation - The invocation, checked along with its proofs
  * @param {string} spaceDID - Space DID where the encrypted content is stored
- * @param {string} uploadServiceUrl - Upload service URL
- * @returns {Promise<{isValid: boolean, revokedDelegation?: string, reason?: string}>}
+ * @param {string} capability - The exercised capability, e.g. space/content/decrypt
+ * @param {RevocationSource | undefined} source - Where revocations are looked up
+ * @param {RevocationCache} [cache] - Revocation cache, consulted before the service
+ * @param {RevocationStore} [store] - Revocations submitted to the KMS, consulted before the cache
+ * @param {(err: unknown) => boolean} [failOpen] - Revocation failure policy, applied when the store fails, true when the check may go on
+ * @returns {Promise<{isValid: boolean, revokedDelegation?: string, reason?: string, unavailable?: string[], cache?: CacheStats}>} - `unavailable`
+ * lists the delegations whose status the source could not return
  */
-async function verifyDelegationChain (proofs, spaceDID, uploadServiceUrl) {
-  // Find the specific delegation that grants the decrypt capability for the space that we are decrypting for
-  // Otherwise we would have to check all delegations, an any revocation would break the decryption process
+async function verifyDelegationChain (proofs, invocation, spaceDID, capability, source, cache, store, failOpen) {
+  // The invocation must be authorized by a delegation of the exercised capability for the space,
+  // unless the space invokes it itself
   const validDelegations = (proofs || []).filter(isDelegation)
 
-  const decryptDelegations = validDelegations.filter(d => {
+  const authorizingDelegations = validDelegations.filter(d => {
     return d.capabilities && d.capabilities.some(cap => {
-      return cap.can === 'space/content/decrypt' && cap.with === spaceDID
+      return grants(cap.can, capability) && cap.with === spaceDID
     })
   })
 
-  if (decryptDelegations.length === 0) {
+  if (authorizingDelegations.length === 0 && invocation?.issuer.did() !== spaceDID) {
     return {
       isValid: false,
       reason: `No valid delegations found for space ${spaceDID}`
     }
   }
 
-  if (!uploadServiceUrl) {
+  if (!source) {
     return {
       isValid: false,
       reason: 'No revocation service URL configured - cannot validate delegation status'
@@ -119,42 +161,104 @@ async function verifyDelegationChain (proofs, spaceDID, uploadServiceUrl) {
 
   const visited = new Set()
 
-  // Leaf-first traversal: collect all CIDs first, then sort by "leaf-ness"
+  // Breadth-first traversal of the invocation and all proof branches
   /** @type {import('@ucanto/interface').Delegation[]} */
   const chainDelegations = []
   /** @type {import('@ucanto/interface').Delegation[]} */
-  const queue = [...decryptDelegations]
+  const queue = invocation ? [invocation] : [...validDelegations]
 
-  // First pass: collect all delegations in the chain, but only those relevant to the current space
   while (queue.length > 0) {
     const current = queue.shift()
     if (!current) continue
     const cidStr = current.cid.toString()
     if (visited.has(cidStr)) continue
     visited.add(cidStr)
+    chainDelegations.push(current)
+
+    if (current.proofs) {
+      const nextProofs = current.proofs.filter(isDelegation)
+      queue.push(...nextProofs)
+    }
+  }
 
-    // Only include delegations that are relevant to the current space
-    const isRelevantToSpace = current.capabilities && current.capabilities.some(cap => {
-      // If the 'with' field is a space DID (starts with 'did:key:'), check if it matches current space
-      if (cap.with && cap.with.startsWith('did:key:')) {
-        return cap.with === spaceDID
+  // Revocations submitted to the KMS take effect immediately, even over cached "not revoked" results.
+  // The store holds revocations no other source knows about, so its failures are left to the failure policy
+  /** @type {Set<string> | undefined} */
+  let storeRevoked
+  try {
+    storeRevoked = await store?.queryRevoked(chainDelegations)
+  } catch (err) {
+    console.error('[verifyDelegationChain] Error querying the revocation store:', err)
+    if (!failOpen?.(err)) {
+      return {
+        isValid: false,
+        reason: 'Revocation status check failed'
       }
-      // Otherwise, assume it's relevant (service DIDs, wildcards, etc.)
-      return true
-    })
+    }
+  }
+  const storeRevokedDelegation = chainDelegations.find(delegation => storeRevoked?.has(delegation.cid.toString()))
+  if (storeRevokedDelegation) {
+    return {
+      isValid: false,
+      revokedDelegation: storeRevokedDelegation.cid.toString(),
+      reason: 'Delegation explicitly revoked'
+    }
+  }
+
+  /** @type {CacheStats | undefined} */
+  const cacheStats = cache ? { hits: 0, misses: 0 } : undefined
+  /** @type {import('@ucanto/interface').Delegation[]} */
+  const uncached = []
 
-    if (isRelevantToSpace) {
-      chainDelegations.push(current)
+  // Cached revocations need no request, cached "not revoked" results need none until they expire
+  const cached = await Promise.all(chainDelegations.map(delegation => readCache(cache, delegation.cid.toString())))
+  for (const [i, delegation] of chainDelegations.entries()) {
+    if (cacheStats) {
+      cached[i] ? cacheStats.hits++ : cacheStats.misses++
     }
+    if (cached[i] === 'revoked') {
+      return {
+        isValid: false,
+        revokedDelegation: delegation.cid.toString(),
+        reason: 'Delegation explicitly revoked',
+        cache: cacheStats
+      }
+    }
+    if (!cached[i]) {
+      uncached.push(delegation)
+    }
+  }
 
-    if (current.proofs) {
-      const nextProofs = current.proofs.filter(isDelegation)
-      queue.push(...nextProofs)
+  if (uncached.length === 0) {
+    return { isValid: true, unavailable: [], cache: cacheStats }
+  }
+
+  // Ask for the whole chain at once when the source can answer for several delegations
+  const revoked = await queryRevoked(source, uncached)
+  if (revoked === 'unavailable') {
+    return { isValid: true, unavailable: uncached.map(delegation => delegation.cid.toString()), cache: cacheStats }
+  }
+  if (revoked) {
+    await Promise.all(uncached.map(delegation => {
+      const cid = delegation.cid.toString()
+      return writeCache(cache, cid, revoked.has(cid) ? 'revoked' : 'not-revoked')
+    }))
+    const revokedDelegation = uncached.find(delegation => revoked.has(delegation.cid.toString()))
+    if (revokedDelegation) {
+      return {
+        isValid: false,
+        revokedDelegation: revokedDelegation.cid.toString(),
+        reason: 'Delegation explicitly revoked',
+        cache: cacheStats
+      }
     }
+    return { isValid: true, unavailable: [], cache: cacheStats }
   }
 
   const abortController = new AbortController()
   const revocationQueue = new PQueue({ concurrency: 5 })
+  /** @type {string[]} */
+  const unavailable = []
 
   /**
    * @param {string} cid - The CID of the delegation to check
@@ -162,13 +266,12 @@ async function verifyDelegationChain (proofs, spaceDID, uploadServiceUrl) {
    */
   const checkCID = async (cid) => {
     try {
-      const response = await fetch(`${uploadServiceUrl}/revocations/${cid}`, {
-        signal: abortController.signal
-      })
+      const status = await source.getStatus(cid, { signal: abortController.signal })
 
-      if (response.status === 200) {
+      if (status === 'revoked') {
         // Abort all other requests immediately
         abortController.abort()
+        await writeCache(cache, cid, 'revoked')
         return {
           isValid: false,
           revokedDelegation: cid,
@@ -176,13 +279,13 @@ async function verifyDelegationChain (proofs, spaceDID, uploadServiceUrl) {
         }
       }
 
-      if (response.status === 404) {
-        // Not revoked
+      if (status === 'not-revoked') {
+        await writeCache(cache, cid, 'not-revoked')
         return null
       }
 
-      // Unexpected status
-      console.warn(`[checkCID] Unexpected response status ${response.status} for CID ${cid}`)
+      // Unknown status, left to the failure policy of the revocation service
+      unavailable.push(cid)
       return null
     } catch (error) {
       if (/** @type {any} */ (error).name === 'AbortError') {
@@ -190,6 +293,7 @@ async function verifyDelegationChain (proofs, spaceDID, uploadServiceUrl) {
         return null
       }
       console.error(`[checkCID] Error checking revocation for CID ${cid}:`, error)
+      unavailable.push(cid)
       return null
     }
   }
@@ -198,19 +302,19 @@ async function verifyDelegationChain (proofs, spaceDID, uploadServiceUrl) {
     // Create a promise that resolves when ANY revocation is found
     const racePromise = new Promise((resolve) => {
       let completed = 0
-      const total = chainDelegations.length
+      const total = uncached.length
 
-      chainDelegations.forEach((/** @type {any} */ delegation) => {
+      uncached.forEach((/** @type {any} */ delegation) => {
         revocationQueue.add(async () => {
           const result = await checkCID(delegation.cid.toString())
           if (result && !result.isValid) {
             // Found revocation - resolve immediately
-            resolve(result)
+            resolve({ ...result, cache: cacheStats })
           } else {
             completed++
             if (completed === total) {
               // All checks done, no revocation found
-              resolve({ isValid: true })
+              resolve({ isValid: true, unavailable, cache: cacheStats })
             }
           }
         })
@@ -228,3 +332,73 @@ async function verifyDelegationChain (proofs, spaceDID, uploadServiceUrl) {
     revocationQueue.clear()
   }
 }
+
+/**
+ * Queries the revocation status of several delegations at once
+ *
+ * @param {RevocationSource} source - Where revocations are looked up
+ * @param {import('@ucanto/interface').Delegation[]} delegations - Delegations to check
+ * @returns {Promise<Set<string> | 'unavailable' | undefined>} - CIDs of the revoked delegations, undefined when
+ * each delegation must be checked on its own, 'unavailable' when the source timed out, so that the statuses
+ * are left to the failure policy rather than asked again one by one
+ */
+async function queryRevoked (source, delegations) {
+  try {
+    return await source.queryRevoked(delegations)
+  } catch (error) {
+    const name = /** @type {any} */ (error)?.name
+    if (name === 'TimeoutError' || name === 'AbortError') {
+      console.warn('[queryRevoked] Revocation query timed out:', error)
+      return 'unavailable'
+    }
+    console.warn('[queryRevoked] Error querying revocations, checking delegations one by one:', error)
+    return undefined
+  }
+}
+
+/**
+ * Tells whether a delegated ability grants a capability, directly or with a wildcard such as `space/*` or `*`
+ * @param {string} ability - The delegated ability
+ * @param {string} capability - The exercised capability
+ * @returns {boolean}
+ */
+function grants (ability, capability) {
+  return ability === capability ||
+    ability === '*' ||
+    (ability.endsWith('/*') && capability.startsWith(ability.slice(0, -1)))
+}
+
+/**
+ * @typedef {Object} CacheStats
+ * @property {number} hits - Delegations whose status was cached
+ * @property {number} misses - Delegations whose status was fetched from the service
+ */
+
+/**
+ * Reads the cached status of a delegation, treating cache errors as misses
+ * @param {RevocationCache | undefined} cache - Revocation cache
+ * @param {string} cid - Delegation CID
+ * @returns {Promise<RevocationCacheStatus | undefined>}
+ */
+async function readCache (cache, cid) {
+  try {
+    return await cache?.get(cid)
+  } catch (error) {
+    console.error(`[readCache] Error reading cached revocation status for CID ${cid}:`, error)
+    return undefined
+  }
+}
+
+/**
+ * Caches the status of a delegation, ignoring cache errors
+ * @param {RevocationCache | undefined} cache - Revocation cache
+ * @param {string} cid - Delegation CID
+ * @param {RevocationCacheStatus} status - Revocation status of the delegation
+ */
+async function writeCache (cache, cid, status) {
+  try {
+    await cache?.put(cid, status)
+  } catch (error) {
+    console.error(`[writeCache] Error caching revocation status for CID ${cid}:`, error)
+  }
+}
@@ -9,11 +9,82 @@ export interface RevocationStatusClient {
    * @param proofs - Array of UCAN proofs to check
    * @param spaceDID - Space DID to validate delegation context
    * @param env - Environment configuration
-   * @returns Promise with the check result
+   * @param options - The exercised capability and the invocation
+   * @returns Promise with the check result, `DelegationRevoked` naming the revoked delegation on revocations
    */
   checkStatus(
     proofs: Ucanto.Proof[],
     spaceDID: string,
     env: Env,
+    options?: CheckStatusOptions,
   ): Promise<Result<boolean, import("@ucanto/server").Failure>>;
 }
+
+export interface CheckStatusOptions {
+  /** The exercised capability, a delegation of it is required (defaults to space/content/decrypt) */
+  capability?: string;
+  /** The invocation, checked along with its proofs */
+  invocation?: Ucanto.Invocation;
+}
+
+/**
+ * Revocation status of a delegation in a revocation source, "unavailable" when the source could not tell
+ */
+export type RevocationSourceStatus = "revoked" | "not-revoked" | "unavailable";
+
+/**
+ * Where revocations are looked up, such as the revocation status service or a KV namespace
+ */
+export interface RevocationSource {
+  /**
+   * Returns the revocation status of a delegation. Throws when the source cannot be reached.
+   */
+  getStatus(
+    cid: string,
+    options?: { signal?: AbortSignal },
+  ): Promise<RevocationSourceStatus>;
+
+  /**
+   * Returns the CIDs of the revoked delegations among the given ones, undefined when the source
+   * cannot answer for several delegations at once and each must be checked on its own
+   */
+  queryRevoked(delegations: Ucanto.Delegation[]): Promise<Set<string> | undefined>;
+}
+
+/**
+ * Revocation source the KMS records revocations in, such as the revocations submitted with `ucan/revoke`
+ */
+export interface RevocationStore extends RevocationSource {
+  /**
+   * Records the revocation of a delegation
+   */
+  revoke(cid: string): Promise<void>;
+}
+
+export interface UCANRevokeRequest {
+  /** DID of the principal revoking the delegation, the `with` of the invocation */
+  principal: Ucanto.DID;
+  /** The delegation being revoked */
+  ucan: Ucanto.UCANLink;
+}
+
+/**
+ * Cached revocation status of a delegation
+ */
+export type RevocationCacheStatus = "revoked" | "not-revoked";
+
+/**
+ * Cache of revocation results, by delegation CID
+ */
+export interface RevocationCache {
+  /**
+   * Returns the cached status of a delegation, undefined on a miss
+   */
+  get(cid: string): Promise<RevocationCacheStatus | undefined>;
+
+  /**
+   * Caches the status of a delegation. "revoked" results never expire,
+   * "not-revoked" results expire after a short TTL.
+   */
+  put(cid: string, status: RevocationCacheStatus): Promise<void>;
+}
@@ -0,0 +1,64 @@
+/**
+ * @import { RevocationCache, RevocationCacheStatus } from './revocation.types.js'
+ */
+
+/** Default time to live of "not revoked" results in seconds, also the minimum TTL of KV */
+export const DEFAULT_NOT_REVOKED_TTL_SECONDS = 60
+
+/**
+ * Revocation results cached in Cloudflare KV.
+ * "Not revoked" results expire after a short TTL so that new revocations are picked up quickly,
+ * "revoked" results never expire because a revocation cannot be undone.
+ * @implements {RevocationCache}
+ */
+export class KVRevocationCache {
+  /** @type {import('@cloudflare/workers-types').KVNamespace} */
+  #kv
+  /** @type {number} */
+  #notRevokedTtlSeconds
+
+  /**
+   * @param {import('@cloudflare/workers-types').KVNamespace} kv - KV namespace holding the cached results
+   * @param {number} [notRevokedTtlSeconds] - Time to live of "not revoked" results in seconds
+   */
+  constructor (kv, notRevokedTtlSeconds = DEFAULT_NOT_REVOKED_TTL_SECONDS) {
+    this.#kv = kv
+    this.#notRevokedTtlSeconds = notRevokedTtlSeconds
+  }
+
+  /**
+   * @param {string} cid - Delegation CID
+   * @returns {Promise<RevocationCacheStatus | undefined>}
+   */
+  async get (cid) {
+    const value = await this.#kv.get(`revocation:${cid}`)
+    return value === 'revoked' || value === 'not-revoked' ? value : undefined
+  }
+
+  /**
+   * @param {string} cid - Delegation CID
+   * @param {RevocationCacheStatus} status - Revocation status of the delegation
+   */
+  async put (cid, status) {
+    await this.#kv.put(`revocation:${cid}`, status, status === 'revoked' ? {} : { expirationTtl: this.#notRevokedTtlSeconds })
+  }
+}
+
+/**
+ * Creates the revocation cache of the `KMS_REVOCATION_CACHE_KV` namespace. The TTL of "not revoked"
+ * results is read from `REVOCATION_CACHE_TTL_SECONDS`, at least the 60 seconds required by KV.
+ *
+ * @param {import('../types/env.d.ts').Env} env - Environment configuration
+ * @returns {RevocationCache | undefined} - undefined when the namespace is not bound
+ */
+export function createRevocationCache (env) {
+  if (!env.KMS_REVOCATION_CACHE_KV) {
+    return undefined
+  }
+
+  const ttlSeconds = parseInt(env.REVOCATION_CACHE_TTL_SECONDS ?? '', 10)
+  return new KVRevocationCache(
+    env.KMS_REVOCATION_CACHE_KV,
+    Number.isSafeInteger(ttlSeconds) ? Math.max(DEFAULT_NOT_REVOKED_TTL_SECONDS, ttlSeconds) : DEFAULT_NOT_REVOKED_TTL_SECONDS
+  )
+}
@@ -0,0 +1,220 @@
+import { CAR, CBOR } from '@ucanto/core'
+
+/**
+ * @import { RevocationSource, RevocationSourceStatus, RevocationStore } from './revocation.types.js'
+ * @import * as Ucanto from '@ucanto/interface'
+ */
+
+/** Variant of the bulk revocation query, the root block of the request CAR */
+export const REVOCATION_QUERY = 'revocations/query@0.1'
+
+/** Variant of the bulk revocation result, the root block of the response CAR */
+export const REVOCATION_RESULT = 'revocations/result@0.1'
+
+/** Statuses of services without the bulk endpoint */
+const BULK_UNSUPPORTED_STATUSES = [404, 405, 501]
+
+/** Delay before asking again a service without the bulk endpoint */
+const BULK_RETRY_INTERVAL_MS = 10 * 60 * 1000
+
+/** Time allowed to the bulk query, after which the statuses are left to the revocation failure policy */
+const BULK_QUERY_TIMEOUT_MS = 5 * 1000
+
+/**
+ * Services found without the bulk endpoint, with the time they were found, so that each isolate
+ * does not pay for a failed bulk request on every check
+ * @type {Map<string, number>}
+ */
+const bulkUnsupported = new Map()
+
+/**
+ * Revocations of a revocation status service, such as the upload service.
+ * A delegation is revoked when `GET /revocations/{cid}` answers 200, and not revoked when it answers 404.
+ * @implements {RevocationSource}
+ */
+export class HTTPRevocationSource {
+  /** @type {string} */
+  #url
+
+  /**
+   * @param {string} url - Base URL of the revocation status service
+   */
+  constructor (url) {
+    this.#url = url
+  }
+
+  /**
+   * @param {string} cid - Delegation CID
+   * @param {{ signal?: AbortSignal }} [options]
+   * @returns {Promise<RevocationSourceStatus>}
+   */
+  async getStatus (cid, options = {}) {
+    const response = await fetch(`${this.#url}/revocations/${cid}`, {
+      signal: options.signal
+    })
+
+    if (response.status === 200) {
+      return 'revoked'
+    }
+    if (response.status === 404) {
+      return 'not-revoked'
+    }
+
+    console.warn(`[HTTPRevocationSource] Unexpected response status ${response.status} for CID ${cid}`)
+    return 'unavailable'
+  }
+
+  /**
+   * Queries the revocation status of several delegations in one request to `POST /revocations`.
+   * The request is a CAR whose root block is `{ "revocations/query@0.1": { delegations: [CID] } }`,
+   * the response a CAR whose root block is `{ "revocations/result@0.1": { revoked: [CID] } }`
+   * listing the revoked delegations among the queried ones.
+   *
+   * @param {Ucanto.Delegation[]} delegations - Delegations to check
+   * @returns {Promise<Set<string> | undefined>} - undefined when the service has no bulk endpoint
+   * @throws {Error} If the service answers with an unexpected status or a malformed result, or
+   * a `TimeoutError` if it does not answer within `BULK_QUERY_TIMEOUT_MS`
+   */
+  async queryRevoked (delegations) {
+    const unsupportedAt = bulkUnsupported.get(this.#url)
+    if (unsupportedAt !== undefined && Date.now() - unsupportedAt < BULK_RETRY_INTERVAL_MS) {
+      return undefined
+    }
+
+    const query = await CBOR.write({ [REVOCATION_QUERY]: { delegations: delegations.map(delegation => delegation.cid) } })
+    const response = await fetch(`${this.#url}/revocations`, {
+      method: 'POST',
+      headers: { 'Content-Type': CAR.contentType, Accept: CAR.contentType },
+      body: CAR.encode({ roots: [query] }),
+      signal: AbortSignal.timeout(BULK_QUERY_TIMEOUT_MS)
+    })
+
+    if (BULK_UNSUPPORTED_STATUSES.includes(response.status)) {
+      bulkUnsupported.set(this.#url, Date.now())
+      return undefined
+    }
+    if (response.status !== 200) {
+      throw new Error(`Unexpected response status ${response.status}`)
+    }
+
+    const [root] = CAR.decode(new Uint8Array(await response.arrayBuffer())).roots
+    const result = root && /** @type {Record<string, { revoked?: unknown }>} */ (CBOR.decode(root.bytes))[REVOCATION_RESULT]
+    if (!Array.isArray(result?.revoked)) {
+      throw new Error(`Response has no ${REVOCATION_RESULT} root`)
+    }
+
+    bulkUnsupported.delete(this.#url)
+    return new Set(result.revoked.map(String))
+  }
+}
+
+/**
+ * Revocations stored in Cloudflare KV, keyed by delegation CID.
+ * Revocations never expire, since a revocation cannot be undone.
+ * @implements {RevocationStore}
+ */
+export class KVRevocationSource {
+  /** @type {import('@cloudflare/workers-types').KVNamespace} */
+  #kv
+
+  /**
+   * @param {import('@cloudflare/workers-types').KVNamespace} kv - KV namespace holding the revocations
+   */
+  constructor (kv) {
+    this.#kv = kv
+  }
+
+  /**
+   * @param {string} cid - Delegation CID
+   * @returns {Promise<RevocationSourceStatus>}
+   */
+  async getStatus (cid) {
+    return await this.#kv.get(`revoked:${cid}`) === null ? 'not-revoked' : 'revoked'
+  }
+
+  /**
+   * @param {Ucanto.Delegation[]} delegations - Delegations to check
+   * @returns {Promise<Set<string>>}
+   */
+  async queryRevoked (delegations) {
+    const cids = delegations.map(delegation => delegation.cid.toString())
+    const statuses = await Promise.all(cids.map(cid => this.getStatus(cid)))
+    return new Set(cids.filter((_, i) => statuses[i] === 'revoked'))
+  }
+
+  /**
+   * Records the revocation of a delegation
+   * @param {string} cid - Delegation CID
+   */
+  async revoke (cid) {
+    await this.#kv.put(`revoked:${cid}`, new Date().toISOString())
+  }
+}
+
+/**
+ * Revocations held in memory, a stand-in for tests and local development
+ * @implements {RevocationStore}
+ */
+export class MemoryRevocationSource {
+  /** @type {Set<string>} */
+  #revoked
+
+  /**
+   * @param {Iterable<string>} [revoked] - CIDs of the revoked delegations
+   */
+  constructor (revoked = []) {
+    this.#revoked = new Set(revoked)
+  }
+
+  /**
+   * @param {string} cid - Delegation CID
+   * @returns {Promise<RevocationSourceStatus>}
+   */
+  async getStatus (cid) {
+    return this.#revoked.has(cid) ? 'revoked' : 'not-revoked'
+  }
+
+  /**
+   * @param {Ucanto.Delegation[]} delegations - Delegations to check
+   * @returns {Promise<Set<string>>}
+   */
+  async queryRevoked (delegations) {
+    return new Set(delegations.map(delegation => delegation.cid.toString()).filter(cid => this.#revoked.has(cid)))
+  }
+
+  /**
+   * Records the revocation of a delegation
+   * @param {string} cid - Delegation CID
+   */
+  async revoke (cid) {
+    this.#revoked.add(cid)
+  }
+}
+
+/**
+ * Creates the revocation source of the environment: the service at `REVOCATION_STATUS_SERVICE_URL`,
+ * defaulting to `UPLOAD_SERVICE_URL`, or else the revocations of the `KMS_REVOCATIONS_KV` namespace.
+ *
+ * @param {import('../types/env.d.ts').Env} env - Environment configuration
+ * @returns {RevocationSource | undefined} - undefined when no source is configured
+ */
+export function createRevocationSource (env) {
+  const url = env.REVOCATION_STATUS_SERVICE_URL || env.UPLOAD_SERVICE_URL
+  if (url) {
+    return new HTTPRevocationSource(url)
+  }
+  if (env.KMS_REVOCATIONS_KV) {
+    return new KVRevocationSource(env.KMS_REVOCATIONS_KV)
+  }
+  return undefined
+}
+
+/**
+ * Creates the store of the revocations submitted to the KMS, the `KMS_REVOCATIONS_KV` namespace
+ *
+ * @param {import('../types/env.d.ts').Env} env - Environment configuration
+ * @returns {RevocationStore | undefined} - undefined when the namespace is not bound
+ */
+export function createRevocationStore (env) {
+  return env.KMS_REVOCATIONS_KV ? new KVRevocationSource(env.KMS_REVOCATIONS_KV) : undefined
+}
@@ -0,0 +1,91 @@
+/**
+ * Durable Object holding the encrypted spaces of a single account, addressed by the account DID
+ * (see `DurableObjectAccountSpaceStore`).
+ *
+ * A Durable Object processes storage operations for one object without interleaving other
+ * events, so the check against the limit and the write of a reservation cannot race: concurrent
+ * setups of new spaces cannot exceed the limit, and concurrent reservations are never lost.
+ *
+ * Endpoints:
+ * - `GET /spaces` returns `{ spaces }`
+ * - `POST /reserve` with `{ space, limit? }` returns `{ reserved, added }`. A space already
+ *   recorded is reserved without being added again, a new space is added unless the account
+ *   already has `limit` spaces. Without `limit` the space is always added.
+ * - `POST /release` with `{ space }` removes a space and returns `{ released }`
+ */
+export class AccountSpaceRegistry {
+  /** @type {import('@cloudflare/workers-types').DurableObjectState} */
+  #state
+
+  /**
+   * @param {import('@cloudflare/workers-types').DurableObjectState} state - Durable Object state
+   */
+  constructor (state) {
+    this.#state = state
+  }
+
+  /**
+   * @param {Request} request
+   * @returns {Promise<Response>}
+   */
+  async fetch (request) {
+    const { pathname } = new URL(request.url)
+
+    if (request.method === 'GET' && pathname === '/spaces') {
+      return jsonResponse({ spaces: await this.#getSpaces() })
+    }
+
+    if (request.method === 'POST' && pathname === '/reserve') {
+      const { space, limit } = /** @type {{ space?: unknown, limit?: unknown }} */ (await request.json())
+      if (typeof space !== 'string' || space === '') {
+        return jsonResponse({ error: 'space must be a non-empty string' }, 400)
+      }
+      if (limit !== undefined && (!Number.isSafeInteger(limit) || Number(limit) < 0)) {
+        return jsonResponse({ error: 'limit must be a non-negative integer' }, 400)
+      }
+
+      // No other I/O between the read and the write, so concurrent reservations cannot exceed the limit
+      const spaces = await this.#getSpaces()
+      if (spaces.includes(space)) {
+        return jsonResponse({ reserved: true, added: false })
+      }
+      if (limit !== undefined && spaces.length >= Number(limit)) {
+        return jsonResponse({ reserved: false, added: false })
+      }
+      await this.#state.storage.put('spaces', [...spaces, space])
+      return jsonResponse({ reserved: true, added: true })
+    }
+
+    if (request.method === 'POST' && pathname === '/release') {
+      const { space } = /** @type {{ space?: unknown }} */ (await request.json())
+      if (typeof space !== 'string' || space === '') {
+        return jsonResponse({ error: 'space must be a non-empty string' }, 400)
+      }
+
+      const spaces = await this.#getSpaces()
+      if (!spaces.includes(space)) {
+        return jsonResponse({ released: false })
+      }
+      await this.#state.storage.put('spaces', spaces.filter(s => s !== space))
+      return jsonResponse({ released: true })
+    }
+
+    return new Response(null, { status: 404 })
+  }
+
+  /**
+   * @returns {Promise<string[]>}
+   */
+  async #getSpaces () {
+    return (await this.#state.storage.get('spaces')) ?? []
+  }
+}
+
+/**
+ * @param {unknown} body
+ * @param {number} [status]
+ * @returns {Response}
+ */
+function jsonResponse (body, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } })
+}
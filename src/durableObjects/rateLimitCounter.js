@@ -0,0 +1,134 @@
+/**
+ * Durable Object holding a single rate limit counter or token bucket, addressed by its key
+ * (see `DurableObjectRateLimitCounterStore`).
+ *
+ * A Durable Object processes storage operations for one object without interleaving other
+ * events, so the read and write of an increment cannot race - unlike a KV `get` followed by
+ * a `put`. The counter deletes itself when its window expires, and the bucket once it has
+ * refilled.
+ *
+ * Endpoints:
+ * - `GET /count` returns `{ count }`
+ * - `POST /increment` with `{ amount, ttlSeconds? }` returns the new `{ count }`. A negative
+ *   amount releases operations, and a counter without `ttlSeconds` never expires.
+ * - `POST /take` with `{ amount, capacity, refillPerSecond }` returns `{ allowed, tokens }`.
+ *   A positive amount takes tokens if there are enough, 0 reads the bucket and a negative
+ *   amount gives tokens back.
+ */
+export class RateLimitCounter {
+  /** @type {import('@cloudflare/workers-types').DurableObjectState} */
+  #state
+
+  /**
+   * @param {import('@cloudflare/workers-types').DurableObjectState} state - Durable Object state
+   */
+  constructor (state) {
+    this.#state = state
+  }
+
+  /**
+   * @param {Request} request
+   * @returns {Promise<Response>}
+   */
+  async fetch (request) {
+    const { pathname } = new URL(request.url)
+
+    if (request.method === 'GET' && pathname === '/count') {
+      return jsonResponse({ count: await this.#getCount() })
+    }
+
+    if (request.method === 'POST' && pathname === '/increment') {
+      const { amount, ttlSeconds } = /** @type {{ amount?: unknown, ttlSeconds?: unknown }} */ (await request.json())
+      if (!Number.isSafeInteger(amount) || amount === 0) {
+        return jsonResponse({ error: 'amount must be a non-zero integer' }, 400)
+      }
+      if (ttlSeconds !== undefined && (!Number.isSafeInteger(ttlSeconds) || Number(ttlSeconds) < 1)) {
+        return jsonResponse({ error: 'ttlSeconds must be a positive integer' }, 400)
+      }
+
+      // No other I/O between the read and the write, so concurrent increments cannot be lost
+      const count = Math.max(0, (await this.#getCount()) + Number(amount))
+      await this.#state.storage.put('count', count)
+
+      // The first increment of a window schedules its expiry
+      if (ttlSeconds !== undefined && await this.#state.storage.getAlarm() === null) {
+        await this.#state.storage.setAlarm(Date.now() + Number(ttlSeconds) * 1000)
+      }
+      return jsonResponse({ count })
+    }
+
+    if (request.method === 'POST' && pathname === '/take') {
+      const { amount, capacity, refillPerSecond } = /** @type {{ amount?: unknown, capacity?: unknown, refillPerSecond?: unknown }} */ (await request.json())
+      if (!Number.isSafeInteger(amount)) {
+        return jsonResponse({ error: 'amount must be an integer' }, 400)
+      }
+      if (!Number.isSafeInteger(capacity) || Number(capacity) < 0) {
+        return jsonResponse({ error: 'capacity must be a non-negative integer' }, 400)
+      }
+      if (typeof refillPerSecond !== 'number' || !Number.isFinite(refillPerSecond) || refillPerSecond < 0) {
+        return jsonResponse({ error: 'refillPerSecond must be a non-negative number' }, 400)
+      }
+
+      const now = Date.now()
+      const state = takeTokens(await this.#state.storage.get('bucket'), Number(amount), { capacity: Number(capacity), refillPerSecond }, now)
+      if (Number(amount) === 0) {
+        return jsonResponse({ allowed: state.allowed, tokens: state.tokens })
+      }
+
+      if (state.tokens >= Number(capacity)) {
+        // A full bucket is the same as no bucket
+        await this.#state.storage.deleteAll()
+        await this.#state.storage.deleteAlarm()
+      } else {
+        await this.#state.storage.put('bucket', { tokens: state.tokens, updatedAt: now })
+        if (refillPerSecond > 0) {
+          await this.#state.storage.setAlarm(now + Math.ceil((Number(capacity) - state.tokens) / refillPerSecond * 1000))
+        }
+      }
+      return jsonResponse({ allowed: state.allowed, tokens: state.tokens })
+    }
+
+    return new Response(null, { status: 404 })
+  }
+
+  /**
+   * Deletes the counter once its window has expired, or the bucket once it has refilled
+   */
+  async alarm () {
+    await this.#state.storage.deleteAll()
+  }
+
+  /**
+   * @returns {Promise<number>}
+   */
+  async #getCount () {
+    return (await this.#state.storage.get('count')) ?? 0
+  }
+}
+
+/**
+ * Refills a token bucket for the time elapsed since it was last updated, then takes or gives back tokens
+ * @param {{ tokens: number, updatedAt: number } | undefined} bucket - Stored bucket, undefined when full
+ * @param {number} amount - Tokens to take, 0 to read the bucket, negative to give tokens back
+ * @param {import('../services/kmsRateLimiter.types.js').TokenBucket} config - Bucket capacity and refill rate
+ * @param {number} now - Current time in milliseconds
+ * @returns {import('../services/kmsRateLimiter.types.js').TokenBucketState}
+ */
+export function takeTokens (bucket, amount, { capacity, refillPerSecond }, now) {
+  const refilled = bucket
+    ? Math.min(capacity, bucket.tokens + Math.max(0, now - bucket.updatedAt) / 1000 * refillPerSecond)
+    : capacity
+  if (amount > refilled) {
+    return { allowed: false, tokens: refilled }
+  }
+  return { allowed: true, tokens: Math.min(capacity, refilled - amount) }
+}
+
+/**
+ * @param {unknown} body
+ * @param {number} [status]
+ * @returns {Response}
+ */
+function jsonResponse (body, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } })
+}
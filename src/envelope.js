@@ -0,0 +1,150 @@
+import * as dagCBOR from '@ipld/dag-cbor'
+
+/**
+ * Envelope format of encrypted symmetric keys.
+ *
+ * An envelope wraps the RSA ciphertext of a symmetric key with a header naming the key that
+ * produced it, so that decryption can go straight to the right key version:
+ *
+ * ```
+ * | magic "UKMS" (4 bytes) | format version (1 byte) | header length (2 bytes, big-endian) | header | ciphertext |
+ * ```
+ *
+ * The header is a dag-cbor map of `{ provider, keyVersion, algorithm, space }`. Anything that
+ * is not a well-formed envelope is treated as a legacy raw ciphertext.
+ */
+
+/**
+ * @typedef {Object} EnvelopeHeader
+ * @property {string} provider - KMS provider that holds the key, e.g. google-kms
+ * @property {string} keyVersion - Key version the symmetric key was wrapped with
+ * @property {string} algorithm - Wrapping algorithm, e.g. RSA_DECRYPT_OAEP_3072_SHA256
+ * @property {import('@storacha/capabilities/types').SpaceDID} space - The space that owns the key
+ */
+
+/**
+ * @typedef {Object} Envelope
+ * @property {EnvelopeHeader} header - The envelope header
+ * @property {Uint8Array} ciphertext - The RSA ciphertext of the symmetric key
+ */
+
+/** Magic bytes that start every envelope ("UKMS") */
+export const ENVELOPE_MAGIC = new Uint8Array([0x55, 0x4b, 0x4d, 0x53])
+
+/** Current envelope format version */
+export const ENVELOPE_FORMAT_VERSION = 1
+
+/** Bytes before the header: magic, format version and header length */
+const PREFIX_LENGTH = ENVELOPE_MAGIC.length + 3
+
+/** Header fields, all required strings */
+const HEADER_FIELDS = /** @type {const} */ (['provider', 'keyVersion', 'algorithm', 'space'])
+
+/**
+ * Wraps a ciphertext in an envelope
+ *
+ * @param {EnvelopeHeader} header - The envelope header
+ * @param {Uint8Array} ciphertext - The RSA ciphertext of the symmetric key
+ * @returns {Uint8Array}
+ * @throws {Error} If the header is incomplete or too large
+ */
+export function encodeEnvelope (header, ciphertext) {
+  if (!isEnvelopeHeader(header)) {
+    throw new Error(`Envelope header must contain ${HEADER_FIELDS.join(', ')}`)
+  }
+  const encodedHeader = dagCBOR.encode({
+    provider: header.provider,
+    keyVersion: header.keyVersion,
+    algorithm: header.algorithm,
+    space: header.space
+  })
+  if (encodedHeader.length > 0xffff) {
+    throw new Error('Envelope header is too large')
+  }
+
+  const bytes = new Uint8Array(PREFIX_LENGTH + encodedHeader.length + ciphertext.length)
+  bytes.set(ENVELOPE_MAGIC, 0)
+  bytes[ENVELOPE_MAGIC.length] = ENVELOPE_FORMAT_VERSION
+  new DataView(bytes.buffer).setUint16(ENVELOPE_MAGIC.length + 1, encodedHeader.length)
+  bytes.set(encodedHeader, PREFIX_LENGTH)
+  bytes.set(ciphertext, PREFIX_LENGTH + encodedHeader.length)
+  return bytes
+}
+
+/**
+ * Parses an envelope
+ *
+ * @param {Uint8Array} bytes - An envelope or a legacy raw ciphertext
+ * @returns {Envelope | undefined} - undefined when the bytes are not a well-formed envelope
+ */
+export function decodeEnvelope (bytes) {
+  if (bytes.length <= PREFIX_LENGTH || !ENVELOPE_MAGIC.every((byte, i) => bytes[i] === byte)) {
+    return undefined
+  }
+  if (bytes[ENVELOPE_MAGIC.length] !== ENVELOPE_FORMAT_VERSION) {
+    return undefined
+  }
+
+  const headerLength = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint16(ENVELOPE_MAGIC.length + 1)
+  const ciphertextOffset = PREFIX_LENGTH + headerLength
+  if (ciphertextOffset >= bytes.length) {
+    return undefined
+  }
+
+  let header
+  try {
+    header = dagCBOR.decode(bytes.subarray(PREFIX_LENGTH, ciphertextOffset))
+  } catch {
+    // A raw ciphertext can start with the magic bytes by chance
+    return undefined
+  }
+  if (!isEnvelopeHeader(header)) {
+    return undefined
+  }
+
+  return { header, ciphertext: bytes.subarray(ciphertextOffset) }
+}
+
+/**
+ * Resolves the ciphertext and key version of a decryption request. Envelopes are checked
+ * against the provider and the space and pin the key version; legacy raw ciphertexts keep
+ * the optional key version hint of the request.
+ *
+ * @param {import('./services/kms.types.js').DecryptionKeyRequest} request - The decryption request
+ * @param {{ provider: string, algorithm: string }} expected - The provider and algorithm of the KMS service
+ * @returns {{ ciphertext: Uint8Array, keyVersion?: string, exact: boolean }} - `exact` is true when the key version comes from an envelope
+ * @throws {Error} If the envelope does not belong to the space or the provider
+ */
+export function openEnvelope (request, expected) {
+  const envelope = decodeEnvelope(request.encryptedSymmetricKey)
+  if (!envelope) {
+    return { ciphertext: request.encryptedSymmetricKey, keyVersion: request.keyVersion, exact: false }
+  }
+
+  const { header, ciphertext } = envelope
+  if (header.space !== request.space) {
+    throw new Error(`Envelope belongs to space ${header.space}`)
+  }
+  if (header.provider !== expected.provider) {
+    throw new Error(`Envelope was produced with provider ${header.provider}`)
+  }
+  if (header.algorithm !== expected.algorithm) {
+    throw new Error(`Envelope uses unsupported algorithm ${header.algorithm}`)
+  }
+  if (!/^[1-9][0-9]*$/.test(header.keyVersion)) {
+    throw new Error(`Envelope has an invalid key version ${header.keyVersion}`)
+  }
+  if (request.keyVersion !== undefined && request.keyVersion !== header.keyVersion) {
+    throw new Error(`Envelope key version ${header.keyVersion} does not match the requested key version ${request.keyVersion}`)
+  }
+  return { ciphertext, keyVersion: header.keyVersion, exact: true }
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is EnvelopeHeader}
+ */
+function isEnvelopeHeader (value) {
+  return typeof value === 'object' && value !== null &&
+    HEADER_FIELDS.every(field => typeof /** @type {Record<string, unknown>} */ (value)[field] === 'string')
+}
@@ -0,0 +1,238 @@
+import { Failure } from '@ucanto/server'
+
+/**
+ * Named failures returned to clients. Their `name` is part of the serialized
+ * error, so clients can tell them apart without matching on messages.
+ */
+
+/**
+ * The encryption key of the space was destroyed and can no longer be used.
+ */
+export class KeyDestroyed extends Failure {
+  /**
+   * @param {string} [message]
+   */
+  constructor (message = 'Space encryption key has been destroyed') {
+    super(message)
+  }
+
+  get name () {
+    return 'KeyDestroyed'
+  }
+}
+
+/**
+ * Decryption for the space was suspended by the service operator, e.g. during
+ * an abuse investigation. The key is intact and can be re-enabled.
+ */
+export class KeySuspended extends Failure {
+  /**
+   * @param {string} [message]
+   */
+  constructor (message = 'Space encryption is suspended') {
+    super(message)
+  }
+
+  get name () {
+    return 'KeySuspended'
+  }
+}
+
+/**
+ * @typedef {'per-space' | 'per-user' | 'global'} RateLimitType
+ */
+
+/**
+ * The invocation exceeds a rate limit. Clients should retry after
+ * `retryAfterSeconds` instead of parsing the message.
+ */
+export class RateLimitExceeded extends Failure {
+  /**
+   * @param {object} details
+   * @param {string} details.operation - The rate limited operation, e.g. space/encryption/key/decrypt
+   * @param {RateLimitType} details.limitType - The limit that was exceeded
+   * @param {number} details.limit - Operations allowed by the limit in its window
+   * @param {number} details.remaining - Operations still allowed by the limit, fewer than requested
+   * @param {number} details.retryAfterSeconds - Seconds until the requested operations fit in the limit
+   */
+  constructor ({ operation, limitType, limit, remaining, retryAfterSeconds }) {
+    super(`Rate limit exceeded for ${operation} (${limitType}). Please try again in ${formatRetryAfter(retryAfterSeconds)}.`)
+    this.limitType = limitType
+    this.limit = limit
+    this.remaining = remaining
+    this.retryAfterSeconds = retryAfterSeconds
+  }
+
+  get name () {
+    return 'RateLimitExceeded'
+  }
+
+  toJSON () {
+    return {
+      ...super.toJSON(),
+      limitType: this.limitType,
+      limit: this.limit,
+      remaining: this.remaining,
+      retryAfterSeconds: this.retryAfterSeconds
+    }
+  }
+}
+
+/**
+ * Formats a retry after time for error messages
+ * @param {number} seconds - Retry after time in seconds
+ * @returns {string}
+ */
+function formatRetryAfter (seconds) {
+  return seconds < 60 ? `${Math.ceil(seconds)} seconds` : `${Math.ceil(seconds / 60)} minutes`
+}
+
+/**
+ * A decrypt delegation in the proof chain caps the number of decrypts with a
+ * `maxDecrypts` caveat, and the requested decrypts would exceed it. The quota
+ * does not reset, so clients should not retry.
+ */
+export class DecryptQuotaExceeded extends Failure {
+  /**
+   * @param {object} details
+   * @param {string} details.delegation - CID of the delegation that sets the quota
+   * @param {number} details.limit - Decrypts allowed by the delegation
+   * @param {number} details.remaining - Decrypts still allowed by the delegation, fewer than requested
+   */
+  constructor ({ delegation, limit, remaining }) {
+    super(`Decrypt quota exceeded for delegation ${delegation}: ${remaining} of ${limit} decrypts remaining.`)
+    this.delegation = delegation
+    this.limit = limit
+    this.remaining = remaining
+  }
+
+  get name () {
+    return 'DecryptQuotaExceeded'
+  }
+
+  toJSON () {
+    return {
+      ...super.toJSON(),
+      delegation: this.delegation,
+      limit: this.limit,
+      remaining: this.remaining
+    }
+  }
+}
+
+/**
+ * The delegation being revoked by `ucan/revoke` was not attached to the invocation.
+ */
+export class UCANNotFound extends Failure {
+  /**
+   * @param {string} ucan - CID of the delegation being revoked
+   */
+  constructor (ucan) {
+    super(`Delegation ${ucan} was not included in the invocation`)
+    this.ucan = ucan
+  }
+
+  get name () {
+    return 'UCANNotFound'
+  }
+
+  toJSON () {
+    return {
+      ...super.toJSON(),
+      ucan: this.ucan
+    }
+  }
+}
+
+/**
+ * The principal revoking a delegation with `ucan/revoke` is not an issuer
+ * in the proof chain of the delegation.
+ */
+export class UnauthorizedRevocation extends Failure {
+  /**
+   * @param {string} ucan - CID of the delegation being revoked
+   * @param {string} principal - DID of the principal revoking the delegation
+   */
+  constructor (ucan, principal) {
+    super(`${principal} is not a participant in the proof chain of delegation ${ucan}`)
+    this.ucan = ucan
+    this.principal = principal
+  }
+
+  get name () {
+    return 'UnauthorizedRevocation'
+  }
+
+  toJSON () {
+    return {
+      ...super.toJSON(),
+      ucan: this.ucan,
+      principal: this.principal
+    }
+  }
+}
+
+/**
+ * The revocation could not be stored. This is not a client error.
+ */
+export class RevocationsStoreFailure extends Failure {
+  /**
+   * @param {string} [message]
+   */
+  constructor (message = 'Revocation could not be stored') {
+    super(message)
+  }
+
+  get name () {
+    return 'RevocationsStoreFailure'
+  }
+}
+
+/**
+ * A delegation the invocation relies on, or the invocation itself, was revoked.
+ */
+export class DelegationRevoked extends Failure {
+  /**
+   * @param {string} delegation - CID of the revoked delegation
+   */
+  constructor (delegation) {
+    super('Delegation explicitly revoked')
+    this.delegation = delegation
+  }
+
+  get name () {
+    return 'DelegationRevoked'
+  }
+
+  toJSON () {
+    return {
+      ...super.toJSON(),
+      delegation: this.delegation
+    }
+  }
+}
+
+/**
+ * The plan of the space does not include the requested feature.
+ */
+export class NotEntitled extends Failure {
+  /**
+   * @param {string} entitlement - The missing entitlement, e.g. `batchDecrypt`
+   * @param {string} message - Error message
+   */
+  constructor (entitlement, message) {
+    super(message)
+    this.entitlement = entitlement
+  }
+
+  get name () {
+    return 'NotEntitled'
+  }
+
+  toJSON () {
+    return {
+      ...super.toJSON(),
+      entitlement: this.entitlement
+    }
+  }
+}
@@ -0,0 +1,153 @@
+import PQueue from 'p-queue'
+import { AuditLogService } from '../services/auditLog.js'
+import { EncryptionKeyDecrypt } from '@storacha/capabilities/space'
+import { EncryptionKeyBatchDecrypt } from '../capabilities.js'
+import { error, ok, Failure } from '@ucanto/server'
+import { KeySuspended, DecryptQuotaExceeded, NotEntitled } from '../errors.js'
+import { findDecryptDelegation } from '../services/ucanValidation.js'
+
+/** Maximum number of keys accepted in a single batch decrypt invocation */
+export const MAX_BATCH_SIZE = 100
+
+/** Maximum number of concurrent KMS decrypt calls per batch */
+export const BATCH_DECRYPT_CONCURRENCY = 5
+
+/**
+ * Handles space/encryption/key/batch-decrypt - decrypts several symmetric keys using KMS.
+ * The invocation is validated once (UCAN, plan, revocation) and the keys are then
+ * decrypted concurrently. A key that fails to decrypt yields a per-key error entry
+ * instead of failing the whole batch.
+ *
+ * @param {import('../services/kms.types.js').BatchDecryptionKeyRequest} request
+ * @param {import('@ucanto/interface').Invocation} invocation
+ * @param {import('../api.types.js').Context} ctx
+ * @param {import('../types/env.d.ts').Env} env
+ * @returns {Promise<import('@ucanto/server').Result<import('../api.types.js').KeyBatchDecryptResult, import('@ucanto/server').Failure>>} - each decryptedSymmetricKey is encoded with multiformats/bases/base64
+ */
+export async function handleBatchKeyDecryption (request, invocation, ctx, env) {
+  const auditLog = new AuditLogService({
+    serviceName: 'batch-key-decryption-handler',
+    environment: env.ENVIRONMENT || 'unknown'
+  })
+  const startTime = Date.now()
+  // Extract invocation CID for audit correlation
+  const invocationCid = invocation.cid?.toString()
+  const proofs = invocation.proofs
+  /** @type {import('@ucanto/interface').Delegation | undefined} */
+  let quotaDelegation
+
+  try {
+    if (!ctx.ucanKmsIdentity) {
+      const errorMsg = 'Encryption not available - ucanKms identity not configured'
+      auditLog.logInvocation(request.space, EncryptionKeyBatchDecrypt.can, false, errorMsg, invocationCid, Date.now() - startTime)
+      return error(new Failure(errorMsg))
+    }
+
+    if (!request.encryptedSymmetricKeys?.length) {
+      const errorMsg = 'Missing encrypted symmetric keys in invocation'
+      auditLog.logInvocation(request.space, EncryptionKeyBatchDecrypt.can, false, errorMsg, invocationCid, Date.now() - startTime)
+      return error(new Failure(errorMsg))
+    }
+
+    if (request.encryptedSymmetricKeys.length > MAX_BATCH_SIZE) {
+      const errorMsg = `Too many keys in invocation (maximum ${MAX_BATCH_SIZE})`
+      auditLog.logInvocation(request.space, EncryptionKeyBatchDecrypt.can, false, errorMsg, invocationCid, Date.now() - startTime)
+      return error(new Failure(errorMsg))
+    }
+
+    // Validate decrypt delegation and invocation
+    const validationResult = await ctx.ucanPrivacyValidationService?.validateDecryption(invocation, request.space, ctx, env)
+    if (validationResult?.error) {
+      auditLog.logInvocation(request.space, EncryptionKeyBatchDecrypt.can, false, 'UCAN validation failed', invocationCid, Date.now() - startTime)
+      return error(validationResult.error)
+    }
+
+    // Refuse suspended spaces before reaching the plan, revocation and KMS services
+    const keyStatus = await ctx.kms.getKeyStatus?.({ space: request.space }, env)
+    if (keyStatus === 'suspended') {
+      auditLog.logInvocation(request.space, EncryptionKeyBatchDecrypt.can, false, 'Space encryption suspended', invocationCid, Date.now() - startTime)
+      return error(new KeySuspended())
+    }
+
+    // Validate space has paid plan
+    const planResult = await ctx.subscriptionStatusService.isProvisioned(request.space, proofs, ctx)
+    if (planResult?.error) {
+      const errorMsg = planResult.error.message || 'Subscription validation failed'
+      auditLog.logInvocation(request.space, EncryptionKeyBatchDecrypt.can, false, 'Subscription validation failed: ' + errorMsg, invocationCid, Date.now() - startTime)
+      return error(planResult.error)
+    }
+    if (planResult.ok?.entitlements?.batchDecrypt === false) {
+      auditLog.logInvocation(request.space, EncryptionKeyBatchDecrypt.can, false, 'Batch decrypt not included in plan', invocationCid, Date.now() - startTime)
+      return error(new NotEntitled('batchDecrypt', 'Batch decrypt is not included in the plan'))
+    }
+
+    // Apply the per-space rate limit of the space's plan, the per-user and global limits are checked before the plan lookup, batched keys count against the single-key decrypt limits
+    if (ctx.kmsRateLimiter) {
+      const rateLimitViolation = await ctx.kmsRateLimiter.checkSpaceRateLimit(invocation, EncryptionKeyDecrypt.can, request.space, request.encryptedSymmetricKeys.length, planResult?.ok?.entitlements?.rateLimitTier)
+      if (rateLimitViolation) {
+        auditLog.logInvocation(request.space, EncryptionKeyBatchDecrypt.can, false, 'Rate limit exceeded', invocationCid, Date.now() - startTime)
+        return error(rateLimitViolation)
+      }
+    }
+
+    // Validate if the invocation and the delegations it relies on were not revoked
+    const revocationResult = await ctx.revocationStatusClient.checkStatus(proofs, request.space, env, { invocation })
+    if (revocationResult.error) {
+      auditLog.logInvocation(request.space, EncryptionKeyBatchDecrypt.can, false, 'Revocation check failed', invocationCid, Date.now() - startTime)
+      return error(revocationResult.error)
+    }
+
+    // Reserve the decrypts against the quotas of the decrypt delegation chain
+    const decryptDelegation = ctx.kmsRateLimiter ? findDecryptDelegation(proofs, request.space) : undefined
+    if (decryptDelegation) {
+      const quotaViolation = await ctx.kmsRateLimiter.reserveDecryptQuota(decryptDelegation, request.space, request.encryptedSymmetricKeys.length)
+      if (quotaViolation) {
+        const errorMsg = quotaViolation instanceof DecryptQuotaExceeded ? 'Decrypt quota exceeded' : 'Decrypt quota check failed'
+        auditLog.logInvocation(request.space, EncryptionKeyBatchDecrypt.can, false, errorMsg, invocationCid, Date.now() - startTime)
+        return error(quotaViolation)
+      }
+      quotaDelegation = decryptDelegation
+    }
+
+    // Decrypt symmetric keys using KMS with bounded parallelism
+    const decryptQueue = new PQueue({ concurrency: BATCH_DECRYPT_CONCURRENCY })
+    const results = await Promise.all(request.encryptedSymmetricKeys.map(encryptedSymmetricKey =>
+      decryptQueue.add(async () => {
+        try {
+          const kmsResult = await ctx.kms.decryptSymmetricKey({ space: request.space, encryptedSymmetricKey }, env)
+          if (kmsResult.error) {
+            // KMS failures are already generic, apart from named ones such as KeyDestroyed
+            return { error: kmsResult.error.message }
+          }
+          return { decryptedSymmetricKey: kmsResult.ok.decryptedKey }
+        } catch (err) {
+          console.error('[BatchKeyDecryption] Error decrypting key:', err)
+          // Generic error message must be returned to the client to avoid leaking information
+          return { error: 'KMS decryption failed' }
+        }
+      }, { throwOnTimeout: true })
+    ))
+
+    const failed = results.filter(result => 'error' in result).length
+    if (quotaDelegation && failed > 0) {
+      // Keys that failed to decrypt do not count against the quotas
+      await ctx.kmsRateLimiter.releaseDecryptQuota(quotaDelegation, request.space, failed)
+    }
+    auditLog.logInvocation(
+      request.space,
+      EncryptionKeyBatchDecrypt.can,
+      failed < results.length,
+      failed > 0 ? `${failed} of ${results.length} keys failed to decrypt` : undefined,
+      invocationCid,
+      Date.now() - startTime
+    )
+    return ok({ results })
+  } catch (err) {
+    if (quotaDelegation) {
+      await ctx.kmsRateLimiter.releaseDecryptQuota(quotaDelegation, request.space, request.encryptedSymmetricKeys.length)
+    }
+    const errorMessage = err instanceof Error ? err.message : String(err)
+    auditLog.logInvocation(request.space, EncryptionKeyBatchDecrypt.can, false, errorMessage, invocationCid, Date.now() - startTime)
+    return error(new Failure(errorMessage))
+  }
+}
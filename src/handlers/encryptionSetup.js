@@ -1,6 +1,7 @@
 import { AuditLogService } from '../services/auditLog.js'
 import { EncryptionSetup } from '@storacha/capabilities/space'
 import { error, ok, Failure } from '@ucanto/server'
+import { NotEntitled } from '../errors.js'
 
 /**
  * Handles space/encryption/setup - creates/retrieves RSA key pair from KMS
@@ -21,6 +22,8 @@ export async function handleEncryptionSetup (request, invocation, ctx, env) {
   // Extract invocation CID for audit correlation
   const invocationCid = invocation.cid?.toString()
   const proofs = invocation.proofs
+  /** @type {string | undefined} - Account whose registry the space was added to, released if the setup fails */
+  let addedToAccount
 
   try {
     if (!ctx.ucanKmsIdentity) {
@@ -44,16 +47,58 @@ export async function handleEncryptionSetup (request, invocation, ctx, env) {
       return error(planResult.error)
     }
 
-    // Check revocation status
-    // const revocationResult = await ctx.revocationStatusClient.checkStatus(proofs, request.space, env)
-    // if (revocationResult?.error) {
-    //   auditLog.logInvocation(request.space, EncryptionSetup.can, false, 'Revocation check failed', invocationCid, Date.now() - startTime)
-    //   return error(revocationResult.error)
-    // }
+    // The encrypted space limit of the plan is enforced by the account space registry, so it cannot be
+    // enforced without the account of the plan. The account is unknown when the plan service failed open,
+    // so FAIL_POLICY_PLAN=open still refuses setups until the plan service is back
+    const accountDID = planResult.ok?.accountDID
+    const maxEncryptedSpaces = planResult.ok?.entitlements?.maxEncryptedSpaces
+    if (maxEncryptedSpaces !== undefined && !accountDID) {
+      auditLog.logInvocation(request.space, EncryptionSetup.can, false, 'Encrypted space limit cannot be checked without the plan account', invocationCid, Date.now() - startTime)
+      return error(new NotEntitled('maxEncryptedSpaces', 'Encrypted space limit cannot be checked without the account of the plan'))
+    }
+    if (accountDID && maxEncryptedSpaces !== undefined && !ctx.accountSpaceStore) {
+      const errorMsg = 'Encryption setup not available - account space registry not configured'
+      auditLog.logInvocation(request.space, EncryptionSetup.can, false, errorMsg, invocationCid, Date.now() - startTime)
+      return error(new Failure(errorMsg))
+    }
+
+    // Apply the per-space rate limit of the space's plan, the per-user and global limits are checked before the plan lookup
+    if (ctx.kmsRateLimiter) {
+      const rateLimitViolation = await ctx.kmsRateLimiter.checkSpaceRateLimit(invocation, EncryptionSetup.can, request.space, 1, planResult?.ok?.entitlements?.rateLimitTier)
+      if (rateLimitViolation) {
+        auditLog.logInvocation(request.space, EncryptionSetup.can, false, 'Rate limit exceeded', invocationCid, Date.now() - startTime)
+        return error(rateLimitViolation)
+      }
+    }
+
+    // Validate if the invocation and the delegations it relies on were not revoked
+    const revocationResult = await ctx.revocationStatusClient.checkStatus(proofs, request.space, env, { capability: EncryptionSetup.can, invocation })
+    if (revocationResult.error) {
+      auditLog.logInvocation(request.space, EncryptionSetup.can, false, 'Revocation check failed', invocationCid, Date.now() - startTime)
+      return error(revocationResult.error)
+    }
+
+    // Reserve a slot in the encrypted space limit of the plan right before creating the key,
+    // spaces already set up do not count again
+    if (accountDID && ctx.accountSpaceStore) {
+      try {
+        const reservation = await ctx.accountSpaceStore.reserve(accountDID, request.space, maxEncryptedSpaces)
+        if (!reservation.reserved) {
+          auditLog.logInvocation(request.space, EncryptionSetup.can, false, 'Encrypted space limit reached', invocationCid, Date.now() - startTime)
+          return error(new NotEntitled('maxEncryptedSpaces', `Plan allows at most ${maxEncryptedSpaces} encrypted spaces`))
+        }
+        addedToAccount = reservation.added ? accountDID : undefined
+      } catch (err) {
+        // Without a limit the registry only records the space, so its failure does not fail the setup
+        if (maxEncryptedSpaces !== undefined) throw err
+        console.error('[EncryptionSetup] Failed to record the space of the account:', err)
+      }
+    }
 
     // Setup KMS key
     const kmsResult = await ctx.kms.setupKeyForSpace(request, env)
     if (kmsResult.error) {
+      await releaseAccountSpace(ctx, addedToAccount, request.space)
       console.error('[EncryptionSetup] KMS setup failed:', kmsResult.error.message)
       // KMS service already logs detailed failure - just log handler-level failure
       auditLog.logInvocation(request.space, EncryptionSetup.can, false, 'KMS setup failed', invocationCid, Date.now() - startTime)
@@ -63,6 +108,7 @@ export async function handleEncryptionSetup (request, invocation, ctx, env) {
     // Validate KMS result
     const { publicKey, algorithm, provider } = kmsResult.ok
     if (!publicKey || !algorithm || !provider) {
+      await releaseAccountSpace(ctx, addedToAccount, request.space)
       const errorMsg = 'Missing public key, algorithm, or provider in encryption setup'
       auditLog.logInvocation(request.space, EncryptionSetup.can, false, errorMsg, invocationCid, Date.now() - startTime)
       return error(new Failure(errorMsg))
@@ -73,8 +119,25 @@ export async function handleEncryptionSetup (request, invocation, ctx, env) {
     return ok(kmsResult.ok)
   } catch (/** @type {any} */ err) {
     console.error('[EncryptionSetup] Error during encryption setup:', err)
+    await releaseAccountSpace(ctx, addedToAccount, request.space)
     auditLog.logInvocation(request.space, EncryptionSetup.can, false, err.message, invocationCid, Date.now() - startTime)
     // Generic error message must be returned to the client to avoid leaking information
     return error(new Failure('Encryption setup failed'))
   }
 }
+
+/**
+ * Gives back the slot a failed setup reserved in the account space registry, logging instead of throwing on errors
+ *
+ * @param {import('../api.types.js').Context} ctx
+ * @param {string | undefined} accountDID - Account whose registry the space was added to, if any
+ * @param {string} space - The space DID
+ */
+async function releaseAccountSpace (ctx, accountDID, space) {
+  if (!accountDID || !ctx.accountSpaceStore) return
+  try {
+    await ctx.accountSpaceStore.release(accountDID, space)
+  } catch (err) {
+    console.error('[EncryptionSetup] Failed to release the space of the account:', err)
+  }
+}
@@ -1,6 +1,8 @@
 import { AuditLogService } from '../services/auditLog.js'
 import { EncryptionKeyDecrypt } from '@storacha/capabilities/space'
 import { error, ok, Failure } from '@ucanto/server'
+import { KeySuspended, DecryptQuotaExceeded } from '../errors.js'
+import { findDecryptDelegation } from '../services/ucanValidation.js'
 
 /**
  * Handles space/encryption/key/decrypt - decrypts symmetric keys using KMS
@@ -20,6 +22,8 @@ export async function handleKeyDecryption (request, invocation, ctx, env) {
   // Extract invocation CID for audit correlation
   const invocationCid = invocation.cid?.toString()
   const proofs = invocation.proofs
+  /** @type {import('@ucanto/interface').Delegation | undefined} */
+  let quotaDelegation
 
   try {
     if (!ctx.ucanKmsIdentity) {
@@ -34,6 +38,12 @@ export async function handleKeyDecryption (request, invocation, ctx, env) {
       return error(new Failure(errorMsg))
     }
 
+    if (request.keyVersion !== undefined && !/^[1-9][0-9]*$/.test(request.keyVersion)) {
+      const errorMsg = 'Invalid keyVersion in invocation'
+      auditLog.logInvocation(request.space, EncryptionKeyDecrypt.can, false, errorMsg, invocationCid, Date.now() - startTime)
+      return error(new Failure(errorMsg))
+    }
+
     // Validate decrypt delegation and invocation
     const validationResult = await ctx.ucanPrivacyValidationService?.validateDecryption(invocation, request.space, ctx, env)
     if (validationResult?.error) {
@@ -41,6 +51,13 @@ export async function handleKeyDecryption (request, invocation, ctx, env) {
       return error(validationResult.error)
     }
 
+    // Refuse suspended spaces before reaching the plan, revocation and KMS services
+    const keyStatus = await ctx.kms.getKeyStatus?.({ space: request.space }, env)
+    if (keyStatus === 'suspended') {
+      auditLog.logInvocation(request.space, EncryptionKeyDecrypt.can, false, 'Space encryption suspended', invocationCid, Date.now() - startTime)
+      return error(new KeySuspended())
+    }
+
     // Validate space has paid plan
     const planResult = await ctx.subscriptionStatusService.isProvisioned(request.space, proofs, ctx)
     if (planResult?.error) {
@@ -49,16 +66,40 @@ export async function handleKeyDecryption (request, invocation, ctx, env) {
       return error(planResult.error)
     }
 
-    // Validate if the decryption delegation was not revoked
-    const revocationResult = await ctx.revocationStatusClient.checkStatus(proofs, request.space, env)
+    // Apply the per-space rate limit of the space's plan, the per-user and global limits are checked before the plan lookup
+    if (ctx.kmsRateLimiter) {
+      const rateLimitViolation = await ctx.kmsRateLimiter.checkSpaceRateLimit(invocation, EncryptionKeyDecrypt.can, request.space, 1, planResult?.ok?.entitlements?.rateLimitTier)
+      if (rateLimitViolation) {
+        auditLog.logInvocation(request.space, EncryptionKeyDecrypt.can, false, 'Rate limit exceeded', invocationCid, Date.now() - startTime)
+        return error(rateLimitViolation)
+      }
+    }
+
+    // Validate if the invocation and the delegations it relies on were not revoked
+    const revocationResult = await ctx.revocationStatusClient.checkStatus(proofs, request.space, env, { invocation })
     if (revocationResult.error) {
       auditLog.logInvocation(request.space, EncryptionKeyDecrypt.can, false, 'Revocation check failed', invocationCid, Date.now() - startTime)
       return error(revocationResult.error)
     }
 
+    // Reserve the decrypts against the quotas of the decrypt delegation chain
+    const decryptDelegation = ctx.kmsRateLimiter ? findDecryptDelegation(proofs, request.space) : undefined
+    if (decryptDelegation) {
+      const quotaViolation = await ctx.kmsRateLimiter.reserveDecryptQuota(decryptDelegation, request.space)
+      if (quotaViolation) {
+        const errorMsg = quotaViolation instanceof DecryptQuotaExceeded ? 'Decrypt quota exceeded' : 'Decrypt quota check failed'
+        auditLog.logInvocation(request.space, EncryptionKeyDecrypt.can, false, errorMsg, invocationCid, Date.now() - startTime)
+        return error(quotaViolation)
+      }
+      quotaDelegation = decryptDelegation
+    }
+
     // Decrypt symmetric key using KMS
     const kmsResult = await ctx.kms.decryptSymmetricKey(request, env)
     if (kmsResult.error) {
+      if (quotaDelegation) {
+        await ctx.kmsRateLimiter.releaseDecryptQuota(quotaDelegation, request.space)
+      }
       auditLog.logInvocation(request.space, EncryptionKeyDecrypt.can, false, 'KMS decryption failed', invocationCid, Date.now() - startTime)
       return error(kmsResult.error)
     }
@@ -66,6 +107,9 @@ export async function handleKeyDecryption (request, invocation, ctx, env) {
     auditLog.logInvocation(request.space, EncryptionKeyDecrypt.can, true, undefined, invocationCid, Date.now() - startTime)
     return ok({ decryptedSymmetricKey: kmsResult.ok.decryptedKey })
   } catch (err) {
+    if (quotaDelegation) {
+      await ctx.kmsRateLimiter.releaseDecryptQuota(quotaDelegation, request.space)
+    }
     const errorMessage = err instanceof Error ? err.message : String(err)
     auditLog.logInvocation(request.space, EncryptionKeyDecrypt.can, false, errorMessage, invocationCid, Date.now() - startTime)
     return error(new Failure(errorMessage))
@@ -0,0 +1,93 @@
+import { Plan } from '@storacha/capabilities'
+import { AuditLogService } from '../services/auditLog.js'
+import { EncryptionKeyDestroy } from '../capabilities.js'
+import { error, ok, Failure } from '@ucanto/server'
+
+/**
+ * Handles space/encryption/key/destroy - crypto-shreds the space by destroying its KMS key
+ *
+ * @param {import('../services/kms.types.js').KeyDestructionRequest} request
+ * @param {import('@ucanto/interface').Invocation} invocation
+ * @param {import('../api.types.js').Context} ctx
+ * @param {import('../types/env.d.ts').Env} env
+ * @returns {Promise<import('@ucanto/server').Result<import('../services/kms.types.js').KeyDestructionResult, import('@ucanto/server').Failure>>}
+ */
+export async function handleKeyDestruction (request, invocation, ctx, env) {
+  const auditLog = new AuditLogService({
+    serviceName: 'key-destruction-handler',
+    environment: env.ENVIRONMENT || 'unknown'
+  })
+
+  const startTime = Date.now()
+  // Extract invocation CID for audit correlation
+  const invocationCid = invocation.cid?.toString()
+
+  try {
+    if (!ctx.ucanKmsIdentity) {
+      const errorMsg = 'Key destruction not available - ucanKms identity not configured'
+      auditLog.logInvocation(request.space, EncryptionKeyDestroy.can, false, errorMsg, invocationCid, Date.now() - startTime)
+      return error(new Failure(errorMsg))
+    }
+
+    if (!ctx.kms.destroyKeyForSpace) {
+      const errorMsg = 'Key destruction is not supported by the configured KMS provider'
+      auditLog.logInvocation(request.space, EncryptionKeyDestroy.can, false, errorMsg, invocationCid, Date.now() - startTime)
+      return error(new Failure(errorMsg))
+    }
+
+    // Validate the invocation is authorized by the space owner
+    const ucanValidationResult = await ctx.ucanPrivacyValidationService.validateKeyDestruction(invocation, request.space, ctx, env)
+    if (ucanValidationResult?.error) {
+      auditLog.logInvocation(request.space, EncryptionKeyDestroy.can, false, ucanValidationResult.error.message, invocationCid, Date.now() - startTime)
+      return error(ucanValidationResult.error)
+    }
+
+    // No plan check - a space must be deletable even after its subscription ended
+
+    // Validate if the invocation and the delegations it relies on were not revoked, destruction cannot be undone
+    const revocationResult = await ctx.revocationStatusClient.checkStatus(invocation.proofs, request.space, env, { capability: EncryptionKeyDestroy.can, invocation })
+    if (revocationResult.error) {
+      auditLog.logInvocation(request.space, EncryptionKeyDestroy.can, false, 'Revocation check failed', invocationCid, Date.now() - startTime)
+      return error(revocationResult.error)
+    }
+
+    const kmsResult = await ctx.kms.destroyKeyForSpace(request, env)
+    if (kmsResult.error) {
+      // KMS service already logs detailed failure - just log handler-level failure
+      auditLog.logInvocation(request.space, EncryptionKeyDestroy.can, false, 'KMS key destruction failed', invocationCid, Date.now() - startTime)
+      return error(kmsResult.error)
+    }
+
+    // A destroyed space no longer counts against the encrypted space limit of its account
+    await releaseAccountSpace(ctx, invocation.proofs, request.space)
+
+    auditLog.logInvocation(request.space, EncryptionKeyDestroy.can, true, undefined, invocationCid, Date.now() - startTime)
+    return ok(kmsResult.ok)
+  } catch (/** @type {any} */ err) {
+    console.error('[KeyDestruction] Error during key destruction:', err)
+    auditLog.logInvocation(request.space, EncryptionKeyDestroy.can, false, err.message, invocationCid, Date.now() - startTime)
+    // Generic error message must be returned to the client to avoid leaking information
+    return error(new Failure('Key destruction failed'))
+  }
+}
+
+/**
+ * Frees the slot of a destroyed space in the account space registry, logging instead of throwing on errors.
+ * The account is the one of the plan/get delegation attached to the invocation, there is no plan check
+ * to resolve it otherwise. Releasing only removes this space, so any account named there is harmless.
+ *
+ * @param {import('../api.types.js').Context} ctx
+ * @param {import('@ucanto/interface').Proof[]} proofs - Proofs of the invocation
+ * @param {string} space - The space DID
+ */
+async function releaseAccountSpace (ctx, proofs, space) {
+  const planCapability = proofs
+    .flatMap(proof => 'capabilities' in proof ? proof.capabilities : [])
+    .find(cap => cap.can === Plan.get.can)
+  if (!planCapability || !ctx.accountSpaceStore) return
+  try {
+    await ctx.accountSpaceStore.release(planCapability.with, space)
+  } catch (err) {
+    console.error('[KeyDestruction] Failed to release the space of the account:', err)
+  }
+}
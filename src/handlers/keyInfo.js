@@ -0,0 +1,75 @@
+import { AuditLogService } from '../services/auditLog.js'
+import { EncryptionKeyInfo } from '../capabilities.js'
+import { error, ok, Failure } from '@ucanto/server'
+
+/**
+ * Handles space/encryption/key/info - returns the current public key of the space without creating one
+ *
+ * @param {import('../services/kms.types.js').KeyInfoRequest} request
+ * @param {import('@ucanto/interface').Invocation} invocation
+ * @param {import('../api.types.js').Context} ctx
+ * @param {import('../types/env.d.ts').Env} env
+ * @returns {Promise<import('@ucanto/server').Result<import('../services/kms.types.js').KeyInfoResult, import('@ucanto/server').Failure>>}
+ */
+export async function handleKeyInfo (request, invocation, ctx, env) {
+  const auditLog = new AuditLogService({
+    serviceName: 'key-info-handler',
+    environment: env.ENVIRONMENT || 'unknown'
+  })
+
+  const startTime = Date.now()
+  // Extract invocation CID for audit correlation
+  const invocationCid = invocation.cid?.toString()
+
+  try {
+    if (!ctx.ucanKmsIdentity) {
+      const errorMsg = 'Key info not available - ucanKms identity not configured'
+      auditLog.logInvocation(request.space, EncryptionKeyInfo.can, false, errorMsg, invocationCid, Date.now() - startTime)
+      return error(new Failure(errorMsg))
+    }
+
+    if (!ctx.kms.getPublicKeyInfo) {
+      const errorMsg = 'Key info is not supported by the configured KMS provider'
+      auditLog.logInvocation(request.space, EncryptionKeyInfo.can, false, errorMsg, invocationCid, Date.now() - startTime)
+      return error(new Failure(errorMsg))
+    }
+
+    // Validate UCAN invocation
+    const ucanValidationResult = await ctx.ucanPrivacyValidationService.validateKeyManagement(invocation, request.space, EncryptionKeyInfo.can)
+    if (ucanValidationResult?.error) {
+      auditLog.logInvocation(request.space, EncryptionKeyInfo.can, false, ucanValidationResult.error.message, invocationCid, Date.now() - startTime)
+      return error(ucanValidationResult.error)
+    }
+
+    // No plan check - reading a public key is free and the key only exists if setup passed the plan check
+
+    // Validate if the invocation and the delegations it relies on were not revoked
+    const revocationResult = await ctx.revocationStatusClient.checkStatus(invocation.proofs, request.space, env, { capability: EncryptionKeyInfo.can, invocation })
+    if (revocationResult.error) {
+      auditLog.logInvocation(request.space, EncryptionKeyInfo.can, false, 'Revocation check failed', invocationCid, Date.now() - startTime)
+      return error(revocationResult.error)
+    }
+
+    const kmsResult = await ctx.kms.getPublicKeyInfo(request, env)
+    if (kmsResult.error) {
+      // KMS service already logs detailed failure - just log handler-level failure
+      auditLog.logInvocation(request.space, EncryptionKeyInfo.can, false, 'KMS key info retrieval failed', invocationCid, Date.now() - startTime)
+      return error(kmsResult.error)
+    }
+
+    const { publicKey, algorithm, provider, keyVersion, createdAt } = kmsResult.ok
+    if (!publicKey || !algorithm || !provider || !keyVersion || !createdAt) {
+      const errorMsg = 'Missing public key, algorithm, provider, key version or creation time in key info'
+      auditLog.logInvocation(request.space, EncryptionKeyInfo.can, false, errorMsg, invocationCid, Date.now() - startTime)
+      return error(new Failure(errorMsg))
+    }
+
+    auditLog.logInvocation(request.space, EncryptionKeyInfo.can, true, undefined, invocationCid, Date.now() - startTime)
+    return ok(kmsResult.ok)
+  } catch (/** @type {any} */ err) {
+    console.error('[KeyInfo] Error during key info retrieval:', err)
+    auditLog.logInvocation(request.space, EncryptionKeyInfo.can, false, err.message, invocationCid, Date.now() - startTime)
+    // Generic error message must be returned to the client to avoid leaking information
+    return error(new Failure('Key info retrieval failed'))
+  }
+}
@@ -0,0 +1,92 @@
+import { AuditLogService } from '../services/auditLog.js'
+import { EncryptionKeyRotate } from '../capabilities.js'
+import { error, ok, Failure } from '@ucanto/server'
+
+/**
+ * Handles space/encryption/key/rotate - creates a new version of the space's RSA key
+ *
+ * @param {import('../services/kms.types.js').KeyRotationRequest} request
+ * @param {import('@ucanto/interface').Invocation} invocation
+ * @param {import('../api.types.js').Context} ctx
+ * @param {import('../types/env.d.ts').Env} env
+ * @returns {Promise<import('@ucanto/server').Result<import('../services/kms.types.js').KeyRotationResult, import('@ucanto/server').Failure>>}
+ */
+export async function handleKeyRotation (request, invocation, ctx, env) {
+  const auditLog = new AuditLogService({
+    serviceName: 'key-rotation-handler',
+    environment: env.ENVIRONMENT || 'unknown'
+  })
+
+  const startTime = Date.now()
+  // Extract invocation CID for audit correlation
+  const invocationCid = invocation.cid?.toString()
+  const proofs = invocation.proofs
+
+  try {
+    if (!ctx.ucanKmsIdentity) {
+      const errorMsg = 'Key rotation not available - ucanKms identity not configured'
+      auditLog.logInvocation(request.space, EncryptionKeyRotate.can, false, errorMsg, invocationCid, Date.now() - startTime)
+      return error(new Failure(errorMsg))
+    }
+
+    if (!ctx.kms.rotateKeyForSpace) {
+      const errorMsg = 'Key rotation is not supported by the configured KMS provider'
+      auditLog.logInvocation(request.space, EncryptionKeyRotate.can, false, errorMsg, invocationCid, Date.now() - startTime)
+      return error(new Failure(errorMsg))
+    }
+
+    // Validate UCAN invocation
+    const ucanValidationResult = await ctx.ucanPrivacyValidationService.validateKeyManagement(invocation, request.space, EncryptionKeyRotate.can)
+    if (ucanValidationResult?.error) {
+      auditLog.logInvocation(request.space, EncryptionKeyRotate.can, false, ucanValidationResult.error.message, invocationCid, Date.now() - startTime)
+      return error(ucanValidationResult.error)
+    }
+
+    // Validate space has paid plan
+    const planResult = await ctx.subscriptionStatusService.isProvisioned(request.space, proofs, ctx)
+    if (planResult?.error) {
+      const errorMsg = planResult.error.message || 'Subscription validation failed'
+      auditLog.logInvocation(request.space, EncryptionKeyRotate.can, false, 'Subscription validation failed: ' + errorMsg, invocationCid, Date.now() - startTime)
+      return error(planResult.error)
+    }
+
+    // Apply the per-space rate limit of the space's plan, the per-user and global limits are checked before the plan lookup
+    if (ctx.kmsRateLimiter) {
+      const rateLimitViolation = await ctx.kmsRateLimiter.checkSpaceRateLimit(invocation, EncryptionKeyRotate.can, request.space, 1, planResult?.ok?.entitlements?.rateLimitTier)
+      if (rateLimitViolation) {
+        auditLog.logInvocation(request.space, EncryptionKeyRotate.can, false, 'Rate limit exceeded', invocationCid, Date.now() - startTime)
+        return error(rateLimitViolation)
+      }
+    }
+
+    // Validate if the invocation and the delegations it relies on were not revoked
+    const revocationResult = await ctx.revocationStatusClient.checkStatus(proofs, request.space, env, { capability: EncryptionKeyRotate.can, invocation })
+    if (revocationResult.error) {
+      auditLog.logInvocation(request.space, EncryptionKeyRotate.can, false, 'Revocation check failed', invocationCid, Date.now() - startTime)
+      return error(revocationResult.error)
+    }
+
+    // Rotate KMS key
+    const kmsResult = await ctx.kms.rotateKeyForSpace(request, env)
+    if (kmsResult.error) {
+      // KMS service already logs detailed failure - just log handler-level failure
+      auditLog.logInvocation(request.space, EncryptionKeyRotate.can, false, 'KMS key rotation failed', invocationCid, Date.now() - startTime)
+      return error(kmsResult.error)
+    }
+
+    const { publicKey, algorithm, provider, keyVersion } = kmsResult.ok
+    if (!publicKey || !algorithm || !provider || !keyVersion) {
+      const errorMsg = 'Missing public key, algorithm, provider, or key version in key rotation'
+      auditLog.logInvocation(request.space, EncryptionKeyRotate.can, false, errorMsg, invocationCid, Date.now() - startTime)
+      return error(new Failure(errorMsg))
+    }
+
+    auditLog.logInvocation(request.space, EncryptionKeyRotate.can, true, undefined, invocationCid, Date.now() - startTime)
+    return ok(kmsResult.ok)
+  } catch (/** @type {any} */ err) {
+    console.error('[KeyRotation] Error during key rotation:', err)
+    auditLog.logInvocation(request.space, EncryptionKeyRotate.can, false, err.message, invocationCid, Date.now() - startTime)
+    // Generic error message must be returned to the client to avoid leaking information
+    return error(new Failure('Key rotation failed'))
+  }
+}
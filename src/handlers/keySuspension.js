@@ -0,0 +1,129 @@
+import { AuditLogService } from '../services/auditLog.js'
+import { KeyDisable, KeyEnable } from '../capabilities.js'
+import { error, ok, Failure } from '@ucanto/server'
+
+/**
+ * Handles kms/key/disable - suspends decryption for a space by disabling its KMS key
+ *
+ * @param {import('../services/kms.types.js').KeySuspensionRequest} request
+ * @param {import('@ucanto/interface').Invocation} invocation
+ * @param {import('../api.types.js').Context} ctx
+ * @param {import('../types/env.d.ts').Env} env
+ * @returns {Promise<import('@ucanto/server').Result<import('../services/kms.types.js').KeySuspensionResult, import('@ucanto/server').Failure>>}
+ */
+export async function handleKeyDisable (request, invocation, ctx, env) {
+  const auditLog = new AuditLogService({
+    serviceName: 'key-suspension-handler',
+    environment: env.ENVIRONMENT || 'unknown'
+  })
+
+  const startTime = Date.now()
+  // Extract invocation CID for audit correlation
+  const invocationCid = invocation.cid?.toString()
+
+  try {
+    if (!ctx.ucanKmsIdentity) {
+      const errorMsg = 'Key suspension not available - ucanKms identity not configured'
+      auditLog.logInvocation(request.space, KeyDisable.can, false, errorMsg, invocationCid, Date.now() - startTime)
+      return error(new Failure(errorMsg))
+    }
+
+    if (!ctx.kms.disableKeyForSpace) {
+      const errorMsg = 'Key suspension is not supported by the configured KMS provider'
+      auditLog.logInvocation(request.space, KeyDisable.can, false, errorMsg, invocationCid, Date.now() - startTime)
+      return error(new Failure(errorMsg))
+    }
+
+    // Validate the invocation is authorized by the service
+    const ucanValidationResult = await ctx.ucanPrivacyValidationService.validateAdministration(invocation, KeyDisable, request.space, ctx, env)
+    if (ucanValidationResult?.error) {
+      auditLog.logInvocation(request.space, KeyDisable.can, false, ucanValidationResult.error.message, invocationCid, Date.now() - startTime)
+      return error(ucanValidationResult.error)
+    }
+
+    // Validate if the invocation and the admin delegations it relies on, which are on the service DID, were not revoked
+    const revocationResult = await ctx.revocationStatusClient.checkStatus(invocation.proofs, ctx.ucanKmsIdentity.did(), env, { capability: KeyDisable.can, invocation })
+    if (revocationResult.error) {
+      auditLog.logInvocation(request.space, KeyDisable.can, false, 'Revocation check failed', invocationCid, Date.now() - startTime)
+      return error(revocationResult.error)
+    }
+
+    const kmsResult = await ctx.kms.disableKeyForSpace(request, env)
+    if (kmsResult.error) {
+      // KMS service already logs detailed failure - just log handler-level failure
+      auditLog.logInvocation(request.space, KeyDisable.can, false, 'KMS key disable failed', invocationCid, Date.now() - startTime)
+      return error(kmsResult.error)
+    }
+
+    auditLog.logInvocation(request.space, KeyDisable.can, true, undefined, invocationCid, Date.now() - startTime)
+    return ok(kmsResult.ok)
+  } catch (/** @type {any} */ err) {
+    console.error('[KeySuspension] Error during key disable:', err)
+    auditLog.logInvocation(request.space, KeyDisable.can, false, err.message, invocationCid, Date.now() - startTime)
+    // Generic error message must be returned to the client to avoid leaking information
+    return error(new Failure('Key disable failed'))
+  }
+}
+
+/**
+ * Handles kms/key/enable - lifts the suspension of a space by re-enabling its KMS key
+ *
+ * @param {import('../services/kms.types.js').KeySuspensionRequest} request
+ * @param {import('@ucanto/interface').Invocation} invocation
+ * @param {import('../api.types.js').Context} ctx
+ * @param {import('../types/env.d.ts').Env} env
+ * @returns {Promise<import('@ucanto/server').Result<import('../services/kms.types.js').KeySuspensionResult, import('@ucanto/server').Failure>>}
+ */
+export async function handleKeyEnable (request, invocation, ctx, env) {
+  const auditLog = new AuditLogService({
+    serviceName: 'key-suspension-handler',
+    environment: env.ENVIRONMENT || 'unknown'
+  })
+
+  const startTime = Date.now()
+  // Extract invocation CID for audit correlation
+  const invocationCid = invocation.cid?.toString()
+
+  try {
+    if (!ctx.ucanKmsIdentity) {
+      const errorMsg = 'Key suspension not available - ucanKms identity not configured'
+      auditLog.logInvocation(request.space, KeyEnable.can, false, errorMsg, invocationCid, Date.now() - startTime)
+      return error(new Failure(errorMsg))
+    }
+
+    if (!ctx.kms.enableKeyForSpace) {
+      const errorMsg = 'Key suspension is not supported by the configured KMS provider'
+      auditLog.logInvocation(request.space, KeyEnable.can, false, errorMsg, invocationCid, Date.now() - startTime)
+      return error(new Failure(errorMsg))
+    }
+
+    // Validate the invocation is authorized by the service
+    const ucanValidationResult = await ctx.ucanPrivacyValidationService.validateAdministration(invocation, KeyEnable, request.space, ctx, env)
+    if (ucanValidationResult?.error) {
+      auditLog.logInvocation(request.space, KeyEnable.can, false, ucanValidationResult.error.message, invocationCid, Date.now() - startTime)
+      return error(ucanValidationResult.error)
+    }
+
+    // Validate if the invocation and the admin delegations it relies on, which are on the service DID, were not revoked
+    const revocationResult = await ctx.revocationStatusClient.checkStatus(invocation.proofs, ctx.ucanKmsIdentity.did(), env, { capability: KeyEnable.can, invocation })
+    if (revocationResult.error) {
+      auditLog.logInvocation(request.space, KeyEnable.can, false, 'Revocation check failed', invocationCid, Date.now() - startTime)
+      return error(revocationResult.error)
+    }
+
+    const kmsResult = await ctx.kms.enableKeyForSpace(request, env)
+    if (kmsResult.error) {
+      // KMS service already logs detailed failure - just log handler-level failure
+      auditLog.logInvocation(request.space, KeyEnable.can, false, 'KMS key enable failed', invocationCid, Date.now() - startTime)
+      return error(kmsResult.error)
+    }
+
+    auditLog.logInvocation(request.space, KeyEnable.can, true, undefined, invocationCid, Date.now() - startTime)
+    return ok(kmsResult.ok)
+  } catch (/** @type {any} */ err) {
+    console.error('[KeySuspension] Error during key enable:', err)
+    auditLog.logInvocation(request.space, KeyEnable.can, false, err.message, invocationCid, Date.now() - startTime)
+    // Generic error message must be returned to the client to avoid leaking information
+    return error(new Failure('Key enable failed'))
+  }
+}
@@ -0,0 +1,106 @@
+import { Plan } from '@storacha/capabilities'
+import { EncryptionKeyDecrypt } from '@storacha/capabilities/space'
+import { AuditLogService } from '../services/auditLog.js'
+import { KmsRateLimiter } from '../services/kmsRateLimiter.js'
+import { RateLimitStatus } from '../capabilities.js'
+import { error, ok, Failure } from '@ucanto/server'
+
+/**
+ * Handles kms/rate-limit/status - reports the rate limit usage of a space and of the invoker.
+ * Invoked on the space, it is validated like the key management capabilities. Invoked on the
+ * service DID, it is an admin capability and also reports the global tier.
+ *
+ * @param {import('../services/kmsRateLimiter.types.js').RateLimitStatusRequest} request
+ * @param {import('@ucanto/interface').Invocation} invocation
+ * @param {import('../api.types.js').Context} ctx
+ * @param {import('../types/env.d.ts').Env} env
+ * @returns {Promise<import('@ucanto/server').Result<import('../api.types.js').RateLimitStatusResult, import('@ucanto/server').Failure>>}
+ */
+export async function handleRateLimitStatus (request, invocation, ctx, env) {
+  const auditLog = new AuditLogService({
+    serviceName: 'rate-limit-status-handler',
+    environment: env.ENVIRONMENT || 'unknown'
+  })
+
+  const startTime = Date.now()
+  // Extract invocation CID for audit correlation
+  const invocationCid = invocation.cid?.toString()
+  const operation = request.operation ?? EncryptionKeyDecrypt.can
+
+  try {
+    if (!ctx.ucanKmsIdentity) {
+      const errorMsg = 'Rate limit status not available - ucanKms identity not configured'
+      auditLog.logInvocation(request.space, RateLimitStatus.can, false, errorMsg, invocationCid, Date.now() - startTime)
+      return error(new Failure(errorMsg))
+    }
+
+    if (!ctx.kmsRateLimiter) {
+      const errorMsg = 'Rate limit status not available - rate limiter not configured'
+      auditLog.logInvocation(request.space, RateLimitStatus.can, false, errorMsg, invocationCid, Date.now() - startTime)
+      return error(new Failure(errorMsg))
+    }
+
+    if (!KmsRateLimiter.RATE_LIMITS[operation]) {
+      const errorMsg = `Operation ${operation} is not rate limited`
+      auditLog.logInvocation(request.space, RateLimitStatus.can, false, errorMsg, invocationCid, Date.now() - startTime)
+      return error(new Failure(errorMsg))
+    }
+
+    // Space members invoke it on the space, admins on the service DID
+    const isAdmin = request.resource === ctx.ucanKmsIdentity.did()
+    const ucanValidationResult = isAdmin
+      ? await ctx.ucanPrivacyValidationService.validateAdministration(invocation, RateLimitStatus, request.space, ctx, env)
+      : await ctx.ucanPrivacyValidationService.validateKeyManagement(invocation, request.space, RateLimitStatus.can)
+    if (ucanValidationResult?.error) {
+      auditLog.logInvocation(request.space, RateLimitStatus.can, false, ucanValidationResult.error.message, invocationCid, Date.now() - startTime)
+      return error(ucanValidationResult.error)
+    }
+
+    // Validate if the invocation and the delegations it relies on were not revoked, on the resource they were invoked on
+    const revocationResult = await ctx.revocationStatusClient.checkStatus(invocation.proofs, request.resource, env, { capability: RateLimitStatus.can, invocation })
+    if (revocationResult.error) {
+      auditLog.logInvocation(request.space, RateLimitStatus.can, false, 'Revocation check failed', invocationCid, Date.now() - startTime)
+      return error(revocationResult.error)
+    }
+
+    // Report the limits of the space's plan when the invocation carries a plan/get delegation
+    let plan
+    if (invocation.proofs.some(proof => 'capabilities' in proof && proof.capabilities.some(cap => cap.can === Plan.get.can))) {
+      const planResult = await ctx.subscriptionStatusService.isProvisioned(request.space, invocation.proofs, ctx)
+      plan = planResult.ok?.entitlements?.rateLimitTier
+    }
+
+    const status = await ctx.kmsRateLimiter.getRateLimitStatus(invocation, operation, request.space, plan)
+    const { limits } = status
+    if (!limits) {
+      const errorMsg = 'Rate limit status not available - no rate limit counters configured'
+      auditLog.logInvocation(request.space, RateLimitStatus.can, false, errorMsg, invocationCid, Date.now() - startTime)
+      return error(new Failure(errorMsg))
+    }
+
+    auditLog.logInvocation(request.space, RateLimitStatus.can, true, undefined, invocationCid, Date.now() - startTime)
+    return ok({
+      operation,
+      windowMinutes: limits.windowMinutes,
+      algorithm: limits.algorithm ?? 'fixed-window',
+      space: getTierStatus(status.spaceCount, limits.perSpace),
+      user: getTierStatus(status.userCount, limits.perUser),
+      // The global tier reflects the usage of all users, so only admins see it
+      ...(isAdmin ? { global: getTierStatus(status.globalCount, limits.global) } : {})
+    })
+  } catch (/** @type {any} */ err) {
+    console.error('[RateLimitStatus] Error during rate limit status:', err)
+    auditLog.logInvocation(request.space, RateLimitStatus.can, false, err.message, invocationCid, Date.now() - startTime)
+    // Generic error message must be returned to the client to avoid leaking information
+    return error(new Failure('Rate limit status failed'))
+  }
+}
+
+/**
+ * @param {number} used - Operations counted in the current window
+ * @param {number} limit - Operations allowed per window
+ * @returns {import('../api.types.js').RateLimitTierStatus}
+ */
+function getTierStatus (used, limit) {
+  return { used, limit, remaining: Math.max(0, limit - used) }
+}
@@ -0,0 +1,86 @@
+import { AuditLogService } from '../services/auditLog.js'
+import { revoke as UCANRevoke } from '@storacha/capabilities/ucan'
+import { Delegation, isDelegation } from '@ucanto/core'
+import { error, ok, Failure } from '@ucanto/server'
+import { UCANNotFound, UnauthorizedRevocation, RevocationsStoreFailure } from '../errors.js'
+
+/**
+ * Handles ucan/revoke - records the revocation of a delegation in the revocation store of the KMS,
+ * so that it is refused from the next invocation on without waiting for the upload service.
+ * The revoking principal (`with`) must be an issuer in the proof chain of the delegation, which
+ * must be attached to the invocation. Audiences may not revoke, or the holder of a delegation could
+ * revoke the delegations it was granted with and cut off the other holders of its issuer.
+ *
+ * @param {import('../clients/revocation.types.js').UCANRevokeRequest} request
+ * @param {import('@ucanto/interface').Invocation} invocation
+ * @param {import('../api.types.js').Context} ctx
+ * @param {import('../types/env.d.ts').Env} env
+ * @returns {Promise<import('@ucanto/server').Result<import('@storacha/capabilities/types').UCANRevokeSuccess, import('@ucanto/server').Failure>>}
+ */
+export async function handleUcanRevoke (request, invocation, ctx, env) {
+  const auditLog = new AuditLogService({
+    serviceName: 'ucan-revoke-handler',
+    environment: env.ENVIRONMENT || 'unknown'
+  })
+
+  const startTime = Date.now()
+  // Extract invocation CID for audit correlation
+  const invocationCid = invocation.cid?.toString()
+  const ucan = request.ucan.toString()
+  // Revocations are not bound to a space, the audit log records the revoking principal in its place
+  const principal = /** @type {import('@storacha/capabilities/types').SpaceDID} */ (request.principal)
+
+  try {
+    if (!ctx.revocationStore) {
+      const errorMsg = 'Revocation not available - revocation store not configured'
+      auditLog.logInvocation(principal, UCANRevoke.can, false, errorMsg, invocationCid, Date.now() - startTime)
+      return error(new RevocationsStoreFailure(errorMsg))
+    }
+
+    const delegation = Delegation.view({ root: request.ucan, blocks: invocation.blocks }, null)
+    if (!delegation) {
+      auditLog.logInvocation(principal, UCANRevoke.can, false, 'Revoked delegation not found', invocationCid, Date.now() - startTime)
+      return error(new UCANNotFound(ucan))
+    }
+
+    if (!isParticipant(delegation, request.principal)) {
+      auditLog.logInvocation(principal, UCANRevoke.can, false, 'Unauthorized revocation', invocationCid, Date.now() - startTime)
+      return error(new UnauthorizedRevocation(ucan, request.principal))
+    }
+
+    await ctx.revocationStore.revoke(ucan)
+
+    auditLog.logInvocation(principal, UCANRevoke.can, true, undefined, invocationCid, Date.now() - startTime)
+    return ok({ time: Math.floor(Date.now() / 1000) })
+  } catch (/** @type {any} */ err) {
+    console.error('[UcanRevoke] Error during revocation:', err)
+    auditLog.logInvocation(principal, UCANRevoke.can, false, err.message, invocationCid, Date.now() - startTime)
+    // Generic error message must be returned to the client to avoid leaking information
+    return error(new Failure('Revocation failed'))
+  }
+}
+
+/**
+ * Tells whether a principal is an issuer of a delegation or of the delegations of its proof
+ * chain attached to the invocation
+ *
+ * @param {import('@ucanto/interface').Delegation} delegation - The delegation being revoked
+ * @param {string} principal - DID of the principal revoking the delegation
+ * @returns {boolean}
+ */
+function isParticipant (delegation, principal) {
+  const visited = new Set()
+  const queue = [delegation]
+  while (queue.length > 0) {
+    const current = /** @type {import('@ucanto/interface').Delegation} */ (queue.shift())
+    const cid = current.cid.toString()
+    if (visited.has(cid)) continue
+    visited.add(cid)
+
+    if (current.issuer.did() === principal) {
+      return true
+    }
+    queue.push(...current.proofs.filter(isDelegation))
+  }
+  return false
+}
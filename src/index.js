@@ -1,4 +1,5 @@
-import { GoogleKMSService } from './services/googleKms.js'
+import { createKMSService } from './services/kmsProviders.js'
+import { KVKeyMetadataStore } from './services/keyMetadata.js'
 import { KmsRateLimiter } from './services/kmsRateLimiter.js'
 import { AuditLogService } from './services/auditLog.js'
 import { createService } from './service.js'
@@ -6,7 +7,9 @@ import { createServer } from './server.js'
 import { ed25519 } from '@ucanto/principal'
 import { Schema as UcantoSchema } from '@ucanto/core'
 import { RevocationStatusClientImpl } from './clients/revocation.js'
+import { createRevocationStore } from './clients/revocationSource.js'
 import { PlanSubscriptionServiceImpl } from './services/subscription.js'
+import { createAccountSpaceStore } from './services/accountSpaces.js'
 import { UcanPrivacyValidationServiceImpl } from './services/ucanValidation.js'
 /* eslint-disable-next-line */
 import packageJson from '../package.json' with { type: 'json' }
@@ -56,10 +59,13 @@ export default {
       // Add services to the existing context
       ctx.ucanKmsSigner = ucanKmsSigner;
       ctx.ucanKmsIdentity = ucanKmsIdentity;
-      ctx.kms = new GoogleKMSService(env, { auditLog, environment: env.ENVIRONMENT });
+      const keyMetadataStore = env.KMS_KEY_METADATA_KV ? new KVKeyMetadataStore(env.KMS_KEY_METADATA_KV) : undefined;
+      ctx.kms = createKMSService(env, { auditLog, environment: env.ENVIRONMENT, keyMetadataStore });
       ctx.kmsRateLimiter = new KmsRateLimiter(env, { auditLog });
-      ctx.revocationStatusClient = new RevocationStatusClientImpl({ auditLog });
+      ctx.revocationStore = createRevocationStore(env);
+      ctx.revocationStatusClient = new RevocationStatusClientImpl({ auditLog, store: ctx.revocationStore });
       ctx.subscriptionStatusService = new PlanSubscriptionServiceImpl(env, { auditLog });
+      ctx.accountSpaceStore = createAccountSpaceStore(env);
       ctx.ucanPrivacyValidationService = new UcanPrivacyValidationServiceImpl({ auditLog });
 
       // Create service handler and ucan server
@@ -95,3 +101,6 @@ export default {
     }
   }
 }
+
+export { RateLimitCounter } from './durableObjects/rateLimitCounter.js'
+export { AccountSpaceRegistry } from './durableObjects/accountSpaceRegistry.js'
@@ -1,9 +1,18 @@
 import * as UcantoServer from '@ucanto/server'
 import { handleEncryptionSetup } from './handlers/encryptionSetup.js'
 import { handleKeyDecryption } from './handlers/keyDecryption.js'
+import { handleKeyRotation } from './handlers/keyRotation.js'
+import { handleBatchKeyDecryption } from './handlers/batchKeyDecryption.js'
+import { handleKeyInfo } from './handlers/keyInfo.js'
+import { handleKeyDestruction } from './handlers/keyDestruction.js'
+import { handleKeyDisable, handleKeyEnable } from './handlers/keySuspension.js'
+import { handleRateLimitStatus } from './handlers/rateLimitStatus.js'
+import { handleUcanRevoke } from './handlers/ucanRevoke.js'
 import { Schema } from '@ucanto/validator'
-import { error, Failure } from '@ucanto/server'
+import { error } from '@ucanto/server'
 import { EncryptionSetup, EncryptionKeyDecrypt } from '@storacha/capabilities/space'
+import { revoke as UCANRevoke } from '@storacha/capabilities/ucan'
+import { EncryptionKeyRotate, EncryptionKeyBatchDecrypt, EncryptionKeyInfo, EncryptionKeyDestroy, KeyDisable, KeyEnable, RateLimitStatus } from './capabilities.js'
 
 /**
  * @param {import('./api.types.js').Context} ctx
@@ -19,10 +28,12 @@ export function createService (ctx, env) {
           capability: EncryptionSetup,
           audience: AudienceSchema,
           handler: async ({ capability, invocation }) => {
+            // The per-user and global limits do not depend on the space's plan, so they are checked before the
+            // plan lookup. The handler checks the per-space limit of the plan.
             if (ctx.kmsRateLimiter) {
-              const rateLimitViolation = await ctx.kmsRateLimiter.checkRateLimit(invocation, EncryptionSetup.can, capability.with)
+              const rateLimitViolation = await ctx.kmsRateLimiter.checkUserRateLimit(invocation, EncryptionSetup.can, capability.with)
               if (rateLimitViolation) {
-                return error(new Failure(rateLimitViolation))
+                return error(rateLimitViolation)
               }
             }
 
@@ -34,9 +45,9 @@ export function createService (ctx, env) {
             }
 
             const result = await handleEncryptionSetup(request, invocation, ctx, env)
-            // Record successful operation for rate limiting
-            if (result.ok && ctx.kmsRateLimiter) {
-              ctx.waitUntil(ctx.kmsRateLimiter.recordOperation(invocation, EncryptionSetup.can, capability.with))
+            // Give back the setup reserved by the rate limit check when it failed
+            if (result.error && ctx.kmsRateLimiter) {
+              ctx.waitUntil(ctx.kmsRateLimiter.releaseRateLimit(invocation, EncryptionSetup.can))
             }
 
             return result
@@ -47,25 +58,129 @@ export function createService (ctx, env) {
             capability: EncryptionKeyDecrypt,
             audience: AudienceSchema,
             handler: async ({ capability, invocation }) => {
+              // The per-user and global limits do not depend on the space's plan, so they are checked before the
+              // plan lookup. The handler checks the per-space limit of the plan.
               if (ctx.kmsRateLimiter) {
-                const rateLimitViolation = await ctx.kmsRateLimiter.checkRateLimit(invocation, EncryptionKeyDecrypt.can, capability.with)
+                const rateLimitViolation = await ctx.kmsRateLimiter.checkUserRateLimit(invocation, EncryptionKeyDecrypt.can, capability.with)
                 if (rateLimitViolation) {
-                  return error(new Failure(rateLimitViolation))
+                  return error(rateLimitViolation)
                 }
               }
 
               const space = /** @type {import('@storacha/capabilities/types').SpaceDID} */ (capability.with)
               const encryptedSymmetricKey = capability.nb?.key
+              // `keyVersion` is an optional caveat that is not part of the capability schema, so it is read from the raw invocation
+              const keyVersion = /** @type {Record<string, unknown> | undefined} */ (invocation.capabilities[0]?.nb)?.keyVersion
               const request = {
                 space,
-                encryptedSymmetricKey
+                encryptedSymmetricKey,
+                keyVersion: keyVersion === undefined ? undefined : String(keyVersion)
               }
 
               const result = await handleKeyDecryption(request, invocation, ctx, env)
 
-              // Record successful operation for rate limiting
-              if (result.ok && ctx.kmsRateLimiter) {
-                ctx.waitUntil(ctx.kmsRateLimiter.recordOperation(invocation, EncryptionKeyDecrypt.can, capability.with))
+              // Give back the decrypt reserved by the rate limit check when it failed
+              if (result.error && ctx.kmsRateLimiter) {
+                ctx.waitUntil(ctx.kmsRateLimiter.releaseRateLimit(invocation, EncryptionKeyDecrypt.can))
+              }
+
+              return result
+            }
+          }),
+          'batch-decrypt': UcantoServer.provideAdvanced({
+            capability: EncryptionKeyBatchDecrypt,
+            audience: AudienceSchema,
+            handler: async ({ capability, invocation }) => {
+              // The per-user and global limits do not depend on the space's plan, so they are checked before the
+              // plan lookup. The handler checks the per-space limit of the plan.
+              if (ctx.kmsRateLimiter) {
+                const rateLimitViolation = await ctx.kmsRateLimiter.checkUserRateLimit(invocation, EncryptionKeyDecrypt.can, capability.with, capability.nb.keys.length)
+                if (rateLimitViolation) {
+                  return error(rateLimitViolation)
+                }
+              }
+
+              const space = /** @type {import('@storacha/capabilities/types').SpaceDID} */ (capability.with)
+              const request = {
+                space,
+                encryptedSymmetricKeys: capability.nb.keys
+              }
+
+              const result = await handleBatchKeyDecryption(request, invocation, ctx, env)
+
+              // Give back the reserved keys that were not decrypted
+              const decryptedCount = result.ok?.results.filter(entry => 'decryptedSymmetricKey' in entry).length ?? 0
+              const failedCount = request.encryptedSymmetricKeys.length - decryptedCount
+              if (failedCount > 0 && ctx.kmsRateLimiter) {
+                ctx.waitUntil(ctx.kmsRateLimiter.releaseRateLimit(invocation, EncryptionKeyDecrypt.can, failedCount))
+              }
+
+              return result
+            }
+          }),
+          info: UcantoServer.provideAdvanced({
+            capability: EncryptionKeyInfo,
+            audience: AudienceSchema,
+            handler: async ({ capability, invocation }) => {
+              if (ctx.kmsRateLimiter) {
+                const rateLimitViolation = await ctx.kmsRateLimiter.checkRateLimit(invocation, EncryptionKeyInfo.can, capability.with)
+                if (rateLimitViolation) {
+                  return error(rateLimitViolation)
+                }
+              }
+
+              const space = /** @type {import('@storacha/capabilities/types').SpaceDID} */ (capability.with)
+              const result = await handleKeyInfo({ space }, invocation, ctx, env)
+
+              // Give back the operation reserved by the rate limit check when it failed
+              if (result.error && ctx.kmsRateLimiter) {
+                ctx.waitUntil(ctx.kmsRateLimiter.releaseRateLimit(invocation, EncryptionKeyInfo.can))
+              }
+
+              return result
+            }
+          }),
+          destroy: UcantoServer.provideAdvanced({
+            capability: EncryptionKeyDestroy,
+            audience: AudienceSchema,
+            handler: async ({ capability, invocation }) => {
+              if (ctx.kmsRateLimiter) {
+                const rateLimitViolation = await ctx.kmsRateLimiter.checkRateLimit(invocation, EncryptionKeyDestroy.can, capability.with)
+                if (rateLimitViolation) {
+                  return error(rateLimitViolation)
+                }
+              }
+
+              const space = /** @type {import('@storacha/capabilities/types').SpaceDID} */ (capability.with)
+              const result = await handleKeyDestruction({ space }, invocation, ctx, env)
+
+              // Give back the operation reserved by the rate limit check when it failed
+              if (result.error && ctx.kmsRateLimiter) {
+                ctx.waitUntil(ctx.kmsRateLimiter.releaseRateLimit(invocation, EncryptionKeyDestroy.can))
+              }
+
+              return result
+            }
+          }),
+          rotate: UcantoServer.provideAdvanced({
+            capability: EncryptionKeyRotate,
+            audience: AudienceSchema,
+            handler: async ({ capability, invocation }) => {
+              // The per-user and global limits do not depend on the space's plan, so they are checked before the
+              // plan lookup. The handler checks the per-space limit of the plan.
+              if (ctx.kmsRateLimiter) {
+                const rateLimitViolation = await ctx.kmsRateLimiter.checkUserRateLimit(invocation, EncryptionKeyRotate.can, capability.with)
+                if (rateLimitViolation) {
+                  return error(rateLimitViolation)
+                }
+              }
+
+              const space = /** @type {import('@storacha/capabilities/types').SpaceDID} */ (capability.with)
+              const result = await handleKeyRotation({ space }, invocation, ctx, env)
+
+              // Give back the rotation reserved by the rate limit check when it failed
+              if (result.error && ctx.kmsRateLimiter) {
+                ctx.waitUntil(ctx.kmsRateLimiter.releaseRateLimit(invocation, EncryptionKeyRotate.can))
               }
 
               return result
@@ -73,6 +188,54 @@ export function createService (ctx, env) {
           })
         }
       }
+    },
+    // Admin capabilities are invoked by service operators, so they are not rate limited
+    kms: {
+      key: {
+        disable: UcantoServer.provideAdvanced({
+          capability: KeyDisable,
+          audience: AudienceSchema,
+          handler: async ({ capability, invocation }) => {
+            return handleKeyDisable({ space: capability.nb.space }, invocation, ctx, env)
+          }
+        }),
+        enable: UcantoServer.provideAdvanced({
+          capability: KeyEnable,
+          audience: AudienceSchema,
+          handler: async ({ capability, invocation }) => {
+            return handleKeyEnable({ space: capability.nb.space }, invocation, ctx, env)
+          }
+        })
+      },
+      // Status only reads the rate limit counters, so it is not rate limited either
+      'rate-limit': {
+        status: UcantoServer.provideAdvanced({
+          capability: RateLimitStatus,
+          audience: AudienceSchema,
+          handler: async ({ capability, invocation }) => {
+            const request = {
+              resource: capability.with,
+              space: capability.nb.space,
+              operation: capability.nb.operation
+            }
+            return handleRateLimitStatus(request, invocation, ctx, env)
+          }
+        })
+      }
+    },
+    // Revocations are recorded by the KMS itself, so that they take effect without waiting for the upload service
+    ucan: {
+      revoke: UcantoServer.provideAdvanced({
+        capability: UCANRevoke,
+        audience: AudienceSchema,
+        handler: async ({ capability, invocation }) => {
+          const request = {
+            principal: capability.with,
+            ucan: capability.nb.ucan
+          }
+          return handleUcanRevoke(request, invocation, ctx, env)
+        }
+      })
     }
   }
 }
@@ -0,0 +1,93 @@
+/**
+ * @import { AccountSpaceStore, AccountSpaceReservation } from './subscription.types.js'
+ */
+
+/**
+ * Base URL of requests to account space registry Durable Objects - only the path is meaningful
+ */
+const REGISTRY_URL = 'https://account-space-registry'
+
+/**
+ * Registry of the encrypted spaces of each account in Durable Objects, one `AccountSpaceRegistry`
+ * object per account. Reservations are atomic, so concurrent setups cannot exceed the plan limit.
+ * @implements {AccountSpaceStore}
+ */
+export class DurableObjectAccountSpaceStore {
+  /** @type {import('@cloudflare/workers-types').DurableObjectNamespace} */
+  #namespace
+
+  /**
+   * @param {import('@cloudflare/workers-types').DurableObjectNamespace} namespace - Namespace of the AccountSpaceRegistry Durable Object
+   */
+  constructor (namespace) {
+    this.#namespace = namespace
+  }
+
+  /**
+   * @param {string} accountDID - Account DID
+   * @returns {Promise<string[]>}
+   */
+  async list (accountDID) {
+    const response = await this.#registry(accountDID).fetch(`${REGISTRY_URL}/spaces`)
+    const { spaces } = /** @type {{ spaces: string[] }} */ (await this.#readBody(accountDID, response))
+    return spaces
+  }
+
+  /**
+   * @param {string} accountDID - Account DID
+   * @param {string} space - The space DID
+   * @param {number} [limit] - Maximum number of spaces of the account, unlimited when omitted
+   * @returns {Promise<AccountSpaceReservation>}
+   */
+  async reserve (accountDID, space, limit) {
+    const response = await this.#registry(accountDID).fetch(`${REGISTRY_URL}/reserve`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ space, limit })
+    })
+    const { reserved, added } = /** @type {AccountSpaceReservation} */ (await this.#readBody(accountDID, response))
+    return { reserved, added }
+  }
+
+  /**
+   * @param {string} accountDID - Account DID
+   * @param {string} space - The space DID
+   */
+  async release (accountDID, space) {
+    const response = await this.#registry(accountDID).fetch(`${REGISTRY_URL}/release`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ space })
+    })
+    await this.#readBody(accountDID, response)
+  }
+
+  /**
+   * @param {string} accountDID - Account DID
+   */
+  #registry (accountDID) {
+    return this.#namespace.get(this.#namespace.idFromName(accountDID))
+  }
+
+  /**
+   * @param {string} accountDID - Account DID
+   * @param {import('@cloudflare/workers-types').Response} response - Response of the registry
+   * @returns {Promise<unknown>}
+   */
+  async #readBody (accountDID, response) {
+    if (!response.ok) {
+      throw new Error(`Account space registry ${accountDID} failed: ${response.status} - ${await response.text()}`)
+    }
+    return response.json()
+  }
+}
+
+/**
+ * Creates the registry of account spaces, kept in the `KMS_ACCOUNT_SPACES_DO` Durable Object namespace
+ *
+ * @param {import('../types/env.d.ts').Env} env - Environment configuration
+ * @returns {AccountSpaceStore | undefined} - undefined when the namespace is not bound
+ */
+export function createAccountSpaceStore (env) {
+  return env.KMS_ACCOUNT_SPACES_DO ? new DurableObjectAccountSpaceStore(env.KMS_ACCOUNT_SPACES_DO) : undefined
+}
@@ -11,6 +11,14 @@ export const SecurityEventType = {
   KMS_KEY_SETUP_FAILURE: 'kms_key_setup_failure',
   KMS_DECRYPT_SUCCESS: 'kms_decrypt_success',
   KMS_DECRYPT_FAILURE: 'kms_decrypt_failure',
+  KMS_KEY_ROTATION_SUCCESS: 'kms_key_rotation_success',
+  KMS_KEY_ROTATION_FAILURE: 'kms_key_rotation_failure',
+  KMS_KEY_DESTRUCTION_SUCCESS: 'kms_key_destruction_success',
+  KMS_KEY_DESTRUCTION_FAILURE: 'kms_key_destruction_failure',
+  KMS_KEY_DISABLE_SUCCESS: 'kms_key_disable_success',
+  KMS_KEY_DISABLE_FAILURE: 'kms_key_disable_failure',
+  KMS_KEY_ENABLE_SUCCESS: 'kms_key_enable_success',
+  KMS_KEY_ENABLE_FAILURE: 'kms_key_enable_failure',
   KMS_PUBLIC_KEY_RETRIEVAL_SUCCESS: 'kms_public_key_retrieval_success',
   KMS_PUBLIC_KEY_RETRIEVAL_FAILURE: 'kms_public_key_retrieval_failure',
   KMS_PRIMARY_VERSION_SUCCESS: 'kms_primary_version_success',
@@ -39,7 +47,8 @@ export const SecurityEventType = {
 
   // General Security Events
   SECURITY_VIOLATION_DETECTED: 'security_violation_detected',
-  RATE_LIMIT_EXCEEDED: 'rate_limit_exceeded'
+  RATE_LIMIT_EXCEEDED: 'rate_limit_exceeded',
+  FAILURE_POLICY_APPLIED: 'failure_policy_applied'
 }
 
 /**
@@ -201,6 +210,171 @@ export class AuditLogService {
     })
   }
 
+  /**
+   * Log KMS key rotation success
+   * @param {SpaceDID} space - Space DID
+   * @param {string} keyVersion - Key version created by the rotation
+   * @param {number} [duration] - Operation duration
+   */
+  logKMSKeyRotationSuccess (space, keyVersion, duration) {
+    this.logSecurityEvent(SecurityEventType.KMS_KEY_ROTATION_SUCCESS, {
+      space,
+      operation: 'kms_key_rotation',
+      keyVersion,
+      duration,
+      status: 'success'
+    })
+  }
+
+  /**
+   * Log KMS key rotation failure
+   * @param {SpaceDID} space - Space DID
+   * @param {string} error - Generic error message
+   * @param {number} [status] - HTTP status code
+   * @param {number} [duration] - Operation duration
+   */
+  logKMSKeyRotationFailure (space, error, status, duration) {
+    this.logSecurityEvent(SecurityEventType.KMS_KEY_ROTATION_FAILURE, {
+      space,
+      operation: 'kms_key_rotation',
+      error,
+      status: status ? status.toString() : undefined,
+      duration
+    })
+  }
+
+  /**
+   * Log KMS key destruction success
+   * @param {SpaceDID} space - Space DID
+   * @param {string[]} keyVersions - Key versions scheduled for destruction
+   * @param {number} [duration] - Operation duration
+   */
+  logKMSKeyDestructionSuccess (space, keyVersions, duration) {
+    this.logSecurityEvent(SecurityEventType.KMS_KEY_DESTRUCTION_SUCCESS, {
+      space,
+      operation: 'kms_key_destruction',
+      metadata: { keyVersions },
+      duration,
+      status: 'success'
+    })
+  }
+
+  /**
+   * Log KMS key destruction failure
+   * @param {SpaceDID} space - Space DID
+   * @param {string} error - Generic error message
+   * @param {number} [status] - HTTP status code
+   * @param {number} [duration] - Operation duration
+   */
+  logKMSKeyDestructionFailure (space, error, status, duration) {
+    this.logSecurityEvent(SecurityEventType.KMS_KEY_DESTRUCTION_FAILURE, {
+      space,
+      operation: 'kms_key_destruction',
+      error,
+      status: status ? status.toString() : undefined,
+      duration
+    })
+  }
+
+  /**
+   * Log KMS key disable (suspension) success
+   * @param {SpaceDID} space - Space DID
+   * @param {string[]} keyVersions - Key versions disabled
+   * @param {number} [duration] - Operation duration
+   */
+  logKMSKeyDisableSuccess (space, keyVersions, duration) {
+    this.logSecurityEvent(SecurityEventType.KMS_KEY_DISABLE_SUCCESS, {
+      space,
+      operation: 'kms_key_disable',
+      metadata: { keyVersions },
+      duration,
+      status: 'success'
+    })
+  }
+
+  /**
+   * Log KMS key disable (suspension) failure
+   * @param {SpaceDID} space - Space DID
+   * @param {string} error - Generic error message
+   * @param {number} [status] - HTTP status code
+   * @param {number} [duration] - Operation duration
+   */
+  logKMSKeyDisableFailure (space, error, status, duration) {
+    this.logSecurityEvent(SecurityEventType.KMS_KEY_DISABLE_FAILURE, {
+      space,
+      operation: 'kms_key_disable',
+      error,
+      status: status ? status.toString() : undefined,
+      duration
+    })
+  }
+
+  /**
+   * Log KMS key enable (end of suspension) success
+   * @param {SpaceDID} space - Space DID
+   * @param {string[]} keyVersions - Key versions re-enabled
+   * @param {number} [duration] - Operation duration
+   */
+  logKMSKeyEnableSuccess (space, keyVersions, duration) {
+    this.logSecurityEvent(SecurityEventType.KMS_KEY_ENABLE_SUCCESS, {
+      space,
+      operation: 'kms_key_enable',
+      metadata: { keyVersions },
+      duration,
+      status: 'success'
+    })
+  }
+
+  /**
+   * Log KMS key enable (end of suspension) failure
+   * @param {SpaceDID} space - Space DID
+   * @param {string} error - Generic error message
+   * @param {number} [status] - HTTP status code
+   * @param {number} [duration] - Operation duration
+   */
+  logKMSKeyEnableFailure (space, error, status, duration) {
+    this.logSecurityEvent(SecurityEventType.KMS_KEY_ENABLE_FAILURE, {
+      space,
+      operation: 'kms_key_enable',
+      error,
+      status: status ? status.toString() : undefined,
+      duration
+    })
+  }
+
+  /**
+   * Log KMS public key retrieval success
+   * @param {SpaceDID} space - Space DID
+   * @param {string} keyVersion - The key version whose public key was returned
+   * @param {number} [duration] - Operation duration
+   */
+  logKMSPublicKeyRetrievalSuccess (space, keyVersion, duration) {
+    this.logSecurityEvent(SecurityEventType.KMS_PUBLIC_KEY_RETRIEVAL_SUCCESS, {
+      space,
+      operation: 'kms_public_key_retrieval',
+      keyVersion,
+      duration,
+      status: 'success'
+    })
+  }
+
+  /**
+   * Log KMS public key retrieval failure
+   * @param {SpaceDID} space - Space DID
+   * @param {string} error - Generic error message
+   * @param {number} [status] - HTTP status code
+   * @param {number} [duration] - Operation duration
+   */
+  logKMSPublicKeyRetrievalFailure (space, error, status, duration) {
+    this.logSecurityEvent(SecurityEventType.KMS_PUBLIC_KEY_RETRIEVAL_FAILURE, {
+      space,
+      operation: 'kms_public_key_retrieval',
+      error,
+      status: status ? status.toString() : undefined,
+      duration
+    })
+  }
+
   /**
    * Log UCAN validation success
    * @param {SpaceDID} space - Space DID
@@ -0,0 +1,405 @@
+import * as z from 'zod'
+import { base64 } from 'multiformats/bases/base64'
+import { sanitizeSpaceDIDForKMSKeyId, encodePublicKeyPem } from '../utils.js'
+import { AuditLogService } from './auditLog.js'
+import { signRequest } from './awsSigV4.js'
+import { error, ok, Failure } from '@ucanto/server'
+import { openEnvelope } from '../envelope.js'
+import { KeyDestroyed, KeySuspended } from '../errors.js'
+
+/**
+ * @import { KMSService, EncryptionSetupRequest, DecryptionKeyRequest, EncryptionSetupResult, KeyInfoRequest, KeyInfoResult, KeyStatusRequest } from './kms.types.js'
+ * @import { KeyMetadataStore, KeyStatus } from './keyMetadata.types.js'
+ * @import { AwsCredentials } from './awsSigV4.js'
+ */
+
+/**
+ * Request timeout configurations by operation type
+ */
+const TIMEOUTS = {
+  KMS_DECRYPT: 30000, // Decrypt operations are user-facing
+  KEY_CREATION: 60000, // Key creation can be slower
+  KEY_LOOKUP: 20000 // Metadata operations should be fast
+}
+
+/**
+ * Encryption algorithm used for AWS KMS Decrypt calls
+ */
+const AWS_ENCRYPTION_ALGORITHM = 'RSAES_OAEP_SHA_256'
+
+/**
+ * Algorithm reported to clients - RSAES_OAEP_SHA_256 with an RSA_3072 key is the same scheme as Google's RSA_DECRYPT_OAEP_3072_SHA256
+ */
+const CLIENT_ALGORITHM = 'RSA_DECRYPT_OAEP_3072_SHA256'
+
+/**
+ * Zod schema for validating AWS KMS environment configuration
+ */
+const AwsKMSEnvironmentSchema = z.object({
+  AWS_KMS_REGION: z.string()
+    .regex(/^[a-z]{2}(-[a-z]+)+-\d+$/, 'Region must be a valid AWS region, e.g. us-east-1'),
+  AWS_ACCESS_KEY_ID: z.string()
+    .min(16, 'Access key ID must be at least 16 characters')
+    .regex(/^[A-Z0-9]+$/, 'Access key ID must contain only uppercase letters and numbers'),
+  AWS_SECRET_ACCESS_KEY: z.string()
+    .min(1, 'Secret access key cannot be empty'),
+  AWS_SESSION_TOKEN: z.string().optional(),
+  AWS_KMS_ENDPOINT: z.url('Endpoint must be a valid URL').optional()
+})
+
+/**
+ * AWS KMS service implementation
+ * @implements {KMSService}
+ */
+export class AwsKMSService {
+  /**
+   * Creates a new AwsKMSService instance with validated configuration
+   *
+   * @param {import('../types/env.d.ts').Env} env - Environment configuration
+   * @param {Object} [options] - Service options
+   * @param {string} [options.environment] - Environment name for audit logging
+   * @param {import('./auditLog.js').AuditLogService} [options.auditLog] - Shared audit log service instance
+   * @param {KeyMetadataStore} [options.keyMetadataStore] - Registry of per-space key statuses
+   * @throws {Error} If configuration validation fails
+   */
+  constructor (env, options = {}) {
+    this.auditLog = options.auditLog || new AuditLogService({
+      serviceName: 'aws-kms-service',
+      environment: options.environment || 'unknown'
+    })
+
+    try {
+      this.validateConfiguration(env)
+    } catch (err) {
+      this.auditLog.logServiceInitialization('AwsKMSService', false, err instanceof Error ? err.message : String(err))
+      throw err
+    }
+
+    this.region = /** @type {string} */ (env.AWS_KMS_REGION)
+    this.endpoint = new URL(env.AWS_KMS_ENDPOINT || `https://kms.${this.region}.amazonaws.com/`)
+    /** @type {AwsCredentials} */
+    this.credentials = {
+      accessKeyId: /** @type {string} */ (env.AWS_ACCESS_KEY_ID),
+      secretAccessKey: /** @type {string} */ (env.AWS_SECRET_ACCESS_KEY),
+      sessionToken: env.AWS_SESSION_TOKEN
+    }
+    this.keyMetadataStore = options.keyMetadataStore
+    if (process.env.NODE_ENV === 'development') {
+      this.auditLog.logServiceInitialization('AwsKMSService', true)
+    }
+  }
+
+  /**
+   * Validates the AWS KMS environment configuration using Zod schema
+   *
+   * @private
+   * @param {import('../types/env.d.ts').Env} env - Environment configuration
+   * @throws {Error} If configuration validation fails
+   */
+  validateConfiguration (env) {
+    const result = AwsKMSEnvironmentSchema.safeParse({
+      AWS_KMS_REGION: env.AWS_KMS_REGION,
+      AWS_ACCESS_KEY_ID: env.AWS_ACCESS_KEY_ID,
+      AWS_SECRET_ACCESS_KEY: env.AWS_SECRET_ACCESS_KEY,
+      AWS_SESSION_TOKEN: env.AWS_SESSION_TOKEN,
+      AWS_KMS_ENDPOINT: env.AWS_KMS_ENDPOINT
+    })
+    if (!result.success) {
+      const errors = result.error.issues.map(err => `${err.path.join('.')}: ${err.message}`).join('; ')
+      throw new Error(`AWS KMS configuration validation failed: ${errors}`)
+    }
+  }
+
+  /**
+   * Creates or retrieves an RSA key pair in AWS KMS for the space and returns the public key
+   *
+   * @param {EncryptionSetupRequest} request - The encryption setup request
+   * @param {import('../types/env.d.ts').Env} env - Environment configuration
+   * @returns {Promise<import('@ucanto/server').Result<EncryptionSetupResult, import('@ucanto/server').Failure>>}
+   */
+  async setupKeyForSpace (request, env) {
+    const startTime = Date.now()
+    try {
+      const metadata = await this.keyMetadataStore?.get(request.space)
+      if (metadata?.status === 'destroyed') {
+        // Re-creating the key would silently replace a crypto-shredded space
+        this.auditLog.logKMSKeySetupFailure(request.space, 'Encryption setup failed: space key was destroyed', undefined, Date.now() - startTime)
+        return error(new KeyDestroyed())
+      }
+      if (metadata?.status === 'suspended') {
+        this.auditLog.logKMSKeySetupFailure(request.space, 'Encryption setup failed: space key is suspended', undefined, Date.now() - startTime)
+        return error(new KeySuspended())
+      }
+
+      const aliasName = AwsKMSService.aliasName(request.space)
+
+      const describeResponse = await this._call('DescribeKey', { KeyId: aliasName }, TIMEOUTS.KEY_LOOKUP)
+      if (describeResponse.ok) {
+        const result = await this._getPublicKey(aliasName)
+        this.auditLog.logKMSKeySetupSuccess(request.space, result.algorithm, 'existing', Date.now() - startTime)
+        return ok(result)
+      }
+
+      const describeError = await describeResponse.json()
+      if (describeError.__type?.endsWith('NotFoundException')) {
+        const keyId = await this._createKey(request.space, aliasName)
+        const result = await this._getPublicKey(keyId)
+        this.auditLog.logKMSKeySetupSuccess(request.space, result.algorithm, '1', Date.now() - startTime)
+        return ok(result)
+      }
+
+      this.auditLog.logKMSKeySetupFailure(
+        request.space,
+        `Encryption setup failed: ${describeError.__type} - ${describeError.message}`,
+        describeResponse.status,
+        Date.now() - startTime
+      )
+      return error(new Failure('Encryption setup failed'))
+    } catch (err) {
+      console.error('[AwsKMS.setupKeyForSpace] something went wrong:', err)
+      this.auditLog.logKMSKeySetupFailure(
+        request.space,
+        `Encryption setup failed: ${err instanceof Error ? err.message : String(err)}`,
+        undefined,
+        Date.now() - startTime
+      )
+      // Generic error message must be returned to the client to avoid leaking information
+      return error(new Failure('Encryption setup failed'))
+    }
+  }
+
+  /**
+   * Decrypts a symmetric key using the space's AWS KMS private key
+   *
+   * @param {DecryptionKeyRequest} request - The decryption request
+   * @param {import('../types/env.d.ts').Env} env - Environment configuration
+   * @returns {Promise<import('@ucanto/server').Result<{ decryptedKey: string }, import('@ucanto/server').Failure>>}
+   */
+  async decryptSymmetricKey (request, env) {
+    const startTime = Date.now()
+    try {
+      const metadata = await this.keyMetadataStore?.get(request.space)
+      if (metadata?.status === 'destroyed') {
+        this.auditLog.logKMSDecryptFailure(request.space, 'Symmetric key decryption failed: space key was destroyed', undefined, Date.now() - startTime)
+        return error(new KeyDestroyed())
+      }
+      if (metadata?.status === 'suspended') {
+        this.auditLog.logKMSDecryptFailure(request.space, 'Symmetric key decryption failed: space key is suspended', undefined, Date.now() - startTime)
+        return error(new KeySuspended())
+      }
+
+      const aliasName = AwsKMSService.aliasName(request.space)
+      // AWS keys have a single version, so envelopes only need to be unwrapped
+      const { ciphertext } = openEnvelope(request, { provider: 'aws-kms', algorithm: CLIENT_ALGORITHM })
+      const response = await this._call('Decrypt', {
+        KeyId: aliasName,
+        // AWS expects blobs as padded standard base64
+        CiphertextBlob: btoa(Array.from(ciphertext, byte => String.fromCharCode(byte)).join('')),
+        EncryptionAlgorithm: AWS_ENCRYPTION_ALGORITHM
+      }, TIMEOUTS.KMS_DECRYPT)
+
+      if (!response.ok) {
+        const errorText = await response.text()
+        throw new Error(`KMS decryption failed ${aliasName}: ${response.status} - ${errorText}`)
+      }
+
+      const result = await response.json()
+      if (!result.Plaintext) {
+        throw new Error(`KMS decryption failed ${aliasName}: missing plaintext`)
+      }
+
+      // AWS returns the plaintext as standard base64, re-encode it with multibase for client compatibility
+      const decryptedKey = base64.encode(Uint8Array.from(atob(result.Plaintext), c => c.charCodeAt(0)))
+      this.auditLog.logKMSDecryptSuccess(request.space, result.KeyId || aliasName, Date.now() - startTime)
+      return ok({ decryptedKey })
+    } catch (err) {
+      console.error('[AwsKMS.decryptSymmetricKey] something went wrong:', err)
+      this.auditLog.logKMSDecryptFailure(
+        request.space,
+        `Symmetric key decryption failed: ${err instanceof Error ? err.message : String(err)}`,
+        undefined,
+        Date.now() - startTime
+      )
+      // Generic error message must be returned to the client to avoid leaking information
+      return error(new Failure('KMS decryption failed'))
+    }
+  }
+
+  /**
+   * Returns the public key of the space without creating a key
+   *
+   * @param {KeyInfoRequest} request - The key info request
+   * @param {import('../types/env.d.ts').Env} env - Environment configuration
+   * @returns {Promise<import('@ucanto/server').Result<KeyInfoResult, import('@ucanto/server').Failure>>}
+   */
+  async getPublicKeyInfo (request, env) {
+    const startTime = Date.now()
+    try {
+      const metadata = await this.keyMetadataStore?.get(request.space)
+      if (metadata?.status === 'destroyed') {
+        this.auditLog.logKMSPublicKeyRetrievalFailure(request.space, 'Key info retrieval failed: space key was destroyed', undefined, Date.now() - startTime)
+        return error(new KeyDestroyed())
+      }
+      if (metadata?.status === 'suspended') {
+        this.auditLog.logKMSPublicKeyRetrievalFailure(request.space, 'Key info retrieval failed: space key is suspended', undefined, Date.now() - startTime)
+        return error(new KeySuspended())
+      }
+
+      const aliasName = AwsKMSService.aliasName(request.space)
+
+      const describeResponse = await this._call('DescribeKey', { KeyId: aliasName }, TIMEOUTS.KEY_LOOKUP)
+      if (!describeResponse.ok) {
+        const describeError = await describeResponse.json()
+        this.auditLog.logKMSPublicKeyRetrievalFailure(
+          request.space,
+          `KMS key lookup failed ${aliasName}: ${describeError.__type} - ${describeError.message}`,
+          describeResponse.status,
+          Date.now() - startTime
+        )
+        // Only a missing key is reported as such, so clients know to run setup first
+        return error(new Failure(describeError.__type?.endsWith('NotFoundException') ? 'Encryption key not found' : 'Key info retrieval failed'))
+      }
+
+      const { KeyMetadata } = await describeResponse.json()
+      const result = await this._getPublicKey(aliasName)
+      // Asymmetric AWS KMS keys cannot be rotated, so there is only ever version 1
+      this.auditLog.logKMSPublicKeyRetrievalSuccess(request.space, '1', Date.now() - startTime)
+      return ok({
+        ...result,
+        keyVersion: '1',
+        // AWS reports the creation date in epoch seconds
+        createdAt: new Date(KeyMetadata.CreationDate * 1000).toISOString()
+      })
+    } catch (err) {
+      console.error('[AwsKMS.getPublicKeyInfo] something went wrong:', err)
+      this.auditLog.logKMSPublicKeyRetrievalFailure(
+        request.space,
+        `Key info retrieval failed: ${err instanceof Error ? err.message : String(err)}`,
+        undefined,
+        Date.now() - startTime
+      )
+      // Generic error message must be returned to the client to avoid leaking information
+      return error(new Failure('Key info retrieval failed'))
+    }
+  }
+
+  /**
+   * Returns the lifecycle status of the space key recorded in the metadata registry.
+   * This provider cannot suspend or destroy keys itself, but honours the status of spaces
+   * suspended or destroyed with another provider. Spaces without a record are active.
+   *
+   * @param {KeyStatusRequest} request - The key status request
+   * @param {import('../types/env.d.ts').Env} env - Environment configuration
+   * @returns {Promise<KeyStatus>}
+   */
+  async getKeyStatus (request, env) {
+    const metadata = await this.keyMetadataStore?.get(request.space)
+    return metadata?.status ?? 'active'
+  }
+
+  /**
+   * Creates a new RSA_3072 key and points the space alias at it
+   *
+   * @private
+   * @param {import('@storacha/capabilities/types').SpaceDID} space - The space DID
+   * @param {string} aliasName - The alias to create for the key
+   * @returns {Promise<string>} - The ID of the new key
+   */
+  async _createKey (space, aliasName) {
+    const createResponse = await this._call('CreateKey', {
+      KeySpec: 'RSA_3072',
+      KeyUsage: 'ENCRYPT_DECRYPT',
+      Description: `ucan-kms space key for ${space}`,
+      Tags: [{ TagKey: 'space', TagValue: space }]
+    }, TIMEOUTS.KEY_CREATION)
+
+    if (!createResponse.ok) {
+      const errorText = await createResponse.text()
+      throw new Error(`KMS key creation failed ${aliasName}: ${createResponse.status} - ${errorText}`)
+    }
+
+    const { KeyMetadata } = await createResponse.json()
+    const aliasResponse = await this._call('CreateAlias', {
+      AliasName: aliasName,
+      TargetKeyId: KeyMetadata.KeyId
+    }, TIMEOUTS.KEY_CREATION)
+
+    if (!aliasResponse.ok) {
+      const errorText = await aliasResponse.text()
+      throw new Error(`KMS alias creation failed ${aliasName}: ${aliasResponse.status} - ${errorText}`)
+    }
+
+    return KeyMetadata.KeyId
+  }
+
+  /**
+   * Fetches the public key of a KMS key and converts it to PEM
+   *
+   * @private
+   * @param {string} keyId - Key ID, ARN or alias
+   * @returns {Promise<EncryptionSetupResult>}
+   */
+  async _getPublicKey (keyId) {
+    const response = await this._call('GetPublicKey', { KeyId: keyId }, TIMEOUTS.KEY_LOOKUP)
+    if (!response.ok) {
+      const errorText = await response.text()
+      throw new Error(`KMS public key retrieval failed ${keyId}: ${response.status} - ${errorText}`)
+    }
+
+    const result = await response.json()
+    if (!result.PublicKey) {
+      throw new Error(`KMS public key response missing PublicKey field ${keyId}`)
+    }
+    if (!result.EncryptionAlgorithms?.includes(AWS_ENCRYPTION_ALGORITHM)) {
+      throw new Error(`KMS key ${keyId} does not support ${AWS_ENCRYPTION_ALGORITHM}`)
+    }
+
+    return {
+      publicKey: encodePublicKeyPem(Uint8Array.from(atob(result.PublicKey), c => c.charCodeAt(0))),
+      algorithm: CLIENT_ALGORITHM,
+      provider: 'aws-kms'
+    }
+  }
+
+  /**
+   * Calls an AWS KMS JSON API action with a SigV4-signed request
+   *
+   * @private
+   * @param {string} action - KMS API action, e.g. `Decrypt`
+   * @param {Record<string, any>} payload - Request payload
+   * @param {number} timeout - Request timeout in milliseconds
+   * @returns {Promise<Response>}
+   */
+  async _call (action, payload, timeout) {
+    const body = JSON.stringify(payload)
+    // The host header is signed but set by fetch itself
+    const { host, ...headers } = await signRequest({
+      method: 'POST',
+      url: this.endpoint,
+      headers: {
+        'content-type': 'application/x-amz-json-1.1',
+        'x-amz-target': `TrentService.${action}`
+      },
+      body,
+      region: this.region,
+      service: 'kms',
+      credentials: this.credentials
+    })
+    return fetch(this.endpoint, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(timeout)
+    })
+  }
+
+  /**
+   * KMS alias pointing at the key of a space
+   *
+   * @param {string} space - The space DID
+   * @returns {string}
+   */
+  static aliasName (space) {
+    return `alias/ucan-kms/${sanitizeSpaceDIDForKMSKeyId(space)}`
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * Minimal AWS Signature Version 4 request signer built on WebCrypto (Workers compatible)
+ * @see https://docs.aws.amazon.com/IAM/latest/UserGuide/reference_sigv-create-signed-request.html
+ */
+
+/**
+ * @typedef {Object} AwsCredentials
+ * @property {string} accessKeyId - AWS access key ID
+ * @property {string} secretAccessKey - AWS secret access key
+ * @property {string} [sessionToken] - Session token for temporary credentials
+ */
+
+/**
+ * @typedef {Object} SignRequestInput
+ * @property {string} method - HTTP method
+ * @property {URL} url - Request URL
+ * @property {Record<string, string>} headers - Request headers to sign (host and x-amz-date are added)
+ * @property {string} body - Request body
+ * @property {string} region - AWS region
+ * @property {string} service - AWS service name, e.g. `kms`
+ * @property {AwsCredentials} credentials - AWS credentials
+ * @property {Date} [date] - Signing time (defaults to now)
+ */
+
+const encoder = new TextEncoder()
+
+/**
+ * @param {Uint8Array | ArrayBuffer} bytes
+ * @returns {string}
+ */
+function toHex (bytes) {
+  return Array.from(new Uint8Array(bytes), byte => byte.toString(16).padStart(2, '0')).join('')
+}
+
+/**
+ * @param {string} data
+ * @returns {Promise<string>}
+ */
+async function sha256Hex (data) {
+  return toHex(await crypto.subtle.digest('SHA-256', encoder.encode(data)))
+}
+
+/**
+ * @param {Uint8Array | ArrayBuffer} key
+ * @param {string} data
+ * @returns {Promise<ArrayBuffer>}
+ */
+async function hmac (key, data) {
+  const cryptoKey = await crypto.subtle.importKey('raw', key, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+  return crypto.subtle.sign('HMAC', cryptoKey, encoder.encode(data))
+}
+
+/**
+ * Formats a date as the SigV4 `YYYYMMDD'T'HHMMSS'Z'` timestamp
+ *
+ * @param {Date} date
+ * @returns {string}
+ */
+export function toAmzDate (date) {
+  return date.toISOString().replace(/[:-]|\.\d{3}/g, '')
+}
+
+/**
+ * Signs a request with AWS SigV4 and returns the headers to send
+ *
+ * @param {SignRequestInput} input
+ * @returns {Promise<Record<string, string>>} - The original headers plus host, x-amz-date, optional x-amz-security-token and authorization
+ */
+export async function signRequest ({ method, url, headers, body, region, service, credentials, date = new Date() }) {
+  const amzDate = toAmzDate(date)
+  const dateStamp = amzDate.slice(0, 8)
+
+  /** @type {Record<string, string>} */
+  const signedHeaders = {}
+  for (const [name, value] of Object.entries(headers)) {
+    signedHeaders[name.toLowerCase()] = value.trim()
+  }
+  signedHeaders.host = url.host
+  signedHeaders['x-amz-date'] = amzDate
+  if (credentials.sessionToken) {
+    signedHeaders['x-amz-security-token'] = credentials.sessionToken
+  }
+
+  const headerNames = Object.keys(signedHeaders).sort()
+  const canonicalHeaders = headerNames.map(name => `${name}:${signedHeaders[name]}\n`).join('')
+  const signedHeaderList = headerNames.join(';')
+  const canonicalQuery = [...url.searchParams.entries()]
+    .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+    .sort()
+    .join('&')
+
+  const canonicalRequest = [
+    method,
+    url.pathname || '/',
+    canonicalQuery,
+    canonicalHeaders,
+    signedHeaderList,
+    await sha256Hex(body)
+  ].join('\n')
+
+  const credentialScope = `${dateStamp}/${region}/${service}/aws4_request`
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    credentialScope,
+    await sha256Hex(canonicalRequest)
+  ].join('\n')
+
+  const dateKey = await hmac(encoder.encode(`AWS4${credentials.secretAccessKey}`), dateStamp)
+  const regionKey = await hmac(dateKey, region)
+  const serviceKey = await hmac(regionKey, service)
+  const signingKey = await hmac(serviceKey, 'aws4_request')
+  const signature = toHex(await hmac(signingKey, stringToSign))
+
+  return {
+    ...signedHeaders,
+    authorization: `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${credentialScope}, SignedHeaders=${signedHeaderList}, Signature=${signature}`
+  }
+}
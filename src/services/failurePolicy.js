@@ -0,0 +1,74 @@
+/**
+ * @import { AuditLogService } from './auditLog.js'
+ */
+
+import { SecurityEventType } from './auditLog.js'
+
+/**
+ * Failure policies decide whether an operation proceeds (fail open) or is refused (fail closed)
+ * when a service it depends on fails. Each dependency has its own policy, set by an environment
+ * variable to `open` or `closed`. Unknown values fail closed, so that a typo cannot weaken a check.
+ */
+
+/**
+ * @typedef {'open' | 'closed'} FailurePolicy
+ * @typedef {'rate-limiter' | 'revocation' | 'plan'} FailurePolicyDependency
+ */
+
+/**
+ * Environment variable and default policy of each dependency. The defaults keep the service
+ * available when the rate limit counters or the revocation service fail, but not the plan service.
+ * @type {Record<FailurePolicyDependency, { variable: 'FAIL_POLICY_RATE_LIMITER' | 'FAIL_POLICY_REVOCATION' | 'FAIL_POLICY_PLAN', defaultPolicy: FailurePolicy }>}
+ */
+export const FAILURE_POLICIES = {
+  'rate-limiter': { variable: 'FAIL_POLICY_RATE_LIMITER', defaultPolicy: 'open' },
+  revocation: { variable: 'FAIL_POLICY_REVOCATION', defaultPolicy: 'open' },
+  plan: { variable: 'FAIL_POLICY_PLAN', defaultPolicy: 'closed' }
+}
+
+/**
+ * Resolves the failure policy of a dependency
+ * @param {import('../types/env.d.ts').Env} env - Environment configuration
+ * @param {FailurePolicyDependency} dependency - The dependency
+ * @returns {FailurePolicy}
+ */
+export function getFailurePolicy (env, dependency) {
+  const { variable, defaultPolicy } = FAILURE_POLICIES[dependency]
+  const value = env[variable]?.trim().toLowerCase()
+  if (!value) {
+    return defaultPolicy
+  }
+  if (value === 'open' || value === 'closed') {
+    return value
+  }
+
+  console.warn(`Invalid ${variable} value ${env[variable]}, failing closed`)
+  return 'closed'
+}
+
+/**
+ * Applies the failure policy of a failed dependency and audit-logs the decision
+ * @param {import('../types/env.d.ts').Env} env - Environment configuration
+ * @param {FailurePolicyDependency} dependency - The failed dependency
+ * @param {unknown} err - Error of the dependency
+ * @param {Object} [options]
+ * @param {AuditLogService} [options.auditLog] - Audit log service, decisions are logged to the console without it
+ * @param {Record<string, unknown>} [options.metadata] - Context of the failure, e.g. the space
+ * @returns {boolean} - true when the operation proceeds despite the failure
+ */
+export function shouldFailOpen (env, dependency, err, options = {}) {
+  const policy = getFailurePolicy(env, dependency)
+  const errorMessage = err instanceof Error ? err.message : String(err)
+
+  if (options.auditLog) {
+    options.auditLog.logSecurityEvent(SecurityEventType.FAILURE_POLICY_APPLIED, {
+      operation: dependency,
+      status: policy === 'open' ? 'fail_open' : 'fail_closed',
+      error: errorMessage,
+      metadata: { policy, ...options.metadata }
+    })
+  } else {
+    console.warn(`Failure policy of ${dependency}: failing ${policy} - ${errorMessage}`, options.metadata ?? {})
+  }
+  return policy === 'open'
+}
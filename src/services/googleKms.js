@@ -5,10 +5,13 @@ import pRetry, { AbortError } from 'p-retry'
 import { sanitizeSpaceDIDForKMSKeyId } from '../utils.js'
 import { AuditLogService } from './auditLog.js'
 import { error, ok, Failure } from '@ucanto/server'
+import { KeyDestroyed, KeySuspended } from '../errors.js'
+import { openEnvelope } from '../envelope.js'
 
 /**
- * @import { KMSService, EncryptionSetupRequest, DecryptionKeyRequest, EncryptionSetupResult } from './kms.types.js'
+ * @import { KMSService, EncryptionSetupRequest, DecryptionKeyRequest, EncryptionSetupResult, KeyRotationRequest, KeyRotationResult, KeyInfoRequest, KeyInfoResult, KeyDestructionRequest, KeyDestructionResult, KeySuspensionRequest, KeySuspensionResult, KeyStatusRequest } from './kms.types.js'
  * @import { SpaceDID } from '@storacha/capabilities/types'
+ * @import { KeyMetadataStore, KeyStatus } from './keyMetadata.types.js'
  */
 
 /**
@@ -28,6 +31,22 @@ const TIMEOUTS = {
   KEY_VERSIONS: 20000 // Version listing should be fast
 }
 
+/**
+ * Decrypt response statuses that mean the ciphertext was not wrapped with the tried key version
+ * (400 - wrong key or version not enabled, 404 - version does not exist), so other versions are tried
+ */
+const DECRYPT_FALLBACK_STATUSES = [400, 404]
+
+/**
+ * Algorithm of the space keys, also expected in the header of envelopes
+ */
+const KEY_ALGORITHM = 'RSA_DECRYPT_OAEP_3072_SHA256'
+
+/**
+ * Key version states that can still be scheduled for destruction
+ */
+const DESTROYABLE_VERSION_STATES = ['ENABLED', 'DISABLED']
+
 /**
  * @typedef {Object} AccessTokenAuth
  * @property {'access_token'} type - Authentication type
@@ -147,11 +166,13 @@ export class GoogleKMSService {
    * @param {Object} [options] - Service options
    * @param {string} [options.environment] - Environment name for audit logging
    * @param {import('./auditLog.js').AuditLogService} [options.auditLog] - Shared audit log service instance
+   * @param {KeyMetadataStore} [options.keyMetadataStore] - Registry of per-space key locations
    * @throws {Error} If configuration validation fails when decryption is enabled
    */
   constructor (env, options = {}) {
     try {
       this.validateConfiguration(env)
+      this.keyMetadataStore = options.keyMetadataStore
 
       this.auditLog = options.auditLog || new AuditLogService({
         serviceName: 'google-kms-service',
@@ -391,8 +412,29 @@ export class GoogleKMSService {
   async setupKeyForSpace (request, env) {
     const startTime = Date.now()
     try {
-      const actualLocation = request.location || env.GOOGLE_KMS_LOCATION
-      const actualKeyring = request.keyring || env.GOOGLE_KMS_KEYRING_NAME
+      const metadata = await this.keyMetadataStore?.get(request.space)
+      if (metadata?.status === 'destroyed') {
+        // Re-creating the key would silently replace a crypto-shredded space
+        this.auditLog.logKMSKeySetupFailure(request.space, 'Encryption setup failed: space key was destroyed', undefined, Date.now() - startTime)
+        return error(new KeyDestroyed())
+      }
+      if (metadata?.status === 'suspended') {
+        this.auditLog.logKMSKeySetupFailure(request.space, 'Encryption setup failed: space key is suspended', undefined, Date.now() - startTime)
+        return error(new KeySuspended())
+      }
+      if (metadata && !this._matchesKeyMetadata(metadata, request.location, request.keyring)) {
+        // The space already has a key elsewhere - creating a second one would orphan data encrypted with the first
+        this.auditLog.logKMSKeySetupFailure(
+          request.space,
+          `Encryption setup failed: space key is registered with ${metadata.provider} in ${metadata.location}/${metadata.keyring}`,
+          undefined,
+          Date.now() - startTime
+        )
+        return error(new Failure('Encryption setup failed'))
+      }
+
+      const actualLocation = request.location || metadata?.location || env.GOOGLE_KMS_LOCATION
+      const actualKeyring = request.keyring || metadata?.keyring || env.GOOGLE_KMS_KEYRING_NAME
       const sanitizedKeyId = sanitizeSpaceDIDForKMSKeyId(request.space)
       const keyName = `projects/${env.GOOGLE_KMS_PROJECT_ID}/locations/${actualLocation}/keyRings/${actualKeyring}/cryptoKeys/${sanitizedKeyId}`
 
@@ -404,11 +446,12 @@ export class GoogleKMSService {
 
       if (getResponse.ok) {
         // Key exists, get the primary key version and its public key
-        const result = await this._retrieveExistingPublicKey(keyName, env, request.space)
+        const { result, keyVersion } = await this._retrieveExistingPublicKey(keyName, env, request.space)
+        await this._recordKeyMetadata(request.space, metadata, actualLocation, actualKeyring, keyVersion)
         const duration = Date.now() - startTime
         this.auditLog.logKMSKeySetupSuccess(
           request.space,
-          result.algorithm || 'RSA_DECRYPT_OAEP_3072_SHA256',
+          result.algorithm || KEY_ALGORITHM,
           'existing',
           duration
         )
@@ -418,10 +461,11 @@ export class GoogleKMSService {
       if (getResponse.status === 404) {
         // Key doesn't exist, create it
         const result = await this._createNewKey(sanitizedKeyId, keyName, env, request.space, actualLocation, actualKeyring)
+        await this._recordKeyMetadata(request.space, metadata, actualLocation, actualKeyring, '1')
         const duration = Date.now() - startTime
         this.auditLog.logKMSKeySetupSuccess(
           request.space,
-          result.algorithm || 'RSA_DECRYPT_OAEP_3072_SHA256',
+          result.algorithm || KEY_ALGORITHM,
           '1',
           duration
         )
@@ -478,30 +522,45 @@ export class GoogleKMSService {
     let secureDecryptedKey = null
 
     try {
-      const sanitizedKeyId = sanitizeSpaceDIDForKMSKeyId(request.space)
-      const keyName = `projects/${env.GOOGLE_KMS_PROJECT_ID}/locations/${env.GOOGLE_KMS_LOCATION}/keyRings/${env.GOOGLE_KMS_KEYRING_NAME}/cryptoKeys/${sanitizedKeyId}`
+      const { keyName, metadata } = await this._resolveKey(request.space, env)
+      if (metadata?.status === 'destroyed') {
+        this.auditLog.logKMSDecryptFailure(request.space, 'Symmetric key decryption failed: space key was destroyed', undefined, Date.now() - startTime)
+        return error(new KeyDestroyed())
+      }
+      if (metadata?.status === 'suspended') {
+        this.auditLog.logKMSDecryptFailure(request.space, 'Symmetric key decryption failed: space key is suspended', undefined, Date.now() - startTime)
+        return error(new KeySuspended())
+      }
 
-      // Get the primary key version from KMS
-      const primaryVersionResult = await this._getPrimaryKeyVersion(keyName, request.space)
-      const primaryVersion = primaryVersionResult.primaryVersion
-      const keyVersion = primaryVersion.split('/').pop() || 'unknown'
-      const kmsUrl = `${GOOGLE_KMS_BASE_URL}/${primaryVersion}:asymmetricDecrypt`
+      // Envelopes name the exact key version, legacy raw ciphertexts may carry a version hint
+      const { ciphertext, keyVersion: requestedVersion, exact } = openEnvelope(request, { provider: 'google-kms', algorithm: KEY_ALGORITHM })
 
       // Convert Uint8Array to base64 string for Google KMS
       // Google KMS expects ciphertext as a base64-encoded string, but UCAN invocations
       // provide it as a Uint8Array. We need to convert it properly.
-      const binaryString = Array.from(request.encryptedSymmetricKey, byte => String.fromCharCode(byte)).join('')
+      const binaryString = Array.from(ciphertext, byte => String.fromCharCode(byte)).join('')
       const base64Ciphertext = btoa(binaryString)
 
-      const authHeaders = await this._getAuthHeaders()
-      const response = await fetch(kmsUrl, {
-        method: 'POST',
-        headers: authHeaders,
-        body: JSON.stringify({
-          ciphertext: base64Ciphertext
-        }),
-        signal: AbortSignal.timeout(TIMEOUTS.KMS_DECRYPT)
-      })
+      // Try the requested key version first, otherwise the active one
+      let keyVersionPath = requestedVersion
+        ? `${keyName}/cryptoKeyVersions/${requestedVersion}`
+        : (await this._getPrimaryKeyVersion(keyName, request.space)).primaryVersion
+      let response = await this._asymmetricDecrypt(keyVersionPath, base64Ciphertext)
+
+      // After a rotation the symmetric key may still be wrapped with another version - try the other enabled ones
+      if (!exact && !response.ok && DECRYPT_FALLBACK_STATUSES.includes(response.status)) {
+        const triedVersion = keyVersionPath
+        const enabledVersions = await this._listEnabledKeyVersions(keyName, request.space)
+        for (const candidate of enabledVersions.filter(version => version !== triedVersion)) {
+          await response.body?.cancel()
+          keyVersionPath = candidate
+          response = await this._asymmetricDecrypt(keyVersionPath, base64Ciphertext)
+          if (response.ok || !DECRYPT_FALLBACK_STATUSES.includes(response.status)) {
+            break
+          }
+        }
+      }
+      const keyVersion = keyVersionPath.split('/').pop() || 'unknown'
 
       if (!response.ok) {
         const errorText = await response.text()
@@ -556,6 +615,477 @@ export class GoogleKMSService {
     }
   }
 
+  /**
+   * Creates a new version of the space's key and returns its public key.
+   * Google KMS asymmetric keys have no primary version, so the newest enabled version becomes the active one.
+   *
+   * @param {KeyRotationRequest} request - The key rotation request
+   * @param {import('../types/env.d.ts').Env} env - Environment configuration
+   * @returns {Promise<import('@ucanto/server').Result<KeyRotationResult, import('@ucanto/server').Failure>>}
+   */
+  async rotateKeyForSpace (request, env) {
+    const startTime = Date.now()
+    try {
+      const { keyName, metadata, location, keyring } = await this._resolveKey(request.space, env)
+      if (metadata?.status === 'destroyed') {
+        this.auditLog.logKMSKeyRotationFailure(request.space, 'Key rotation failed: space key was destroyed', undefined, Date.now() - startTime)
+        return error(new KeyDestroyed())
+      }
+      if (metadata?.status === 'suspended') {
+        // A new version would be enabled and lift the suspension for new ciphertexts
+        this.auditLog.logKMSKeyRotationFailure(request.space, 'Key rotation failed: space key is suspended', undefined, Date.now() - startTime)
+        return error(new KeySuspended())
+      }
+
+      const authHeaders = await this._getAuthHeaders()
+      const createResponse = await fetch(`${GOOGLE_KMS_BASE_URL}/${keyName}/cryptoKeyVersions`, {
+        method: 'POST',
+        headers: authHeaders,
+        body: JSON.stringify({}),
+        signal: AbortSignal.timeout(TIMEOUTS.KEY_CREATION)
+      })
+
+      if (!createResponse.ok) {
+        const errorText = await createResponse.text()
+        this.auditLog.logKMSKeyRotationFailure(
+          request.space,
+          `KMS key version creation failed ${keyName}: ${errorText}`,
+          createResponse.status,
+          Date.now() - startTime
+        )
+        return error(new Failure('Key rotation failed'))
+      }
+
+      const { name } = await createResponse.json()
+      if (!name) {
+        throw new Error(`KMS key version creation returned no name ${keyName}`)
+      }
+
+      // The new version starts in PENDING_GENERATION - the public key fetch retries until it is enabled
+      const result = await this._fetchAndValidatePublicKey(name, request.space)
+      const keyVersion = name.split('/').pop() || 'unknown'
+      await this._recordKeyMetadata(request.space, metadata, location, keyring, keyVersion)
+
+      this.auditLog.logKMSKeyRotationSuccess(request.space, keyVersion, Date.now() - startTime)
+      return ok({ ...result, keyVersion })
+    } catch (err) {
+      console.error('[rotateKeyForSpace] something went wrong:', err)
+      this.auditLog.logKMSKeyRotationFailure(
+        request.space,
+        `Key rotation failed: ${err instanceof Error ? err.message : String(err)}`,
+        undefined,
+        Date.now() - startTime
+      )
+      // Generic error message must be returned to the client to avoid leaking information
+      return error(new Failure('Key rotation failed'))
+    }
+  }
+
+  /**
+   * Returns the current public key of the space without creating a key
+   *
+   * @param {KeyInfoRequest} request - The key info request
+   * @param {import('../types/env.d.ts').Env} env - Environment configuration
+   * @returns {Promise<import('@ucanto/server').Result<KeyInfoResult, import('@ucanto/server').Failure>>}
+   */
+  async getPublicKeyInfo (request, env) {
+    const startTime = Date.now()
+    try {
+      const { keyName, metadata } = await this._resolveKey(request.space, env)
+      if (metadata?.status === 'destroyed') {
+        this.auditLog.logKMSPublicKeyRetrievalFailure(request.space, 'Key info retrieval failed: space key was destroyed', undefined, Date.now() - startTime)
+        return error(new KeyDestroyed())
+      }
+      if (metadata?.status === 'suspended') {
+        this.auditLog.logKMSPublicKeyRetrievalFailure(request.space, 'Key info retrieval failed: space key is suspended', undefined, Date.now() - startTime)
+        return error(new KeySuspended())
+      }
+
+      const authHeaders = await this._getAuthHeaders()
+      const getResponse = await fetch(`${GOOGLE_KMS_BASE_URL}/${keyName}`, {
+        headers: authHeaders,
+        signal: AbortSignal.timeout(TIMEOUTS.KEY_LOOKUP)
+      })
+
+      if (!getResponse.ok) {
+        const errorText = await getResponse.text()
+        this.auditLog.logKMSPublicKeyRetrievalFailure(
+          request.space,
+          `KMS key lookup failed ${keyName}: ${errorText}`,
+          getResponse.status,
+          Date.now() - startTime
+        )
+        // Only a missing key is reported as such, so clients know to run setup first
+        return error(new Failure(getResponse.status === 404 ? 'Encryption key not found' : 'Key info retrieval failed'))
+      }
+      await getResponse.body?.cancel()
+
+      const { result, keyVersion } = await this._retrieveExistingPublicKey(keyName, env, request.space)
+      const createdAt = await this._getKeyVersionCreateTime(`${keyName}/cryptoKeyVersions/${keyVersion}`)
+
+      this.auditLog.logKMSPublicKeyRetrievalSuccess(request.space, keyVersion, Date.now() - startTime)
+      return ok({ ...result, keyVersion, createdAt })
+    } catch (err) {
+      console.error('[getPublicKeyInfo] something went wrong:', err)
+      this.auditLog.logKMSPublicKeyRetrievalFailure(
+        request.space,
+        `Key info retrieval failed: ${err instanceof Error ? err.message : String(err)}`,
+        undefined,
+        Date.now() - startTime
+      )
+      // Generic error message must be returned to the client to avoid leaking information
+      return error(new Failure('Key info retrieval failed'))
+    }
+  }
+
+  /**
+   * Crypto-shreds the space: tombstones its key in the metadata registry and schedules
+   * destruction of every key version. The tombstone is written first so that decryption
+   * stops immediately, and a failed request can be retried until every version is scheduled.
+   *
+   * @param {KeyDestructionRequest} request - The key destruction request
+   * @param {import('../types/env.d.ts').Env} env - Environment configuration
+   * @returns {Promise<import('@ucanto/server').Result<KeyDestructionResult, import('@ucanto/server').Failure>>}
+   */
+  async destroyKeyForSpace (request, env) {
+    const startTime = Date.now()
+    try {
+      if (!this.keyMetadataStore) {
+        throw new Error('Key destruction requires the key metadata registry (KMS_KEY_METADATA_KV)')
+      }
+
+      const { keyName, metadata, location, keyring } = await this._resolveKey(request.space, env)
+      const now = new Date().toISOString()
+      const destroyedAt = metadata?.destroyedAt ?? now
+      await this.keyMetadataStore.put(request.space, {
+        provider: 'google-kms',
+        location,
+        keyring,
+        keyVersion: metadata?.keyVersion ?? 'unknown',
+        createdAt: metadata?.createdAt ?? now,
+        updatedAt: now,
+        status: 'destroyed',
+        destroyedAt
+      })
+
+      const versions = await this._listKeyVersions(keyName, request.space)
+      const destroyable = versions.filter(version => DESTROYABLE_VERSION_STATES.includes(version.state))
+
+      const authHeaders = await this._getAuthHeaders()
+      const responses = await Promise.all(destroyable.map(version =>
+        fetch(`${GOOGLE_KMS_BASE_URL}/${version.name}:destroy`, {
+          method: 'POST',
+          headers: authHeaders,
+          body: JSON.stringify({}),
+          signal: AbortSignal.timeout(TIMEOUTS.KEY_CREATION)
+        })
+      ))
+
+      const failed = responses.find(response => !response.ok)
+      if (failed) {
+        const errorText = await failed.text()
+        this.auditLog.logKMSKeyDestructionFailure(
+          request.space,
+          `KMS key version destruction failed ${keyName}: ${errorText}`,
+          failed.status,
+          Date.now() - startTime
+        )
+        return error(new Failure('Key destruction failed'))
+      }
+
+      const keyVersions = destroyable.map(version => version.name.split('/').pop() || 'unknown')
+      this.auditLog.logKMSKeyDestructionSuccess(request.space, keyVersions, Date.now() - startTime)
+      return ok({ keyVersions, destroyedAt })
+    } catch (err) {
+      console.error('[destroyKeyForSpace] something went wrong:', err)
+      this.auditLog.logKMSKeyDestructionFailure(
+        request.space,
+        `Key destruction failed: ${err instanceof Error ? err.message : String(err)}`,
+        undefined,
+        Date.now() - startTime
+      )
+      // Generic error message must be returned to the client to avoid leaking information
+      return error(new Failure('Key destruction failed'))
+    }
+  }
+
+  /**
+   * Suspends decryption for the space: marks its key suspended in the metadata registry and
+   * disables every enabled key version. The disabled versions are recorded so that
+   * `enableKeyForSpace` re-enables exactly those, leaving versions disabled for other reasons alone.
+   *
+   * @param {KeySuspensionRequest} request - The key suspension request
+   * @param {import('../types/env.d.ts').Env} env - Environment configuration
+   * @returns {Promise<import('@ucanto/server').Result<KeySuspensionResult, import('@ucanto/server').Failure>>}
+   */
+  async disableKeyForSpace (request, env) {
+    const startTime = Date.now()
+    try {
+      if (!this.keyMetadataStore) {
+        throw new Error('Key suspension requires the key metadata registry (KMS_KEY_METADATA_KV)')
+      }
+
+      const { keyName, metadata, location, keyring } = await this._resolveKey(request.space, env)
+      if (metadata?.status === 'destroyed') {
+        this.auditLog.logKMSKeyDisableFailure(request.space, 'Key disable failed: space key was destroyed', undefined, Date.now() - startTime)
+        return error(new KeyDestroyed())
+      }
+
+      const versions = await this._listKeyVersions(keyName, request.space)
+      const enabled = versions.filter(version => version.state === 'ENABLED')
+      // Keep versions disabled by an earlier attempt, so a retried suspension can still be lifted completely
+      const keyVersions = [...new Set([
+        ...(metadata?.suspendedKeyVersions ?? []),
+        ...enabled.map(version => version.name.split('/').pop() || 'unknown')
+      ])]
+
+      // The suspension is recorded first so that decryption stops immediately
+      const now = new Date().toISOString()
+      await this.keyMetadataStore.put(request.space, {
+        provider: 'google-kms',
+        location,
+        keyring,
+        keyVersion: metadata?.keyVersion ?? 'unknown',
+        createdAt: metadata?.createdAt ?? now,
+        updatedAt: now,
+        status: 'suspended',
+        suspendedAt: metadata?.suspendedAt ?? now,
+        suspendedKeyVersions: keyVersions
+      })
+
+      const failed = await this._setKeyVersionsState(enabled, 'DISABLED')
+      if (failed) {
+        const errorText = await failed.text()
+        this.auditLog.logKMSKeyDisableFailure(
+          request.space,
+          `KMS key version disable failed ${keyName}: ${errorText}`,
+          failed.status,
+          Date.now() - startTime
+        )
+        return error(new Failure('Key disable failed'))
+      }
+
+      this.auditLog.logKMSKeyDisableSuccess(request.space, keyVersions, Date.now() - startTime)
+      return ok({ keyVersions, suspended: true })
+    } catch (err) {
+      console.error('[disableKeyForSpace] something went wrong:', err)
+      this.auditLog.logKMSKeyDisableFailure(
+        request.space,
+        `Key disable failed: ${err instanceof Error ? err.message : String(err)}`,
+        undefined,
+        Date.now() - startTime
+      )
+      // Generic error message must be returned to the client to avoid leaking information
+      return error(new Failure('Key disable failed'))
+    }
+  }
+
+  /**
+   * Lifts a suspension: re-enables the key versions disabled by `disableKeyForSpace` and
+   * clears the suspended status. Enabling a key that is not suspended is a no-op.
+   *
+   * @param {KeySuspensionRequest} request - The key suspension request
+   * @param {import('../types/env.d.ts').Env} env - Environment configuration
+   * @returns {Promise<import('@ucanto/server').Result<KeySuspensionResult, import('@ucanto/server').Failure>>}
+   */
+  async enableKeyForSpace (request, env) {
+    const startTime = Date.now()
+    try {
+      if (!this.keyMetadataStore) {
+        throw new Error('Key suspension requires the key metadata registry (KMS_KEY_METADATA_KV)')
+      }
+
+      const { keyName, metadata } = await this._resolveKey(request.space, env)
+      if (metadata?.status === 'destroyed') {
+        this.auditLog.logKMSKeyEnableFailure(request.space, 'Key enable failed: space key was destroyed', undefined, Date.now() - startTime)
+        return error(new KeyDestroyed())
+      }
+      if (metadata?.status !== 'suspended') {
+        this.auditLog.logKMSKeyEnableSuccess(request.space, [], Date.now() - startTime)
+        return ok({ keyVersions: [], suspended: false })
+      }
+
+      const suspendedKeyVersions = metadata.suspendedKeyVersions ?? []
+      const versions = await this._listKeyVersions(keyName, request.space)
+      const disabled = versions.filter(version =>
+        version.state === 'DISABLED' && suspendedKeyVersions.includes(version.name.split('/').pop() || '')
+      )
+
+      // The suspension is only cleared once every version is back, so a failed request can be retried
+      const failed = await this._setKeyVersionsState(disabled, 'ENABLED')
+      if (failed) {
+        const errorText = await failed.text()
+        this.auditLog.logKMSKeyEnableFailure(
+          request.space,
+          `KMS key version enable failed ${keyName}: ${errorText}`,
+          failed.status,
+          Date.now() - startTime
+        )
+        return error(new Failure('Key enable failed'))
+      }
+
+      const { status, suspendedAt, suspendedKeyVersions: _, ...active } = metadata
+      await this.keyMetadataStore.put(request.space, { ...active, updatedAt: new Date().toISOString() })
+
+      const keyVersions = disabled.map(version => version.name.split('/').pop() || 'unknown')
+      this.auditLog.logKMSKeyEnableSuccess(request.space, keyVersions, Date.now() - startTime)
+      return ok({ keyVersions, suspended: false })
+    } catch (err) {
+      console.error('[enableKeyForSpace] something went wrong:', err)
+      this.auditLog.logKMSKeyEnableFailure(
+        request.space,
+        `Key enable failed: ${err instanceof Error ? err.message : String(err)}`,
+        undefined,
+        Date.now() - startTime
+      )
+      // Generic error message must be returned to the client to avoid leaking information
+      return error(new Failure('Key enable failed'))
+    }
+  }
+
+  /**
+   * Returns the lifecycle status of the space key recorded in the metadata registry.
+   * Spaces without a record are active.
+   *
+   * @param {KeyStatusRequest} request - The key status request
+   * @param {import('../types/env.d.ts').Env} env - Environment configuration
+   * @returns {Promise<KeyStatus>}
+   */
+  async getKeyStatus (request, env) {
+    const metadata = await this.keyMetadataStore?.get(request.space)
+    return metadata?.status ?? 'active'
+  }
+
+  /**
+   * Sets the state of key versions (ENABLED or DISABLED)
+   *
+   * @private
+   * @param {Array<{ name: string }>} versions - The key versions to update
+   * @param {'ENABLED' | 'DISABLED'} state - The target state
+   * @returns {Promise<Response | undefined>} - The first failed response, if any
+   */
+  async _setKeyVersionsState (versions, state) {
+    const authHeaders = await this._getAuthHeaders()
+    const responses = await Promise.all(versions.map(version =>
+      fetch(`${GOOGLE_KMS_BASE_URL}/${version.name}?updateMask=state`, {
+        method: 'PATCH',
+        headers: authHeaders,
+        body: JSON.stringify({ state }),
+        signal: AbortSignal.timeout(TIMEOUTS.KEY_LOOKUP)
+      })
+    ))
+    return responses.find(response => !response.ok)
+  }
+
+  /**
+   * Gets the creation time of a key version
+   *
+   * @private
+   * @param {string} keyVersionPath - The full key version path
+   * @returns {Promise<string>} - ISO timestamp
+   */
+  async _getKeyVersionCreateTime (keyVersionPath) {
+    const authHeaders = await this._getAuthHeaders()
+    const response = await fetch(`${GOOGLE_KMS_BASE_URL}/${keyVersionPath}`, {
+      headers: authHeaders,
+      signal: AbortSignal.timeout(TIMEOUTS.KEY_LOOKUP)
+    })
+
+    if (!response.ok) {
+      const errorText = await response.text()
+      throw new Error(`KMS key version retrieval failed ${keyVersionPath}: ${response.status} - ${errorText}`)
+    }
+
+    const { createTime } = await response.json()
+    if (!createTime) {
+      throw new Error(`KMS key version response missing createTime ${keyVersionPath}`)
+    }
+    return createTime
+  }
+
+  /**
+   * Resolves the KMS key of a space through the metadata recorded at setup time so that
+   * location/keyring overrides are honoured. Spaces set up before the registry existed use the defaults.
+   *
+   * @private
+   * @param {SpaceDID} space - The space DID
+   * @param {import('../types/env.d.ts').Env} env - Environment configuration
+   * @returns {Promise<{ keyName: string, metadata: import('./keyMetadata.types.js').KeyMetadata | null | undefined, location: string, keyring: string }>}
+   */
+  async _resolveKey (space, env) {
+    const metadata = await this.keyMetadataStore?.get(space)
+    if (metadata && metadata.provider !== 'google-kms') {
+      throw new Error(`Space key is registered with ${metadata.provider}`)
+    }
+    const location = metadata?.location || env.GOOGLE_KMS_LOCATION
+    const keyring = metadata?.keyring || env.GOOGLE_KMS_KEYRING_NAME
+    const keyName = `projects/${env.GOOGLE_KMS_PROJECT_ID}/locations/${location}/keyRings/${keyring}/cryptoKeys/${sanitizeSpaceDIDForKMSKeyId(space)}`
+    return { keyName, metadata, location, keyring }
+  }
+
+  /**
+   * Calls asymmetricDecrypt on a key version
+   *
+   * @private
+   * @param {string} keyVersionPath - The full key version path
+   * @param {string} base64Ciphertext - The ciphertext encoded as standard base64
+   * @returns {Promise<Response>}
+   */
+  async _asymmetricDecrypt (keyVersionPath, base64Ciphertext) {
+    const authHeaders = await this._getAuthHeaders()
+    return fetch(`${GOOGLE_KMS_BASE_URL}/${keyVersionPath}:asymmetricDecrypt`, {
+      method: 'POST',
+      headers: authHeaders,
+      body: JSON.stringify({
+        ciphertext: base64Ciphertext
+      }),
+      signal: AbortSignal.timeout(TIMEOUTS.KMS_DECRYPT)
+    })
+  }
+
+  /**
+   * Checks that setup overrides do not point at a different key than the one registered for the space
+   *
+   * @private
+   * @param {import('./keyMetadata.types.js').KeyMetadata} metadata - The registered key metadata
+   * @param {string | undefined} location - Requested location override
+   * @param {string | undefined} keyring - Requested keyring override
+   * @returns {boolean}
+   */
+  _matchesKeyMetadata (metadata, location, keyring) {
+    return metadata.provider === 'google-kms' &&
+      (!location || location === metadata.location) &&
+      (!keyring || keyring === metadata.keyring)
+  }
+
+  /**
+   * Records where the key of a space lives, keeping the original creation time
+   *
+   * @private
+   * @param {SpaceDID} space - The space DID
+   * @param {import('./keyMetadata.types.js').KeyMetadata | null | undefined} existing - Previously registered metadata
+   * @param {string} location - The location of the key ring
+   * @param {string} keyring - The key ring name
+   * @param {string} keyVersion - The key version returned to the client
+   */
+  async _recordKeyMetadata (space, existing, location, keyring, keyVersion) {
+    if (!this.keyMetadataStore) {
+      return
+    }
+    if (existing && existing.location === location && existing.keyring === keyring && existing.keyVersion === keyVersion) {
+      return
+    }
+    const now = new Date().toISOString()
+    await this.keyMetadataStore.put(space, {
+      provider: 'google-kms',
+      location,
+      keyring,
+      keyVersion,
+      createdAt: existing?.createdAt ?? now,
+      updatedAt: now
+    })
+  }
+
   /**
    * Gets the active key version for a KMS key (supports both symmetric and asymmetric keys)
    *
@@ -624,42 +1154,13 @@ export class GoogleKMSService {
   async _getActiveKeyVersion (keyName, space) {
     const startTime = Date.now()
     try {
-      // List the key versions to find an enabled one
-      const authHeaders = await this._getAuthHeaders()
-      const versionsResponse = await fetch(`${GOOGLE_KMS_BASE_URL}/${keyName}/cryptoKeyVersions`, {
-        headers: authHeaders,
-        signal: AbortSignal.timeout(TIMEOUTS.KEY_VERSIONS)
-      })
-
-      if (!versionsResponse.ok) {
-        const errorText = await versionsResponse.text()
-        console.error(`KMS key versions retrieval failed: ${versionsResponse.status} - ${errorText}`, {
-          operation: '_getActiveKeyVersion',
-          space,
-          status: versionsResponse.status,
-          error: errorText
-        })
-        // Return generic error to client to avoid leaking information
-        throw new Error('Key operation failed')
-      }
-
-      const versionsData = await versionsResponse.json()
-
-      // Find the first enabled key version (or fallback to version 1)
-      const enabledVersions = versionsData.cryptoKeyVersions?.filter(
-        /** @param {{ state: string, name: string }} version */
-        version => version.state === 'ENABLED'
-      ) || []
-
-      let activeVersion
-      if (enabledVersions.length > 0) {
-        // Use the first enabled version
-        activeVersion = enabledVersions[0].name
-      } else {
+      // The newest enabled version is the active one - older versions only remain for decryption after a rotation
+      const enabledVersions = await this._listEnabledKeyVersions(keyName, space)
+      if (enabledVersions.length === 0) {
         throw new Error('No active key version found')
       }
 
-      return { primaryVersion: activeVersion }
+      return { primaryVersion: enabledVersions[0] }
     } catch (err) {
       this.auditLog.logKMSKeySetupFailure(
         space,
@@ -671,6 +1172,56 @@ export class GoogleKMSService {
     }
   }
 
+  /**
+   * Lists the enabled versions of a KMS key, newest first
+   *
+   * @private
+   * @param {string} keyName - The full KMS key name reference
+   * @param {SpaceDID} space - The space DID for error messages
+   * @returns {Promise<string[]>} - Full key version paths
+   */
+  async _listEnabledKeyVersions (keyName, space) {
+    const versions = await this._listKeyVersions(keyName, space)
+    /** @param {string} name */
+    const versionNumber = name => Number(name.split('/').pop()) || 0
+
+    return versions
+      .filter(version => version.state === 'ENABLED')
+      .map(version => version.name)
+      .sort((a, b) => versionNumber(b) - versionNumber(a))
+  }
+
+  /**
+   * Lists all versions of a KMS key with their state
+   *
+   * @private
+   * @param {string} keyName - The full KMS key name reference
+   * @param {SpaceDID} space - The space DID for error messages
+   * @returns {Promise<Array<{ name: string, state: string }>>}
+   */
+  async _listKeyVersions (keyName, space) {
+    const authHeaders = await this._getAuthHeaders()
+    const versionsResponse = await fetch(`${GOOGLE_KMS_BASE_URL}/${keyName}/cryptoKeyVersions`, {
+      headers: authHeaders,
+      signal: AbortSignal.timeout(TIMEOUTS.KEY_VERSIONS)
+    })
+
+    if (!versionsResponse.ok) {
+      const errorText = await versionsResponse.text()
+      console.error(`KMS key versions retrieval failed: ${versionsResponse.status} - ${errorText}`, {
+        operation: '_listKeyVersions',
+        space,
+        status: versionsResponse.status,
+        error: errorText
+      })
+      // Return generic error to client to avoid leaking information
+      throw new Error('Key operation failed')
+    }
+
+    const versionsData = await versionsResponse.json()
+    return versionsData.cryptoKeyVersions || []
+  }
+
   /**
    * Retrieves the public key for an existing KMS key
    *
@@ -678,13 +1229,14 @@ export class GoogleKMSService {
    * @param {string} keyName - The full KMS key name reference
    * @param {import('../types/env.d.ts').Env} env - Environment configuration
    * @param {SpaceDID} space - The space DID for error messages
-   * @returns {Promise<EncryptionSetupResult>}
+   * @returns {Promise<{ result: EncryptionSetupResult, keyVersion: string }>}
    */
   async _retrieveExistingPublicKey (keyName, env, space) {
     const startTime = Date.now()
     try {
-      const result = await this._getPrimaryKeyVersion(keyName, space)
-      return await this._fetchAndValidatePublicKey(result.primaryVersion, space)
+      const { primaryVersion } = await this._getPrimaryKeyVersion(keyName, space)
+      const result = await this._fetchAndValidatePublicKey(primaryVersion, space)
+      return { result, keyVersion: primaryVersion.split('/').pop() || 'unknown' }
     } catch (err) {
       this.auditLog.logKMSKeySetupFailure(
         space,
@@ -723,7 +1275,7 @@ export class GoogleKMSService {
         body: JSON.stringify({
           purpose: 'ASYMMETRIC_DECRYPT',
           versionTemplate: {
-            algorithm: 'RSA_DECRYPT_OAEP_3072_SHA256'
+            algorithm: KEY_ALGORITHM
           }
         }),
         signal: AbortSignal.timeout(TIMEOUTS.KEY_CREATION)
@@ -0,0 +1,47 @@
+/**
+ * @import { KeyMetadata, KeyMetadataStore } from './keyMetadata.types.js'
+ * @import { SpaceDID } from '@storacha/capabilities/types'
+ */
+
+/**
+ * KV-backed registry of per-space KMS key metadata
+ * @implements {KeyMetadataStore}
+ */
+export class KVKeyMetadataStore {
+  /** @type {import('@cloudflare/workers-types').KVNamespace} */
+  #kv
+
+  /**
+   * @param {import('@cloudflare/workers-types').KVNamespace} kv - KV namespace holding the metadata records
+   */
+  constructor (kv) {
+    this.#kv = kv
+  }
+
+  /**
+   * @param {SpaceDID} space - The space DID
+   * @returns {Promise<KeyMetadata | null>}
+   */
+  async get (space) {
+    const record = await this.#kv.get(KVKeyMetadataStore.storageKey(space))
+    return record ? /** @type {KeyMetadata} */ (JSON.parse(record)) : null
+  }
+
+  /**
+   * @param {SpaceDID} space - The space DID
+   * @param {KeyMetadata} metadata - The key metadata to store
+   */
+  async put (space, metadata) {
+    await this.#kv.put(KVKeyMetadataStore.storageKey(space), JSON.stringify(metadata))
+  }
+
+  /**
+   * KV key of the metadata record of a space
+   *
+   * @param {string} space - The space DID
+   * @returns {string}
+   */
+  static storageKey (space) {
+    return `key-metadata:${space}`
+  }
+}
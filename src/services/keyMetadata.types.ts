@@ -0,0 +1,49 @@
+import { SpaceDID } from "@storacha/capabilities/types";
+
+/**
+ * Where the KMS key of a space lives, recorded when the key is set up
+ */
+export interface KeyMetadata {
+  /** KMS provider that holds the key, e.g. google-kms */
+  provider: string;
+  /** Provider location of the key ring (Google KMS) */
+  location?: string;
+  /** Key ring holding the key (Google KMS) */
+  keyring?: string;
+  /** Key version returned at setup time */
+  keyVersion: string;
+  /** ISO timestamp of the first setup */
+  createdAt: string;
+  /** ISO timestamp of the last update */
+  updatedAt: string;
+  /** Lifecycle status of the key - absent means active */
+  status?: KeyStatus;
+  /** ISO timestamp of when destruction of the key was scheduled */
+  destroyedAt?: string;
+  /** ISO timestamp of when the key was suspended */
+  suspendedAt?: string;
+  /** Key versions disabled by the suspension, re-enabled when it is lifted */
+  suspendedKeyVersions?: string[];
+}
+
+/**
+ * Lifecycle status of a space key. A destroyed key is a tombstone: setup and
+ * decrypt for the space are refused instead of reaching the KMS. A suspended
+ * key has its versions disabled by an operator until it is re-enabled.
+ */
+export type KeyStatus = "active" | "suspended" | "destroyed";
+
+/**
+ * Per-space registry of KMS key metadata
+ */
+export interface KeyMetadataStore {
+  /**
+   * Returns the key metadata of a space, or null if the space has no record
+   */
+  get(space: SpaceDID): Promise<KeyMetadata | null>;
+
+  /**
+   * Stores the key metadata of a space
+   */
+  put(space: SpaceDID, metadata: KeyMetadata): Promise<void>;
+}
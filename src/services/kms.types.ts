@@ -1,6 +1,7 @@
 import { Result } from "@ucanto/server";
 import { SpaceDID } from "@storacha/capabilities/types";
 import { Env } from "../types/env.js";
+import { KeyStatus } from "./keyMetadata.types.js";
 
 export interface EncryptionSetupResult {
   /** The public key for the space in PEM format */
@@ -21,10 +22,70 @@ export interface EncryptionSetupRequest {
 }
 
 export interface DecryptionKeyRequest {
-  /** Uint8Array encrypted symmetric key */
+  /** Uint8Array encrypted symmetric key - an envelope (see src/envelope.js) or a legacy raw ciphertext */
   encryptedSymmetricKey: Uint8Array;
   /** The space DID that owns the key */
   space: SpaceDID;
+  /** Key version to try first for legacy raw ciphertexts (falls back to the other enabled versions) */
+  keyVersion?: string;
+}
+
+export interface BatchDecryptionKeyRequest {
+  /** Uint8Array encrypted symmetric keys, decrypted independently */
+  encryptedSymmetricKeys: Uint8Array[];
+  /** The space DID that owns the keys */
+  space: SpaceDID;
+}
+
+export interface KeyRotationRequest {
+  /** The space DID whose key is rotated */
+  space: SpaceDID;
+}
+
+export interface KeyRotationResult extends EncryptionSetupResult {
+  /** The version created by the rotation */
+  keyVersion: string;
+}
+
+export interface KeyInfoRequest {
+  /** The space DID whose key is described */
+  space: SpaceDID;
+}
+
+export interface KeyInfoResult extends EncryptionSetupResult {
+  /** The version whose public key is returned (the one used for new encryptions) */
+  keyVersion: string;
+  /** ISO timestamp of when that key version was created */
+  createdAt: string;
+}
+
+export interface KeyDestructionRequest {
+  /** The space DID whose key is destroyed */
+  space: SpaceDID;
+}
+
+export interface KeyDestructionResult {
+  /** Key versions scheduled for destruction by this request */
+  keyVersions: string[];
+  /** ISO timestamp of when the space key was tombstoned */
+  destroyedAt: string;
+}
+
+export interface KeySuspensionRequest {
+  /** The space DID whose key is disabled or re-enabled */
+  space: SpaceDID;
+}
+
+export interface KeySuspensionResult {
+  /** Key versions disabled or re-enabled by this request */
+  keyVersions: string[];
+  /** Whether decryption for the space is suspended after the request */
+  suspended: boolean;
+}
+
+export interface KeyStatusRequest {
+  /** The space DID whose key status is read */
+  space: SpaceDID;
 }
 
 export interface KMSService {
@@ -46,4 +107,72 @@ export interface KMSService {
   ): Promise<
     Result<{ decryptedKey: string }, import("@ucanto/server").Failure>
   >;
+
+  /**
+   * Creates a new version of the space's key and returns its public key.
+   * Optional - providers that cannot rotate keys leave it undefined.
+   */
+  rotateKeyForSpace?(
+    request: KeyRotationRequest,
+    env: Env,
+  ): Promise<Result<KeyRotationResult, import("@ucanto/server").Failure>>;
+
+  /**
+   * Returns the current public key of the space without creating a key.
+   * Optional - providers that cannot describe keys leave it undefined.
+   */
+  getPublicKeyInfo?(
+    request: KeyInfoRequest,
+    env: Env,
+  ): Promise<Result<KeyInfoResult, import("@ucanto/server").Failure>>;
+
+  /**
+   * Schedules destruction of every version of the space's key and tombstones the space.
+   * Optional - providers that cannot destroy keys leave it undefined.
+   */
+  destroyKeyForSpace?(
+    request: KeyDestructionRequest,
+    env: Env,
+  ): Promise<Result<KeyDestructionResult, import("@ucanto/server").Failure>>;
+
+  /**
+   * Disables every enabled version of the space's key and marks the key suspended.
+   * Optional - providers that cannot suspend keys leave it undefined.
+   */
+  disableKeyForSpace?(
+    request: KeySuspensionRequest,
+    env: Env,
+  ): Promise<Result<KeySuspensionResult, import("@ucanto/server").Failure>>;
+
+  /**
+   * Re-enables the key versions disabled by `disableKeyForSpace` and lifts the suspension.
+   * Optional - providers that cannot suspend keys leave it undefined.
+   */
+  enableKeyForSpace?(
+    request: KeySuspensionRequest,
+    env: Env,
+  ): Promise<Result<KeySuspensionResult, import("@ucanto/server").Failure>>;
+
+  /**
+   * Returns the lifecycle status of the space's key without calling the KMS.
+   * Optional - providers without key lifecycle tracking leave it undefined.
+   */
+  getKeyStatus?(request: KeyStatusRequest, env: Env): Promise<KeyStatus>;
 }
+
+export interface KMSServiceOptions {
+  /** Environment name for audit logging */
+  environment?: string;
+  /** Shared audit log service instance */
+  auditLog?: import("./auditLog.js").AuditLogService;
+  /** Registry of per-space key locations recorded at setup time */
+  keyMetadataStore?: import("./keyMetadata.types.js").KeyMetadataStore;
+}
+
+/**
+ * Creates a KMS service for a provider registered in `KMS_PROVIDERS`
+ */
+export type KMSProviderFactory = (
+  env: Env,
+  options: KMSServiceOptions,
+) => KMSService;
@@ -0,0 +1,45 @@
+import { GoogleKMSService } from './googleKms.js'
+import { LocalKMSService } from './localKms.js'
+import { AwsKMSService } from './awsKms.js'
+import { VaultTransitKMSService } from './vaultKms.js'
+
+/**
+ * @import { KMSService, KMSServiceOptions, KMSProviderFactory } from './kms.types.js'
+ */
+
+/**
+ * Provider used when `KMS_PROVIDER` is not set
+ */
+export const DEFAULT_KMS_PROVIDER = 'google-kms'
+
+/**
+ * Registry of KMS provider factories keyed by provider name.
+ * The provider name is also what the service returns in the `provider` field of the setup result.
+ *
+ * @type {Record<string, KMSProviderFactory>}
+ */
+export const KMS_PROVIDERS = {
+  'google-kms': (env, options) => new GoogleKMSService(env, options),
+  'aws-kms': (env, options) => new AwsKMSService(env, options),
+  'vault-transit': (env, options) => new VaultTransitKMSService(env, options),
+  local: (env, options) => new LocalKMSService(env, options)
+}
+
+/**
+ * Creates the KMS service selected by `env.KMS_PROVIDER` (defaults to Google KMS)
+ *
+ * @param {import('../types/env.d.ts').Env} env - Environment configuration
+ * @param {KMSServiceOptions} [options] - Options forwarded to the provider
+ * @returns {KMSService}
+ * @throws {Error} If the configured provider is unknown
+ */
+export function createKMSService (env, options = {}) {
+  const provider = env.KMS_PROVIDER || DEFAULT_KMS_PROVIDER
+  const factory = KMS_PROVIDERS[provider]
+  if (!factory) {
+    const errorMessage = `Unknown KMS provider "${provider}". Supported providers: ${Object.keys(KMS_PROVIDERS).join(', ')}`
+    options.auditLog?.logConfigurationValidationFailure('KMSProvider', errorMessage)
+    throw new Error(errorMessage)
+  }
+  return factory(env, options)
+}
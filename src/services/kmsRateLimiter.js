@@ -1,9 +1,37 @@
 /**
- * @import { RateLimitConfig, KmsRateLimiterOptions, KmsRateLimiterService } from './kmsRateLimiter.types.js'
+ * @import { RateLimitConfig, KmsRateLimiterOptions, KmsRateLimiterService, RateLimitCounterStore, PlanRateLimits, TokenBucket } from './kmsRateLimiter.types.js'
  * @import { AuditLogService } from './auditLog.js'
+ * @import { Delegation } from '@ucanto/interface'
  */
 
-import { EncryptionSetup, EncryptionKeyDecrypt } from '@storacha/capabilities/space'
+import { isDelegation } from '@ucanto/core'
+import { Failure } from '@ucanto/server'
+import { EncryptionSetup, EncryptionKeyDecrypt, decrypt as ContentDecrypt } from '@storacha/capabilities/space'
+import { EncryptionKeyRotate, EncryptionKeyInfo, EncryptionKeyDestroy } from '../capabilities.js'
+import { createRateLimitCounterStore } from './rateLimitCounters.js'
+import { RateLimitExceeded, DecryptQuotaExceeded } from '../errors.js'
+import { shouldFailOpen } from './failurePolicy.js'
+
+/**
+ * Key of the plan rate limits in KMS_RATE_LIMIT_KV, which ops can update without a deploy
+ */
+export const PLAN_RATE_LIMITS_KV_KEY = 'config:plan-rate-limits'
+
+/**
+ * Limits that plans may override. The global limit is shared by all plans, so that it can be
+ * checked before looking the plan up.
+ */
+const PLAN_OVERRIDE_FIELDS = ['perSpace', 'perUser']
+
+/** Delay before loading the plan rate limits again, so that updates apply within a minute */
+const PLAN_RATE_LIMITS_REFRESH_INTERVAL_MS = 60 * 1000
+
+/**
+ * Plan rate limits loaded by environment, with the time they were loaded, so that each isolate
+ * does not read them from KV on every rate limit check
+ * @type {WeakMap<object, { planRateLimits: Promise<PlanRateLimits>, loadedAt: number }>}
+ */
+const loadedPlanRateLimits = new WeakMap()
 
 /**
  * Rate limiter for KMS operations with UCAN-aware multi-tier limiting
@@ -11,7 +39,9 @@ import { EncryptionSetup, EncryptionKeyDecrypt } from '@storacha/capabilities/sp
  */
 export class KmsRateLimiter {
   /**
-   * Rate limits for different KMS operations (per 15-minute window)
+   * Rate limits for different KMS operations (per 15-minute window).
+   * Operations use fixed windows unless they set `algorithm: 'token-bucket'`, which refills the limit
+   * continuously over the window and stops clients from using twice a limit across a window boundary.
    * @type {Record<string, RateLimitConfig>}
    */
   static RATE_LIMITS = /** @type {Record<string, RateLimitConfig>} */ ({
@@ -25,14 +55,54 @@ export class KmsRateLimiter {
       perSpace: 2000, // 2000 decrypts per space per 15min (~2.2 files/second)
       perUser: 5000, // 5000 decrypts per user per 15min (across all their spaces)
       global: 50000, // 50K total decrypts per 15min across all users
+      windowMinutes: 15, // Buckets refill the limits over 15 minutes
+      algorithm: 'token-bucket' // Decrypts are user-facing, so they get exact retry-after times and no window boundary bursts
+    },
+    [EncryptionKeyRotate.can]: {
+      perSpace: 2, // 2 rotations per space per 15min (rotation is a rare, deliberate operation)
+      perUser: 20, // 20 rotations per user per 15min (allows rotating several spaces)
+      global: 200, // 200 total rotations per 15min across all users
+      windowMinutes: 15 // 15-minute windows
+    },
+    [EncryptionKeyInfo.can]: {
+      perSpace: 100, // 100 key info reads per space per 15min (read-only, no KMS key creation)
+      perUser: 500, // 500 key info reads per user per 15min (across all their spaces)
+      global: 10000, // 10K total key info reads per 15min across all users
+      windowMinutes: 15 // 15-minute windows
+    },
+    [EncryptionKeyDestroy.can]: {
+      perSpace: 3, // 3 destructions per space per 15min (allows retrying a partially failed destruction)
+      perUser: 20, // 20 destructions per user per 15min (allows deleting several spaces)
+      global: 200, // 200 total destructions per 15min across all users
       windowMinutes: 15 // 15-minute windows
     }
   })
 
+  /**
+   * Default rate limit overrides by plan product. Plans and operations without overrides use RATE_LIMITS.
+   * Replaced by the `config:plan-rate-limits` entry of KMS_RATE_LIMIT_KV or the KMS_PLAN_RATE_LIMITS variable.
+   * @type {PlanRateLimits}
+   */
+  static PLAN_RATE_LIMITS = {
+    'did:web:business.web3.storage': {
+      [EncryptionKeyDecrypt.can]: {
+        perSpace: 10000, // 10K decrypts per space per 15min (~11 files/second)
+        perUser: 25000 // 25K decrypts per user per 15min, so that a single user can reach the space limit
+      }
+    }
+  }
+
   /** @type {import('../types/env.d.ts').Env} */
   #env
   /** @type {AuditLogService | undefined} */
   #auditLog
+  /** @type {RateLimitCounterStore | undefined} */
+  #counterStore
+  /**
+   * Operations reserved by each invocation, by operation, until they are released
+   * @type {WeakMap<object, Map<string, RateLimitReservation>>}
+   */
+  #reservations = new WeakMap()
 
   /**
    * @param {import('../types/env.d.ts').Env} env - Environment variables
@@ -41,198 +111,475 @@ export class KmsRateLimiter {
   constructor (env, options = {}) {
     this.#env = env
     this.#auditLog = options.auditLog
+    this.#counterStore = options.counterStore
   }
 
   /**
-   * Check if a KMS operation should be rate limited
+   * Check if a KMS operation should be rate limited, reserving the operations in the per-space,
+   * per-user and global counters or token buckets. Each counter is incremented atomically and
+   * compared with its limit, and tokens are only taken from a bucket that holds enough, so
+   * concurrent invocations cannot all pass on the same count. Denied operations are released
+   * right away; operations that are not performed must be released with `releaseRateLimit`.
+   *
    * @param {import('@ucanto/interface').Invocation} invocation - UCAN invocation
    * @param {string} operation - Operation type
    * @param {string} spaceDID - Space DID
-   * @returns {Promise<string | null>} - Returns error message if rate limited, null if allowed
+   * @param {number} [count=1] - Number of operations the invocation will perform (e.g. keys in a batch)
+   * @param {string} [plan] - Rate limit tier of the space's plan, selects the plan's per-space and per-user limits
+   * @returns {Promise<RateLimitExceeded | Failure | null>} - Returns the exceeded limit if rate limited, a failure if the
+   * counters failed and the rate limiter fails closed, null if allowed
    */
-  async checkRateLimit (invocation, operation, spaceDID) {
-    if (this.#env.FF_KMS_RATE_LIMITER_ENABLED !== 'true' || !this.#env.KMS_RATE_LIMIT_KV) {
-      return null
+  async checkRateLimit (invocation, operation, spaceDID, count = 1, plan) {
+    return this.#check(invocation, operation, spaceDID, count, plan, undefined)
+  }
+
+  /**
+   * Check the per-user and global limits of a KMS operation before the space's plan is known,
+   * reserving the operations like `checkRateLimit`. The per-user limit is the highest one of all
+   * plans, so that callers over any limit do not cost a plan lookup. Handlers then check the
+   * per-space limit and the per-user limit of the plan with `checkSpaceRateLimit`.
+   *
+   * @param {import('@ucanto/interface').Invocation} invocation - UCAN invocation
+   * @param {string} operation - Operation type
+   * @param {string} spaceDID - Space DID, for logging
+   * @param {number} [count=1] - Number of operations the invocation will perform (e.g. keys in a batch)
+   * @returns {Promise<RateLimitExceeded | Failure | null>} - Returns the exceeded limit if rate limited, a failure if the
+   * counters failed and the rate limiter fails closed, null if allowed
+   */
+  async checkUserRateLimit (invocation, operation, spaceDID, count = 1) {
+    return this.#check(invocation, operation, spaceDID, count, undefined, true)
+  }
+
+  /**
+   * Check the per-space limit of a KMS operation for the space's plan, and the per-user limit of
+   * the plan when it is below the one checked by `checkUserRateLimit`, reserving the operations
+   * like `checkRateLimit`.
+   *
+   * @param {import('@ucanto/interface').Invocation} invocation - UCAN invocation
+   * @param {string} operation - Operation type
+   * @param {string} spaceDID - Space DID
+   * @param {number} [count=1] - Number of operations the invocation will perform (e.g. keys in a batch)
+   * @param {string} [plan] - Rate limit tier of the space's plan, selects the plan's per-space and per-user limits
+   * @returns {Promise<RateLimitExceeded | Failure | null>} - Returns the exceeded limit if rate limited, a failure if the
+   * counters failed and the rate limiter fails closed, null if allowed
+   */
+  async checkSpaceRateLimit (invocation, operation, spaceDID, count = 1, plan) {
+    return this.#check(invocation, operation, spaceDID, count, plan, false)
+  }
+
+  /**
+   * Releases operations reserved by `checkRateLimit` for an invocation that were not performed,
+   * e.g. because a later check or the KMS failed. Operations are released from the counters they
+   * were reserved in, even when the window has rolled over since, and tokens are given back to
+   * their buckets.
+   *
+   * @param {import('@ucanto/interface').Invocation} invocation - UCAN invocation
+   * @param {string} operation - Operation type
+   * @param {number} [count=1] - Number of reserved operations that were not performed
+   */
+  async releaseRateLimit (invocation, operation, count = 1) {
+    const reservation = this.#reservations.get(invocation)?.get(operation)
+    const counters = this.#getCounterStore()
+    if (!reservation || !counters || count < 1) {
+      return
     }
 
-    const limits = KmsRateLimiter.RATE_LIMITS[operation]
-    if (!limits) {
-      return null
+    await this.#releaseReservation(counters, reservation, count, invocation.issuer.did(), operation)
+    if (reservation.counters.every(counter => counter.amount === 0)) {
+      this.#reservations.get(invocation)?.delete(operation)
     }
+  }
 
-    const userIdentifier = invocation.issuer.did()
+  /**
+   * Get current rate limit status for debugging/monitoring
+   * @param {any} invocation - UCAN invocation
+   * @param {string} operation - Operation type
+   * @param {string} spaceDID - Space DID
+   * @param {string} [plan] - Rate limit tier of the space's plan, selects the plan's limits
+   * @returns {Promise<import('./kmsRateLimiter.types.js').RateLimitStatus>}
+   */
+  async getRateLimitStatus (invocation, operation, spaceDID, plan) {
+    const counters = this.#getCounterStore()
+    if (!counters) {
+      return { spaceCount: 0, userCount: 0, globalCount: 0, limits: null }
+    }
+
+    if (!KmsRateLimiter.RATE_LIMITS[operation]) {
+      return { spaceCount: 0, userCount: 0, globalCount: 0, limits: null }
+    }
+
+    // Extract user identifier from UCAN invocation
+    const userIdentifier = invocation.issuer.did() || 'unknown'
     const now = Date.now()
-    const windowMs = limits.windowMinutes * 60 * 1000
-    const currentWindow = Math.floor(now / windowMs)
-    const retryAfterSeconds = limits.windowMinutes * 60 - (now % windowMs) / 1000
+    const limits = await this.#getLimits(operation, plan)
 
     try {
-      // Check per-space limit
-      const spaceKey = `kms:${operation}:space:${spaceDID}:${currentWindow}`
-      const spaceCount = await this.#getCountFromKV(spaceKey)
-
-      if (spaceCount >= limits.perSpace) {
-        const errorMessage = `Rate limit exceeded for ${operation} (per-space). Please try again in ${Math.ceil(retryAfterSeconds / 60)} minutes.`
-        this.#logRateLimitExceeded(userIdentifier, operation, 'per-space', spaceDID, spaceCount, limits.perSpace, retryAfterSeconds)
-        return errorMessage
-      }
+      const tiers = await this.#getTiers(operation, spaceDID, userIdentifier, limits, plan)
+      const used = await Promise.all(tiers.map(async tier => Math.ceil(await this.#getUsed(counters, tier, limits, now))))
+      // The per-user limit of the plan is the last per-user tier when it is below the limit checked before the plan
+      const userIndex = tiers.map(tier => tier.limitType).lastIndexOf('per-user')
 
-      // Check per-user limit
-      const userKey = `kms:${operation}:user:${userIdentifier}:${currentWindow}`
-      const userCount = await this.#getCountFromKV(userKey)
+      return { spaceCount: used[0], userCount: used[userIndex], globalCount: used[used.length - 1], limits }
+    } catch (err) {
+      console.error('Error getting rate limit status:', err)
+      return { spaceCount: 0, userCount: 0, globalCount: 0, limits }
+    }
+  }
 
-      if (userCount >= limits.perUser) {
-        const errorMessage = `Rate limit exceeded for ${operation} (per-user). Please try again in ${Math.ceil(retryAfterSeconds / 60)} minutes.`
-        this.#logRateLimitExceeded(userIdentifier, operation, 'per-user', spaceDID, userCount, limits.perUser, retryAfterSeconds)
-        return errorMessage
-      }
+  /**
+   * Reserves decrypts against the quotas of a decrypt delegation and of the delegations it was
+   * derived from, set with a `maxDecrypts` caveat on space/content/decrypt. Quotas count the
+   * decrypts of each delegation CID for the lifetime of the delegation, so re-delegating a share
+   * does not reset its quota.
+   *
+   * Quotas are set by space owners rather than by the operator: they apply even when the rate
+   * limiter is disabled and fail closed when the counters are unavailable. Decrypts are reserved
+   * before decrypting so that concurrent invocations cannot exceed a quota, reserved decrypts
+   * that fail must be released with `releaseDecryptQuota`.
+   *
+   * @param {Delegation} delegation - Decrypt delegation of the invocation
+   * @param {string} spaceDID - Space DID
+   * @param {number} [count=1] - Number of decrypts the invocation will perform
+   * @returns {Promise<DecryptQuotaExceeded | Failure | null>} - null when the decrypts were reserved
+   */
+  async reserveDecryptQuota (delegation, spaceDID, count = 1) {
+    const quotas = getDecryptQuotas(delegation, spaceDID)
+    if (quotas.length === 0) {
+      return null
+    }
 
-      // Check global limit
-      const globalKey = `kms:${operation}:global:${currentWindow}`
-      const globalCount = await this.#getCountFromKV(globalKey)
+    const userIdentifier = delegation.audience.did()
+    const counters = this.#getCounterStore()
+    if (!counters) {
+      this.#logKVError('decrypt_quota_reserve_error', userIdentifier, EncryptionKeyDecrypt.can, spaceDID, new Error('No rate limit counter store configured'))
+      return new Failure('Decrypt quota check failed')
+    }
 
-      if (globalCount >= limits.global) {
-        const errorMessage = `Rate limit exceeded for ${operation} (global). Please try again in ${Math.ceil(retryAfterSeconds / 60)} minutes.`
-        this.#logRateLimitExceeded(userIdentifier, operation, 'global', spaceDID, globalCount, limits.global, retryAfterSeconds)
-        return errorMessage
+    /** @type {DecryptQuota[]} */
+    const reserved = []
+    try {
+      for (const quota of quotas) {
+        const used = await counters.increment(quota.key, count, quota.ttlSeconds)
+        reserved.push(quota)
+
+        if (used > quota.limit) {
+          await this.#releaseQuotas(counters, reserved, count, userIdentifier, spaceDID)
+          const remaining = Math.max(0, quota.limit - (used - count))
+          this.#logDecryptQuotaExceeded(userIdentifier, spaceDID, quota, remaining)
+          return new DecryptQuotaExceeded({ delegation: quota.delegation, limit: quota.limit, remaining })
+        }
       }
 
       return null
     } catch (err) {
-      this.#logKVError('rate_limit_check_error', userIdentifier, operation, spaceDID, err instanceof Error ? err : new Error(String(err)))
-      // Fail open - allow the operation if rate limit check fails
-      return null
+      this.#logKVError('decrypt_quota_reserve_error', userIdentifier, EncryptionKeyDecrypt.can, spaceDID, err instanceof Error ? err : new Error(String(err)))
+      await this.#releaseQuotas(counters, reserved, count, userIdentifier, spaceDID)
+      // Fail closed - the owner asked for the decrypts to be capped
+      return new Failure('Decrypt quota check failed')
+    }
+  }
+
+  /**
+   * Releases decrypts reserved with `reserveDecryptQuota` that were not performed
+   * @param {Delegation} delegation - Decrypt delegation of the invocation
+   * @param {string} spaceDID - Space DID
+   * @param {number} [count=1] - Number of reserved decrypts that failed
+   */
+  async releaseDecryptQuota (delegation, spaceDID, count = 1) {
+    const quotas = getDecryptQuotas(delegation, spaceDID)
+    const counters = this.#getCounterStore()
+    if (quotas.length === 0 || !counters || count < 1) {
+      return
     }
+
+    await this.#releaseQuotas(counters, quotas, count, delegation.audience.did(), spaceDID)
   }
 
   /**
-   * Record a successful KMS operation for rate limiting
+   * Reserves operations in the tiers checked before or after the plan lookup, see `checkRateLimit`
    * @param {import('@ucanto/interface').Invocation} invocation - UCAN invocation
    * @param {string} operation - Operation type
    * @param {string} spaceDID - Space DID
+   * @param {number} count - Number of operations the invocation will perform
+   * @param {string | undefined} plan - Rate limit tier of the space's plan
+   * @param {boolean | undefined} beforePlan - Whether to check the tiers checked before the plan lookup, or
+   * the ones checked after it, all tiers when undefined
+   * @returns {Promise<RateLimitExceeded | Failure | null>}
    */
-  async recordOperation (invocation, operation, spaceDID) {
-    if (this.#env.FF_KMS_RATE_LIMITER_ENABLED !== 'true' || !this.#env.KMS_RATE_LIMIT_KV) {
-      return
+  async #check (invocation, operation, spaceDID, count, plan, beforePlan) {
+    const counters = this.#getCounterStore()
+    if (this.#env.FF_KMS_RATE_LIMITER_ENABLED !== 'true' || !counters) {
+      return null
     }
 
-    const limits = KmsRateLimiter.RATE_LIMITS[operation]
-    if (!limits) return
+    if (!KmsRateLimiter.RATE_LIMITS[operation]) {
+      return null
+    }
 
-    // Extract user identifier from UCAN invocation
-    const userIdentifier = invocation.issuer.did() || 'unknown'
+    const userIdentifier = invocation.issuer.did()
     const now = Date.now()
-    const windowMs = limits.windowMinutes * 60 * 1000
-    const currentWindow = Math.floor(now / windowMs)
-    const ttlSeconds = limits.windowMinutes * 60
+    /** @type {RateLimitReservation} */
+    const reservation = { spaceDID, counters: [] }
 
     try {
-      // Increment per-space counter
-      const spaceKey = `kms:${operation}:space:${spaceDID}:${currentWindow}`
-      await this.#incrementCountInKV(spaceKey, ttlSeconds)
-
-      // Increment per-user counter
-      const userKey = `kms:${operation}:user:${userIdentifier}:${currentWindow}`
-      await this.#incrementCountInKV(userKey, ttlSeconds)
-
-      // Increment global counter
-      const globalKey = `kms:${operation}:global:${currentWindow}`
-      await this.#incrementCountInKV(globalKey, ttlSeconds)
+      const limits = await this.#getLimits(operation, plan)
+
+      // Reserve in the per-space, per-user and global tiers in that order
+      const tiers = (await this.#getTiers(operation, spaceDID, userIdentifier, limits, plan))
+        .filter(tier => beforePlan === undefined || tier.beforePlan === beforePlan)
+      for (const tier of tiers) {
+        const taken = await this.#reserveTier(counters, tier, limits, count, now)
+        if (taken.counter) {
+          reservation.counters.push(taken.counter)
+        }
+
+        if (!taken.allowed) {
+          await this.#releaseReservation(counters, reservation, count, userIdentifier, operation)
+          this.#logRateLimitExceeded(userIdentifier, operation, tier.limitType, spaceDID, Math.ceil(taken.used), tier.limit, taken.retryAfterSeconds)
+          return new RateLimitExceeded({
+            operation,
+            limitType: tier.limitType,
+            limit: tier.limit,
+            remaining: Math.max(0, Math.floor(tier.limit - taken.used)),
+            retryAfterSeconds: Math.ceil(taken.retryAfterSeconds)
+          })
+        }
+      }
 
+      this.#addReservation(invocation, operation, reservation)
       // Log successful operation recording for monitoring
       this.#logOperationRecorded(userIdentifier, operation, spaceDID)
+      return null
     } catch (err) {
-      this.#logKVError('rate_limit_record_error', userIdentifier, operation, spaceDID, err instanceof Error ? err : new Error(String(err)))
-      // Non-blocking - don't fail the request if recording fails
+      this.#logKVError('rate_limit_check_error', userIdentifier, operation, spaceDID, err instanceof Error ? err : new Error(String(err)))
+      await this.#releaseReservation(counters, reservation, count, userIdentifier, operation)
+      if (shouldFailOpen(this.#env, 'rate-limiter', err, { auditLog: this.#auditLog, metadata: { operation, spaceDID } })) {
+        return null
+      }
+      // Generic error message must be returned to the client to avoid leaking information
+      return new Failure('Rate limit check failed')
     }
   }
 
   /**
-   * Get current rate limit status for debugging/monitoring
-   * @param {any} invocation - UCAN invocation
+   * Remembers the operations an invocation reserved, so that they can be released
+   * @param {object} invocation - UCAN invocation
    * @param {string} operation - Operation type
+   * @param {RateLimitReservation} reservation - Reserved operations
+   */
+  #addReservation (invocation, operation, reservation) {
+    const reservations = this.#reservations.get(invocation) ?? new Map()
+    const reserved = reservations.get(operation)
+    reservations.set(operation, reserved ? { ...reserved, counters: [...reserved.counters, ...reservation.counters] } : reservation)
+    this.#reservations.set(invocation, reservations)
+  }
+
+  /**
+   * Gives back reserved operations, logging instead of throwing on errors
+   * @param {RateLimitCounterStore} counters - Counter store
+   * @param {RateLimitReservation} reservation - Reserved operations, updated with the released amounts
+   * @param {number} count - Number of operations to release
+   * @param {string} userIdentifier - User identifier
+   * @param {string} operation - Operation type
+   */
+  async #releaseReservation (counters, reservation, count, userIdentifier, operation) {
+    for (const counter of reservation.counters) {
+      const amount = Math.min(count, counter.amount)
+      if (amount < 1) continue
+      try {
+        if (counter.bucket) {
+          await counters.take(counter.key, -amount, counter.bucket)
+        } else {
+          await counters.increment(counter.key, -amount, counter.ttlSeconds)
+        }
+        counter.amount -= amount
+      } catch (err) {
+        this.#logKVError('rate_limit_release_error', userIdentifier, operation, reservation.spaceDID, err instanceof Error ? err : new Error(String(err)))
+      }
+    }
+  }
+
+  /**
+   * Gives back reserved decrypts, logging instead of throwing on errors
+   * @param {RateLimitCounterStore} counters - Counter store
+   * @param {DecryptQuota[]} quotas - Quotas to release
+   * @param {number} count - Number of decrypts to release
+   * @param {string} userIdentifier - User identifier
    * @param {string} spaceDID - Space DID
-   * @returns {Promise<{spaceCount: number, userCount: number, globalCount: number, limits: any}>}
    */
-  async getRateLimitStatus (invocation, operation, spaceDID) {
-    if (!this.#env.KMS_RATE_LIMIT_KV) {
-      return { spaceCount: 0, userCount: 0, globalCount: 0, limits: null }
+  async #releaseQuotas (counters, quotas, count, userIdentifier, spaceDID) {
+    for (const quota of quotas) {
+      try {
+        await counters.increment(quota.key, -count, quota.ttlSeconds)
+      } catch (err) {
+        this.#logKVError('decrypt_quota_release_error', userIdentifier, EncryptionKeyDecrypt.can, spaceDID, err instanceof Error ? err : new Error(String(err)))
+      }
     }
+  }
 
+  /**
+   * Resolves the limits of an operation for a plan
+   * @param {string} operation - Operation type
+   * @param {string} [plan] - Rate limit tier of the space's plan
+   * @returns {Promise<RateLimitConfig>}
+   */
+  async #getLimits (operation, plan) {
     const limits = KmsRateLimiter.RATE_LIMITS[operation]
-    if (!limits) {
-      return { spaceCount: 0, userCount: 0, globalCount: 0, limits: null }
+    if (!plan) {
+      return limits
     }
 
-    // Extract user identifier from UCAN invocation
-    const userIdentifier = invocation.issuer.did() || 'unknown'
-    const now = Date.now()
-    const windowMs = limits.windowMinutes * 60 * 1000
-    const currentWindow = Math.floor(now / windowMs)
-
-    try {
-      const spaceKey = `kms:${operation}:space:${spaceDID}:${currentWindow}`
-      const userKey = `kms:${operation}:user:${userIdentifier}:${currentWindow}`
-      const globalKey = `kms:${operation}:global:${currentWindow}`
-
-      const [spaceCount, userCount, globalCount] = await Promise.all([
-        this.#getCountFromKV(spaceKey),
-        this.#getCountFromKV(userKey),
-        this.#getCountFromKV(globalKey)
-      ])
+    const overrides = (await this.#getPlanRateLimits())[plan]?.[operation]
+    return overrides ? { ...limits, ...overrides } : limits
+  }
 
-      return { spaceCount, userCount, globalCount, limits }
-    } catch (err) {
-      console.error('Error getting rate limit status:', err)
-      return { spaceCount: 0, userCount: 0, globalCount: 0, limits }
+  /**
+   * Returns the plan rate limits loaded for the environment, loading them again once they are
+   * older than the refresh interval
+   * @returns {Promise<PlanRateLimits>}
+   */
+  #getPlanRateLimits () {
+    const loaded = loadedPlanRateLimits.get(this.#env)
+    if (loaded && Date.now() - loaded.loadedAt < PLAN_RATE_LIMITS_REFRESH_INTERVAL_MS) {
+      return loaded.planRateLimits
     }
+
+    const planRateLimits = this.#loadPlanRateLimits()
+    loadedPlanRateLimits.set(this.#env, { planRateLimits, loadedAt: Date.now() })
+    return planRateLimits
   }
 
   /**
-   * Get count from KV store
-   * @param {string} key - KV key
+   * Resolves the per-user limit checked before the plan lookup, the highest per-user limit of the
+   * operation across all plans, so that no plan is denied before its own limit is known
+   * @param {string} operation - Operation type
    * @returns {Promise<number>}
    */
-  async #getCountFromKV (key) {
-    if (!this.#env.KMS_RATE_LIMIT_KV) return 0
+  async #getUserLimitBeforePlan (operation) {
+    const planRateLimits = Object.values(await this.#getPlanRateLimits())
+    return Math.max(
+      KmsRateLimiter.RATE_LIMITS[operation].perUser,
+      ...planRateLimits.map(overrides => overrides[operation]?.perUser ?? 0)
+    )
+  }
 
-    try {
-      const value = await this.#env.KMS_RATE_LIMIT_KV.get(key)
-      if (!value) return 0
-
-      const parsed = parseInt(value, 10)
-      // Defensive handling of invalid numeric values
-      if (isNaN(parsed) || parsed < 0) {
-        console.warn(`Invalid KV count value for key ${key}: ${value}, treating as 0`)
-        return 0
+  /**
+   * Loads the plan rate limits from KV, then from the environment, falling back to PLAN_RATE_LIMITS
+   * @returns {Promise<PlanRateLimits>}
+   */
+  async #loadPlanRateLimits () {
+    if (this.#env.KMS_RATE_LIMIT_KV) {
+      try {
+        const value = await this.#env.KMS_RATE_LIMIT_KV.get(PLAN_RATE_LIMITS_KV_KEY)
+        if (value) {
+          const planRateLimits = parsePlanRateLimits(value)
+          if (planRateLimits) return planRateLimits
+          console.warn(`Invalid plan rate limits in KV key ${PLAN_RATE_LIMITS_KV_KEY}, ignoring`)
+        }
+      } catch (err) {
+        console.error('Error getting plan rate limits from KV:', err)
       }
+    }
 
-      return parsed
-    } catch (err) {
-      console.error(`Error getting count from KV for key ${key}:`, err)
-      return 0
+    if (this.#env.KMS_PLAN_RATE_LIMITS) {
+      const planRateLimits = parsePlanRateLimits(this.#env.KMS_PLAN_RATE_LIMITS)
+      if (planRateLimits) return planRateLimits
+      console.warn('Invalid KMS_PLAN_RATE_LIMITS, ignoring')
     }
+
+    return KmsRateLimiter.PLAN_RATE_LIMITS
   }
 
   /**
-   * Increment count in KV store
-   * @param {string} key - KV key
-   * @param {number} ttl - Time to live in seconds
+   * Lists the limit tiers of an operation, each with the key prefix of its counters. The per-user
+   * limit is checked at the highest limit of all plans before the plan lookup, then at the limit of
+   * the plan in a counter of the plan when it is lower, since users may act on spaces of several plans.
+   * @param {string} operation - Operation type
+   * @param {string} spaceDID - Space DID
+   * @param {string} userIdentifier - User identifier
+   * @param {RateLimitConfig} limits - Rate limits of the operation for the plan
+   * @param {string} [plan] - Rate limit tier of the space's plan
+   * @returns {Promise<RateLimitTier[]>} - Counter keys are suffixed with the window number, bucket keys with `bucket`
    */
-  async #incrementCountInKV (key, ttl) {
-    if (!this.#env.KMS_RATE_LIMIT_KV) return
+  async #getTiers (operation, spaceDID, userIdentifier, limits, plan) {
+    const userLimit = await this.#getUserLimitBeforePlan(operation)
+    /** @type {RateLimitTier[]} */
+    const tiers = [
+      { limitType: 'per-space', key: `kms:${operation}:space:${spaceDID}`, limit: limits.perSpace, beforePlan: false },
+      { limitType: 'per-user', key: `kms:${operation}:user:${userIdentifier}`, limit: userLimit, beforePlan: true }
+    ]
+    if (limits.perUser < userLimit) {
+      // Plans without their own per-user limit share the counter of the default limit
+      const planKey = limits.perUser === KmsRateLimiter.RATE_LIMITS[operation].perUser ? 'default' : plan
+      tiers.push({ limitType: 'per-user', key: `kms:${operation}:user:${userIdentifier}:plan:${planKey}`, limit: limits.perUser, beforePlan: false })
+    }
+    tiers.push({ limitType: 'global', key: `kms:${operation}:global`, limit: limits.global, beforePlan: true })
+    return tiers
+  }
 
-    try {
-      const value = await this.#env.KMS_RATE_LIMIT_KV.get(key)
-      const current = value ? parseInt(value, 10) : 0
-      await this.#env.KMS_RATE_LIMIT_KV.put(key, (current + 1).toString(), { expirationTtl: ttl })
-    } catch (err) {
-      console.error(`Error incrementing count in KV for key ${key}:`, err)
-      // Re-throw the error so recordOperation can handle KV unavailability
-      throw err
+  /**
+   * Reserves operations in a tier according to the algorithm of the operation
+   * @param {RateLimitCounterStore} counters - Counter store
+   * @param {RateLimitTier} tier - Limit tier
+   * @param {RateLimitConfig} limits - Rate limits of the operation
+   * @param {number} count - Number of operations to reserve
+   * @param {number} now - Current time in milliseconds
+   * @returns {Promise<TierReservation>}
+   */
+  async #reserveTier (counters, tier, limits, count, now) {
+    const windowSeconds = limits.windowMinutes * 60
+    if (limits.algorithm === 'token-bucket') {
+      const bucket = getTokenBucket(tier.limit, limits)
+      const key = `${tier.key}:bucket`
+      const { allowed, tokens } = await counters.take(key, count, bucket)
+      return {
+        allowed,
+        counter: allowed ? { key, bucket, amount: count } : undefined,
+        used: tier.limit - tokens,
+        // The bucket holds enough tokens once the missing ones have been refilled, i.e. after
+        // (count - tokens) / refillPerSecond, computed without rounding the refill rate
+        retryAfterSeconds: tier.limit > 0 ? (count - tokens) * windowSeconds / tier.limit : windowSeconds
+      }
+    }
+
+    const key = `${tier.key}:${Math.floor(now / (windowSeconds * 1000))}`
+    const used = await counters.increment(key, count, windowSeconds)
+    return {
+      allowed: used <= tier.limit,
+      counter: { key, ttlSeconds: windowSeconds, amount: count },
+      used: used - count,
+      // Fixed window counters reset at the end of the window
+      retryAfterSeconds: windowSeconds - (now % (windowSeconds * 1000)) / 1000
     }
   }
 
+  /**
+   * Counts the operations used in a tier according to the algorithm of the operation
+   * @param {RateLimitCounterStore} counters - Counter store
+   * @param {RateLimitTier} tier - Limit tier
+   * @param {RateLimitConfig} limits - Rate limits of the operation
+   * @param {number} now - Current time in milliseconds
+   * @returns {Promise<number>}
+   */
+  async #getUsed (counters, tier, limits, now) {
+    if (limits.algorithm === 'token-bucket') {
+      const { tokens } = await counters.take(`${tier.key}:bucket`, 0, getTokenBucket(tier.limit, limits))
+      return tier.limit - tokens
+    }
+
+    const windowMs = limits.windowMinutes * 60 * 1000
+    return counters.get(`${tier.key}:${Math.floor(now / windowMs)}`)
+  }
+
+  /**
+   * Resolves the counter store, from the environment unless one was passed in the options.
+   * Resolved on each call so that bindings can be swapped at runtime.
+   * @returns {RateLimitCounterStore | undefined}
+   */
+  #getCounterStore () {
+    return this.#counterStore ?? createRateLimitCounterStore(this.#env)
+  }
+
   /**
    * Log rate limit exceeded event
    * @param {string} userIdentifier - User identifier
@@ -259,7 +606,29 @@ export class KmsRateLimiter {
   }
 
   /**
-   * Log KV store errors
+   * Log decrypt quota exceeded event
+   * @param {string} userIdentifier - User identifier
+   * @param {string} spaceDID - Space DID
+   * @param {DecryptQuota} quota - The exceeded quota
+   * @param {number} remaining - Decrypts still allowed by the quota
+   */
+  #logDecryptQuotaExceeded (userIdentifier, spaceDID, quota, remaining) {
+    if (this.#auditLog) {
+      this.#auditLog.logRateLimitExceeded(userIdentifier, `kms_${EncryptionKeyDecrypt.can}`, {
+        operation: EncryptionKeyDecrypt.can,
+        spaceDID,
+        limitType: 'per-delegation',
+        delegation: quota.delegation,
+        limit: quota.limit,
+        remaining
+      })
+    }
+
+    console.warn(`KMS decrypt quota exceeded - User: ${userIdentifier}, Space: ${spaceDID}, Delegation: ${quota.delegation}, Limit: ${quota.limit}`)
+  }
+
+  /**
+   * Log counter store errors
    * @param {string} eventType - Event type
    * @param {string} userIdentifier - User identifier
    * @param {string} operation - Operation type
@@ -300,3 +669,116 @@ export class KmsRateLimiter {
     }
   }
 }
+
+/**
+ * @typedef {Object} RateLimitTier
+ * @property {import('../errors.js').RateLimitType} limitType - Type of the limit
+ * @property {string} key - Key prefix of the tier counters
+ * @property {number} limit - Operations allowed per window
+ * @property {boolean} beforePlan - Whether the tier is checked before the plan lookup, by `checkUserRateLimit`
+ */
+
+/**
+ * @typedef {Object} TierReservation
+ * @property {boolean} allowed - Whether the operations fit in the tier
+ * @property {ReservedCounter} [counter] - Counter the operations were reserved in, even when denied, undefined if none was changed
+ * @property {number} used - Operations counted against the limit before the reservation
+ * @property {number} retryAfterSeconds - Time until the tier has room for the operations
+ */
+
+/**
+ * @typedef {Object} ReservedCounter
+ * @property {string} key - Key of the counter or token bucket
+ * @property {number} [ttlSeconds] - Time to live of the counter
+ * @property {TokenBucket} [bucket] - Capacity and refill rate of the token bucket, undefined for counters
+ * @property {number} amount - Operations reserved in the counter and not released yet
+ */
+
+/**
+ * @typedef {Object} RateLimitReservation
+ * @property {string} spaceDID - Space DID
+ * @property {ReservedCounter[]} counters - Counters the operations were reserved in
+ */
+
+/**
+ * @typedef {Object} DecryptQuota
+ * @property {string} delegation - CID of the delegation that sets the quota
+ * @property {string} key - Key of the quota counter
+ * @property {number} limit - Decrypts allowed by the delegation
+ * @property {number} [ttlSeconds] - Remaining lifetime of the delegation, undefined when it does not expire
+ */
+
+/**
+ * Collects the decrypt quotas of a delegation and of the delegations it was derived from
+ * @param {Delegation} delegation - Decrypt delegation
+ * @param {string} spaceDID - Space DID
+ * @returns {DecryptQuota[]}
+ */
+function getDecryptQuotas (delegation, spaceDID) {
+  /** @type {DecryptQuota[]} */
+  const quotas = []
+  const seen = new Set()
+  const pending = [delegation]
+  const now = Math.floor(Date.now() / 1000)
+
+  for (let current = pending.pop(); current; current = pending.pop()) {
+    const cid = current.cid.toString()
+    if (seen.has(cid)) continue
+    seen.add(cid)
+
+    const capability = current.capabilities.find(capability =>
+      capability.can === ContentDecrypt.can &&
+      capability.with === spaceDID &&
+      /** @type {{ maxDecrypts?: unknown } | undefined} */ (capability.nb)?.maxDecrypts !== undefined
+    )
+    if (capability) {
+      const { maxDecrypts } = /** @type {{ maxDecrypts: unknown }} */ (capability.nb)
+      quotas.push({
+        delegation: cid,
+        key: `kms:${EncryptionKeyDecrypt.can}:delegation:${cid}`,
+        // A malformed quota denies all decrypts rather than none
+        limit: typeof maxDecrypts === 'number' && Number.isSafeInteger(maxDecrypts) && maxDecrypts >= 0 ? maxDecrypts : 0,
+        // KV counters expire after at least 60 seconds
+        ttlSeconds: Number.isFinite(current.expiration) ? Math.max(60, current.expiration - now) : undefined
+      })
+    }
+
+    pending.push(...current.proofs.filter(isDelegation))
+  }
+
+  return quotas
+}
+
+/**
+ * Sizes the token bucket of a tier so that it holds the limit and refills it over a window
+ * @param {number} limit - Operations allowed per window
+ * @param {RateLimitConfig} limits - Rate limits of the operation
+ * @returns {TokenBucket}
+ */
+function getTokenBucket (limit, limits) {
+  return { capacity: limit, refillPerSecond: limit / (limits.windowMinutes * 60) }
+}
+
+/**
+ * Parses plan rate limits, in the format of KmsRateLimiter.PLAN_RATE_LIMITS
+ * @param {string} value - JSON plan rate limits
+ * @returns {PlanRateLimits | undefined} - undefined when the value is not valid
+ */
+export function parsePlanRateLimits (value) {
+  let parsed
+  try {
+    parsed = JSON.parse(value)
+  } catch {
+    return undefined
+  }
+
+  const isObject = (/** @type {unknown} */ v) => typeof v === 'object' && v !== null && !Array.isArray(v)
+  const isValid = isObject(parsed) && Object.values(parsed).every(operations =>
+    isObject(operations) && Object.values(operations).every(overrides =>
+      isObject(overrides) && Object.entries(overrides).every(([field, limit]) =>
+        PLAN_OVERRIDE_FIELDS.includes(field) && Number.isSafeInteger(limit) && limit >= 0
+      )
+    )
+  )
+  return isValid ? parsed : undefined
+}
@@ -1,4 +1,15 @@
 import { AuditLogService } from "./auditLog.js";
+import { Failure } from "@ucanto/server";
+import { Delegation } from "@ucanto/interface";
+import { RateLimitExceeded, DecryptQuotaExceeded } from "../errors.js";
+
+/**
+ * Rate limiting algorithm of an operation:
+ * - `fixed-window` counts operations in fixed windows, which reset at the end of each window
+ * - `token-bucket` holds up to the limit in tokens and refills the limit continuously over a
+ *   window, so that limits cannot be doubled across a window boundary
+ */
+export type RateLimitAlgorithm = "fixed-window" | "token-bucket";
 
 /**
  * Rate limit configuration for a specific operation
@@ -13,8 +24,41 @@ export interface RateLimitConfig {
   /** Number of operations allowed globally per time window */
   global: number;
 
-  /** Time window in minutes */
+  /** Time window in minutes, the time a token bucket takes to refill completely */
   windowMinutes: number;
+
+  /** Rate limiting algorithm, defaults to fixed-window */
+  algorithm?: RateLimitAlgorithm;
+}
+
+/**
+ * Limits of an operation that a plan overrides. The window and algorithm are shared by
+ * all plans, so that operations are counted the same way whatever the plan, and the
+ * global limit is shared so that it can be checked before the plan is looked up.
+ */
+export type PlanRateLimitOverrides = Partial<Pick<RateLimitConfig, "perSpace" | "perUser">>;
+
+/**
+ * Rate limit overrides by rate limit tier, the plan product (e.g. `did:web:business.web3.storage`) unless
+ * the plan catalogue sets another tier, then by operation
+ */
+export type PlanRateLimits = Record<
+  string,
+  Record<string, PlanRateLimitOverrides>
+>;
+
+/**
+ * Request of kms/rate-limit/status
+ */
+export interface RateLimitStatusRequest {
+  /** Resource the capability was invoked on: the space, or the service DID for admins */
+  resource: string;
+
+  /** The space whose usage is read */
+  space: import("@storacha/capabilities/types").SpaceDID;
+
+  /** The rate limited operation, defaults to space/encryption/key/decrypt */
+  operation?: string;
 }
 
 /**
@@ -34,12 +78,61 @@ export interface RateLimitStatus {
   limits: RateLimitConfig | null;
 }
 
+/**
+ * Capacity and refill rate of a token bucket
+ */
+export interface TokenBucket {
+  /** Maximum number of tokens, the number of tokens of a new bucket */
+  capacity: number;
+
+  /** Tokens added back per second, up to the capacity */
+  refillPerSecond: number;
+}
+
+/**
+ * Result of taking tokens from a token bucket
+ */
+export interface TokenBucketState {
+  /** Whether the tokens were taken */
+  allowed: boolean;
+
+  /** Tokens left in the bucket */
+  tokens: number;
+}
+
+/**
+ * Storage of rate limit counters and token buckets
+ */
+export interface RateLimitCounterStore {
+  /**
+   * Returns the current count of a counter, 0 if it does not exist
+   */
+  get(key: string): Promise<number>;
+
+  /**
+   * Adds to a counter and returns the new count. A negative amount releases
+   * operations added before. The counter expires `ttlSeconds` after it was
+   * created, or never when `ttlSeconds` is omitted.
+   */
+  increment(key: string, amount: number, ttlSeconds?: number): Promise<number>;
+
+  /**
+   * Refills a token bucket for the time elapsed since it was last updated, then
+   * takes `amount` tokens if the bucket holds that many. An amount of 0 reads the
+   * bucket, and a negative amount gives tokens back up to the capacity.
+   */
+  take(key: string, amount: number, bucket: TokenBucket): Promise<TokenBucketState>;
+}
+
 /**
  * Constructor options for KmsRateLimiter
  */
 export interface KmsRateLimiterOptions {
   /** Audit logging service for security events */
   auditLog?: AuditLogService;
+
+  /** Counter store - defaults to the backend bound in the environment (Durable Object, then KV) */
+  counterStore?: RateLimitCounterStore;
 }
 
 /**
@@ -47,28 +140,95 @@ export interface KmsRateLimiterOptions {
  */
 export interface KmsRateLimiterService {
   /**
-   * Check if a KMS operation should be rate limited
+   * Check if a KMS operation should be rate limited, reserving the operations in the
+   * rate limit counters when allowed
    * @param invocation - UCAN invocation
    * @param operation - Operation type (e.g., 'space/encryption/setup')
    * @param spaceDID - Space DID
-   * @returns Error message if rate limited, null if allowed
+   * @param count - Number of operations the invocation will perform (defaults to 1)
+   * @param plan - Rate limit tier of the space's plan, selects the plan's per-space and per-user limits
+   * @returns The exceeded limit if rate limited, a failure if the counters failed and the
+   * rate limiter fails closed, null if allowed
    */
   checkRateLimit(
     invocation: any,
     operation: string,
     spaceDID: string,
-  ): Promise<string | null>;
+    count?: number,
+    plan?: string,
+  ): Promise<RateLimitExceeded | Failure | null>;
+
+  /**
+   * Check the per-user and global limits of a KMS operation before the space's plan is
+   * known, at the highest per-user limit of all plans, reserving the operations when allowed
+   * @param invocation - UCAN invocation
+   * @param operation - Operation type
+   * @param spaceDID - Space DID, for logging
+   * @param count - Number of operations the invocation will perform (defaults to 1)
+   * @returns The exceeded limit if rate limited, a failure if the counters failed and the
+   * rate limiter fails closed, null if allowed
+   */
+  checkUserRateLimit(
+    invocation: any,
+    operation: string,
+    spaceDID: string,
+    count?: number,
+  ): Promise<RateLimitExceeded | Failure | null>;
 
   /**
-   * Record a successful KMS operation for rate limiting
+   * Check the per-space and per-user limits of a KMS operation for the space's plan,
+   * reserving the operations when allowed
    * @param invocation - UCAN invocation
    * @param operation - Operation type
    * @param spaceDID - Space DID
+   * @param count - Number of operations the invocation will perform (defaults to 1)
+   * @param plan - Rate limit tier of the space's plan, selects the plan's per-space and per-user limits
+   * @returns The exceeded limit if rate limited, a failure if the counters failed and the
+   * rate limiter fails closed, null if allowed
+   */
+  checkSpaceRateLimit(
+    invocation: any,
+    operation: string,
+    spaceDID: string,
+    count?: number,
+    plan?: string,
+  ): Promise<RateLimitExceeded | Failure | null>;
+
+  /**
+   * Release operations reserved by `checkRateLimit` that were not performed
+   * @param invocation - UCAN invocation
+   * @param operation - Operation type
+   * @param count - Number of reserved operations that were not performed (defaults to 1)
    */
-  recordOperation(
+  releaseRateLimit(
     invocation: any,
     operation: string,
+    count?: number,
+  ): Promise<void>;
+
+  /**
+   * Reserve decrypts against the `maxDecrypts` quotas of a decrypt delegation chain
+   * @param delegation - Decrypt delegation of the invocation
+   * @param spaceDID - Space DID
+   * @param count - Number of decrypts the invocation will perform (defaults to 1)
+   * @returns The exceeded quota, a failure if quotas could not be checked, null if reserved
+   */
+  reserveDecryptQuota(
+    delegation: Delegation,
+    spaceDID: string,
+    count?: number,
+  ): Promise<DecryptQuotaExceeded | Failure | null>;
+
+  /**
+   * Release reserved decrypts that were not performed
+   * @param delegation - Decrypt delegation of the invocation
+   * @param spaceDID - Space DID
+   * @param count - Number of reserved decrypts that failed (defaults to 1)
+   */
+  releaseDecryptQuota(
+    delegation: Delegation,
     spaceDID: string,
+    count?: number,
   ): Promise<void>;
 
   /**
@@ -76,11 +236,13 @@ export interface KmsRateLimiterService {
    * @param invocation - UCAN invocation
    * @param operation - Operation type
    * @param spaceDID - Space DID
+   * @param plan - Rate limit tier of the space's plan, selects the plan's limits
    * @returns Current rate limit status
    */
   getRateLimitStatus(
     invocation: any,
     operation: string,
     spaceDID: string,
+    plan?: string,
   ): Promise<RateLimitStatus>;
 }
@@ -0,0 +1,291 @@
+import { base64 } from 'multiformats/bases/base64'
+import { sanitizeSpaceDIDForKMSKeyId, encodePublicKeyPem } from '../utils.js'
+import { AuditLogService } from './auditLog.js'
+import { error, ok, Failure } from '@ucanto/server'
+import { openEnvelope } from '../envelope.js'
+import { KeyDestroyed, KeySuspended } from '../errors.js'
+
+/**
+ * @import { KMSService, EncryptionSetupRequest, DecryptionKeyRequest, EncryptionSetupResult, KeyInfoRequest, KeyInfoResult, KeyStatusRequest } from './kms.types.js'
+ * @import { KeyMetadataStore, KeyStatus } from './keyMetadata.types.js'
+ */
+
+/**
+ * Algorithm reported to clients - same naming as Google KMS so clients don't need to special-case the local provider
+ */
+const LOCAL_KMS_ALGORITHM = 'RSA_DECRYPT_OAEP_3072_SHA256'
+
+/**
+ * WebCrypto parameters for RSA-OAEP-3072 with SHA-256
+ */
+const RSA_OAEP_PARAMS = {
+  name: 'RSA-OAEP',
+  modulusLength: 3072,
+  publicExponent: new Uint8Array([1, 0, 1]),
+  hash: 'SHA-256'
+}
+
+/**
+ * @typedef {Object} StoredLocalKey
+ * @property {string} publicKey - Public key in PEM format
+ * @property {string} privateKey - PKCS#8 private key encoded with multiformats/bases/base64
+ * @property {string} algorithm - Key algorithm
+ * @property {string} createdAt - ISO timestamp of key creation
+ */
+
+/**
+ * Software-key KMS service for local development and end-to-end tests.
+ * Keys are generated with WebCrypto and stored in a KV namespace, so this
+ * provider MUST NOT be used in production.
+ *
+ * @implements {KMSService}
+ */
+export class LocalKMSService {
+  /**
+   * Creates a new LocalKMSService instance
+   *
+   * @param {import('../types/env.d.ts').Env} env - Environment configuration
+   * @param {Object} [options] - Service options
+   * @param {string} [options.environment] - Environment name for audit logging
+   * @param {import('./auditLog.js').AuditLogService} [options.auditLog] - Shared audit log service instance
+   * @param {KeyMetadataStore} [options.keyMetadataStore] - Registry of per-space key statuses
+   * @throws {Error} If the KV namespace is missing or the service is used in production
+   */
+  constructor (env, options = {}) {
+    this.auditLog = options.auditLog || new AuditLogService({
+      serviceName: 'local-kms-service',
+      environment: options.environment || 'unknown'
+    })
+
+    if (env.ENVIRONMENT === 'production') {
+      const errorMessage = 'Local KMS provider cannot be used in production'
+      this.auditLog.logServiceInitialization('LocalKMSService', false, errorMessage)
+      throw new Error(errorMessage)
+    }
+    if (!env.LOCAL_KMS_KV) {
+      const errorMessage = 'Local KMS provider requires the LOCAL_KMS_KV namespace'
+      this.auditLog.logServiceInitialization('LocalKMSService', false, errorMessage)
+      throw new Error(errorMessage)
+    }
+
+    this.kv = env.LOCAL_KMS_KV
+    this.keyMetadataStore = options.keyMetadataStore
+    if (process.env.NODE_ENV === 'development') {
+      this.auditLog.logServiceInitialization('LocalKMSService', true)
+    }
+  }
+
+  /**
+   * Creates or retrieves an RSA key pair for the space and returns the public key
+   *
+   * @param {EncryptionSetupRequest} request - The encryption setup request
+   * @param {import('../types/env.d.ts').Env} env - Environment configuration
+   * @returns {Promise<import('@ucanto/server').Result<EncryptionSetupResult, import('@ucanto/server').Failure>>}
+   */
+  async setupKeyForSpace (request, env) {
+    const startTime = Date.now()
+    try {
+      const metadata = await this.keyMetadataStore?.get(request.space)
+      if (metadata?.status === 'destroyed') {
+        // Re-creating the key would silently replace a crypto-shredded space
+        this.auditLog.logKMSKeySetupFailure(request.space, 'Encryption setup failed: space key was destroyed', undefined, Date.now() - startTime)
+        return error(new KeyDestroyed())
+      }
+      if (metadata?.status === 'suspended') {
+        this.auditLog.logKMSKeySetupFailure(request.space, 'Encryption setup failed: space key is suspended', undefined, Date.now() - startTime)
+        return error(new KeySuspended())
+      }
+
+      const keyId = sanitizeSpaceDIDForKMSKeyId(request.space)
+      const existing = await this._getStoredKey(keyId)
+      if (existing) {
+        this.auditLog.logKMSKeySetupSuccess(request.space, existing.algorithm, 'existing', Date.now() - startTime)
+        return ok(this._toSetupResult(existing))
+      }
+
+      const created = await this._createKey(keyId)
+      this.auditLog.logKMSKeySetupSuccess(request.space, created.algorithm, '1', Date.now() - startTime)
+      return ok(this._toSetupResult(created))
+    } catch (err) {
+      console.error('[LocalKMS.setupKeyForSpace] something went wrong:', err)
+      this.auditLog.logKMSKeySetupFailure(
+        request.space,
+        `Encryption setup failed: ${err instanceof Error ? err.message : String(err)}`,
+        undefined,
+        Date.now() - startTime
+      )
+      // Generic error message must be returned to the client to avoid leaking information
+      return error(new Failure('Encryption setup failed'))
+    }
+  }
+
+  /**
+   * Decrypts a symmetric key using the space's private key
+   *
+   * @param {DecryptionKeyRequest} request - The decryption request
+   * @param {import('../types/env.d.ts').Env} env - Environment configuration
+   * @returns {Promise<import('@ucanto/server').Result<{ decryptedKey: string }, import('@ucanto/server').Failure>>}
+   */
+  async decryptSymmetricKey (request, env) {
+    const startTime = Date.now()
+    try {
+      const metadata = await this.keyMetadataStore?.get(request.space)
+      if (metadata?.status === 'destroyed') {
+        this.auditLog.logKMSDecryptFailure(request.space, 'Symmetric key decryption failed: space key was destroyed', undefined, Date.now() - startTime)
+        return error(new KeyDestroyed())
+      }
+      if (metadata?.status === 'suspended') {
+        this.auditLog.logKMSDecryptFailure(request.space, 'Symmetric key decryption failed: space key is suspended', undefined, Date.now() - startTime)
+        return error(new KeySuspended())
+      }
+
+      const keyId = sanitizeSpaceDIDForKMSKeyId(request.space)
+      const stored = await this._getStoredKey(keyId)
+      if (!stored) {
+        throw new Error(`No local key found for ${keyId}`)
+      }
+
+      const privateKey = await crypto.subtle.importKey(
+        'pkcs8',
+        base64.decode(stored.privateKey),
+        RSA_OAEP_PARAMS,
+        false,
+        ['decrypt']
+      )
+      // Local keys have a single version, so envelopes only need to be unwrapped
+      const { ciphertext } = openEnvelope(request, { provider: 'local', algorithm: LOCAL_KMS_ALGORITHM })
+      const plaintext = await crypto.subtle.decrypt({ name: 'RSA-OAEP' }, privateKey, ciphertext)
+
+      // Use the same multiformats encoding the client expects from the Google KMS provider
+      const decryptedKey = base64.encode(new Uint8Array(plaintext))
+      this.auditLog.logKMSDecryptSuccess(request.space, '1', Date.now() - startTime)
+      return ok({ decryptedKey })
+    } catch (err) {
+      console.error('[LocalKMS.decryptSymmetricKey] something went wrong:', err)
+      this.auditLog.logKMSDecryptFailure(
+        request.space,
+        `Symmetric key decryption failed: ${err instanceof Error ? err.message : String(err)}`,
+        undefined,
+        Date.now() - startTime
+      )
+      // Generic error message must be returned to the client to avoid leaking information
+      return error(new Failure('KMS decryption failed'))
+    }
+  }
+
+  /**
+   * Returns the stored public key of the space without creating a key
+   *
+   * @param {KeyInfoRequest} request - The key info request
+   * @param {import('../types/env.d.ts').Env} env - Environment configuration
+   * @returns {Promise<import('@ucanto/server').Result<KeyInfoResult, import('@ucanto/server').Failure>>}
+   */
+  async getPublicKeyInfo (request, env) {
+    const startTime = Date.now()
+    try {
+      const metadata = await this.keyMetadataStore?.get(request.space)
+      if (metadata?.status === 'destroyed') {
+        this.auditLog.logKMSPublicKeyRetrievalFailure(request.space, 'Key info retrieval failed: space key was destroyed', undefined, Date.now() - startTime)
+        return error(new KeyDestroyed())
+      }
+      if (metadata?.status === 'suspended') {
+        this.auditLog.logKMSPublicKeyRetrievalFailure(request.space, 'Key info retrieval failed: space key is suspended', undefined, Date.now() - startTime)
+        return error(new KeySuspended())
+      }
+
+      const keyId = sanitizeSpaceDIDForKMSKeyId(request.space)
+      const stored = await this._getStoredKey(keyId)
+      if (!stored) {
+        this.auditLog.logKMSPublicKeyRetrievalFailure(request.space, `No local key found for ${keyId}`, 404, Date.now() - startTime)
+        return error(new Failure('Encryption key not found'))
+      }
+
+      // Local keys are never rotated, so there is only ever version 1
+      this.auditLog.logKMSPublicKeyRetrievalSuccess(request.space, '1', Date.now() - startTime)
+      return ok({ ...this._toSetupResult(stored), keyVersion: '1', createdAt: stored.createdAt })
+    } catch (err) {
+      console.error('[LocalKMS.getPublicKeyInfo] something went wrong:', err)
+      this.auditLog.logKMSPublicKeyRetrievalFailure(
+        request.space,
+        `Key info retrieval failed: ${err instanceof Error ? err.message : String(err)}`,
+        undefined,
+        Date.now() - startTime
+      )
+      // Generic error message must be returned to the client to avoid leaking information
+      return error(new Failure('Key info retrieval failed'))
+    }
+  }
+
+  /**
+   * Returns the lifecycle status of the space key recorded in the metadata registry.
+   * This provider cannot suspend or destroy keys itself, but honours the status of spaces
+   * suspended or destroyed with another provider. Spaces without a record are active.
+   *
+   * @param {KeyStatusRequest} request - The key status request
+   * @param {import('../types/env.d.ts').Env} env - Environment configuration
+   * @returns {Promise<KeyStatus>}
+   */
+  async getKeyStatus (request, env) {
+    const metadata = await this.keyMetadataStore?.get(request.space)
+    return metadata?.status ?? 'active'
+  }
+
+  /**
+   * Generates a new RSA-OAEP key pair and persists it in KV
+   *
+   * @private
+   * @param {string} keyId - The sanitized key ID
+   * @returns {Promise<StoredLocalKey>}
+   */
+  async _createKey (keyId) {
+    const keyPair = /** @type {CryptoKeyPair} */ (await crypto.subtle.generateKey(RSA_OAEP_PARAMS, true, ['encrypt', 'decrypt']))
+    const spki = /** @type {ArrayBuffer} */ (await crypto.subtle.exportKey('spki', keyPair.publicKey))
+    const pkcs8 = /** @type {ArrayBuffer} */ (await crypto.subtle.exportKey('pkcs8', keyPair.privateKey))
+
+    /** @type {StoredLocalKey} */
+    const stored = {
+      publicKey: encodePublicKeyPem(new Uint8Array(spki)),
+      privateKey: base64.encode(new Uint8Array(pkcs8)),
+      algorithm: LOCAL_KMS_ALGORITHM,
+      createdAt: new Date().toISOString()
+    }
+    await this.kv.put(LocalKMSService.storageKey(keyId), JSON.stringify(stored))
+    return stored
+  }
+
+  /**
+   * Loads a stored key from KV
+   *
+   * @private
+   * @param {string} keyId - The sanitized key ID
+   * @returns {Promise<StoredLocalKey | null>}
+   */
+  async _getStoredKey (keyId) {
+    const value = await this.kv.get(LocalKMSService.storageKey(keyId))
+    if (!value) return null
+    return /** @type {StoredLocalKey} */ (JSON.parse(value))
+  }
+
+  /**
+   * @private
+   * @param {StoredLocalKey} stored
+   * @returns {EncryptionSetupResult}
+   */
+  _toSetupResult (stored) {
+    return {
+      publicKey: stored.publicKey,
+      algorithm: stored.algorithm,
+      provider: 'local'
+    }
+  }
+
+  /**
+   * KV key under which the key pair for a space is stored
+   *
+   * @param {string} keyId - The sanitized key ID
+   * @returns {string}
+   */
+  static storageKey (keyId) {
+    return `local-kms:key:${keyId}`
+  }
+}
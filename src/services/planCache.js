@@ -0,0 +1,77 @@
+/**
+ * @import { PlanCache, CachedPlan } from './subscription.types.js'
+ */
+
+/** Default time to live of cached plans in seconds */
+export const DEFAULT_PLAN_CACHE_TTL_SECONDS = 300
+
+/** Minimum time to live of KV entries in seconds */
+const MIN_PLAN_CACHE_TTL_SECONDS = 60
+
+/**
+ * Paid plans cached in Cloudflare KV by account DID. Entries expire after the TTL so that
+ * plan changes are picked up, and are deleted as soon as a lookup finds the plan unpaid.
+ * @implements {PlanCache}
+ */
+export class KVPlanCache {
+  /** @type {import('@cloudflare/workers-types').KVNamespace} */
+  #kv
+  /** @type {number} */
+  #ttlSeconds
+
+  /**
+   * @param {import('@cloudflare/workers-types').KVNamespace} kv - KV namespace holding the cached plans
+   * @param {number} [ttlSeconds] - Time to live of cached plans in seconds
+   */
+  constructor (kv, ttlSeconds = DEFAULT_PLAN_CACHE_TTL_SECONDS) {
+    this.#kv = kv
+    this.#ttlSeconds = ttlSeconds
+  }
+
+  /**
+   * @param {string} accountDID - Account DID
+   * @returns {Promise<CachedPlan | undefined>}
+   */
+  async get (accountDID) {
+    /** @type {Partial<CachedPlan> | null} */
+    const value = await this.#kv.get(`plan:${accountDID}`, 'json')
+    if (typeof value?.product !== 'string' || !Array.isArray(value.delegations)) {
+      return undefined
+    }
+    return { product: value.product, delegations: value.delegations }
+  }
+
+  /**
+   * @param {string} accountDID - Account DID
+   * @param {CachedPlan} plan - The paid plan of the account
+   */
+  async put (accountDID, plan) {
+    await this.#kv.put(`plan:${accountDID}`, JSON.stringify(plan), { expirationTtl: this.#ttlSeconds })
+  }
+
+  /**
+   * @param {string} accountDID - Account DID
+   */
+  async delete (accountDID) {
+    await this.#kv.delete(`plan:${accountDID}`)
+  }
+}
+
+/**
+ * Creates the plan cache of the `KMS_PLAN_CACHE_KV` namespace. The TTL is read from
+ * `PLAN_CACHE_TTL_SECONDS`, at least the 60 seconds required by KV.
+ *
+ * @param {import('../types/env.d.ts').Env} env - Environment configuration
+ * @returns {PlanCache | undefined} - undefined when the namespace is not bound
+ */
+export function createPlanCache (env) {
+  if (!env.KMS_PLAN_CACHE_KV) {
+    return undefined
+  }
+
+  const ttlSeconds = parseInt(env.PLAN_CACHE_TTL_SECONDS ?? '', 10)
+  return new KVPlanCache(
+    env.KMS_PLAN_CACHE_KV,
+    Number.isSafeInteger(ttlSeconds) ? Math.max(MIN_PLAN_CACHE_TTL_SECONDS, ttlSeconds) : DEFAULT_PLAN_CACHE_TTL_SECONDS
+  )
+}
@@ -0,0 +1,146 @@
+/**
+ * @import { PlanCatalogue, PlanEntitlements } from './subscription.types.js'
+ */
+
+/**
+ * Key of the plan catalogue in KMS_RATE_LIMIT_KV, which ops can update without a deploy
+ */
+export const PLAN_CATALOGUE_KV_KEY = 'config:plan-catalogue'
+
+/**
+ * Default plan catalogue: the paid plans and their entitlements.
+ * Replaced by the `config:plan-catalogue` entry of KMS_RATE_LIMIT_KV or the KMS_PLAN_CATALOGUE variable.
+ * @type {PlanCatalogue}
+ */
+export const DEFAULT_PLAN_CATALOGUE = {
+  'did:web:lite.web3.storage': { encryption: true, batchDecrypt: true },
+  'did:web:business.web3.storage': { encryption: true, batchDecrypt: true }
+}
+
+/**
+ * Entitlements of spaces let through by the open plan failure policy, whose plan is unknown.
+ * They are conservative rather than unlimited: no batch decrypt, no new encrypted spaces and,
+ * without a rate limit tier, the default rate limits. Frozen, since they are shared by every request.
+ * @type {Readonly<PlanEntitlements>}
+ */
+export const FAIL_OPEN_ENTITLEMENTS = Object.freeze({
+  encryption: true,
+  batchDecrypt: false,
+  maxEncryptedSpaces: 0
+})
+
+/** Delay before loading the plan catalogue again, so that catalogue updates apply within a minute */
+const CATALOGUE_REFRESH_INTERVAL_MS = 60 * 1000
+
+/**
+ * Plan catalogues loaded by environment, with the time they were loaded, so that each isolate
+ * does not read the catalogue from KV on every plan check
+ * @type {WeakMap<object, { catalogue: Promise<PlanCatalogue>, loadedAt: number }>}
+ */
+const loadedCatalogues = new WeakMap()
+
+/**
+ * Resolves the entitlements of plan products from the plan catalogue.
+ * The catalogue is shared by the instances of an isolate and refreshed every minute.
+ */
+export class PlanCatalogueService {
+  /** @type {import('../types/env.d.ts').Env} */
+  #env
+
+  /**
+   * @param {import('../types/env.d.ts').Env} env - Environment configuration
+   */
+  constructor (env) {
+    this.#env = env
+  }
+
+  /**
+   * Returns the entitlements of a plan product. Plans without `batchDecrypt` may batch decrypt,
+   * plans without `maxEncryptedSpaces` have no space limit and plans without `rateLimitTier`
+   * use the plan rate limits of their product.
+   *
+   * @param {string} product - The plan product, e.g. did:web:business.web3.storage
+   * @returns {Promise<PlanEntitlements | undefined>} - undefined when the product is not in the catalogue
+   */
+  async getEntitlements (product) {
+    const catalogue = await this.#getCatalogue()
+    const entitlements = Object.hasOwn(catalogue, product) ? catalogue[product] : undefined
+    if (!entitlements) {
+      return undefined
+    }
+
+    return {
+      encryption: entitlements.encryption,
+      batchDecrypt: entitlements.batchDecrypt ?? true,
+      maxEncryptedSpaces: entitlements.maxEncryptedSpaces,
+      rateLimitTier: entitlements.rateLimitTier ?? product
+    }
+  }
+
+  /**
+   * Returns the catalogue loaded by the isolate, loading it again once it is older than the refresh interval
+   * @returns {Promise<PlanCatalogue>}
+   */
+  #getCatalogue () {
+    const now = Date.now()
+    const loaded = loadedCatalogues.get(this.#env)
+    if (loaded && now - loaded.loadedAt < CATALOGUE_REFRESH_INTERVAL_MS) {
+      return loaded.catalogue
+    }
+
+    const catalogue = this.#loadCatalogue()
+    loadedCatalogues.set(this.#env, { catalogue, loadedAt: now })
+    return catalogue
+  }
+
+  /**
+   * Loads the plan catalogue from KV, then from the environment, falling back to DEFAULT_PLAN_CATALOGUE
+   * @returns {Promise<PlanCatalogue>}
+   */
+  async #loadCatalogue () {
+    if (this.#env.KMS_RATE_LIMIT_KV) {
+      try {
+        const value = await this.#env.KMS_RATE_LIMIT_KV.get(PLAN_CATALOGUE_KV_KEY)
+        if (value) {
+          const catalogue = parsePlanCatalogue(value)
+          if (catalogue) return catalogue
+          console.warn(`Invalid plan catalogue in KV key ${PLAN_CATALOGUE_KV_KEY}, ignoring`)
+        }
+      } catch (err) {
+        console.error('Error getting plan catalogue from KV:', err)
+      }
+    }
+
+    if (this.#env.KMS_PLAN_CATALOGUE) {
+      const catalogue = parsePlanCatalogue(this.#env.KMS_PLAN_CATALOGUE)
+      if (catalogue) return catalogue
+      console.warn('Invalid KMS_PLAN_CATALOGUE, ignoring')
+    }
+
+    return DEFAULT_PLAN_CATALOGUE
+  }
+}
+
+/**
+ * Parses a plan catalogue, in the format of DEFAULT_PLAN_CATALOGUE
+ * @param {string} value - JSON plan catalogue
+ * @returns {PlanCatalogue | undefined} - undefined when the value is not valid
+ */
+export function parsePlanCatalogue (value) {
+  let parsed
+  try {
+    parsed = JSON.parse(value)
+  } catch {
+    return undefined
+  }
+
+  const isObject = (/** @type {unknown} */ v) => typeof v === 'object' && v !== null && !Array.isArray(v)
+  const isValid = isObject(parsed) && Object.values(parsed).every(entitlements =>
+    isObject(entitlements) &&
+    typeof entitlements.encryption === 'boolean' &&
+    (entitlements.batchDecrypt === undefined || typeof entitlements.batchDecrypt === 'boolean') &&
+    (entitlements.maxEncryptedSpaces === undefined || (Number.isSafeInteger(entitlements.maxEncryptedSpaces) && entitlements.maxEncryptedSpaces >= 0)) &&
+    (entitlements.rateLimitTier === undefined || typeof entitlements.rateLimitTier === 'string')
+  )
+  return isValid ? parsed : undefined
+}
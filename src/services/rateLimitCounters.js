@@ -0,0 +1,208 @@
+/**
+ * @import { RateLimitCounterStore, TokenBucket, TokenBucketState } from './kmsRateLimiter.types.js'
+ */
+
+import { takeTokens } from '../durableObjects/rateLimitCounter.js'
+
+/**
+ * Base URL of requests to rate limit counter Durable Objects - only the path is meaningful
+ */
+const COUNTER_URL = 'https://rate-limit-counter'
+
+/**
+ * Rate limit counters in Cloudflare KV.
+ * Increments and token bucket updates are a `get` followed by a `put`: concurrent updates can
+ * be lost, and KV is eventually consistent across colos, so counts lag behind under bursts.
+ * @implements {RateLimitCounterStore}
+ */
+export class KVRateLimitCounterStore {
+  /** @type {import('@cloudflare/workers-types').KVNamespace} */
+  #kv
+
+  /**
+   * @param {import('@cloudflare/workers-types').KVNamespace} kv - KV namespace holding the counters
+   */
+  constructor (kv) {
+    this.#kv = kv
+  }
+
+  /**
+   * @param {string} key - Counter key
+   * @returns {Promise<number>}
+   */
+  async get (key) {
+    try {
+      const value = await this.#kv.get(key)
+      if (!value) return 0
+
+      const parsed = parseInt(value, 10)
+      // Defensive handling of invalid numeric values
+      if (isNaN(parsed) || parsed < 0) {
+        console.warn(`Invalid KV count value for key ${key}: ${value}, treating as 0`)
+        return 0
+      }
+
+      return parsed
+    } catch (err) {
+      console.error(`Error getting count from KV for key ${key}:`, err)
+      // Re-throw the error so the rate limiter can apply its failure policy
+      throw err
+    }
+  }
+
+  /**
+   * @param {string} key - Counter key
+   * @param {number} amount - Amount to add to the count, negative to release operations
+   * @param {number} [ttlSeconds] - Time to live of the counter in seconds, never expires when omitted
+   * @returns {Promise<number>} - The new count
+   */
+  async increment (key, amount, ttlSeconds) {
+    const count = Math.max(0, (await this.get(key)) + amount)
+    try {
+      await this.#kv.put(key, count.toString(), ttlSeconds === undefined ? {} : { expirationTtl: ttlSeconds })
+      return count
+    } catch (err) {
+      console.error(`Error incrementing count in KV for key ${key}:`, err)
+      // Re-throw the error so the rate limiter can apply its failure policy
+      throw err
+    }
+  }
+
+  /**
+   * @param {string} key - Bucket key
+   * @param {number} amount - Tokens to take, 0 to read the bucket, negative to give tokens back
+   * @param {TokenBucket} bucket - Bucket capacity and refill rate
+   * @returns {Promise<TokenBucketState>}
+   */
+  async take (key, amount, bucket) {
+    try {
+      const now = Date.now()
+      const value = await this.#kv.get(key)
+      const state = takeTokens(parseBucket(value), amount, bucket, now)
+      if (amount !== 0) {
+        // The bucket is full again once it expires, KV entries live for at least 60 seconds
+        const refillSeconds = bucket.refillPerSecond > 0 ? (bucket.capacity - state.tokens) / bucket.refillPerSecond : 0
+        await this.#kv.put(key, JSON.stringify({ tokens: state.tokens, updatedAt: now }), { expirationTtl: Math.max(60, Math.ceil(refillSeconds)) })
+      }
+      return state
+    } catch (err) {
+      console.error(`Error taking tokens in KV for key ${key}:`, err)
+      // Re-throw the error so the rate limiter can apply its failure policy
+      throw err
+    }
+  }
+}
+
+/**
+ * Parses a token bucket stored in KV, treating invalid values as a full bucket
+ * @param {string | null} value - Stored value
+ * @returns {{ tokens: number, updatedAt: number } | undefined}
+ */
+function parseBucket (value) {
+  if (!value) return undefined
+  try {
+    const bucket = JSON.parse(value)
+    if (Number.isFinite(bucket?.tokens) && Number.isFinite(bucket?.updatedAt)) {
+      return { tokens: bucket.tokens, updatedAt: bucket.updatedAt }
+    }
+  } catch {}
+  console.warn(`Invalid KV token bucket value: ${value}, treating as full`)
+  return undefined
+}
+
+/**
+ * Rate limit counters in Durable Objects, one `RateLimitCounter` object per counter or bucket key.
+ * Increments and token bucket updates are atomic and strongly consistent.
+ * @implements {RateLimitCounterStore}
+ */
+export class DurableObjectRateLimitCounterStore {
+  /** @type {import('@cloudflare/workers-types').DurableObjectNamespace} */
+  #namespace
+
+  /**
+   * @param {import('@cloudflare/workers-types').DurableObjectNamespace} namespace - Namespace of the RateLimitCounter Durable Object
+   */
+  constructor (namespace) {
+    this.#namespace = namespace
+  }
+
+  /**
+   * @param {string} key - Counter key
+   * @returns {Promise<number>}
+   */
+  async get (key) {
+    const response = await this.#counter(key).fetch(`${COUNTER_URL}/count`)
+    return this.#readCount(key, response)
+  }
+
+  /**
+   * @param {string} key - Counter key
+   * @param {number} amount - Amount to add to the count, negative to release operations
+   * @param {number} [ttlSeconds] - Time to live of the counter in seconds, never expires when omitted
+   * @returns {Promise<number>} - The new count
+   */
+  async increment (key, amount, ttlSeconds) {
+    const response = await this.#counter(key).fetch(`${COUNTER_URL}/increment`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ amount, ttlSeconds })
+    })
+    return this.#readCount(key, response)
+  }
+
+  /**
+   * @param {string} key - Bucket key
+   * @param {number} amount - Tokens to take, 0 to read the bucket, negative to give tokens back
+   * @param {TokenBucket} bucket - Bucket capacity and refill rate
+   * @returns {Promise<TokenBucketState>}
+   */
+  async take (key, amount, bucket) {
+    const response = await this.#counter(key).fetch(`${COUNTER_URL}/take`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ amount, ...bucket })
+    })
+    if (!response.ok) {
+      throw new Error(`Rate limit bucket ${key} failed: ${response.status} - ${await response.text()}`)
+    }
+    const { allowed, tokens } = /** @type {TokenBucketState} */ (await response.json())
+    return { allowed, tokens }
+  }
+
+  /**
+   * @param {string} key - Counter key
+   */
+  #counter (key) {
+    return this.#namespace.get(this.#namespace.idFromName(key))
+  }
+
+  /**
+   * @param {string} key - Counter key
+   * @param {import('@cloudflare/workers-types').Response} response - Response of the counter
+   * @returns {Promise<number>}
+   */
+  async #readCount (key, response) {
+    if (!response.ok) {
+      throw new Error(`Rate limit counter ${key} failed: ${response.status} - ${await response.text()}`)
+    }
+    const { count } = /** @type {{ count: number }} */ (await response.json())
+    return count
+  }
+}
+
+/**
+ * Creates the counter store of the configured backend: the `KMS_RATE_LIMIT_DO` Durable Object
+ * namespace when bound, otherwise `KMS_RATE_LIMIT_KV`.
+ *
+ * @param {import('../types/env.d.ts').Env} env - Environment configuration
+ * @returns {RateLimitCounterStore | undefined} - undefined when no backend is bound
+ */
+export function createRateLimitCounterStore (env) {
+  if (env.KMS_RATE_LIMIT_DO) {
+    return new DurableObjectRateLimitCounterStore(env.KMS_RATE_LIMIT_DO)
+  }
+  if (env.KMS_RATE_LIMIT_KV) {
+    return new KVRateLimitCounterStore(env.KMS_RATE_LIMIT_KV)
+  }
+  return undefined
+}
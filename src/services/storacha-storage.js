@@ -56,19 +56,4 @@ export class StorachaStorageService {
       accountDID
     }
   }
-
-  /**
-   * Validates if a plan product is a paid plan
-   *
-   * @param {string} planProduct - The plan product identifier
-   * @returns {boolean} True if the plan is a paid plan
-   */
-  isPaidPlan (planProduct) {
-    const PAID_PLANS = [
-      'did:web:lite.web3.storage',
-      'did:web:business.web3.storage'
-    ]
-
-    return PAID_PLANS.includes(planProduct)
-  }
 }
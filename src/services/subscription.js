@@ -3,11 +3,17 @@ import { error, ok, Failure } from '@ucanto/server'
 import { Plan } from '@storacha/capabilities'
 import { StorachaStorageService } from './storacha-storage.js'
 import { DID } from '@ucanto/validator'
+import { shouldFailOpen } from './failurePolicy.js'
+import { createPlanCache } from './planCache.js'
+import { PlanCatalogueService, FAIL_OPEN_ENTITLEMENTS } from './planCatalogue.js'
 
 /**
- * @import { SubscriptionStatusService } from './subscription.types.js'
+ * @import { SubscriptionStatusService, PlanCache, CachedPlan, ProvisionedPlan } from './subscription.types.js'
  */
 
+/** Maximum number of plan/get delegations remembered per cached plan */
+const MAX_CACHED_PLAN_DELEGATIONS = 10
+
 /**
  * Plan service subscription status implementation
  * @implements {SubscriptionStatusService}
@@ -20,6 +26,8 @@ export class PlanSubscriptionServiceImpl {
    * @param {AuditLogService} [options.auditLog] - Audit log service instance
    * @param {string} [options.environment] - Environment name for audit logging
    * @param {StorachaStorageService} [options.storachaStorage] - Storacha storage service instance
+   * @param {PlanCache} [options.planCache] - Plan cache - defaults to KMS_PLAN_CACHE_KV when bound
+   * @param {PlanCatalogueService} [options.planCatalogue] - Plan catalogue resolving the entitlements of plans
    */
   constructor (env, options = {}) {
     this.auditLog = options.auditLog || new AuditLogService({
@@ -27,6 +35,8 @@ export class PlanSubscriptionServiceImpl {
       environment: env.ENVIRONMENT || 'unknown'
     })
     this.storachaStorage = options.storachaStorage
+    this.planCache = options.planCache ?? createPlanCache(env)
+    this.planCatalogue = options.planCatalogue ?? new PlanCatalogueService(env)
     this.env = env
     // Only log service initialization in development
     if (process.env.NODE_ENV === 'development') {
@@ -36,11 +46,13 @@ export class PlanSubscriptionServiceImpl {
 
   /**
    * Validates that a space has a paid plan by checking for plan/get delegation proofs.
+   * Resolves the plan product and its entitlements from the plan catalogue, which the
+   * handlers enforce. A plan is paid when the catalogue allows it encryption.
    *
    * @param {import('@storacha/capabilities/types').SpaceDID} space - The space DID to check
    * @param {import('@ucanto/interface').Proof[]} proofs - UCAN proofs to validate for plan/get capability
    * @param {import('../api.types.js').Context } ctx - Context object containing environment configuration
-   * @returns {Promise<import('@ucanto/server').Result<{ isProvisioned: boolean }, import('@ucanto/server').Failure>>}
+   * @returns {Promise<import('@ucanto/server').Result<ProvisionedPlan, import('@ucanto/server').Failure>>}
    */
   async isProvisioned (space, proofs, ctx) {
     try {
@@ -73,12 +85,52 @@ export class PlanSubscriptionServiceImpl {
         return error(new Failure('No Plan/Get Delegation proofs found'))
       }
 
+      // Cached plans are only served to plan/get delegations the plan service already accepted,
+      // since a delegation merely naming the account proves nothing without the plan service
+      const planCache = this.planCache
+      const planAccountDID = planGetDelegation.capabilities[0].with
+      const planDelegationCID = planCache ? planGetDelegation.cid.toString() : undefined
+      const cached = planCache ? await readPlanCache(planCache, planAccountDID) : undefined
+      const cachedEntitlements = cached ? await this.planCatalogue.getEntitlements(cached.product) : undefined
+      // The catalogue may have changed since the plan was cached, plans it no longer entitles are looked up again
+      if (cached && cachedEntitlements?.encryption && planDelegationCID && cached.delegations.includes(planDelegationCID) && planGetDelegation.expiration > Date.now() / 1000) {
+        this.auditLog.logSecurityEvent('subscription_plan_validated', {
+          operation: 'subscription_check',
+          status: 'success',
+          metadata: {
+            space,
+            accountDID: planAccountDID,
+            planProofsFound: proofs.length,
+            validationMethod: 'delegation_presence',
+            planProduct: cached.product,
+            cache: 'hit'
+          }
+        })
+        return ok({ isProvisioned: true, product: cached.product, accountDID: planAccountDID, entitlements: cachedEntitlements })
+      }
+
       const storageService = this.storachaStorage || new StorachaStorageService({
         uploadServiceURL: new URL(this.env.UPLOAD_SERVICE_URL),
         uploadServiceDID: DID.from(this.env.UPLOAD_SERVICE_DID)
       })
-      const { plan, accountDID } = await storageService.getPlan(planGetDelegation, ctx.ucanKmsSigner)
-      if (!storageService.isPaidPlan(plan.product)) {
+      let planInfo
+      try {
+        planInfo = await storageService.getPlan(planGetDelegation, ctx.ucanKmsSigner)
+      } catch (err) {
+        // Errors returned by the plan service (the cause) are refusals, anything else means it is unavailable
+        if (!(err instanceof Error && err.cause) && shouldFailOpen(this.env, 'plan', err, { auditLog: this.auditLog, metadata: { space } })) {
+          // The plan is unknown, so the space gets conservative entitlements rather than none, which would be unlimited
+          return ok({ isProvisioned: true, entitlements: FAIL_OPEN_ENTITLEMENTS })
+        }
+        throw err
+      }
+      const { plan, accountDID } = planInfo
+      const entitlements = await this.planCatalogue.getEntitlements(plan.product)
+      if (!entitlements?.encryption) {
+        // The account is no longer paid, other delegations must not be served the cached plan either
+        if (planCache) {
+          await deletePlanCache(planCache, accountDID)
+        }
         this.auditLog.logSecurityEvent('subscription_plan_invalid', {
           operation: 'subscription_check',
           status: 'denied',
@@ -100,11 +152,21 @@ export class PlanSubscriptionServiceImpl {
           space,
           accountDID,
           planProofsFound: proofs.length,
-          validationMethod: 'delegation_presence'
+          validationMethod: 'delegation_presence',
+          planProduct: plan.product,
+          cache: planCache ? 'miss' : undefined
         }
       })
 
-      return ok({ isProvisioned: true })
+      if (planCache && planDelegationCID) {
+        const delegations = cached?.product === plan.product ? cached.delegations.filter(cid => cid !== planDelegationCID) : []
+        await writePlanCache(planCache, accountDID, {
+          product: plan.product,
+          delegations: [planDelegationCID, ...delegations].slice(0, MAX_CACHED_PLAN_DELEGATIONS)
+        })
+      }
+
+      return ok({ isProvisioned: true, product: plan.product, accountDID, entitlements })
     } catch (err) {
       console.error('[isProvisioned] something went wrong:', err)
 
@@ -118,3 +180,45 @@ export class PlanSubscriptionServiceImpl {
     }
   }
 }
+
+/**
+ * Reads the cached plan of an account, treating cache errors as misses
+ * @param {PlanCache} planCache - Plan cache
+ * @param {string} accountDID - Account DID
+ * @returns {Promise<CachedPlan | undefined>}
+ */
+async function readPlanCache (planCache, accountDID) {
+  try {
+    return await planCache.get(accountDID)
+  } catch (error) {
+    console.error(`[readPlanCache] Error reading cached plan for ${accountDID}:`, error)
+    return undefined
+  }
+}
+
+/**
+ * Caches the paid plan of an account, ignoring cache errors
+ * @param {PlanCache} planCache - Plan cache
+ * @param {string} accountDID - Account DID
+ * @param {CachedPlan} plan - The paid plan of the account
+ */
+async function writePlanCache (planCache, accountDID, plan) {
+  try {
+    await planCache.put(accountDID, plan)
+  } catch (error) {
+    console.error(`[writePlanCache] Error caching plan for ${accountDID}:`, error)
+  }
+}
+
+/**
+ * Removes the cached plan of an account, ignoring cache errors
+ * @param {PlanCache} planCache - Plan cache
+ * @param {string} accountDID - Account DID
+ */
+async function deletePlanCache (planCache, accountDID) {
+  try {
+    await planCache.delete(accountDID)
+  } catch (error) {
+    console.error(`[deletePlanCache] Error removing cached plan for ${accountDID}:`, error)
+  }
+}
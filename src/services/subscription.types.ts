@@ -3,6 +3,7 @@ import { Proof, Result } from "@ucanto/server";
 export interface SubscriptionStatusService {
   /**
    * Validates that a space has a paid plan by checking for plan/get delegation proofs.
+   * Resolves the plan product, e.g. `did:web:business.web3.storage`.
    *
    * @param space - The space DID to check
    * @param proofs - UCAN proofs to validate for plan/get capability
@@ -12,7 +13,102 @@ export interface SubscriptionStatusService {
     space: import("@storacha/capabilities/types").SpaceDID,
     proofs: Proof[],
     ctx: import("../api.types.js").Context,
-  ): Promise<
-    Result<{ isProvisioned: boolean }, import("@ucanto/server").Failure>
-  >;
+  ): Promise<Result<ProvisionedPlan, import("@ucanto/server").Failure>>;
+}
+
+/**
+ * Plan of a provisioned space. The plan is unknown when the plan service was
+ * unavailable and its failure policy let the space through, the space then gets
+ * the conservative `FAIL_OPEN_ENTITLEMENTS`.
+ */
+export interface ProvisionedPlan {
+  isProvisioned: boolean;
+  /** The plan product, e.g. `did:web:business.web3.storage` */
+  product?: string;
+  /** The account that owns the plan */
+  accountDID?: string;
+  /** What the plan allows, from the plan catalogue */
+  entitlements?: PlanEntitlements;
+}
+
+/**
+ * What a plan allows
+ */
+export interface PlanEntitlements {
+  /** Whether the plan may use encryption at all */
+  encryption: boolean;
+  /** Whether the plan may batch decrypt (defaults to true) */
+  batchDecrypt?: boolean;
+  /** Maximum number of encrypted spaces per account (unlimited when absent) */
+  maxEncryptedSpaces?: number;
+  /** Entry of the plan rate limits table applied to the plan (defaults to the plan product) */
+  rateLimitTier?: string;
+}
+
+/**
+ * Entitlements by plan product, plans missing from the catalogue may not use encryption
+ */
+export type PlanCatalogue = Record<string, PlanEntitlements>;
+
+/**
+ * Paid plan of an account, with the plan/get delegations it was looked up with
+ */
+export interface CachedPlan {
+  /** The plan product, e.g. `did:web:business.web3.storage` */
+  product: string;
+  /** CIDs of the plan/get delegations the upload service accepted for the account */
+  delegations: string[];
+}
+
+/**
+ * Cache of paid plans, by account DID
+ */
+export interface PlanCache {
+  /**
+   * Returns the cached plan of an account, undefined on a miss
+   */
+  get(accountDID: string): Promise<CachedPlan | undefined>;
+
+  /**
+   * Caches the paid plan of an account, until the TTL expires
+   */
+  put(accountDID: string, plan: CachedPlan): Promise<void>;
+
+  /**
+   * Removes the cached plan of an account
+   */
+  delete(accountDID: string): Promise<void>;
+}
+
+/**
+ * Outcome of reserving a space in the registry of an account
+ */
+export interface AccountSpaceReservation {
+  /** Whether the space may be set up: it was recorded already, or it was added within the limit */
+  reserved: boolean;
+
+  /** Whether the space was added by this reservation, and must be released if the setup fails */
+  added: boolean;
+}
+
+/**
+ * Registry of the encrypted spaces of each account, counted against the
+ * `maxEncryptedSpaces` entitlement of their plan
+ */
+export interface AccountSpaceStore {
+  /**
+   * Lists the encrypted spaces of an account
+   */
+  list(accountDID: string): Promise<string[]>;
+
+  /**
+   * Atomically records an encrypted space of an account unless the account already has
+   * `limit` spaces. Spaces already recorded are reserved without being added again.
+   */
+  reserve(accountDID: string, space: string, limit?: number): Promise<AccountSpaceReservation>;
+
+  /**
+   * Removes a space added by a reservation whose setup failed
+   */
+  release(accountDID: string, space: string): Promise<void>;
 }
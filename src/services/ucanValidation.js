@@ -3,6 +3,7 @@ import { error, ok, Failure } from '@ucanto/server'
 import { Verifier } from '@ucanto/principal'
 import { EncryptionSetup, decrypt as ContentDecrypt } from '@storacha/capabilities/space'
 import { AuditLogService } from './auditLog.js'
+import { EncryptionKeyDestroy } from '../capabilities.js'
 import { getValidatorProofs, resolveDIDKey } from '../server.js'
 
 /**
@@ -66,6 +67,155 @@ export class UcanPrivacyValidationServiceImpl {
     }
   }
 
+  /**
+   * Validates a key management invocation (e.g. space/encryption/key/rotate).
+   * The invocation must carry the given capability for the space; the delegation chain
+   * back to the space itself is verified by the ucanto server before the handler runs.
+   *
+   * @param {import('@ucanto/interface').Invocation} invocation
+   * @param {import('@storacha/capabilities/types').SpaceDID} spaceDID
+   * @param {string} can - The capability the invocation must contain
+   * @returns {Promise<import('@ucanto/server').Result<boolean, import('@ucanto/server').Failure>>}
+   */
+  async validateKeyManagement (invocation, spaceDID, can) {
+    try {
+      const keyCapability = invocation.capabilities.find(
+        /** @param {{can: string}} cap */(cap) => cap.can === can
+      )
+      if (!keyCapability) {
+        const errorMsg = `Invocation does not contain ${can} capability`
+        this.auditLog.logUCANValidationFailure(spaceDID, 'key_management', errorMsg)
+        throw new Error(errorMsg)
+      }
+      if (keyCapability.with !== spaceDID) {
+        const errorMsg = `Invalid "with" in the invocation. ${can} is allowed only for spaceDID: ${spaceDID}`
+        this.auditLog.logUCANValidationFailure(spaceDID, 'key_management', errorMsg)
+        throw new Error(errorMsg)
+      }
+      if (process.env.NODE_ENV === 'development') {
+        this.auditLog.logUCANValidationSuccess(spaceDID, 'key_management')
+      }
+      return ok(true)
+    } catch (err) {
+      console.error('[validateKeyManagement] something went wrong:', err)
+      this.auditLog.logUCANValidationFailure(spaceDID, 'validate_key_management', err instanceof Error ? err.message : String(err))
+      // Generic error message must be returned to the client to avoid leaking information
+      return error(new Failure('Key management validation failed'))
+    }
+  }
+
+  /**
+   * Validates a key destruction invocation.
+   * Destruction is irreversible, so beyond the ucanto server checks the invocation must
+   * carry space/encryption/key/destroy for the space and its authorization chain must be
+   * rooted in a delegation issued by the space itself (the space owner).
+   *
+   * @param {import('@ucanto/interface').Invocation} invocation
+   * @param {import('@storacha/capabilities/types').SpaceDID} spaceDID
+   * @param {import('../api.types.js').Context} ctx
+   * @param {import('../types/env.d.ts').Env} env
+   * @returns {Promise<import('@ucanto/server').Result<boolean, import('@ucanto/server').Failure>>}
+   */
+  async validateKeyDestruction (invocation, spaceDID, ctx, env) {
+    try {
+      const keyManagementResult = await this.validateKeyManagement(invocation, spaceDID, EncryptionKeyDestroy.can)
+      if (keyManagementResult.error) {
+        throw new Error(`Invocation does not carry ${EncryptionKeyDestroy.can} for the space`)
+      }
+
+      const authorization = await access(/** @type {any} */(invocation), {
+        authority: ctx.ucanKmsIdentity,
+        principal: Verifier,
+        capability: EncryptionKeyDestroy,
+        proofs: await getValidatorProofs(env),
+        resolveDIDKey,
+        validateAuthorization: () => ok({})
+      })
+      if (authorization.error) {
+        const errorMsg = authorization.error.toString()
+        this.auditLog.logUCANValidationFailure(spaceDID, 'key_destruction_authorization', errorMsg)
+        throw new Error(errorMsg)
+      }
+
+      // Walk to the root of the authorization chain - it must be issued by the space
+      /** @type {import('@ucanto/interface').Authorization} */
+      let root = authorization.ok
+      while (root.proofs.length > 0) {
+        root = root.proofs[0]
+      }
+      if (root.delegation.issuer.did() !== spaceDID) {
+        const errorMsg = `Key destruction must be authorized by the space owner: chain is rooted at ${root.delegation.issuer.did()}`
+        this.auditLog.logUCANValidationFailure(spaceDID, 'key_destruction_owner', errorMsg)
+        throw new Error(errorMsg)
+      }
+
+      this.auditLog.logUCANValidationSuccess(spaceDID, 'key_destruction')
+      return ok(true)
+    } catch (err) {
+      console.error('[validateKeyDestruction] something went wrong:', err)
+      this.auditLog.logUCANValidationFailure(spaceDID, 'validate_key_destruction', err instanceof Error ? err.message : String(err))
+      // Generic error message must be returned to the client to avoid leaking information
+      return error(new Failure('Key destruction validation failed'))
+    }
+  }
+
+  /**
+   * Validates an admin invocation (kms/key/disable, kms/key/enable, kms/rate-limit/status on the service).
+   * Admin capabilities are issued on the service DID, so the invocation must target the
+   * service DID and its authorization chain must be rooted in a delegation issued by it.
+   * The validator proofs let ucanto verify delegations issued by the did:web service identity.
+   *
+   * @param {import('@ucanto/interface').Invocation} invocation
+   * @param {typeof import('../capabilities.js').KeyDisable | typeof import('../capabilities.js').KeyEnable | typeof import('../capabilities.js').RateLimitStatus} capability
+   * @param {import('@storacha/capabilities/types').SpaceDID} spaceDID
+   * @param {import('../api.types.js').Context} ctx
+   * @param {import('../types/env.d.ts').Env} env
+   * @returns {Promise<import('@ucanto/server').Result<boolean, import('@ucanto/server').Failure>>}
+   */
+  async validateAdministration (invocation, capability, spaceDID, ctx, env) {
+    try {
+      const serviceDID = ctx.ucanKmsIdentity.did()
+      const invoked = invocation.capabilities.find(cap => cap.can === capability.can)
+      if (!invoked || invoked.with !== serviceDID) {
+        throw new Error(`Invocation does not carry ${capability.can} for the service`)
+      }
+
+      const authorization = await access(/** @type {any} */(invocation), {
+        authority: ctx.ucanKmsIdentity,
+        principal: Verifier,
+        capability,
+        proofs: await getValidatorProofs(env),
+        resolveDIDKey,
+        validateAuthorization: () => ok({})
+      })
+      if (authorization.error) {
+        const errorMsg = authorization.error.toString()
+        this.auditLog.logUCANValidationFailure(spaceDID, 'administration_authorization', errorMsg)
+        throw new Error(errorMsg)
+      }
+
+      // Walk to the root of the authorization chain - it must be issued by the service
+      /** @type {import('@ucanto/interface').Authorization} */
+      let root = authorization.ok
+      while (root.proofs.length > 0) {
+        root = root.proofs[0]
+      }
+      if (root.delegation.issuer.did() !== serviceDID) {
+        const errorMsg = `Admin capabilities must be delegated by the service: chain is rooted at ${root.delegation.issuer.did()}`
+        this.auditLog.logUCANValidationFailure(spaceDID, 'administration_issuer', errorMsg)
+        throw new Error(errorMsg)
+      }
+
+      this.auditLog.logUCANValidationSuccess(spaceDID, 'administration')
+      return ok(true)
+    } catch (err) {
+      console.error('[validateAdministration] something went wrong:', err)
+      this.auditLog.logUCANValidationFailure(spaceDID, 'validate_administration', err instanceof Error ? err.message : String(err))
+      // Generic error message must be returned to the client to avoid leaking information
+      return error(new Failure('Admin validation failed'))
+    }
+  }
+
   /**
    * Validates a decrypt delegation.
    * The invocation should have space/encryption/key/decrypt capability.
@@ -81,25 +231,14 @@ export class UcanPrivacyValidationServiceImpl {
    */
   async validateDecryption (invocation, spaceDID, ctx, env) {
     try {
-      // Find proofs that contain ContentDecrypt capability for the correct space
-      const contentDecryptProofs = invocation.proofs.filter(proof => {
-        const delegation = /** @type {import('@ucanto/interface').Delegation} */(proof)
-        const now = Math.floor(Date.now() / 1000)
-        return delegation.expiration > now &&
-          delegation.capabilities.some(capability =>
-            capability.can === ContentDecrypt.can &&
-            capability.with === spaceDID
-          )
-      })
-
-      if (contentDecryptProofs.length === 0) {
+      const decryptDelegation = findDecryptDelegation(invocation.proofs, spaceDID)
+      if (!decryptDelegation) {
         const errorMsg = `No valid ${ContentDecrypt.can} delegation found in proofs!`
         this.auditLog.logUCANValidationFailure(spaceDID, 'decryption_proof', errorMsg)
         return error(new Failure(errorMsg))
       }
 
       // Check that the invocation issuer matches the delegation audience
-      const decryptDelegation = /** @type {import('@ucanto/interface').Delegation} */(contentDecryptProofs[0])
       if (invocation.issuer.did() !== decryptDelegation.audience.did()) {
         const errorMsg = 'The invoker must be equal to the delegated audience!'
         this.auditLog.logUCANValidationFailure(spaceDID, 'decryption_audience', errorMsg)
@@ -133,3 +272,24 @@ export class UcanPrivacyValidationServiceImpl {
     }
   }
 }
+
+/**
+ * Finds the decrypt delegation of an invocation: the first unexpired proof with
+ * space/content/decrypt capability for the space.
+ *
+ * @param {import('@ucanto/interface').Invocation['proofs']} proofs - Proofs of the invocation
+ * @param {import('@storacha/capabilities/types').SpaceDID} spaceDID - The space to decrypt
+ * @returns {import('@ucanto/interface').Delegation | undefined}
+ */
+export function findDecryptDelegation (proofs, spaceDID) {
+  const now = Math.floor(Date.now() / 1000)
+  const decryptProof = proofs.find(proof => {
+    const delegation = /** @type {import('@ucanto/interface').Delegation} */(proof)
+    return delegation.expiration > now &&
+      delegation.capabilities.some(capability =>
+        capability.can === ContentDecrypt.can &&
+        capability.with === spaceDID
+      )
+  })
+  return /** @type {import('@ucanto/interface').Delegation | undefined} */(decryptProof)
+}
@@ -14,6 +14,61 @@ export interface UcanPrivacyValidationService {
     spaceDID: import("@storacha/capabilities/types").SpaceDID,
   ): Promise<Result<boolean, import("@ucanto/server").Failure>>;
 
+  /**
+   * Validates a key management invocation (e.g. space/encryption/key/rotate).
+   * The invocation should have the given capability for the space.
+   *
+   * @param invocation - The UCAN invocation to validate
+   * @param spaceDID - The space DID that should match the invocation
+   * @param can - The capability the invocation must contain
+   * @returns Promise with the validation result
+   */
+  validateKeyManagement(
+    invocation: import("@ucanto/interface").Invocation,
+    spaceDID: import("@storacha/capabilities/types").SpaceDID,
+    can: string,
+  ): Promise<Result<boolean, import("@ucanto/server").Failure>>;
+
+  /**
+   * Validates a key destruction invocation (space/encryption/key/destroy).
+   * The authorization chain of the invocation must be rooted at the space itself.
+   *
+   * @param invocation - The UCAN invocation to validate
+   * @param spaceDID - The space DID that should match the invocation
+   * @param ctx - The context object containing the environment variables
+   * @param env - The environment variables
+   * @returns Promise with the validation result
+   */
+  validateKeyDestruction(
+    invocation: import("@ucanto/interface").Invocation,
+    spaceDID: import("@storacha/capabilities/types").SpaceDID,
+    ctx: import("../api.types.js").Context,
+    env: import("../types/env.d.ts").Env,
+  ): Promise<Result<boolean, import("@ucanto/server").Failure>>;
+
+  /**
+   * Validates an admin invocation (kms/key/disable, kms/key/enable, kms/rate-limit/status on the service).
+   * The invocation must target the service DID and be authorized by a delegation
+   * chain rooted at the service DID.
+   *
+   * @param invocation - The UCAN invocation to validate
+   * @param capability - The admin capability the invocation must carry
+   * @param spaceDID - The space DID the invocation acts on, for audit logging
+   * @param ctx - The context object containing the environment variables
+   * @param env - The environment variables
+   * @returns Promise with the validation result
+   */
+  validateAdministration(
+    invocation: import("@ucanto/interface").Invocation,
+    capability:
+      | typeof import("../capabilities.js").KeyDisable
+      | typeof import("../capabilities.js").KeyEnable
+      | typeof import("../capabilities.js").RateLimitStatus,
+    spaceDID: import("@storacha/capabilities/types").SpaceDID,
+    ctx: import("../api.types.js").Context,
+    env: import("../types/env.d.ts").Env,
+  ): Promise<Result<boolean, import("@ucanto/server").Failure>>;
+
   /**
    * Validates a decrypt invocation and its proofs.
    * The invocation should have space/encryption/key/decrypt capability.
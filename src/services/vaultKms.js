@@ -0,0 +1,450 @@
+import * as z from 'zod'
+import { base64 } from 'multiformats/bases/base64'
+import { sanitizeSpaceDIDForKMSKeyId } from '../utils.js'
+import { AuditLogService } from './auditLog.js'
+import { error, ok, Failure } from '@ucanto/server'
+import { openEnvelope } from '../envelope.js'
+import { KeyDestroyed, KeySuspended } from '../errors.js'
+
+/**
+ * @import { KMSService, EncryptionSetupRequest, DecryptionKeyRequest, EncryptionSetupResult, KeyRotationRequest, KeyRotationResult, KeyInfoRequest, KeyInfoResult, KeyStatusRequest } from './kms.types.js'
+ * @import { KeyMetadataStore, KeyStatus } from './keyMetadata.types.js'
+ */
+
+/**
+ * Request timeout configurations by operation type
+ */
+const TIMEOUTS = {
+  KMS_DECRYPT: 30000, // Decrypt operations are user-facing
+  KEY_CREATION: 60000, // Key creation can be slower
+  KEY_LOOKUP: 20000 // Metadata operations should be fast
+}
+
+/**
+ * Transit key type created for each space
+ */
+const VAULT_KEY_TYPE = 'rsa-3072'
+
+/**
+ * Algorithm reported to clients - Vault transit RSA keys decrypt with OAEP and SHA-256
+ */
+const CLIENT_ALGORITHM = 'RSA_DECRYPT_OAEP_3072_SHA256'
+
+/**
+ * Zod schema for validating Vault environment configuration
+ */
+const VaultEnvironmentSchema = z.object({
+  VAULT_ADDR: z.url('Vault address must be a valid URL'),
+  VAULT_TOKEN: z.string()
+    .min(1, 'Vault token cannot be empty'),
+  VAULT_TRANSIT_MOUNT: z.string()
+    .regex(/^[a-zA-Z0-9_-]+(\/[a-zA-Z0-9_-]+)*$/, 'Transit mount must be a valid mount path')
+    .optional(),
+  VAULT_NAMESPACE: z.string().optional()
+})
+
+/**
+ * @typedef {Object} TransitKeyVersion
+ * @property {string} public_key - Public key in PEM format
+ * @property {string} creation_time - RFC 3339 creation timestamp
+ */
+
+/**
+ * @typedef {Object} TransitKey
+ * @property {string} type - Key type, e.g. rsa-3072
+ * @property {number} latest_version - Latest key version
+ * @property {Record<string, TransitKeyVersion>} keys - Key versions keyed by version number
+ */
+
+/**
+ * HashiCorp Vault transit secrets engine KMS implementation
+ * @implements {KMSService}
+ */
+export class VaultTransitKMSService {
+  /**
+   * Creates a new VaultTransitKMSService instance with validated configuration
+   *
+   * @param {import('../types/env.d.ts').Env} env - Environment configuration
+   * @param {Object} [options] - Service options
+   * @param {string} [options.environment] - Environment name for audit logging
+   * @param {import('./auditLog.js').AuditLogService} [options.auditLog] - Shared audit log service instance
+   * @param {KeyMetadataStore} [options.keyMetadataStore] - Registry of per-space key statuses
+   * @throws {Error} If configuration validation fails
+   */
+  constructor (env, options = {}) {
+    this.auditLog = options.auditLog || new AuditLogService({
+      serviceName: 'vault-transit-kms-service',
+      environment: options.environment || 'unknown'
+    })
+
+    try {
+      this.validateConfiguration(env)
+    } catch (err) {
+      this.auditLog.logServiceInitialization('VaultTransitKMSService', false, err instanceof Error ? err.message : String(err))
+      throw err
+    }
+
+    const address = /** @type {string} */ (env.VAULT_ADDR).replace(/\/+$/, '')
+    this.baseUrl = `${address}/v1/${env.VAULT_TRANSIT_MOUNT || 'transit'}`
+    /** @type {Record<string, string>} */
+    this.headers = {
+      'X-Vault-Token': /** @type {string} */ (env.VAULT_TOKEN),
+      'Content-Type': 'application/json'
+    }
+    if (env.VAULT_NAMESPACE) {
+      this.headers['X-Vault-Namespace'] = env.VAULT_NAMESPACE
+    }
+    this.keyMetadataStore = options.keyMetadataStore
+    if (process.env.NODE_ENV === 'development') {
+      this.auditLog.logServiceInitialization('VaultTransitKMSService', true)
+    }
+  }
+
+  /**
+   * Validates the Vault environment configuration using Zod schema
+   *
+   * @private
+   * @param {import('../types/env.d.ts').Env} env - Environment configuration
+   * @throws {Error} If configuration validation fails
+   */
+  validateConfiguration (env) {
+    const result = VaultEnvironmentSchema.safeParse({
+      VAULT_ADDR: env.VAULT_ADDR,
+      VAULT_TOKEN: env.VAULT_TOKEN,
+      VAULT_TRANSIT_MOUNT: env.VAULT_TRANSIT_MOUNT,
+      VAULT_NAMESPACE: env.VAULT_NAMESPACE
+    })
+    if (!result.success) {
+      const errors = result.error.issues.map(err => `${err.path.join('.')}: ${err.message}`).join('; ')
+      throw new Error(`Vault transit configuration validation failed: ${errors}`)
+    }
+  }
+
+  /**
+   * Creates or retrieves the transit key for the space and returns its public key
+   *
+   * @param {EncryptionSetupRequest} request - The encryption setup request
+   * @param {import('../types/env.d.ts').Env} env - Environment configuration
+   * @returns {Promise<import('@ucanto/server').Result<EncryptionSetupResult, import('@ucanto/server').Failure>>}
+   */
+  async setupKeyForSpace (request, env) {
+    const startTime = Date.now()
+    try {
+      const metadata = await this.keyMetadataStore?.get(request.space)
+      if (metadata?.status === 'destroyed') {
+        // Re-creating the key would silently replace a crypto-shredded space
+        this.auditLog.logKMSKeySetupFailure(request.space, 'Encryption setup failed: space key was destroyed', undefined, Date.now() - startTime)
+        return error(new KeyDestroyed())
+      }
+      if (metadata?.status === 'suspended') {
+        this.auditLog.logKMSKeySetupFailure(request.space, 'Encryption setup failed: space key is suspended', undefined, Date.now() - startTime)
+        return error(new KeySuspended())
+      }
+
+      const keyName = sanitizeSpaceDIDForKMSKeyId(request.space)
+
+      const existing = await this._readKey(keyName)
+      if (existing) {
+        const result = this._toSetupResult(keyName, existing)
+        this.auditLog.logKMSKeySetupSuccess(request.space, result.algorithm, 'existing', Date.now() - startTime)
+        return ok(result)
+      }
+
+      await this._createKey(keyName)
+      const created = await this._readKey(keyName)
+      if (!created) {
+        throw new Error(`Transit key ${keyName} not found after creation`)
+      }
+      const result = this._toSetupResult(keyName, created)
+      this.auditLog.logKMSKeySetupSuccess(request.space, result.algorithm, String(created.latest_version), Date.now() - startTime)
+      return ok(result)
+    } catch (err) {
+      console.error('[VaultTransitKMS.setupKeyForSpace] something went wrong:', err)
+      this.auditLog.logKMSKeySetupFailure(
+        request.space,
+        `Encryption setup failed: ${err instanceof Error ? err.message : String(err)}`,
+        undefined,
+        Date.now() - startTime
+      )
+      // Generic error message must be returned to the client to avoid leaking information
+      return error(new Failure('Encryption setup failed'))
+    }
+  }
+
+  /**
+   * Decrypts a symmetric key through the transit decrypt endpoint
+   *
+   * @param {DecryptionKeyRequest} request - The decryption request
+   * @param {import('../types/env.d.ts').Env} env - Environment configuration
+   * @returns {Promise<import('@ucanto/server').Result<{ decryptedKey: string }, import('@ucanto/server').Failure>>}
+   */
+  async decryptSymmetricKey (request, env) {
+    const startTime = Date.now()
+    try {
+      const metadata = await this.keyMetadataStore?.get(request.space)
+      if (metadata?.status === 'destroyed') {
+        this.auditLog.logKMSDecryptFailure(request.space, 'Symmetric key decryption failed: space key was destroyed', undefined, Date.now() - startTime)
+        return error(new KeyDestroyed())
+      }
+      if (metadata?.status === 'suspended') {
+        this.auditLog.logKMSDecryptFailure(request.space, 'Symmetric key decryption failed: space key is suspended', undefined, Date.now() - startTime)
+        return error(new KeySuspended())
+      }
+
+      const keyName = sanitizeSpaceDIDForKMSKeyId(request.space)
+      const key = await this._readKey(keyName)
+      if (!key) {
+        throw new Error(`Transit key ${keyName} not found`)
+      }
+
+      // Envelopes name the exact key version, legacy raw ciphertexts may carry a version hint
+      const { ciphertext, keyVersion: requestedVersion, exact } = openEnvelope(request, { provider: 'vault-transit', algorithm: CLIENT_ALGORITHM })
+
+      // Try the requested version first, otherwise the latest one, then the other versions
+      // since the symmetric key may have been wrapped before a rotation
+      const firstVersion = requestedVersion || String(key.latest_version)
+      const otherVersions = exact
+        ? []
+        : Object.keys(key.keys || {})
+          .filter(version => version !== firstVersion)
+          .sort((a, b) => Number(b) - Number(a))
+
+      let keyVersion = firstVersion
+      let response = await this._decrypt(keyName, keyVersion, ciphertext)
+      for (const candidate of otherVersions) {
+        // Vault answers 400 when the ciphertext does not decrypt with the version
+        if (response.ok || response.status !== 400) {
+          break
+        }
+        await response.body?.cancel()
+        keyVersion = candidate
+        response = await this._decrypt(keyName, keyVersion, ciphertext)
+      }
+
+      if (!response.ok) {
+        const errorText = await response.text()
+        throw new Error(`Transit decryption failed ${keyName}: ${response.status} - ${errorText}`)
+      }
+
+      const result = await response.json()
+      if (!result.data?.plaintext) {
+        throw new Error(`Transit decryption failed ${keyName}: missing plaintext`)
+      }
+
+      // Vault returns the plaintext as standard base64, re-encode it with multibase for client compatibility
+      const decryptedKey = base64.encode(Uint8Array.from(atob(result.data.plaintext), c => c.charCodeAt(0)))
+      this.auditLog.logKMSDecryptSuccess(request.space, keyVersion, Date.now() - startTime)
+      return ok({ decryptedKey })
+    } catch (err) {
+      console.error('[VaultTransitKMS.decryptSymmetricKey] something went wrong:', err)
+      this.auditLog.logKMSDecryptFailure(
+        request.space,
+        `Symmetric key decryption failed: ${err instanceof Error ? err.message : String(err)}`,
+        undefined,
+        Date.now() - startTime
+      )
+      // Generic error message must be returned to the client to avoid leaking information
+      return error(new Failure('KMS decryption failed'))
+    }
+  }
+
+  /**
+   * Rotates the transit key of the space and returns the public key of the new version
+   *
+   * @param {KeyRotationRequest} request - The key rotation request
+   * @param {import('../types/env.d.ts').Env} env - Environment configuration
+   * @returns {Promise<import('@ucanto/server').Result<KeyRotationResult, import('@ucanto/server').Failure>>}
+   */
+  async rotateKeyForSpace (request, env) {
+    const startTime = Date.now()
+    try {
+      const metadata = await this.keyMetadataStore?.get(request.space)
+      if (metadata?.status === 'destroyed') {
+        this.auditLog.logKMSKeyRotationFailure(request.space, 'Key rotation failed: space key was destroyed', undefined, Date.now() - startTime)
+        return error(new KeyDestroyed())
+      }
+      if (metadata?.status === 'suspended') {
+        // A new version would be enabled and lift the suspension for new ciphertexts
+        this.auditLog.logKMSKeyRotationFailure(request.space, 'Key rotation failed: space key is suspended', undefined, Date.now() - startTime)
+        return error(new KeySuspended())
+      }
+
+      const keyName = sanitizeSpaceDIDForKMSKeyId(request.space)
+      const response = await fetch(`${this.baseUrl}/keys/${keyName}/rotate`, {
+        method: 'POST',
+        headers: this.headers,
+        signal: AbortSignal.timeout(TIMEOUTS.KEY_CREATION)
+      })
+
+      if (!response.ok) {
+        const errorText = await response.text()
+        throw new Error(`Transit key rotation failed ${keyName}: ${response.status} - ${errorText}`)
+      }
+
+      const key = await this._readKey(keyName)
+      if (!key) {
+        throw new Error(`Transit key ${keyName} not found after rotation`)
+      }
+      const keyVersion = String(key.latest_version)
+      this.auditLog.logKMSKeyRotationSuccess(request.space, keyVersion, Date.now() - startTime)
+      return ok({ ...this._toSetupResult(keyName, key), keyVersion })
+    } catch (err) {
+      console.error('[VaultTransitKMS.rotateKeyForSpace] something went wrong:', err)
+      this.auditLog.logKMSKeyRotationFailure(
+        request.space,
+        `Key rotation failed: ${err instanceof Error ? err.message : String(err)}`,
+        undefined,
+        Date.now() - startTime
+      )
+      // Generic error message must be returned to the client to avoid leaking information
+      return error(new Failure('Key rotation failed'))
+    }
+  }
+
+  /**
+   * Returns the public key of the latest transit key version without creating a key
+   *
+   * @param {KeyInfoRequest} request - The key info request
+   * @param {import('../types/env.d.ts').Env} env - Environment configuration
+   * @returns {Promise<import('@ucanto/server').Result<KeyInfoResult, import('@ucanto/server').Failure>>}
+   */
+  async getPublicKeyInfo (request, env) {
+    const startTime = Date.now()
+    try {
+      const metadata = await this.keyMetadataStore?.get(request.space)
+      if (metadata?.status === 'destroyed') {
+        this.auditLog.logKMSPublicKeyRetrievalFailure(request.space, 'Key info retrieval failed: space key was destroyed', undefined, Date.now() - startTime)
+        return error(new KeyDestroyed())
+      }
+      if (metadata?.status === 'suspended') {
+        this.auditLog.logKMSPublicKeyRetrievalFailure(request.space, 'Key info retrieval failed: space key is suspended', undefined, Date.now() - startTime)
+        return error(new KeySuspended())
+      }
+
+      const keyName = sanitizeSpaceDIDForKMSKeyId(request.space)
+      const key = await this._readKey(keyName)
+      if (!key) {
+        this.auditLog.logKMSPublicKeyRetrievalFailure(request.space, `Transit key ${keyName} not found`, 404, Date.now() - startTime)
+        return error(new Failure('Encryption key not found'))
+      }
+
+      const keyVersion = String(key.latest_version)
+      const result = this._toSetupResult(keyName, key)
+      this.auditLog.logKMSPublicKeyRetrievalSuccess(request.space, keyVersion, Date.now() - startTime)
+      return ok({ ...result, keyVersion, createdAt: key.keys[keyVersion].creation_time })
+    } catch (err) {
+      console.error('[VaultTransitKMS.getPublicKeyInfo] something went wrong:', err)
+      this.auditLog.logKMSPublicKeyRetrievalFailure(
+        request.space,
+        `Key info retrieval failed: ${err instanceof Error ? err.message : String(err)}`,
+        undefined,
+        Date.now() - startTime
+      )
+      // Generic error message must be returned to the client to avoid leaking information
+      return error(new Failure('Key info retrieval failed'))
+    }
+  }
+
+  /**
+   * Returns the lifecycle status of the space key recorded in the metadata registry.
+   * This provider cannot suspend or destroy keys itself, but honours the status of spaces
+   * suspended or destroyed with another provider. Spaces without a record are active.
+   *
+   * @param {KeyStatusRequest} request - The key status request
+   * @param {import('../types/env.d.ts').Env} env - Environment configuration
+   * @returns {Promise<KeyStatus>}
+   */
+  async getKeyStatus (request, env) {
+    const metadata = await this.keyMetadataStore?.get(request.space)
+    return metadata?.status ?? 'active'
+  }
+
+  /**
+   * Decrypts a ciphertext with a specific transit key version
+   *
+   * @private
+   * @param {string} keyName - Transit key name
+   * @param {string} keyVersion - Key version to decrypt with
+   * @param {Uint8Array} encryptedSymmetricKey - Raw RSA-OAEP ciphertext
+   * @returns {Promise<Response>}
+   */
+  async _decrypt (keyName, keyVersion, encryptedSymmetricKey) {
+    // Clients encrypt with the raw RSA public key, so the ciphertext has to be wrapped
+    // in Vault's `vault:v<version>:<base64>` format before it can be decrypted
+    const ciphertext = `vault:v${keyVersion}:${btoa(Array.from(encryptedSymmetricKey, byte => String.fromCharCode(byte)).join(''))}`
+    return fetch(`${this.baseUrl}/decrypt/${keyName}`, {
+      method: 'POST',
+      headers: this.headers,
+      body: JSON.stringify({ ciphertext }),
+      signal: AbortSignal.timeout(TIMEOUTS.KMS_DECRYPT)
+    })
+  }
+
+  /**
+   * Reads a transit key, returning null when it does not exist
+   *
+   * @private
+   * @param {string} keyName - Transit key name
+   * @returns {Promise<TransitKey | null>}
+   */
+  async _readKey (keyName) {
+    const response = await fetch(`${this.baseUrl}/keys/${keyName}`, {
+      headers: this.headers,
+      signal: AbortSignal.timeout(TIMEOUTS.KEY_LOOKUP)
+    })
+
+    if (response.status === 404) {
+      return null
+    }
+    if (!response.ok) {
+      const errorText = await response.text()
+      throw new Error(`Transit key lookup failed ${keyName}: ${response.status} - ${errorText}`)
+    }
+
+    const result = await response.json()
+    return /** @type {TransitKey} */ (result.data)
+  }
+
+  /**
+   * Creates an rsa-3072 transit key
+   *
+   * @private
+   * @param {string} keyName - Transit key name
+   */
+  async _createKey (keyName) {
+    const response = await fetch(`${this.baseUrl}/keys/${keyName}`, {
+      method: 'POST',
+      headers: this.headers,
+      body: JSON.stringify({ type: VAULT_KEY_TYPE, exportable: false }),
+      signal: AbortSignal.timeout(TIMEOUTS.KEY_CREATION)
+    })
+
+    if (!response.ok) {
+      const errorText = await response.text()
+      throw new Error(`Transit key creation failed ${keyName}: ${response.status} - ${errorText}`)
+    }
+  }
+
+  /**
+   * Extracts the PEM public key of the latest version
+   *
+   * @private
+   * @param {string} keyName - Transit key name
+   * @param {TransitKey} key - Transit key data
+   * @returns {EncryptionSetupResult}
+   */
+  _toSetupResult (keyName, key) {
+    if (key.type !== VAULT_KEY_TYPE) {
+      throw new Error(`Transit key ${keyName} has unexpected type ${key.type}`)
+    }
+    const publicKey = key.keys?.[String(key.latest_version)]?.public_key
+    if (!publicKey || !publicKey.startsWith('-----BEGIN PUBLIC KEY-----')) {
+      throw new Error(`Transit key ${keyName} is missing a PEM public key`)
+    }
+    return {
+      publicKey,
+      algorithm: CLIENT_ALGORITHM,
+      provider: 'vault-transit'
+    }
+  }
+}
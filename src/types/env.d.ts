@@ -1,6 +1,6 @@
 /// <reference types="@cloudflare/workers-types" />
 
-import { KVNamespace } from "@cloudflare/workers-types";
+import { KVNamespace, DurableObjectNamespace } from "@cloudflare/workers-types";
 
 export interface Env {
   /**
@@ -23,6 +23,22 @@ export interface Env {
    */
   UCAN_VALIDATOR_PROOF?: string;
 
+  // KMS provider
+  /**
+   * KMS provider to use: google-kms (default), aws-kms, vault-transit or local
+   */
+  KMS_PROVIDER?: string;
+
+  /**
+   * Cloudflare KV namespace holding the software keys of the local KMS provider (development only)
+   */
+  LOCAL_KMS_KV?: KVNamespace;
+
+  /**
+   * Cloudflare KV namespace recording where the KMS key of each space lives (provider, location, keyring, version)
+   */
+  KMS_KEY_METADATA_KV?: KVNamespace;
+
   // Google KMS
   /**
    * Google KMS project ID
@@ -50,12 +66,85 @@ export interface Env {
    */
   GOOGLE_KMS_SERVICE_ACCOUNT_JSON?: string;
 
+  // AWS KMS
+  /**
+   * AWS region of the KMS keys, e.g. us-east-1
+   */
+  AWS_KMS_REGION?: string;
+
+  /**
+   * AWS access key ID used to sign KMS requests
+   */
+  AWS_ACCESS_KEY_ID?: string;
+
+  /**
+   * AWS secret access key used to sign KMS requests
+   */
+  AWS_SECRET_ACCESS_KEY?: string;
+
+  /**
+   * AWS session token (optional - only for temporary credentials)
+   */
+  AWS_SESSION_TOKEN?: string;
+
+  /**
+   * AWS KMS endpoint override (optional - defaults to https://kms.{region}.amazonaws.com/)
+   */
+  AWS_KMS_ENDPOINT?: string;
+
+  // HashiCorp Vault transit
+  /**
+   * Vault server address, e.g. https://vault.example.com:8200
+   */
+  VAULT_ADDR?: string;
+
+  /**
+   * Vault token with access to the transit mount
+   */
+  VAULT_TOKEN?: string;
+
+  /**
+   * Mount path of the transit secrets engine (optional - defaults to transit)
+   */
+  VAULT_TRANSIT_MOUNT?: string;
+
+  /**
+   * Vault Enterprise namespace (optional)
+   */
+  VAULT_NAMESPACE?: string;
+
   // Revocation status service
   /**
-   * URL of the revocation status service to check UCAN delegations
+   * URL of the revocation status service to check UCAN delegations (optional - defaults to UPLOAD_SERVICE_URL)
    */
   REVOCATION_STATUS_SERVICE_URL?: string;
 
+  /**
+   * Cloudflare KV namespace holding the revocations submitted with ucan/revoke, also the revocation source when no revocation service URL is configured (optional)
+   */
+  KMS_REVOCATIONS_KV?: KVNamespace;
+
+  /**
+   * Cloudflare KV namespace caching revocation results by delegation CID (optional)
+   */
+  KMS_REVOCATION_CACHE_KV?: KVNamespace;
+
+  /**
+   * Time to live of cached "not revoked" results in seconds (optional - defaults to 60, the minimum)
+   */
+  REVOCATION_CACHE_TTL_SECONDS?: string;
+
+  // Plan service
+  /**
+   * Cloudflare KV namespace caching the paid plans of accounts (optional)
+   */
+  KMS_PLAN_CACHE_KV?: KVNamespace;
+
+  /**
+   * Time to live of cached plans in seconds (optional - defaults to 300, at least 60)
+   */
+  PLAN_CACHE_TTL_SECONDS?: string;
+
   // Rate limiting service
   /**
    * Feature flag to enable/disable KMS rate limiting
@@ -67,6 +156,47 @@ export interface Env {
    */
   KMS_RATE_LIMIT_KV?: KVNamespace;
 
+  /**
+   * Durable Object namespace of RateLimitCounter, used instead of KMS_RATE_LIMIT_KV when bound
+   */
+  KMS_RATE_LIMIT_DO?: DurableObjectNamespace;
+
+  /**
+   * Durable Object namespace of AccountSpaceRegistry, which counts the encrypted spaces of each
+   * account against the `maxEncryptedSpaces` entitlement of their plan
+   */
+  KMS_ACCOUNT_SPACES_DO?: DurableObjectNamespace;
+
+  /**
+   * JSON rate limit overrides by plan product and operation, e.g.
+   * `{"did:web:business.web3.storage":{"space/encryption/key/decrypt":{"perSpace":10000}}}`.
+   * The `config:plan-rate-limits` entry of KMS_RATE_LIMIT_KV takes precedence.
+   */
+  KMS_PLAN_RATE_LIMITS?: string;
+
+  /**
+   * JSON plan catalogue mapping plan products to their entitlements, e.g.
+   * `{"did:web:business.web3.storage":{"encryption":true,"batchDecrypt":true,"maxEncryptedSpaces":100}}`.
+   * The `config:plan-catalogue` entry of KMS_RATE_LIMIT_KV takes precedence.
+   */
+  KMS_PLAN_CATALOGUE?: string;
+
+  // Failure policies
+  /**
+   * Failure policy of the rate limiter when its counters fail: open (default) or closed
+   */
+  FAIL_POLICY_RATE_LIMITER?: string;
+
+  /**
+   * Failure policy of the revocation check when the revocation service fails: open (default) or closed
+   */
+  FAIL_POLICY_REVOCATION?: string;
+
+  /**
+   * Failure policy of the plan check when the plan service fails: open or closed (default)
+   */
+  FAIL_POLICY_PLAN?: string;
+
   /**
    * Upload service URL
    */
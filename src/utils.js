@@ -21,3 +21,14 @@ export function sanitizeSpaceDIDForKMSKeyId (spaceDID) {
 
   return keyId
 }
+
+/**
+ * Encodes a DER (SubjectPublicKeyInfo) public key in PEM format
+ * @param {Uint8Array} der - The DER-encoded public key
+ * @returns {string} - The PEM-encoded public key
+ */
+export function encodePublicKeyPem (der) {
+  const binaryString = Array.from(der, byte => String.fromCharCode(byte)).join('')
+  const lines = btoa(binaryString).match(/.{1,64}/g) || []
+  return `-----BEGIN PUBLIC KEY-----\n${lines.join('\n')}\n-----END PUBLIC KEY-----\n`
+}
@@ -6,7 +6,11 @@
 import { describe, it, beforeEach, afterEach } from 'mocha'
 import { expect } from 'chai'
 import sinon from 'sinon'
-import { RevocationStatusClientImpl } from '../../../src/clients/revocation.js'
+import * as ed25519 from '@ucanto/principal/ed25519'
+import { delegate, CAR, CBOR } from '@ucanto/core'
+import { RevocationStatusClientImpl, REVOCATION_QUERY, REVOCATION_RESULT } from '../../../src/clients/revocation.js'
+import { MemoryRevocationSource } from '../../../src/clients/revocationSource.js'
+import { DelegationRevoked } from '../../../src/errors.js'
 
 describe('RevocationStatusService', () => {
   /** @type {sinon.SinonSandbox} */
@@ -253,4 +257,442 @@ describe('RevocationStatusService', () => {
       expect(result.error?.message).to.equal(`No valid delegations found for space ${mockSpaceDID}`)
     })
   })
+  describe('failure policy', () => {
+    beforeEach(() => {
+      sandbox.stub(console, 'warn')
+      sandbox.stub(console, 'log')
+      // The decrypt delegation is not revoked, the service fails for its parent
+      const fetchStub = sandbox.stub(globalThis, 'fetch')
+      // @ts-ignore - Testing with mock responses
+      fetchStub.onFirstCall().resolves({ status: 404 })
+      // @ts-ignore - Testing with mock responses
+      fetchStub.onSecondCall().resolves({ status: 503 })
+    })
+
+    it('should treat unavailable revocation statuses as not revoked by default', async () => {
+      const result = await service.checkStatus(mockProofs, mockSpaceDID, env)
+
+      expect(result.ok).to.be.true
+    })
+
+    it('should fail closed when the revocation policy is closed', async () => {
+      env.FAIL_POLICY_REVOCATION = 'closed'
+      const logSecurityEvent = sandbox.spy(service.auditLog, 'logSecurityEvent')
+
+      const result = await service.checkStatus(mockProofs, mockSpaceDID, env)
+
+      expect(result.error?.message).to.equal('Revocation status check failed')
+      expect(logSecurityEvent.calledWith('failure_policy_applied', sinon.match({
+        operation: 'revocation',
+        status: 'fail_closed',
+        metadata: sinon.match({ delegations: ['bafyreib4pff766vhpbxbhjbqqnsh5emeznvujayjj4z2iu533joyfpgb6z'] })
+      }))).to.be.true
+    })
+  })
+  describe('caching', () => {
+    const decryptCID = 'bafyreib4pff766vhpbxbhjbqqnsh5emeznvujayjj4z2iu533joyfpga5y'
+    const parentCID = 'bafyreib4pff766vhpbxbhjbqqnsh5emeznvujayjj4z2iu533joyfpgb6z'
+    /** @type {Map<string, import('../../../src/clients/revocation.types.js').RevocationCacheStatus>} */
+    let cached
+    /** @type {sinon.SinonStub} */
+    let fetchStub
+
+    beforeEach(() => {
+      cached = new Map()
+      service = new RevocationStatusClientImpl({
+        cache: {
+          get: async cid => cached.get(cid),
+          put: async (cid, status) => { cached.set(cid, status) }
+        }
+      })
+      fetchStub = sandbox.stub(globalThis, 'fetch')
+    })
+
+    it('should cache not revoked results and skip the service on hits', async () => {
+      // @ts-ignore - Testing with mock responses
+      fetchStub.resolves({ status: 404 })
+
+      await service.checkStatus(mockProofs, mockSpaceDID, env)
+      const logSecurityEvent = sandbox.spy(service.auditLog, 'logSecurityEvent')
+      const result = await service.checkStatus(mockProofs, mockSpaceDID, env)
+
+      expect(result.ok).to.be.true
+      expect(fetchStub.callCount).to.equal(2)
+      expect(cached.get(decryptCID)).to.equal('not-revoked')
+      expect(logSecurityEvent.calledWith('revocation_check_success', sinon.match({
+        metadata: sinon.match({ cache: { hits: 2, misses: 0 } })
+      }))).to.be.true
+    })
+
+    it('should cache revoked results', async () => {
+      // @ts-ignore - Testing with mock responses
+      fetchStub.resolves({ status: 200 })
+
+      await service.checkStatus(mockProofs, mockSpaceDID, env)
+
+      expect([cached.get(decryptCID), cached.get(parentCID)]).to.include('revoked')
+    })
+
+    it('should refuse cached revocations without calling the service', async () => {
+      cached.set(parentCID, 'revoked')
+      // @ts-ignore - Testing with mock responses
+      fetchStub.resolves({ status: 404 })
+
+      const result = await service.checkStatus(mockProofs, mockSpaceDID, env)
+
+      expect(result.error?.message).to.equal('Delegation explicitly revoked')
+      expect(fetchStub.calledWith(`${env.UPLOAD_SERVICE_URL}/revocations/${parentCID}`)).to.be.false
+    })
+
+    it('should not cache unavailable statuses', async () => {
+      sandbox.stub(console, 'warn')
+      sandbox.stub(console, 'log')
+      // @ts-ignore - Testing with mock responses
+      fetchStub.resolves({ status: 503 })
+
+      await service.checkStatus(mockProofs, mockSpaceDID, env)
+
+      expect(cached.size).to.equal(0)
+    })
+
+    it('should fall back to the service when the cache fails', async () => {
+      sandbox.stub(console, 'error')
+      service.cache = {
+        get: async () => { throw new Error('KV unavailable') },
+        put: async () => { throw new Error('KV unavailable') }
+      }
+      // @ts-ignore - Testing with mock responses
+      fetchStub.resolves({ status: 404 })
+
+      const result = await service.checkStatus(mockProofs, mockSpaceDID, env)
+
+      expect(result.ok).to.be.true
+      expect(fetchStub.callCount).to.equal(2)
+    })
+  })
+  describe('bulk query', () => {
+    /** @type {import('@ucanto/interface').Delegation} */
+    let share
+    /** @type {import('@ucanto/interface').Delegation} */
+    let redelegation
+    /** @type {string[][]} */
+    let bulkQueries
+    /** @type {string[]} */
+    let singleQueries
+    /** @type {number} */
+    let serviceCount = 0
+
+    beforeEach(async () => {
+      const space = await ed25519.Signer.generate()
+      const alice = await ed25519.Signer.generate()
+      const bob = await ed25519.Signer.generate()
+      /** @type {any} */
+      const capabilities = [{ can: 'space/content/decrypt', with: space.did(), nb: { resource: 'bafkreihash' } }]
+      share = await delegate({ issuer: space, audience: alice, capabilities })
+      redelegation = await delegate({ issuer: alice, audience: bob, capabilities, proofs: [share] })
+      mockProofs = [redelegation]
+      mockSpaceDID = space.did()
+      // Services remember that they have no bulk endpoint, each test gets its own
+      env.UPLOAD_SERVICE_URL = `https://bulk-${++serviceCount}.service.test`
+      bulkQueries = []
+      singleQueries = []
+    })
+
+    /**
+     * Stubs the revocation service
+     * @param {(cids: string[]) => Response} bulk - Responds to bulk queries
+     */
+    const stubService = (bulk) => sandbox.stub(globalThis, 'fetch').callsFake(async (url, init) => {
+      if (init?.method === 'POST') {
+        const [root] = CAR.decode(new Uint8Array(/** @type {Uint8Array} */ (init.body))).roots
+        const cids = /** @type {any} */ (CBOR.decode(root.bytes))[REVOCATION_QUERY].delegations.map(String)
+        bulkQueries.push(cids)
+        return bulk(cids)
+      }
+      singleQueries.push(String(url))
+      return new Response(null, { status: 404 })
+    })
+
+    /**
+     * @param {import('@ucanto/interface').Link[]} revoked
+     */
+    const bulkResult = async (revoked) => {
+      const root = await CBOR.write({ [REVOCATION_RESULT]: { revoked } })
+      return new Response(CAR.encode({ roots: [root] }), { status: 200 })
+    }
+
+    it('should query every delegation of the chain in one request', async () => {
+      const response = await bulkResult([])
+      stubService(() => response)
+
+      const result = await service.checkStatus(mockProofs, mockSpaceDID, env)
+
+      expect(result.ok).to.be.true
+      expect(bulkQueries).to.deep.equal([[redelegation.cid.toString(), share.cid.toString()]])
+      expect(singleQueries).to.be.empty
+    })
+
+    it('should refuse delegations revoked in the bulk result', async () => {
+      const response = await bulkResult([share.cid])
+      stubService(() => response)
+
+      const result = await service.checkStatus(mockProofs, mockSpaceDID, env)
+
+      expect(result.error?.message).to.equal('Delegation explicitly revoked')
+    })
+
+    it('should cache the results of the bulk query', async () => {
+      /** @type {Map<string, string>} */
+      const cached = new Map()
+      service = new RevocationStatusClientImpl({
+        cache: { get: async cid => /** @type {any} */ (cached.get(cid)), put: async (cid, status) => { cached.set(cid, status) } }
+      })
+      const response = await bulkResult([share.cid])
+      stubService(() => response)
+
+      await service.checkStatus(mockProofs, mockSpaceDID, env)
+
+      expect(cached.get(share.cid.toString())).to.equal('revoked')
+      expect(cached.get(redelegation.cid.toString())).to.equal('not-revoked')
+    })
+
+    it('should fall back to one request per delegation without bulk endpoint', async () => {
+      stubService(() => new Response(null, { status: 404 }))
+
+      expect((await service.checkStatus(mockProofs, mockSpaceDID, env)).ok).to.be.true
+      expect((await service.checkStatus(mockProofs, mockSpaceDID, env)).ok).to.be.true
+
+      // The missing bulk endpoint is remembered
+      expect(bulkQueries).to.have.lengthOf(1)
+      expect(singleQueries).to.have.lengthOf(4)
+    })
+
+    it('should fall back to one request per delegation on malformed bulk responses', async () => {
+      sandbox.stub(console, 'warn')
+      stubService(() => new Response(new Uint8Array([1, 2, 3]), { status: 200 }))
+      sandbox.stub(console, 'error')
+
+      const result = await service.checkStatus(mockProofs, mockSpaceDID, env)
+      await service.checkStatus(mockProofs, mockSpaceDID, env)
+
+      expect(result.ok).to.be.true
+      expect(bulkQueries).to.have.lengthOf(2)
+      expect(singleQueries).to.have.lengthOf(4)
+    })
+
+    it('should leave the chain to the failure policy when the bulk query times out', async () => {
+      sandbox.stub(console, 'warn')
+      env.FAIL_POLICY_REVOCATION = 'closed'
+      /** @type {AbortSignal | undefined} */
+      let signal
+      const fetchStub = sandbox.stub(globalThis, 'fetch').callsFake(async (url, init) => {
+        signal = init?.signal ?? undefined
+        throw new DOMException('The operation was aborted due to timeout', 'TimeoutError')
+      })
+
+      const result = await service.checkStatus(mockProofs, mockSpaceDID, env)
+
+      expect(result.error?.message).to.equal('Revocation status check failed')
+      expect(signal).to.be.instanceOf(AbortSignal)
+      // The service does not answer, so the delegations are not asked for one by one
+      expect(fetchStub.calledOnce).to.be.true
+    })
+  })
+
+  describe('exercised capability', () => {
+    /** @type {ed25519.EdSigner} */
+    let space
+    /** @type {ed25519.EdSigner} */
+    let alice
+    /** @type {string | undefined} */
+    let revokedCID
+
+    beforeEach(async () => {
+      space = await ed25519.Signer.generate()
+      alice = await ed25519.Signer.generate()
+      mockSpaceDID = space.did()
+      revokedCID = undefined
+      // No bulk endpoint, every delegation is checked on its own
+      sandbox.stub(globalThis, 'fetch').callsFake(async (url, init) => {
+        const revoked = init?.method !== 'POST' && revokedCID !== undefined && String(url).endsWith(revokedCID)
+        return new Response(null, { status: revoked ? 200 : 404 })
+      })
+    })
+
+    /**
+     * @param {string} can
+     */
+    const delegateAbility = (can) => {
+      /** @type {any} */
+      const capabilities = [{ can, with: space.did() }]
+      return delegate({ issuer: space, audience: alice, capabilities })
+    }
+
+    it('should check setup delegations when setup is exercised', async () => {
+      const setup = await delegateAbility('space/encryption/setup')
+      revokedCID = setup.cid.toString()
+
+      const result = await service.checkStatus([setup], mockSpaceDID, env, { capability: 'space/encryption/setup' })
+
+      expect(result.error?.message).to.equal('Delegation explicitly revoked')
+    })
+
+    it('should check wildcard delegations that grant the exercised capability', async () => {
+      const wildcard = await delegateAbility('space/*')
+      revokedCID = wildcard.cid.toString()
+
+      const result = await service.checkStatus([wildcard], mockSpaceDID, env, { capability: 'space/encryption/setup' })
+
+      expect(result.error?.message).to.equal('Delegation explicitly revoked')
+    })
+
+    it('should not accept delegations of another capability', async () => {
+      const decrypt = await delegateAbility('space/content/decrypt')
+
+      const result = await service.checkStatus([decrypt], mockSpaceDID, env, { capability: 'space/encryption/setup' })
+
+      expect(result.error?.message).to.include('No valid delegations found')
+    })
+  })
+
+  describe('injected source', () => {
+    const decryptCID = 'bafyreib4pff766vhpbxbhjbqqnsh5emeznvujayjj4z2iu533joyfpga5y'
+    const parentCID = 'bafyreib4pff766vhpbxbhjbqqnsh5emeznvujayjj4z2iu533joyfpgb6z'
+
+    it('should look up revocations in the injected source instead of the service', async () => {
+      const fetchStub = sandbox.stub(globalThis, 'fetch')
+      service = new RevocationStatusClientImpl({ source: new MemoryRevocationSource([parentCID]) })
+
+      const result = await service.checkStatus(mockProofs, mockSpaceDID, env)
+
+      expect(result.error?.message).to.equal('Delegation explicitly revoked')
+      expect(fetchStub.called).to.be.false
+    })
+
+    it('should accept delegations the injected source does not hold', async () => {
+      service = new RevocationStatusClientImpl({ source: new MemoryRevocationSource() })
+
+      const result = await service.checkStatus(mockProofs, mockSpaceDID, /** @type {any} */ ({}))
+
+      expect(result.ok).to.be.true
+    })
+
+    it('should check each delegation on its own when the bulk lookup fails', async () => {
+      sandbox.stub(console, 'warn')
+      const source = new MemoryRevocationSource([decryptCID])
+      sandbox.stub(source, 'queryRevoked').rejects(new Error('Bulk lookup failed'))
+      service = new RevocationStatusClientImpl({ source })
+
+      const result = await service.checkStatus(mockProofs, mockSpaceDID, env)
+
+      expect(result.error?.message).to.equal('Delegation explicitly revoked')
+    })
+
+    it('should apply the revocation failure policy when the revocation store fails', async () => {
+      sandbox.stub(console, 'error')
+      sandbox.stub(console, 'warn')
+      const store = new MemoryRevocationSource([decryptCID])
+      sandbox.stub(store, 'queryRevoked').rejects(new Error('KV unavailable'))
+      service = new RevocationStatusClientImpl({ source: new MemoryRevocationSource(), store })
+      const logSecurityEvent = sandbox.spy(service.auditLog, 'logSecurityEvent')
+
+      // Open by default: the other sources are still checked
+      expect((await service.checkStatus(mockProofs, mockSpaceDID, env)).ok).to.be.true
+
+      env.FAIL_POLICY_REVOCATION = 'closed'
+      const result = await service.checkStatus(mockProofs, mockSpaceDID, env)
+
+      expect(result.error?.message).to.equal('Revocation status check failed')
+      expect(logSecurityEvent.calledWith('failure_policy_applied', sinon.match({
+        operation: 'revocation',
+        status: 'fail_closed',
+        metadata: sinon.match({ source: 'store' })
+      }))).to.be.true
+    })
+  })
+
+  describe('delegations the invocation relies on', () => {
+    /** @type {ed25519.EdSigner} */
+    let space
+    /** @type {ed25519.EdSigner} */
+    let agent
+    /** @type {ed25519.EdSigner} */
+    let kms
+    /** @type {import('@ucanto/interface').Delegation} */
+    let share
+    /** @type {import('@ucanto/interface').Delegation} */
+    let planGet
+    /** @type {import('@ucanto/interface').Delegation} */
+    let foreign
+    /** @type {import('@ucanto/interface').Invocation} */
+    let invocation
+
+    beforeEach(async () => {
+      space = await ed25519.Signer.generate()
+      agent = await ed25519.Signer.generate()
+      kms = await ed25519.Signer.generate()
+      const account = await ed25519.Signer.generate()
+      const other = await ed25519.Signer.generate()
+      /** @type {any} */
+      const foreignCapabilities = [{ can: 'space/*', with: other.did() }]
+      // A chain member on another space, proof of the decrypt delegation
+      foreign = await delegate({ issuer: other, audience: space, capabilities: foreignCapabilities })
+      /** @type {any} */
+      const decryptCapabilities = [{ can: 'space/content/decrypt', with: space.did() }]
+      share = await delegate({ issuer: space, audience: agent, capabilities: decryptCapabilities, proofs: [foreign] })
+      /** @type {any} */
+      const planCapabilities = [{ can: 'plan/get', with: account.did() }]
+      planGet = await delegate({ issuer: account, audience: agent, capabilities: planCapabilities })
+      /** @type {any} */
+      const invocationCapabilities = [{ can: 'space/encryption/key/decrypt', with: space.did() }]
+      invocation = await delegate({ issuer: agent, audience: kms, capabilities: invocationCapabilities, proofs: [share, planGet] })
+      mockSpaceDID = space.did()
+    })
+
+    /**
+     * @param {import('@ucanto/interface').Delegation} revoked
+     */
+    const checkRevoked = async (revoked) => {
+      service = new RevocationStatusClientImpl({ source: new MemoryRevocationSource([revoked.cid.toString()]) })
+      return service.checkStatus(invocation.proofs, mockSpaceDID, env, { invocation })
+    }
+
+    it('should refuse revoked invocations', async () => {
+      const result = await checkRevoked(invocation)
+
+      expect(result.error).to.be.instanceOf(DelegationRevoked)
+      expect(result.error).to.include({ delegation: invocation.cid.toString() })
+    })
+
+    it('should refuse revoked delegations of other proof branches', async () => {
+      const result = await checkRevoked(planGet)
+
+      expect(result.error).to.include({ name: 'DelegationRevoked', delegation: planGet.cid.toString() })
+    })
+
+    it('should refuse revoked chain members on another space', async () => {
+      const result = await checkRevoked(foreign)
+
+      expect(result.error).to.include({ name: 'DelegationRevoked', delegation: foreign.cid.toString() })
+    })
+
+    it('should accept invocations without revoked delegations', async () => {
+      service = new RevocationStatusClientImpl({ source: new MemoryRevocationSource() })
+
+      const result = await service.checkStatus(invocation.proofs, mockSpaceDID, env, { invocation })
+
+      expect(result.ok).to.be.true
+    })
+
+    it('should check invocations of the space itself without delegation of the capability', async () => {
+      /** @type {any} */
+      const capabilities = [{ can: 'space/encryption/setup', with: space.did() }]
+      const setup = await delegate({ issuer: space, audience: kms, capabilities, proofs: [planGet] })
+      service = new RevocationStatusClientImpl({ source: new MemoryRevocationSource([planGet.cid.toString()]) })
+
+      const result = await service.checkStatus(setup.proofs, mockSpaceDID, env, { capability: 'space/encryption/setup', invocation: setup })
+
+      expect(result.error).to.include({ name: 'DelegationRevoked', delegation: planGet.cid.toString() })
+    })
+  })
 })
@@ -0,0 +1,67 @@
+/* eslint-disable no-unused-expressions
+   ---
+   `no-unused-expressions` doesn't understand that several of Chai's assertions
+   are implemented as getters rather than explicit function calls; it thinks
+   the assertions are unused expressions. */
+import { describe, it, beforeEach, afterEach } from 'mocha'
+import { expect } from 'chai'
+import sinon from 'sinon'
+import { KVRevocationCache, createRevocationCache } from '../../../src/clients/revocationCache.js'
+
+describe('Revocation cache', () => {
+  /** @type {sinon.SinonSandbox} */
+  let sandbox
+  /** @type {any} */
+  let kv
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+    kv = { get: sandbox.stub().resolves(null), put: sandbox.stub().resolves() }
+  })
+
+  afterEach(() => {
+    sandbox.restore()
+  })
+
+  describe('KVRevocationCache', () => {
+    it('should cache revoked results without expiration', async () => {
+      const cache = new KVRevocationCache(kv)
+
+      await cache.put('bafy-revoked', 'revoked')
+
+      expect(kv.put.calledWith('revocation:bafy-revoked', 'revoked', {})).to.be.true
+    })
+
+    it('should cache not revoked results with the TTL', async () => {
+      const cache = new KVRevocationCache(kv, 300)
+
+      await cache.put('bafy-valid', 'not-revoked')
+
+      expect(kv.put.calledWith('revocation:bafy-valid', 'not-revoked', { expirationTtl: 300 })).to.be.true
+    })
+
+    it('should return cached statuses and ignore unknown values', async () => {
+      const cache = new KVRevocationCache(kv)
+      kv.get.withArgs('revocation:bafy-revoked').resolves('revoked')
+      kv.get.withArgs('revocation:bafy-invalid').resolves('maybe')
+
+      expect(await cache.get('bafy-revoked')).to.equal('revoked')
+      expect(await cache.get('bafy-invalid')).to.be.undefined
+      expect(await cache.get('bafy-missing')).to.be.undefined
+    })
+  })
+
+  describe('createRevocationCache', () => {
+    it('should return undefined when the namespace is not bound', () => {
+      expect(createRevocationCache(/** @type {any} */ ({}))).to.be.undefined
+    })
+
+    it('should not cache not revoked results for less than 60 seconds', async () => {
+      const cache = createRevocationCache(/** @type {any} */ ({ KMS_REVOCATION_CACHE_KV: kv, REVOCATION_CACHE_TTL_SECONDS: '10' }))
+
+      await cache?.put('bafy-valid', 'not-revoked')
+
+      expect(kv.put.calledWith('revocation:bafy-valid', 'not-revoked', { expirationTtl: 60 })).to.be.true
+    })
+  })
+})
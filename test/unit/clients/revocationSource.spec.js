@@ -0,0 +1,105 @@
+/* eslint-disable no-unused-expressions
+   ---
+   `no-unused-expressions` doesn't understand that several of Chai's assertions
+   are implemented as getters rather than explicit function calls; it thinks
+   the assertions are unused expressions. */
+import { describe, it, beforeEach, afterEach } from 'mocha'
+import { expect } from 'chai'
+import sinon from 'sinon'
+import {
+  HTTPRevocationSource,
+  KVRevocationSource,
+  MemoryRevocationSource,
+  createRevocationSource
+} from '../../../src/clients/revocationSource.js'
+
+describe('Revocation sources', () => {
+  /** @type {sinon.SinonSandbox} */
+  let sandbox
+  /** @type {any} */
+  let kv
+
+  /**
+   * @param {string} cid
+   */
+  const delegation = (cid) => /** @type {any} */ ({ cid: { toString: () => cid } })
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+    kv = { get: sandbox.stub().resolves(null), put: sandbox.stub().resolves() }
+  })
+
+  afterEach(() => {
+    sandbox.restore()
+  })
+
+  describe('HTTPRevocationSource', () => {
+    it('should map the service responses to statuses', async () => {
+      sandbox.stub(console, 'warn')
+      const fetchStub = sandbox.stub(globalThis, 'fetch')
+      fetchStub.withArgs('https://revocations.test/revocations/bafy-revoked').resolves(new Response(null, { status: 200 }))
+      fetchStub.withArgs('https://revocations.test/revocations/bafy-valid').resolves(new Response(null, { status: 404 }))
+      fetchStub.withArgs('https://revocations.test/revocations/bafy-unknown').resolves(new Response(null, { status: 503 }))
+      const source = new HTTPRevocationSource('https://revocations.test')
+
+      expect(await source.getStatus('bafy-revoked')).to.equal('revoked')
+      expect(await source.getStatus('bafy-valid')).to.equal('not-revoked')
+      expect(await source.getStatus('bafy-unknown')).to.equal('unavailable')
+    })
+  })
+
+  describe('KVRevocationSource', () => {
+    it('should record revocations without expiration', async () => {
+      const source = new KVRevocationSource(kv)
+
+      await source.revoke('bafy-revoked')
+
+      expect(kv.put.calledOnceWith('revoked:bafy-revoked', sinon.match.string)).to.be.true
+      expect(kv.put.firstCall.args).to.have.lengthOf(2)
+    })
+
+    it('should return the stored revocations', async () => {
+      kv.get.withArgs('revoked:bafy-revoked').resolves('2026-01-01T00:00:00.000Z')
+      const source = new KVRevocationSource(kv)
+
+      expect(await source.getStatus('bafy-revoked')).to.equal('revoked')
+      expect(await source.getStatus('bafy-valid')).to.equal('not-revoked')
+      expect(await source.queryRevoked([delegation('bafy-revoked'), delegation('bafy-valid')])).to.deep.equal(new Set(['bafy-revoked']))
+    })
+  })
+
+  describe('MemoryRevocationSource', () => {
+    it('should return the revocations it holds', async () => {
+      const source = new MemoryRevocationSource(['bafy-revoked'])
+      await source.revoke('bafy-later')
+
+      expect(await source.getStatus('bafy-revoked')).to.equal('revoked')
+      expect(await source.getStatus('bafy-valid')).to.equal('not-revoked')
+      expect(await source.queryRevoked([delegation('bafy-later'), delegation('bafy-valid')])).to.deep.equal(new Set(['bafy-later']))
+    })
+  })
+
+  describe('createRevocationSource', () => {
+    it('should prefer the revocation status service URL over the upload service', async () => {
+      const fetchStub = sandbox.stub(globalThis, 'fetch').resolves(new Response(null, { status: 404 }))
+      const source = createRevocationSource(/** @type {any} */ ({
+        REVOCATION_STATUS_SERVICE_URL: 'https://revocations.test',
+        UPLOAD_SERVICE_URL: 'https://upload.test',
+        KMS_REVOCATIONS_KV: kv
+      }))
+
+      await source?.getStatus('bafy-valid')
+
+      expect(source).to.be.instanceOf(HTTPRevocationSource)
+      expect(fetchStub.calledWith('https://revocations.test/revocations/bafy-valid')).to.be.true
+    })
+
+    it('should use the KV namespace without service URL', () => {
+      expect(createRevocationSource(/** @type {any} */ ({ KMS_REVOCATIONS_KV: kv }))).to.be.instanceOf(KVRevocationSource)
+    })
+
+    it('should return undefined when no source is configured', () => {
+      expect(createRevocationSource(/** @type {any} */ ({}))).to.be.undefined
+    })
+  })
+})
@@ -0,0 +1,108 @@
+/* eslint-disable no-unused-expressions
+   ---
+   `no-unused-expressions` doesn't understand that several of Chai's assertions
+   are implemented as getters rather than explicit function calls; it thinks
+   the assertions are unused expressions. */
+import { describe, it } from 'mocha'
+import { expect } from 'chai'
+import { encodeEnvelope, decodeEnvelope, openEnvelope, ENVELOPE_MAGIC, ENVELOPE_FORMAT_VERSION } from '../../src/envelope.js'
+
+describe('Envelope', () => {
+  const space = 'did:key:z6Mko5igLB7NBgBcDYjM7MnRZDFKCLYAfbsEYAnx8HRJGJmu'
+  const otherSpace = 'did:key:z6MkhaFjCbGGPG6LyFz28drtvGTt1gTX3KRByq6PnVPJpvKj'
+  const algorithm = 'RSA_DECRYPT_OAEP_3072_SHA256'
+  /** @type {import('../../src/envelope.js').EnvelopeHeader} */
+  const header = { provider: 'google-kms', keyVersion: '2', algorithm, space }
+  const ciphertext = new Uint8Array(384).fill(9)
+
+  describe('encodeEnvelope / decodeEnvelope', () => {
+    it('should round-trip the header and ciphertext', () => {
+      const bytes = encodeEnvelope(header, ciphertext)
+
+      expect(bytes.subarray(0, 4)).to.deep.equal(ENVELOPE_MAGIC)
+      expect(bytes[4]).to.equal(ENVELOPE_FORMAT_VERSION)
+      const envelope = decodeEnvelope(bytes)
+      expect(envelope?.header).to.deep.equal(header)
+      expect(envelope?.ciphertext).to.deep.equal(ciphertext)
+    })
+
+    it('should decode an envelope that is a view into a larger buffer', () => {
+      const bytes = encodeEnvelope(header, ciphertext)
+      const buffer = new Uint8Array(bytes.length + 10)
+      buffer.set(bytes, 10)
+
+      expect(decodeEnvelope(buffer.subarray(10))?.header).to.deep.equal(header)
+    })
+
+    it('should treat a raw ciphertext as legacy', () => {
+      expect(decodeEnvelope(ciphertext)).to.be.undefined
+    })
+
+    it('should treat bytes that only start with the magic as legacy', () => {
+      const bytes = new Uint8Array(384).fill(0xff)
+      bytes.set(ENVELOPE_MAGIC, 0)
+      bytes[4] = ENVELOPE_FORMAT_VERSION
+
+      expect(decodeEnvelope(bytes)).to.be.undefined
+    })
+
+    it('should treat an unknown format version as legacy', () => {
+      const bytes = encodeEnvelope(header, ciphertext)
+      bytes[4] = ENVELOPE_FORMAT_VERSION + 1
+
+      expect(decodeEnvelope(bytes)).to.be.undefined
+    })
+
+    it('should reject an incomplete header', () => {
+      expect(() => encodeEnvelope(/** @type {any} */ ({ provider: 'google-kms', space }), ciphertext))
+        .to.throw('Envelope header must contain provider, keyVersion, algorithm, space')
+    })
+  })
+
+  describe('openEnvelope', () => {
+    const expected = { provider: 'google-kms', algorithm }
+
+    it('should keep the key version hint of a legacy ciphertext', () => {
+      const result = openEnvelope({ space, encryptedSymmetricKey: ciphertext, keyVersion: '1' }, expected)
+
+      expect(result).to.deep.equal({ ciphertext, keyVersion: '1', exact: false })
+    })
+
+    it('should pin the key version of an envelope', () => {
+      const result = openEnvelope({ space, encryptedSymmetricKey: encodeEnvelope(header, ciphertext) }, expected)
+
+      expect(result).to.deep.equal({ ciphertext, keyVersion: '2', exact: true })
+    })
+
+    it('should reject an envelope of another space', () => {
+      const encryptedSymmetricKey = encodeEnvelope({ ...header, space: otherSpace }, ciphertext)
+
+      expect(() => openEnvelope({ space, encryptedSymmetricKey }, expected)).to.throw(`Envelope belongs to space ${otherSpace}`)
+    })
+
+    it('should reject an envelope of another provider', () => {
+      const encryptedSymmetricKey = encodeEnvelope({ ...header, provider: 'aws-kms' }, ciphertext)
+
+      expect(() => openEnvelope({ space, encryptedSymmetricKey }, expected)).to.throw('Envelope was produced with provider aws-kms')
+    })
+
+    it('should reject an envelope with another algorithm', () => {
+      const encryptedSymmetricKey = encodeEnvelope({ ...header, algorithm: 'RSA_DECRYPT_OAEP_2048_SHA256' }, ciphertext)
+
+      expect(() => openEnvelope({ space, encryptedSymmetricKey }, expected)).to.throw('Envelope uses unsupported algorithm RSA_DECRYPT_OAEP_2048_SHA256')
+    })
+
+    it('should reject an envelope with an invalid key version', () => {
+      const encryptedSymmetricKey = encodeEnvelope({ ...header, keyVersion: '../1' }, ciphertext)
+
+      expect(() => openEnvelope({ space, encryptedSymmetricKey }, expected)).to.throw('Envelope has an invalid key version ../1')
+    })
+
+    it('should reject an envelope whose key version contradicts the requested one', () => {
+      const encryptedSymmetricKey = encodeEnvelope(header, ciphertext)
+
+      expect(() => openEnvelope({ space, encryptedSymmetricKey, keyVersion: '1' }, expected))
+        .to.throw('Envelope key version 2 does not match the requested key version 1')
+    })
+  })
+})
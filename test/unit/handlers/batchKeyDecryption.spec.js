@@ -0,0 +1,286 @@
+import { strict as assert } from 'assert'
+import { describe, it, beforeEach, afterEach } from 'mocha'
+import sinon from 'sinon'
+import { EncryptionKeyDecrypt } from '@storacha/capabilities/space'
+import { handleBatchKeyDecryption, MAX_BATCH_SIZE, BATCH_DECRYPT_CONCURRENCY } from '../../../src/handlers/batchKeyDecryption.js'
+import { AuditLogService } from '../../../src/services/auditLog.js'
+import { EncryptionKeyBatchDecrypt } from '../../../src/capabilities.js'
+import { RateLimitExceeded, DecryptQuotaExceeded } from '../../../src/errors.js'
+import { FAIL_OPEN_ENTITLEMENTS } from '../../../src/services/planCatalogue.js'
+
+describe('Batch Key Decryption Handler', () => {
+  /** @type {sinon.SinonSandbox} */
+  let sandbox
+  /** @type {any} */
+  let mockCtx
+  /** @type {any} */
+  let mockEnv
+  /** @type {any} */
+  let mockRequest
+  /** @type {any} */
+  let mockInvocation
+  /** @type {sinon.SinonStub} */
+  let auditLogStub
+  /** @type {sinon.SinonStub} */
+  let validateDecryptionStub
+  /** @type {sinon.SinonStub} */
+  let isProvisionedStub
+  /** @type {sinon.SinonStub} */
+  let checkStatusStub
+  /** @type {sinon.SinonStub} */
+  let decryptStub
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+
+    // Mock request
+    mockRequest = {
+      space: 'did:key:test123',
+      encryptedSymmetricKeys: [new Uint8Array([1]), new Uint8Array([2]), new Uint8Array([3])]
+    }
+
+    // Mock invocation
+    mockInvocation = {
+      cid: { toString: () => 'invocation-cid-123' },
+      proofs: ['proof1', 'proof2']
+    }
+
+    // Stubbed services
+    validateDecryptionStub = sandbox.stub().resolves({ ok: true })
+    isProvisionedStub = sandbox.stub().resolves({ ok: { isProvisioned: true } })
+    checkStatusStub = sandbox.stub().resolves({ ok: true })
+    decryptStub = sandbox.stub().callsFake(async ({ encryptedSymmetricKey }) => ({
+      ok: { decryptedKey: `decrypted-${encryptedSymmetricKey[0]}` }
+    }))
+
+    // Mock context
+    mockCtx = {
+      ucanKmsIdentity: { did: () => 'did:key:kms' },
+      ucanPrivacyValidationService: { validateDecryption: validateDecryptionStub },
+      subscriptionStatusService: { isProvisioned: isProvisionedStub },
+      revocationStatusClient: { checkStatus: checkStatusStub },
+      kms: { decryptSymmetricKey: decryptStub }
+    }
+
+    // Mock environment
+    mockEnv = {}
+
+    // Stub AuditLogService
+    auditLogStub = sandbox.stub(AuditLogService.prototype, 'logInvocation')
+  })
+
+  afterEach(() => {
+    sandbox.restore()
+  })
+
+  it('should decrypt every key and return results in request order', async () => {
+    const result = await handleBatchKeyDecryption(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+    assert.ok(result.ok)
+    assert.deepEqual(result.ok.results, [
+      { decryptedSymmetricKey: 'decrypted-1' },
+      { decryptedSymmetricKey: 'decrypted-2' },
+      { decryptedSymmetricKey: 'decrypted-3' }
+    ])
+    assert.equal(decryptStub.callCount, 3)
+    assert.deepEqual(decryptStub.firstCall.args[0], { space: mockRequest.space, encryptedSymmetricKey: mockRequest.encryptedSymmetricKeys[0] })
+
+    // Verify audit log was called with success
+    assert(auditLogStub.calledWith(
+      mockRequest.space,
+      EncryptionKeyBatchDecrypt.can,
+      true,
+      undefined,
+      'invocation-cid-123',
+      sinon.match.number
+    ))
+  })
+
+  it('should validate the invocation only once for the whole batch', async () => {
+    await handleBatchKeyDecryption(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+    assert.equal(validateDecryptionStub.callCount, 1)
+    assert.equal(isProvisionedStub.callCount, 1)
+    assert.equal(checkStatusStub.callCount, 1)
+    assert(checkStatusStub.calledWith(mockInvocation.proofs, mockRequest.space, mockEnv, { invocation: mockInvocation }))
+  })
+
+  it('should return a per-key error when a single key fails to decrypt', async () => {
+    decryptStub.onSecondCall().resolves({ error: new Error('KMS decryption failed') })
+    decryptStub.onThirdCall().rejects(new Error('network down'))
+    sandbox.stub(console, 'error')
+
+    const result = await handleBatchKeyDecryption(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+    assert.ok(result.ok)
+    assert.deepEqual(result.ok.results, [
+      { decryptedSymmetricKey: 'decrypted-1' },
+      { error: 'KMS decryption failed' },
+      { error: 'KMS decryption failed' }
+    ])
+    assert(auditLogStub.calledWith(
+      mockRequest.space,
+      EncryptionKeyBatchDecrypt.can,
+      true,
+      '2 of 3 keys failed to decrypt',
+      'invocation-cid-123',
+      sinon.match.number
+    ))
+  })
+
+  it('should bound the number of concurrent KMS calls', async () => {
+    mockRequest.encryptedSymmetricKeys = Array.from({ length: 20 }, (_, i) => new Uint8Array([i]))
+    let inFlight = 0
+    let maxInFlight = 0
+    decryptStub.callsFake(async () => {
+      inFlight++
+      maxInFlight = Math.max(maxInFlight, inFlight)
+      await new Promise(resolve => setTimeout(resolve, 1))
+      inFlight--
+      return { ok: { decryptedKey: 'decrypted' } }
+    })
+
+    const result = await handleBatchKeyDecryption(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+    assert.equal(result.ok?.results.length, 20)
+    assert.equal(maxInFlight, BATCH_DECRYPT_CONCURRENCY)
+  })
+
+  it('should return error when ucanKmsIdentity is not configured', async () => {
+    mockCtx.ucanKmsIdentity = null
+
+    const result = await handleBatchKeyDecryption(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+    assert(!result.ok)
+    assert.equal(result.error?.message, 'Encryption not available - ucanKms identity not configured')
+  })
+
+  it('should return error when no keys are provided', async () => {
+    mockRequest.encryptedSymmetricKeys = []
+
+    const result = await handleBatchKeyDecryption(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+    assert(!result.ok)
+    assert.equal(result.error?.message, 'Missing encrypted symmetric keys in invocation')
+    assert(validateDecryptionStub.notCalled)
+  })
+
+  it('should return error when the batch is too large', async () => {
+    mockRequest.encryptedSymmetricKeys = Array.from({ length: MAX_BATCH_SIZE + 1 }, () => new Uint8Array([0]))
+
+    const result = await handleBatchKeyDecryption(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+    assert(!result.ok)
+    assert.equal(result.error?.message, `Too many keys in invocation (maximum ${MAX_BATCH_SIZE})`)
+    assert(decryptStub.notCalled)
+  })
+
+  it('should return error when UCAN validation fails', async () => {
+    validateDecryptionStub.resolves({ error: new Error('Decryption validation failed') })
+
+    const result = await handleBatchKeyDecryption(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+    assert(!result.ok)
+    assert.equal(result.error?.message, 'Decryption validation failed')
+    assert(decryptStub.notCalled)
+  })
+
+  it('should return error when the space encryption is suspended', async () => {
+    mockCtx.kms.getKeyStatus = sandbox.stub().resolves('suspended')
+
+    const result = await handleBatchKeyDecryption(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+    assert(!result.ok)
+    assert.equal(result.error?.name, 'KeySuspended')
+    assert(decryptStub.notCalled)
+  })
+
+  it('should return error when subscription validation fails', async () => {
+    isProvisionedStub.resolves({ error: new Error('Space has no paid plan') })
+
+    const result = await handleBatchKeyDecryption(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+    assert(!result.ok)
+    assert.equal(result.error?.message, 'Space has no paid plan')
+    assert(decryptStub.notCalled)
+  })
+
+  it('should count every key against the per-space rate limit of the space plan', async () => {
+    isProvisionedStub.resolves({ ok: { isProvisioned: true, product: 'did:web:lite.web3.storage', entitlements: { encryption: true, rateLimitTier: 'did:web:lite.web3.storage' } } })
+    const checkSpaceRateLimitStub = sandbox.stub().resolves(new RateLimitExceeded({ operation: EncryptionKeyDecrypt.can, limitType: 'per-space', limit: 2000, remaining: 2, retryAfterSeconds: 180 }))
+    mockCtx.kmsRateLimiter = { checkSpaceRateLimit: checkSpaceRateLimitStub }
+
+    const result = await handleBatchKeyDecryption(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+    assert(!result.ok)
+    assert.equal(result.error?.name, 'RateLimitExceeded')
+    assert(checkSpaceRateLimitStub.calledWith(mockInvocation, EncryptionKeyDecrypt.can, mockRequest.space, 3, 'did:web:lite.web3.storage'))
+    assert(decryptStub.notCalled)
+  })
+
+  it('should return error when the plan does not include batch decrypt', async () => {
+    isProvisionedStub.resolves({ ok: { isProvisioned: true, product: 'did:web:lite.web3.storage', entitlements: { encryption: true, batchDecrypt: false } } })
+
+    const result = await handleBatchKeyDecryption(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+    assert(!result.ok)
+    assert.equal(result.error?.name, 'NotEntitled')
+    assert.equal(/** @type {any} */ (result.error)?.entitlement, 'batchDecrypt')
+    assert(decryptStub.notCalled)
+    assert(auditLogStub.calledWith(mockRequest.space, EncryptionKeyBatchDecrypt.can, false, 'Batch decrypt not included in plan'))
+  })
+
+  it('should refuse batch decrypt to spaces let through by the open plan failure policy', async () => {
+    isProvisionedStub.resolves({ ok: { isProvisioned: true, entitlements: FAIL_OPEN_ENTITLEMENTS } })
+
+    const result = await handleBatchKeyDecryption(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+    assert.equal(/** @type {any} */ (result.error)?.entitlement, 'batchDecrypt')
+    assert(decryptStub.notCalled)
+  })
+
+  it('should return error when the delegation was revoked', async () => {
+    checkStatusStub.resolves({ error: new Error('Delegation revoked') })
+
+    const result = await handleBatchKeyDecryption(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+    assert(!result.ok)
+    assert.equal(result.error?.message, 'Delegation revoked')
+    assert(auditLogStub.calledWith(
+      mockRequest.space,
+      EncryptionKeyBatchDecrypt.can,
+      false,
+      'Revocation check failed',
+      'invocation-cid-123',
+      sinon.match.number
+    ))
+    assert(decryptStub.notCalled)
+  })
+
+  it('should reserve every key against the decrypt quotas and release the failed ones', async () => {
+    const decryptDelegation = { expiration: Infinity, capabilities: [{ can: 'space/content/decrypt', with: mockRequest.space }] }
+    mockInvocation.proofs = [decryptDelegation]
+    decryptStub.onSecondCall().resolves({ error: new Error('KMS decryption failed') })
+    const reserveDecryptQuotaStub = sandbox.stub().resolves(null)
+    const releaseDecryptQuotaStub = sandbox.stub().resolves()
+    mockCtx.kmsRateLimiter = { checkSpaceRateLimit: sandbox.stub().resolves(null), reserveDecryptQuota: reserveDecryptQuotaStub, releaseDecryptQuota: releaseDecryptQuotaStub }
+
+    const result = await handleBatchKeyDecryption(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+    assert.ok(result.ok)
+    assert(reserveDecryptQuotaStub.calledOnceWith(decryptDelegation, mockRequest.space, 3))
+    assert(releaseDecryptQuotaStub.calledOnceWith(decryptDelegation, mockRequest.space, 1))
+  })
+
+  it('should return error when the batch exceeds the decrypt quota', async () => {
+    mockInvocation.proofs = [{ expiration: Infinity, capabilities: [{ can: 'space/content/decrypt', with: mockRequest.space }] }]
+    const quotaExceeded = new DecryptQuotaExceeded({ delegation: 'bafy-share', limit: 10, remaining: 2 })
+    mockCtx.kmsRateLimiter = { checkSpaceRateLimit: sandbox.stub().resolves(null), reserveDecryptQuota: sandbox.stub().resolves(quotaExceeded) }
+
+    const result = await handleBatchKeyDecryption(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+    assert(!result.ok)
+    assert.equal(result.error, quotaExceeded)
+    assert(decryptStub.notCalled)
+  })
+})
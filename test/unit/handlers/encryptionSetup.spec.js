@@ -5,6 +5,7 @@ import sinon from 'sinon'
 import { handleEncryptionSetup } from '../../../src/handlers/encryptionSetup.js'
 import { AuditLogService } from '../../../src/services/auditLog.js'
 import { EncryptionSetup } from '@storacha/capabilities/space'
+import { FAIL_OPEN_ENTITLEMENTS } from '../../../src/services/planCatalogue.js'
 
 describe('Encryption Setup Handler', () => {
   /** @type {sinon.SinonSandbox} */
@@ -178,4 +179,172 @@ describe('Encryption Setup Handler', () => {
       sinon.match.number
     ))
   })
+
+  it('should check the revocation of the setup delegation', async () => {
+    const checkStatus = sinon.stub().resolves({ ok: true })
+    mockCtx.revocationStatusClient = { checkStatus }
+
+    const result = await handleEncryptionSetup(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+    assert.ok(result.ok)
+    assert(checkStatus.calledOnceWith(mockInvocation.proofs, mockRequest.space, mockEnv, { capability: EncryptionSetup.can, invocation: mockInvocation }))
+  })
+
+  it('should return error when the setup delegation was revoked', async () => {
+    const { Failure } = await import('@ucanto/server')
+    mockCtx.revocationStatusClient = {
+      checkStatus: sinon.stub().resolves({ error: new Failure('Delegation explicitly revoked') })
+    }
+    const setupKeyForSpace = sinon.stub()
+    mockCtx.kms = { setupKeyForSpace }
+
+    const result = await handleEncryptionSetup(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+    assert(!result.ok)
+    assert.equal(result.error.message, 'Delegation explicitly revoked')
+    assert(setupKeyForSpace.notCalled)
+    assert(auditLogStub.calledWith(
+      mockRequest.space,
+      EncryptionSetup.can,
+      false,
+      'Revocation check failed',
+      'invocation-cid-123',
+      sinon.match.number
+    ))
+  })
+
+  describe('encrypted space limit', () => {
+    const accountDID = 'did:mailto:example.com:alice'
+    /** @type {Map<string, string[]>} */
+    let registry
+
+    beforeEach(() => {
+      registry = new Map()
+      // In-memory registry with the semantics of the AccountSpaceRegistry Durable Object
+      mockCtx.accountSpaceStore = {
+        list: async (/** @type {string} */ account) => registry.get(account) ?? [],
+        reserve: sinon.spy(async (/** @type {string} */ account, /** @type {string} */ space, /** @type {number | undefined} */ limit) => {
+          const spaces = registry.get(account) ?? []
+          if (spaces.includes(space)) return { reserved: true, added: false }
+          if (limit !== undefined && spaces.length >= limit) return { reserved: false, added: false }
+          registry.set(account, [...spaces, space])
+          return { reserved: true, added: true }
+        }),
+        release: sinon.spy(async (/** @type {string} */ account, /** @type {string} */ space) => {
+          registry.set(account, (registry.get(account) ?? []).filter(s => s !== space))
+        })
+      }
+      mockCtx.subscriptionStatusService = {
+        isProvisioned: () => ({ ok: { isProvisioned: true, product: 'did:web:lite.web3.storage', accountDID, entitlements: { encryption: true, maxEncryptedSpaces: 1 } } })
+      }
+    })
+
+    it('should record the space of the account', async () => {
+      const result = await handleEncryptionSetup(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+      assert.ok(result.ok)
+      assert.deepEqual(await mockCtx.accountSpaceStore.list(accountDID), [mockRequest.space])
+      assert(mockCtx.accountSpaceStore.reserve.calledWith(accountDID, mockRequest.space, 1))
+    })
+
+    it('should set up again spaces already counted', async () => {
+      registry.set(accountDID, [mockRequest.space])
+
+      const result = await handleEncryptionSetup(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+      assert.ok(result.ok)
+      assert.deepEqual(await mockCtx.accountSpaceStore.list(accountDID), [mockRequest.space])
+    })
+
+    it('should refuse new spaces over the limit of the plan', async () => {
+      registry.set(accountDID, ['did:key:other'])
+      const setupKeyForSpace = sinon.stub()
+      mockCtx.kms = { setupKeyForSpace }
+
+      const result = await handleEncryptionSetup(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+      assert(!result.ok)
+      assert.equal(result.error.name, 'NotEntitled')
+      assert.equal(/** @type {any} */ (result.error).entitlement, 'maxEncryptedSpaces')
+      assert(setupKeyForSpace.notCalled)
+      assert(auditLogStub.calledWith(mockRequest.space, EncryptionSetup.can, false, 'Encrypted space limit reached'))
+    })
+
+    it('should release the space when the KMS setup fails', async () => {
+      mockCtx.kms = { setupKeyForSpace: sinon.stub().resolves({ error: new Error('KMS unavailable') }) }
+
+      const result = await handleEncryptionSetup(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+      assert(!result.ok)
+      assert.deepEqual(await mockCtx.accountSpaceStore.list(accountDID), [])
+    })
+
+    it('should release the space when the KMS setup throws', async () => {
+      mockCtx.kms = { setupKeyForSpace: sinon.stub().rejects(new Error('KMS unavailable')) }
+
+      const result = await handleEncryptionSetup(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+      assert(!result.ok)
+      assert.equal(result.error.message, 'Encryption setup failed')
+      assert.deepEqual(await mockCtx.accountSpaceStore.list(accountDID), [])
+    })
+
+    it('should keep spaces recorded before when the KMS setup fails', async () => {
+      registry.set(accountDID, [mockRequest.space])
+      mockCtx.kms = { setupKeyForSpace: sinon.stub().resolves({ error: new Error('KMS unavailable') }) }
+
+      await handleEncryptionSetup(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+      assert(mockCtx.accountSpaceStore.release.notCalled)
+      assert.deepEqual(await mockCtx.accountSpaceStore.list(accountDID), [mockRequest.space])
+    })
+
+    it('should refuse limited plans when the registry fails', async () => {
+      mockCtx.accountSpaceStore.reserve = sinon.stub().rejects(new Error('Registry unavailable'))
+      const setupKeyForSpace = sinon.stub()
+      mockCtx.kms = { setupKeyForSpace }
+
+      const result = await handleEncryptionSetup(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+      assert(!result.ok)
+      assert(setupKeyForSpace.notCalled)
+    })
+
+    it('should record the spaces of unlimited plans without failing on registry errors', async () => {
+      mockCtx.subscriptionStatusService = {
+        isProvisioned: () => ({ ok: { isProvisioned: true, product: 'did:web:business.web3.storage', accountDID, entitlements: { encryption: true } } })
+      }
+      mockCtx.accountSpaceStore.reserve = sinon.stub().rejects(new Error('Registry unavailable'))
+
+      const result = await handleEncryptionSetup(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+      assert.ok(result.ok)
+      assert(mockCtx.accountSpaceStore.reserve.calledWith(accountDID, mockRequest.space, undefined))
+    })
+
+    it('should refuse setup to spaces let through by the open plan failure policy', async () => {
+      mockCtx.subscriptionStatusService = {
+        isProvisioned: () => ({ ok: { isProvisioned: true, entitlements: FAIL_OPEN_ENTITLEMENTS } })
+      }
+      const setupKeyForSpace = sinon.stub()
+      mockCtx.kms = { setupKeyForSpace }
+
+      const result = await handleEncryptionSetup(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+      assert(!result.ok)
+      assert.equal(/** @type {any} */ (result.error).entitlement, 'maxEncryptedSpaces')
+      assert(auditLogStub.calledWith(mockRequest.space, EncryptionSetup.can, false, 'Encrypted space limit cannot be checked without the plan account'))
+      assert(setupKeyForSpace.notCalled)
+      assert(mockCtx.accountSpaceStore.reserve.notCalled)
+    })
+
+    it('should refuse limited plans without an account space registry', async () => {
+      mockCtx.accountSpaceStore = undefined
+
+      const result = await handleEncryptionSetup(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+      assert(!result.ok)
+      assert.equal(result.error.message, 'Encryption setup not available - account space registry not configured')
+    })
+  })
 })
@@ -4,6 +4,7 @@ import sinon from 'sinon'
 import { handleKeyDecryption } from '../../../src/handlers/keyDecryption.js'
 import { AuditLogService } from '../../../src/services/auditLog.js'
 import { EncryptionKeyDecrypt } from '@storacha/capabilities/space'
+import { RateLimitExceeded, DecryptQuotaExceeded } from '../../../src/errors.js'
 
 describe('Key Decryption Handler', () => {
   /** @type {sinon.SinonSandbox} */
@@ -111,6 +112,12 @@ describe('Key Decryption Handler', () => {
     ))
   })
 
+  it('should check the revocation of the invocation along with its proofs', async () => {
+    await handleKeyDecryption(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+    assert(checkStatusStub.calledOnceWith(mockInvocation.proofs, mockRequest.space, mockEnv, { invocation: mockInvocation }))
+  })
+
   it('should return error when ucanKmsIdentity is not configured', async () => {
     mockCtx.ucanKmsIdentity = null
 
@@ -149,6 +156,25 @@ describe('Key Decryption Handler', () => {
     ))
   })
 
+  it('should pass the requested key version to the KMS', async () => {
+    mockRequest.keyVersion = '2'
+
+    const result = await handleKeyDecryption(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+    assert.ok(result.ok)
+    assert.equal(decryptStub.firstCall.args[0].keyVersion, '2')
+  })
+
+  it('should return error when keyVersion is not a positive integer', async () => {
+    mockRequest.keyVersion = '../1'
+
+    const result = await handleKeyDecryption(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+    assert(!result.ok)
+    assert.equal(result.error?.message, 'Invalid keyVersion in invocation')
+    assert(decryptStub.notCalled)
+  })
+
   it('should return error when UCAN validation fails', async () => {
     const validationError = new Error('UCAN validation failed')
     validateDecryptionStub.resolves({ error: validationError })
@@ -209,6 +235,50 @@ describe('Key Decryption Handler', () => {
     ))
   })
 
+  it('should short-circuit when the space encryption is suspended', async () => {
+    mockCtx.kms.getKeyStatus = sinon.stub().resolves('suspended')
+
+    const result = await handleKeyDecryption(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+    assert(!result.ok)
+    assert.equal(result.error?.name, 'KeySuspended')
+    assert.equal(result.error?.message, 'Space encryption is suspended')
+    assert(isProvisionedStub.notCalled)
+    assert(checkStatusStub.notCalled)
+    assert(decryptStub.notCalled)
+    assert(auditLogStub.calledWith(
+      mockRequest.space,
+      EncryptionKeyDecrypt.can,
+      false,
+      'Space encryption suspended',
+      'invocation-cid-123',
+      sinon.match.number
+    ))
+  })
+
+  it('should apply the rate limits of the space plan after validating the plan', async () => {
+    isProvisionedStub.resolves({ ok: { isProvisioned: true, product: 'did:web:business.web3.storage', entitlements: { encryption: true, rateLimitTier: 'did:web:business.web3.storage' } } })
+    const rateLimitExceeded = new RateLimitExceeded({ operation: EncryptionKeyDecrypt.can, limitType: 'per-space', limit: 10000, remaining: 0, retryAfterSeconds: 300 })
+    const checkSpaceRateLimitStub = sinon.stub().resolves(rateLimitExceeded)
+    mockCtx.kmsRateLimiter = { checkSpaceRateLimit: checkSpaceRateLimitStub }
+
+    const result = await handleKeyDecryption(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+    assert(!result.ok)
+    assert.equal(result.error, rateLimitExceeded)
+    assert(isProvisionedStub.calledBefore(checkSpaceRateLimitStub))
+    assert(checkSpaceRateLimitStub.calledWith(mockInvocation, EncryptionKeyDecrypt.can, mockRequest.space, 1, 'did:web:business.web3.storage'))
+    assert(decryptStub.notCalled)
+    assert(auditLogStub.calledWith(
+      mockRequest.space,
+      EncryptionKeyDecrypt.can,
+      false,
+      'Rate limit exceeded',
+      'invocation-cid-123',
+      sinon.match.number
+    ))
+  })
+
   it('should handle errors during decryption', async () => {
     const decryptionError = new Error('Failed to decrypt key')
     decryptStub.resolves({ error: decryptionError })
@@ -228,4 +298,65 @@ describe('Key Decryption Handler', () => {
       sinon.match.number
     ))
   })
+
+  describe('decrypt quotas', () => {
+    /** @type {any} */
+    let decryptDelegation
+    /** @type {sinon.SinonStub} */
+    let reserveDecryptQuotaStub
+    /** @type {sinon.SinonStub} */
+    let releaseDecryptQuotaStub
+
+    beforeEach(() => {
+      decryptDelegation = {
+        expiration: Infinity,
+        capabilities: [{ can: 'space/content/decrypt', with: mockRequest.space }]
+      }
+      mockInvocation.proofs = [decryptDelegation]
+      reserveDecryptQuotaStub = sandbox.stub().resolves(null)
+      releaseDecryptQuotaStub = sandbox.stub().resolves()
+      mockCtx.kmsRateLimiter = {
+        checkSpaceRateLimit: sandbox.stub().resolves(null),
+        reserveDecryptQuota: reserveDecryptQuotaStub,
+        releaseDecryptQuota: releaseDecryptQuotaStub
+      }
+    })
+
+    it('should reserve a decrypt against the quotas of the decrypt delegation', async () => {
+      const result = await handleKeyDecryption(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+      assert.ok(result.ok)
+      assert(reserveDecryptQuotaStub.calledOnceWith(decryptDelegation, mockRequest.space))
+      assert(checkStatusStub.calledBefore(reserveDecryptQuotaStub))
+      assert(releaseDecryptQuotaStub.notCalled)
+    })
+
+    it('should return error when the quota of the delegation is used', async () => {
+      const quotaExceeded = new DecryptQuotaExceeded({ delegation: 'bafy-share', limit: 10, remaining: 0 })
+      reserveDecryptQuotaStub.resolves(quotaExceeded)
+
+      const result = await handleKeyDecryption(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+      assert(!result.ok)
+      assert.equal(result.error, quotaExceeded)
+      assert(decryptStub.notCalled)
+      assert(auditLogStub.calledWith(
+        mockRequest.space,
+        EncryptionKeyDecrypt.can,
+        false,
+        'Decrypt quota exceeded',
+        'invocation-cid-123',
+        sinon.match.number
+      ))
+    })
+
+    it('should release the reserved decrypt when decryption fails', async () => {
+      decryptStub.resolves({ error: new Error('Failed to decrypt key') })
+
+      const result = await handleKeyDecryption(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+      assert(!result.ok)
+      assert(releaseDecryptQuotaStub.calledOnceWith(decryptDelegation, mockRequest.space))
+    })
+  })
 })
@@ -0,0 +1,182 @@
+import { strict as assert } from 'assert'
+import { describe, it, beforeEach, afterEach } from 'mocha'
+import sinon from 'sinon'
+import { Failure } from '@ucanto/server'
+import { Plan } from '@storacha/capabilities'
+import { handleKeyDestruction } from '../../../src/handlers/keyDestruction.js'
+import { AuditLogService } from '../../../src/services/auditLog.js'
+import { EncryptionKeyDestroy } from '../../../src/capabilities.js'
+import { DelegationRevoked } from '../../../src/errors.js'
+
+describe('Key Destruction Handler', () => {
+  /** @type {sinon.SinonSandbox} */
+  let sandbox
+  /** @type {any} */
+  let mockCtx
+  /** @type {any} */
+  let mockEnv
+  /** @type {any} */
+  let mockRequest
+  /** @type {any} */
+  let mockInvocation
+  /** @type {sinon.SinonStub} */
+  let auditLogStub
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+
+    mockRequest = {
+      space: 'did:key:test123'
+    }
+
+    mockInvocation = {
+      cid: { toString: () => 'invocation-cid-123' },
+      proofs: []
+    }
+
+    mockCtx = {
+      ucanKmsIdentity: { did: () => 'did:key:kms' },
+      ucanPrivacyValidationService: {
+        validateKeyDestruction: sinon.stub().resolves({ ok: true })
+      },
+      revocationStatusClient: {
+        checkStatus: sinon.stub().resolves({ ok: true })
+      },
+      subscriptionStatusService: {
+        isProvisioned: sinon.stub().resolves({ error: new Failure('Space not provisioned') })
+      },
+      kms: {
+        destroyKeyForSpace: sinon.stub().resolves({
+          ok: {
+            keyVersions: ['1', '2'],
+            destroyedAt: '2025-06-01T00:00:00.000Z'
+          }
+        })
+      }
+    }
+
+    mockEnv = {}
+
+    auditLogStub = sandbox.stub(AuditLogService.prototype, 'logInvocation')
+  })
+
+  afterEach(() => {
+    sandbox.restore()
+  })
+
+  it('should destroy the space key', async () => {
+    const result = await handleKeyDestruction(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+    assert.ok(result.ok)
+    assert.deepEqual(result.ok.keyVersions, ['1', '2'])
+    assert(mockCtx.ucanPrivacyValidationService.validateKeyDestruction.calledWith(mockInvocation, mockRequest.space, mockCtx, mockEnv))
+    assert(auditLogStub.calledWith(
+      mockRequest.space,
+      EncryptionKeyDestroy.can,
+      true,
+      undefined,
+      'invocation-cid-123',
+      sinon.match.number
+    ))
+  })
+
+  it('should not require a paid plan', async () => {
+    const result = await handleKeyDestruction(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+    assert.ok(result.ok)
+    assert(mockCtx.subscriptionStatusService.isProvisioned.notCalled)
+  })
+
+  it('should release the space from the registry of the account of the plan', async () => {
+    const accountDID = 'did:mailto:example.com:alice'
+    mockInvocation.proofs = [{ capabilities: [{ can: Plan.get.can, with: accountDID }] }]
+    mockCtx.accountSpaceStore = { release: sinon.stub().resolves() }
+
+    const result = await handleKeyDestruction(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+    assert.ok(result.ok)
+    assert(mockCtx.accountSpaceStore.release.calledOnceWith(accountDID, mockRequest.space))
+  })
+
+  it('should keep the space in the registry when the destruction fails', async () => {
+    mockInvocation.proofs = [{ capabilities: [{ can: Plan.get.can, with: 'did:mailto:example.com:alice' }] }]
+    mockCtx.accountSpaceStore = { release: sinon.stub().resolves() }
+    mockCtx.kms.destroyKeyForSpace.resolves({ error: new Failure('KMS unavailable') })
+
+    const result = await handleKeyDestruction(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+    assert(!result.ok)
+    assert(mockCtx.accountSpaceStore.release.notCalled)
+  })
+
+  it('should destroy the key when the registry fails', async () => {
+    sandbox.stub(console, 'error')
+    mockInvocation.proofs = [{ capabilities: [{ can: Plan.get.can, with: 'did:mailto:example.com:alice' }] }]
+    mockCtx.accountSpaceStore = { release: sinon.stub().rejects(new Error('Registry unavailable')) }
+
+    const result = await handleKeyDestruction(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+    assert.ok(result.ok)
+  })
+
+  it('should return error when the KMS provider cannot destroy keys', async () => {
+    mockCtx.kms = { setupKeyForSpace: sinon.stub(), decryptSymmetricKey: sinon.stub() }
+
+    const result = await handleKeyDestruction(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+    assert(!result.ok)
+    assert.equal(result.error?.message, 'Key destruction is not supported by the configured KMS provider')
+  })
+
+  it('should return error when the invocation is not authorized by the space owner', async () => {
+    mockCtx.ucanPrivacyValidationService.validateKeyDestruction.resolves({ error: new Failure('Key destruction validation failed') })
+
+    const result = await handleKeyDestruction(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+    assert(!result.ok)
+    assert.equal(result.error?.message, 'Key destruction validation failed')
+    assert(mockCtx.kms.destroyKeyForSpace.notCalled)
+  })
+
+  it('should check the revocation of the destroy delegation', async () => {
+    const result = await handleKeyDestruction(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+    assert.ok(result.ok)
+    assert(mockCtx.revocationStatusClient.checkStatus.calledOnceWith(mockInvocation.proofs, mockRequest.space, mockEnv, { capability: EncryptionKeyDestroy.can, invocation: mockInvocation }))
+  })
+
+  it('should leave the key alone when the destroy delegation was revoked', async () => {
+    mockCtx.revocationStatusClient.checkStatus.resolves({ error: new DelegationRevoked('bafy-revoked') })
+
+    const result = await handleKeyDestruction(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+    assert(!result.ok)
+    assert.equal(result.error?.name, 'DelegationRevoked')
+    assert(mockCtx.kms.destroyKeyForSpace.notCalled)
+    assert(auditLogStub.calledWith(
+      mockRequest.space,
+      EncryptionKeyDestroy.can,
+      false,
+      'Revocation check failed',
+      'invocation-cid-123',
+      sinon.match.number
+    ))
+  })
+
+  it('should return the KMS error when destruction fails', async () => {
+    mockCtx.kms.destroyKeyForSpace.resolves({ error: new Failure('Key destruction failed') })
+
+    const result = await handleKeyDestruction(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+    assert(!result.ok)
+    assert.equal(result.error?.message, 'Key destruction failed')
+    assert(auditLogStub.calledWith(
+      mockRequest.space,
+      EncryptionKeyDestroy.can,
+      false,
+      'KMS key destruction failed',
+      'invocation-cid-123',
+      sinon.match.number
+    ))
+  })
+})
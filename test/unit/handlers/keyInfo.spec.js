@@ -0,0 +1,142 @@
+import { strict as assert } from 'assert'
+import { describe, it, beforeEach, afterEach } from 'mocha'
+import sinon from 'sinon'
+import { Failure } from '@ucanto/server'
+import { handleKeyInfo } from '../../../src/handlers/keyInfo.js'
+import { AuditLogService } from '../../../src/services/auditLog.js'
+import { DelegationRevoked } from '../../../src/errors.js'
+import { EncryptionKeyInfo } from '../../../src/capabilities.js'
+
+describe('Key Info Handler', () => {
+  /** @type {sinon.SinonSandbox} */
+  let sandbox
+  /** @type {any} */
+  let mockCtx
+  /** @type {any} */
+  let mockEnv
+  /** @type {any} */
+  let mockRequest
+  /** @type {any} */
+  let mockInvocation
+  /** @type {sinon.SinonStub} */
+  let auditLogStub
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+
+    mockRequest = {
+      space: 'did:key:test123'
+    }
+
+    mockInvocation = {
+      cid: { toString: () => 'invocation-cid-123' },
+      proofs: []
+    }
+
+    mockCtx = {
+      ucanKmsIdentity: { did: () => 'did:key:kms' },
+      ucanPrivacyValidationService: {
+        validateKeyManagement: sinon.stub().resolves({ ok: true })
+      },
+      revocationStatusClient: {
+        checkStatus: sinon.stub().resolves({ ok: true })
+      },
+      subscriptionStatusService: {
+        isProvisioned: sinon.stub().resolves({ ok: { isProvisioned: true } })
+      },
+      kms: {
+        setupKeyForSpace: sinon.stub(),
+        getPublicKeyInfo: sinon.stub().resolves({
+          ok: {
+            publicKey: 'current-public-key',
+            algorithm: 'RSA_DECRYPT_OAEP_3072_SHA256',
+            provider: 'google-kms',
+            keyVersion: '2',
+            createdAt: '2025-03-01T12:00:00Z'
+          }
+        })
+      }
+    }
+
+    mockEnv = {}
+
+    auditLogStub = sandbox.stub(AuditLogService.prototype, 'logInvocation')
+  })
+
+  afterEach(() => {
+    sandbox.restore()
+  })
+
+  it('should not return the key when the info delegation was revoked', async () => {
+    mockCtx.revocationStatusClient.checkStatus.resolves({ error: new DelegationRevoked('bafy-revoked') })
+
+    const result = await handleKeyInfo(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+    assert(!result.ok)
+    assert.equal(result.error?.name, 'DelegationRevoked')
+    assert(mockCtx.revocationStatusClient.checkStatus.calledOnceWith(mockInvocation.proofs, mockRequest.space, mockEnv, { capability: EncryptionKeyInfo.can, invocation: mockInvocation }))
+    assert(mockCtx.kms.getPublicKeyInfo.notCalled)
+    assert(auditLogStub.calledWith(mockRequest.space, EncryptionKeyInfo.can, false, 'Revocation check failed', 'invocation-cid-123', sinon.match.number))
+  })
+
+  it('should return the current public key of the space', async () => {
+    const result = await handleKeyInfo(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+    assert.ok(result.ok)
+    assert.equal(result.ok.publicKey, 'current-public-key')
+    assert.equal(result.ok.keyVersion, '2')
+    assert.equal(result.ok.createdAt, '2025-03-01T12:00:00Z')
+    assert(mockCtx.ucanPrivacyValidationService.validateKeyManagement.calledWith(mockInvocation, mockRequest.space, EncryptionKeyInfo.can))
+    assert(auditLogStub.calledWith(
+      mockRequest.space,
+      EncryptionKeyInfo.can,
+      true,
+      undefined,
+      'invocation-cid-123',
+      sinon.match.number
+    ))
+  })
+
+  it('should neither create keys nor check the plan', async () => {
+    await handleKeyInfo(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+    assert(mockCtx.kms.setupKeyForSpace.notCalled)
+    assert(mockCtx.subscriptionStatusService.isProvisioned.notCalled)
+  })
+
+  it('should return error when the KMS provider cannot describe keys', async () => {
+    mockCtx.kms = { setupKeyForSpace: sinon.stub(), decryptSymmetricKey: sinon.stub() }
+
+    const result = await handleKeyInfo(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+    assert(!result.ok)
+    assert.equal(result.error?.message, 'Key info is not supported by the configured KMS provider')
+  })
+
+  it('should return error when validation fails', async () => {
+    mockCtx.ucanPrivacyValidationService.validateKeyManagement.resolves({ error: new Failure('Key management validation failed') })
+
+    const result = await handleKeyInfo(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+    assert(!result.ok)
+    assert.equal(result.error?.message, 'Key management validation failed')
+    assert(mockCtx.kms.getPublicKeyInfo.notCalled)
+  })
+
+  it('should return the KMS error when the space has no key', async () => {
+    mockCtx.kms.getPublicKeyInfo.resolves({ error: new Failure('Encryption key not found') })
+
+    const result = await handleKeyInfo(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+    assert(!result.ok)
+    assert.equal(result.error?.message, 'Encryption key not found')
+    assert(auditLogStub.calledWith(
+      mockRequest.space,
+      EncryptionKeyInfo.can,
+      false,
+      'KMS key info retrieval failed',
+      'invocation-cid-123',
+      sinon.match.number
+    ))
+  })
+})
@@ -0,0 +1,155 @@
+import { strict as assert } from 'assert'
+import { describe, it, beforeEach, afterEach } from 'mocha'
+import sinon from 'sinon'
+import { Failure } from '@ucanto/server'
+import { handleKeyRotation } from '../../../src/handlers/keyRotation.js'
+import { AuditLogService } from '../../../src/services/auditLog.js'
+import { DelegationRevoked } from '../../../src/errors.js'
+import { EncryptionKeyRotate } from '../../../src/capabilities.js'
+
+describe('Key Rotation Handler', () => {
+  /** @type {sinon.SinonSandbox} */
+  let sandbox
+  /** @type {any} */
+  let mockCtx
+  /** @type {any} */
+  let mockEnv
+  /** @type {any} */
+  let mockRequest
+  /** @type {any} */
+  let mockInvocation
+  /** @type {sinon.SinonStub} */
+  let auditLogStub
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+
+    mockRequest = {
+      space: 'did:key:test123'
+    }
+
+    mockInvocation = {
+      cid: { toString: () => 'invocation-cid-123' },
+      proofs: []
+    }
+
+    mockCtx = {
+      ucanKmsIdentity: { did: () => 'did:key:kms' },
+      ucanPrivacyValidationService: {
+        validateKeyManagement: sinon.stub().resolves({ ok: true })
+      },
+      revocationStatusClient: {
+        checkStatus: sinon.stub().resolves({ ok: true })
+      },
+      subscriptionStatusService: {
+        isProvisioned: sinon.stub().resolves({ ok: { isProvisioned: true } })
+      },
+      kms: {
+        rotateKeyForSpace: sinon.stub().resolves({
+          ok: {
+            publicKey: 'rotated-public-key',
+            algorithm: 'RSA_DECRYPT_OAEP_3072_SHA256',
+            provider: 'google-kms',
+            keyVersion: '2'
+          }
+        })
+      }
+    }
+
+    mockEnv = {}
+
+    auditLogStub = sandbox.stub(AuditLogService.prototype, 'logInvocation')
+  })
+
+  afterEach(() => {
+    sandbox.restore()
+  })
+
+  it('should check the revocation of the rotate delegation', async () => {
+    const result = await handleKeyRotation(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+    assert.ok(result.ok)
+    assert(mockCtx.revocationStatusClient.checkStatus.calledOnceWith(mockInvocation.proofs, mockRequest.space, mockEnv, { capability: EncryptionKeyRotate.can, invocation: mockInvocation }))
+  })
+
+  it('should not rotate the key when the rotate delegation was revoked', async () => {
+    mockCtx.revocationStatusClient.checkStatus.resolves({ error: new DelegationRevoked('bafy-revoked') })
+
+    const result = await handleKeyRotation(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+    assert(!result.ok)
+    assert.equal(result.error?.name, 'DelegationRevoked')
+    assert(mockCtx.kms.rotateKeyForSpace.notCalled)
+    assert(auditLogStub.calledWith(
+      mockRequest.space,
+      EncryptionKeyRotate.can,
+      false,
+      'Revocation check failed',
+      'invocation-cid-123',
+      sinon.match.number
+    ))
+  })
+
+  it('should rotate the space key and return the new version', async () => {
+    const result = await handleKeyRotation(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+    assert.ok(result.ok)
+    assert.equal(result.ok.publicKey, 'rotated-public-key')
+    assert.equal(result.ok.keyVersion, '2')
+    assert(mockCtx.ucanPrivacyValidationService.validateKeyManagement.calledWith(mockInvocation, mockRequest.space, EncryptionKeyRotate.can))
+    assert(auditLogStub.calledWith(
+      mockRequest.space,
+      EncryptionKeyRotate.can,
+      true,
+      undefined,
+      'invocation-cid-123',
+      sinon.match.number
+    ))
+  })
+
+  it('should return error when the KMS provider cannot rotate keys', async () => {
+    mockCtx.kms = { setupKeyForSpace: sinon.stub(), decryptSymmetricKey: sinon.stub() }
+
+    const result = await handleKeyRotation(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+    assert(!result.ok)
+    assert.equal(result.error?.message, 'Key rotation is not supported by the configured KMS provider')
+  })
+
+  it('should return error when validation fails', async () => {
+    mockCtx.ucanPrivacyValidationService.validateKeyManagement.resolves({ error: new Failure('Key management validation failed') })
+
+    const result = await handleKeyRotation(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+    assert(!result.ok)
+    assert.equal(result.error?.message, 'Key management validation failed')
+    assert(mockCtx.kms.rotateKeyForSpace.notCalled)
+  })
+
+  it('should return error when space is not provisioned', async () => {
+    mockCtx.subscriptionStatusService.isProvisioned.resolves({ error: new Failure('Space not provisioned') })
+
+    const result = await handleKeyRotation(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+    assert(!result.ok)
+    assert.equal(result.error?.message, 'Space not provisioned')
+    assert(mockCtx.kms.rotateKeyForSpace.notCalled)
+  })
+
+  it('should return the KMS error when rotation fails', async () => {
+    mockCtx.kms.rotateKeyForSpace.resolves({ error: new Failure('Key rotation failed') })
+
+    const result = await handleKeyRotation(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+    assert(!result.ok)
+    assert.equal(result.error?.message, 'Key rotation failed')
+    assert(auditLogStub.calledWith(
+      mockRequest.space,
+      EncryptionKeyRotate.can,
+      false,
+      'KMS key rotation failed',
+      'invocation-cid-123',
+      sinon.match.number
+    ))
+  })
+})
@@ -0,0 +1,155 @@
+import { strict as assert } from 'assert'
+import { describe, it, beforeEach, afterEach } from 'mocha'
+import sinon from 'sinon'
+import { Failure } from '@ucanto/server'
+import { handleKeyDisable, handleKeyEnable } from '../../../src/handlers/keySuspension.js'
+import { AuditLogService } from '../../../src/services/auditLog.js'
+import { DelegationRevoked } from '../../../src/errors.js'
+import { KeyDisable, KeyEnable } from '../../../src/capabilities.js'
+
+describe('Key Suspension Handlers', () => {
+  /** @type {sinon.SinonSandbox} */
+  let sandbox
+  /** @type {any} */
+  let mockCtx
+  /** @type {any} */
+  let mockEnv
+  /** @type {any} */
+  let mockRequest
+  /** @type {any} */
+  let mockInvocation
+  /** @type {sinon.SinonStub} */
+  let auditLogStub
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+
+    mockRequest = {
+      space: 'did:key:test123'
+    }
+
+    mockInvocation = {
+      cid: { toString: () => 'invocation-cid-123' },
+      proofs: []
+    }
+
+    mockCtx = {
+      ucanKmsIdentity: { did: () => 'did:web:kms.example.com' },
+      ucanPrivacyValidationService: {
+        validateAdministration: sinon.stub().resolves({ ok: true })
+      },
+      revocationStatusClient: {
+        checkStatus: sinon.stub().resolves({ ok: true })
+      },
+      kms: {
+        disableKeyForSpace: sinon.stub().resolves({ ok: { keyVersions: ['1', '2'], suspended: true } }),
+        enableKeyForSpace: sinon.stub().resolves({ ok: { keyVersions: ['1', '2'], suspended: false } })
+      }
+    }
+
+    mockEnv = {}
+
+    auditLogStub = sandbox.stub(AuditLogService.prototype, 'logInvocation')
+  })
+
+  afterEach(() => {
+    sandbox.restore()
+  })
+
+  describe('handleKeyDisable', () => {
+    it('should not suspend the key when the admin delegation was revoked', async () => {
+      mockCtx.revocationStatusClient.checkStatus.resolves({ error: new DelegationRevoked('bafy-revoked') })
+
+      const result = await handleKeyDisable(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+      assert(!result.ok)
+      assert.equal(result.error?.name, 'DelegationRevoked')
+      // Admin delegations are on the service DID
+      assert(mockCtx.revocationStatusClient.checkStatus.calledOnceWith(mockInvocation.proofs, 'did:web:kms.example.com', mockEnv, { capability: KeyDisable.can, invocation: mockInvocation }))
+      assert(mockCtx.kms.disableKeyForSpace.notCalled)
+      assert(auditLogStub.calledWith(mockRequest.space, KeyDisable.can, false, 'Revocation check failed', 'invocation-cid-123', sinon.match.number))
+    })
+
+    it('should suspend the space key', async () => {
+      const result = await handleKeyDisable(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+      assert.deepEqual(result.ok, { keyVersions: ['1', '2'], suspended: true })
+      assert(mockCtx.ucanPrivacyValidationService.validateAdministration.calledWith(mockInvocation, KeyDisable, mockRequest.space, mockCtx, mockEnv))
+      assert(auditLogStub.calledWith(
+        mockRequest.space,
+        KeyDisable.can,
+        true,
+        undefined,
+        'invocation-cid-123',
+        sinon.match.number
+      ))
+    })
+
+    it('should return error when the invocation is not authorized by the service', async () => {
+      mockCtx.ucanPrivacyValidationService.validateAdministration.resolves({ error: new Failure('Admin validation failed') })
+
+      const result = await handleKeyDisable(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+      assert(!result.ok)
+      assert.equal(result.error?.message, 'Admin validation failed')
+      assert(mockCtx.kms.disableKeyForSpace.notCalled)
+    })
+
+    it('should return error when the KMS provider cannot suspend keys', async () => {
+      mockCtx.kms = { setupKeyForSpace: sinon.stub(), decryptSymmetricKey: sinon.stub() }
+
+      const result = await handleKeyDisable(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+      assert(!result.ok)
+      assert.equal(result.error?.message, 'Key suspension is not supported by the configured KMS provider')
+    })
+
+    it('should return the KMS error when disabling fails', async () => {
+      mockCtx.kms.disableKeyForSpace.resolves({ error: new Failure('Key disable failed') })
+
+      const result = await handleKeyDisable(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+      assert(!result.ok)
+      assert.equal(result.error?.message, 'Key disable failed')
+      assert(auditLogStub.calledWith(
+        mockRequest.space,
+        KeyDisable.can,
+        false,
+        'KMS key disable failed',
+        'invocation-cid-123',
+        sinon.match.number
+      ))
+    })
+  })
+
+  describe('handleKeyEnable', () => {
+    it('should not lift the suspension when the admin delegation was revoked', async () => {
+      mockCtx.revocationStatusClient.checkStatus.resolves({ error: new DelegationRevoked('bafy-revoked') })
+
+      const result = await handleKeyEnable(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+      assert(!result.ok)
+      assert.equal(result.error?.name, 'DelegationRevoked')
+      assert(mockCtx.revocationStatusClient.checkStatus.calledOnceWith(mockInvocation.proofs, 'did:web:kms.example.com', mockEnv, { capability: KeyEnable.can, invocation: mockInvocation }))
+      assert(mockCtx.kms.enableKeyForSpace.notCalled)
+      assert(auditLogStub.calledWith(mockRequest.space, KeyEnable.can, false, 'Revocation check failed', 'invocation-cid-123', sinon.match.number))
+    })
+
+    it('should lift the suspension of the space key', async () => {
+      const result = await handleKeyEnable(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+      assert.deepEqual(result.ok, { keyVersions: ['1', '2'], suspended: false })
+      assert(mockCtx.ucanPrivacyValidationService.validateAdministration.calledWith(mockInvocation, KeyEnable, mockRequest.space, mockCtx, mockEnv))
+    })
+
+    it('should return error when the invocation is not authorized by the service', async () => {
+      mockCtx.ucanPrivacyValidationService.validateAdministration.resolves({ error: new Failure('Admin validation failed') })
+
+      const result = await handleKeyEnable(mockRequest, mockInvocation, mockCtx, mockEnv)
+
+      assert(!result.ok)
+      assert.equal(result.error?.message, 'Admin validation failed')
+      assert(mockCtx.kms.enableKeyForSpace.notCalled)
+    })
+  })
+})
@@ -0,0 +1,179 @@
+import { strict as assert } from 'assert'
+import { describe, it, beforeEach, afterEach } from 'mocha'
+import sinon from 'sinon'
+import { Failure } from '@ucanto/server'
+import { Plan } from '@storacha/capabilities'
+import { EncryptionKeyDecrypt, EncryptionSetup } from '@storacha/capabilities/space'
+import { handleRateLimitStatus } from '../../../src/handlers/rateLimitStatus.js'
+import { AuditLogService } from '../../../src/services/auditLog.js'
+import { DelegationRevoked } from '../../../src/errors.js'
+import { KmsRateLimiter } from '../../../src/services/kmsRateLimiter.js'
+import { RateLimitStatus } from '../../../src/capabilities.js'
+
+describe('Rate Limit Status Handler', () => {
+  /** @type {sinon.SinonSandbox} */
+  let sandbox
+  /** @type {any} */
+  let mockCtx
+  /** @type {any} */
+  let mockEnv
+  /** @type {any} */
+  let mockInvocation
+  /** @type {sinon.SinonStub} */
+  let auditLogStub
+
+  const space = 'did:key:test123'
+  const serviceDID = 'did:web:kms.example.com'
+  const decryptLimits = KmsRateLimiter.RATE_LIMITS[EncryptionKeyDecrypt.can]
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+
+    mockInvocation = {
+      cid: { toString: () => 'invocation-cid-123' },
+      proofs: []
+    }
+
+    mockCtx = {
+      ucanKmsIdentity: { did: () => serviceDID },
+      ucanPrivacyValidationService: {
+        validateKeyManagement: sinon.stub().resolves({ ok: true }),
+        validateAdministration: sinon.stub().resolves({ ok: true })
+      },
+      revocationStatusClient: {
+        checkStatus: sinon.stub().resolves({ ok: true })
+      },
+      subscriptionStatusService: {
+        isProvisioned: sinon.stub().resolves({ ok: { isProvisioned: true, product: 'did:web:business.web3.storage', entitlements: { encryption: true, rateLimitTier: 'did:web:business.web3.storage' } } })
+      },
+      kmsRateLimiter: {
+        getRateLimitStatus: sinon.stub().resolves({ spaceCount: 150, userCount: 400, globalCount: 9000, limits: decryptLimits })
+      }
+    }
+
+    mockEnv = {}
+
+    auditLogStub = sandbox.stub(AuditLogService.prototype, 'logInvocation')
+  })
+
+  afterEach(() => {
+    sandbox.restore()
+  })
+
+  it('should not report the usage when the status delegation was revoked', async () => {
+    mockCtx.revocationStatusClient.checkStatus.resolves({ error: new DelegationRevoked('bafy-revoked') })
+
+    const result = await handleRateLimitStatus({ resource: space, space }, mockInvocation, mockCtx, mockEnv)
+
+    assert(!result.ok)
+    assert.equal(result.error?.name, 'DelegationRevoked')
+    assert(mockCtx.revocationStatusClient.checkStatus.calledOnceWith(mockInvocation.proofs, space, mockEnv, { capability: RateLimitStatus.can, invocation: mockInvocation }))
+    assert(mockCtx.kmsRateLimiter.getRateLimitStatus.notCalled)
+    assert(auditLogStub.calledWith(space, RateLimitStatus.can, false, 'Revocation check failed', 'invocation-cid-123', sinon.match.number))
+  })
+
+  it('should check the revocation of admin delegations on the service DID', async () => {
+    const result = await handleRateLimitStatus({ resource: serviceDID, space }, mockInvocation, mockCtx, mockEnv)
+
+    assert.ok(result.ok)
+    assert(mockCtx.revocationStatusClient.checkStatus.calledOnceWith(mockInvocation.proofs, serviceDID, mockEnv, { capability: RateLimitStatus.can, invocation: mockInvocation }))
+  })
+
+  it('should report the decrypt usage of the space and the invoker', async () => {
+    const result = await handleRateLimitStatus({ resource: space, space }, mockInvocation, mockCtx, mockEnv)
+
+    assert.deepEqual(result.ok, {
+      operation: EncryptionKeyDecrypt.can,
+      windowMinutes: 15,
+      algorithm: 'token-bucket',
+      space: { used: 150, limit: decryptLimits.perSpace, remaining: decryptLimits.perSpace - 150 },
+      user: { used: 400, limit: decryptLimits.perUser, remaining: decryptLimits.perUser - 400 }
+    })
+    assert(mockCtx.ucanPrivacyValidationService.validateKeyManagement.calledWith(mockInvocation, space, RateLimitStatus.can))
+    assert(mockCtx.ucanPrivacyValidationService.validateAdministration.notCalled)
+    assert(auditLogStub.calledWith(space, RateLimitStatus.can, true, undefined, 'invocation-cid-123', sinon.match.number))
+  })
+
+  it('should report the global tier to admins', async () => {
+    const result = await handleRateLimitStatus({ resource: serviceDID, space }, mockInvocation, mockCtx, mockEnv)
+
+    assert.deepEqual(result.ok?.global, { used: 9000, limit: decryptLimits.global, remaining: decryptLimits.global - 9000 })
+    assert(mockCtx.ucanPrivacyValidationService.validateAdministration.calledWith(mockInvocation, RateLimitStatus, space, mockCtx, mockEnv))
+    assert(mockCtx.ucanPrivacyValidationService.validateKeyManagement.notCalled)
+  })
+
+  it('should report the requested operation', async () => {
+    await handleRateLimitStatus({ resource: space, space, operation: EncryptionSetup.can }, mockInvocation, mockCtx, mockEnv)
+
+    assert(mockCtx.kmsRateLimiter.getRateLimitStatus.calledWith(mockInvocation, EncryptionSetup.can, space, undefined))
+  })
+
+  it('should report the limits of the space plan when a plan/get delegation is attached', async () => {
+    mockInvocation.proofs = [{ capabilities: [{ can: Plan.get.can, with: 'did:mailto:example.com:alice' }] }]
+
+    await handleRateLimitStatus({ resource: space, space }, mockInvocation, mockCtx, mockEnv)
+
+    assert(mockCtx.subscriptionStatusService.isProvisioned.calledOnce)
+    assert(mockCtx.kmsRateLimiter.getRateLimitStatus.calledWith(mockInvocation, EncryptionKeyDecrypt.can, space, 'did:web:business.web3.storage'))
+  })
+
+  it('should not resolve the plan without a plan/get delegation', async () => {
+    await handleRateLimitStatus({ resource: space, space }, mockInvocation, mockCtx, mockEnv)
+
+    assert(mockCtx.subscriptionStatusService.isProvisioned.notCalled)
+  })
+
+  it('should not report remaining operations below zero', async () => {
+    mockCtx.kmsRateLimiter.getRateLimitStatus.resolves({ spaceCount: decryptLimits.perSpace + 5, userCount: 0, globalCount: 0, limits: decryptLimits })
+
+    const result = await handleRateLimitStatus({ resource: space, space }, mockInvocation, mockCtx, mockEnv)
+
+    assert.equal(result.ok?.space.remaining, 0)
+  })
+
+  it('should return error when the invocation is not authorized for the space', async () => {
+    mockCtx.ucanPrivacyValidationService.validateKeyManagement.resolves({ error: new Failure('Key management validation failed') })
+
+    const result = await handleRateLimitStatus({ resource: space, space }, mockInvocation, mockCtx, mockEnv)
+
+    assert(!result.ok)
+    assert.equal(result.error?.message, 'Key management validation failed')
+    assert(mockCtx.kmsRateLimiter.getRateLimitStatus.notCalled)
+  })
+
+  it('should return error when an admin invocation is not authorized by the service', async () => {
+    mockCtx.ucanPrivacyValidationService.validateAdministration.resolves({ error: new Failure('Admin validation failed') })
+
+    const result = await handleRateLimitStatus({ resource: serviceDID, space }, mockInvocation, mockCtx, mockEnv)
+
+    assert(!result.ok)
+    assert.equal(result.error?.message, 'Admin validation failed')
+    assert(mockCtx.kmsRateLimiter.getRateLimitStatus.notCalled)
+  })
+
+  it('should return error for operations that are not rate limited', async () => {
+    const result = await handleRateLimitStatus({ resource: space, space, operation: 'store/add' }, mockInvocation, mockCtx, mockEnv)
+
+    assert(!result.ok)
+    assert.equal(result.error?.message, 'Operation store/add is not rate limited')
+  })
+
+  it('should return error when no rate limit counters are configured', async () => {
+    mockCtx.kmsRateLimiter.getRateLimitStatus.resolves({ spaceCount: 0, userCount: 0, globalCount: 0, limits: null })
+
+    const result = await handleRateLimitStatus({ resource: space, space }, mockInvocation, mockCtx, mockEnv)
+
+    assert(!result.ok)
+    assert.equal(result.error?.message, 'Rate limit status not available - no rate limit counters configured')
+  })
+
+  it('should return a generic error when reading the status throws', async () => {
+    mockCtx.kmsRateLimiter.getRateLimitStatus.rejects(new Error('KV exploded'))
+    sandbox.stub(console, 'error')
+
+    const result = await handleRateLimitStatus({ resource: space, space }, mockInvocation, mockCtx, mockEnv)
+
+    assert(!result.ok)
+    assert.equal(result.error?.message, 'Rate limit status failed')
+  })
+})
@@ -0,0 +1,152 @@
+import { strict as assert } from 'assert'
+import { describe, it, beforeEach, afterEach } from 'mocha'
+import sinon from 'sinon'
+import * as ed25519 from '@ucanto/principal/ed25519'
+import { delegate } from '@ucanto/core'
+import { revoke as UCANRevoke } from '@storacha/capabilities/ucan'
+import { handleUcanRevoke } from '../../../src/handlers/ucanRevoke.js'
+import { AuditLogService } from '../../../src/services/auditLog.js'
+import { MemoryRevocationSource } from '../../../src/clients/revocationSource.js'
+import { RevocationStatusClientImpl } from '../../../src/clients/revocation.js'
+
+describe('UCAN Revoke Handler', () => {
+  /** @type {sinon.SinonSandbox} */
+  let sandbox
+  /** @type {any} */
+  let mockCtx
+  /** @type {any} */
+  let mockEnv
+  /** @type {sinon.SinonStub} */
+  let auditLogStub
+  /** @type {MemoryRevocationSource} */
+  let revocationStore
+  /** @type {ed25519.EdSigner} */
+  let space
+  /** @type {ed25519.EdSigner} */
+  let alice
+  /** @type {ed25519.EdSigner} */
+  let bob
+  /** @type {ed25519.EdSigner} */
+  let kms
+  /** @type {import('@ucanto/interface').Delegation} */
+  let share
+  /** @type {import('@ucanto/interface').Delegation} */
+  let redelegation
+
+  beforeEach(async () => {
+    sandbox = sinon.createSandbox()
+
+    space = await ed25519.Signer.generate()
+    alice = await ed25519.Signer.generate()
+    bob = await ed25519.Signer.generate()
+    kms = await ed25519.Signer.generate()
+    /** @type {any} */
+    const capabilities = [{ can: 'space/content/decrypt', with: space.did(), nb: { resource: 'bafkreihash' } }]
+    share = await delegate({ issuer: space, audience: alice, capabilities })
+    redelegation = await delegate({ issuer: alice, audience: bob, capabilities, proofs: [share] })
+
+    revocationStore = new MemoryRevocationSource()
+    mockCtx = { revocationStore }
+    mockEnv = {}
+
+    auditLogStub = sandbox.stub(AuditLogService.prototype, 'logInvocation')
+  })
+
+  afterEach(() => {
+    sandbox.restore()
+  })
+
+  /**
+   * Invokes ucan/revoke of a delegation as a principal
+   * @param {ed25519.EdSigner} issuer - The revoking principal
+   * @param {import('@ucanto/interface').Delegation} delegation - The delegation being revoked
+   * @param {import('@ucanto/interface').Delegation[]} [proofs] - Delegations attached to the invocation
+   */
+  const revoke = async (issuer, delegation, proofs = [delegation]) => {
+    const invocation = await UCANRevoke
+      .invoke({ issuer, audience: kms, with: issuer.did(), nb: { ucan: delegation.cid }, proofs })
+      .buildIPLDView()
+    return handleUcanRevoke({ principal: issuer.did(), ucan: delegation.cid }, invocation, mockCtx, mockEnv)
+  }
+
+  it('should record the revocation of the issuer of the delegation', async () => {
+    const result = await revoke(alice, redelegation)
+
+    assert.ok(result.ok)
+    assert.equal(typeof result.ok.time, 'number')
+    assert.equal(await revocationStore.getStatus(redelegation.cid.toString()), 'revoked')
+    assert(auditLogStub.calledWith(alice.did(), UCANRevoke.can, true))
+  })
+
+  it('should let a principal upstream in the proof chain revoke the delegation', async () => {
+    const result = await revoke(space, redelegation)
+
+    assert.ok(result.ok)
+    assert.equal(await revocationStore.getStatus(redelegation.cid.toString()), 'revoked')
+  })
+
+  it('should refuse principals outside the proof chain', async () => {
+    const mallory = await ed25519.Signer.generate()
+
+    const result = await revoke(mallory, redelegation)
+
+    assert.equal(result.error?.name, 'UnauthorizedRevocation')
+    assert.equal(await revocationStore.getStatus(redelegation.cid.toString()), 'not-revoked')
+    assert(auditLogStub.calledWith(mallory.did(), UCANRevoke.can, false, 'Unauthorized revocation'))
+  })
+
+  it('should refuse the audience of the delegation', async () => {
+    const result = await revoke(bob, redelegation)
+
+    assert.equal(result.error?.name, 'UnauthorizedRevocation')
+    assert.equal(await revocationStore.getStatus(redelegation.cid.toString()), 'not-revoked')
+  })
+
+  it('should refuse audiences upstream in the proof chain', async () => {
+    // Alice holds the share, so she may revoke her redelegation but not the share she was granted
+    const result = await revoke(alice, share)
+
+    assert.equal(result.error?.name, 'UnauthorizedRevocation')
+    assert.equal(await revocationStore.getStatus(share.cid.toString()), 'not-revoked')
+  })
+
+  it('should refuse revocations without the delegation attached', async () => {
+    const result = await revoke(alice, redelegation, [])
+
+    assert.equal(result.error?.name, 'UCANNotFound')
+    assert.equal(await revocationStore.getStatus(redelegation.cid.toString()), 'not-revoked')
+  })
+
+  it('should fail when no revocation store is configured', async () => {
+    mockCtx.revocationStore = undefined
+
+    const result = await revoke(alice, redelegation)
+
+    assert.equal(result.error?.name, 'RevocationsStoreFailure')
+  })
+
+  it('should return a generic error when the store fails', async () => {
+    sandbox.stub(console, 'error')
+    sandbox.stub(revocationStore, 'revoke').rejects(new Error('KV unavailable'))
+
+    const result = await revoke(alice, redelegation)
+
+    assert.equal(result.error?.message, 'Revocation failed')
+    assert(auditLogStub.calledWith(alice.did(), UCANRevoke.can, false, 'KV unavailable'))
+  })
+
+  it('should make the revocation take effect on the next revocation check', async () => {
+    sandbox.stub(globalThis, 'fetch').resolves(new Response(null, { status: 404 }))
+    const client = new RevocationStatusClientImpl({
+      store: revocationStore,
+      cache: { get: async () => 'not-revoked', put: async () => {} }
+    })
+    const env = /** @type {any} */ ({ UPLOAD_SERVICE_URL: 'https://revocation.service.test' })
+    assert.ok((await client.checkStatus([redelegation], space.did(), env)).ok)
+
+    await revoke(space, share)
+
+    const result = await client.checkStatus([redelegation], space.did(), env)
+    assert.equal(result.error?.message, 'Delegation explicitly revoked')
+  })
+})
@@ -0,0 +1,100 @@
+/* eslint-disable no-unused-expressions
+   ---
+   `no-unused-expressions` doesn't understand that several of Chai's assertions
+   are implemented as getters rather than explicit function calls; it thinks
+   the assertions are unused expressions. */
+import { describe, it, before, after } from 'mocha'
+import { expect } from 'chai'
+import { Miniflare } from 'miniflare'
+import { DurableObjectAccountSpaceStore, createAccountSpaceStore } from '../../../src/services/accountSpaces.js'
+
+describe('Account spaces', () => {
+  describe('createAccountSpaceStore', () => {
+    it('should be created only when the Durable Object namespace is bound', () => {
+      expect(createAccountSpaceStore(/** @type {any} */ ({}))).to.be.undefined
+      expect(createAccountSpaceStore(/** @type {any} */ ({ KMS_KEY_METADATA_KV: {} }))).to.be.undefined
+      expect(createAccountSpaceStore(/** @type {any} */ ({ KMS_ACCOUNT_SPACES_DO: {} }))).to.be.instanceOf(DurableObjectAccountSpaceStore)
+    })
+  })
+
+  describe('DurableObjectAccountSpaceStore', function () {
+    // Starting the local workerd runtime can be slow
+    this.timeout(60_000)
+
+    /** @type {Miniflare} */
+    let mf
+    /** @type {DurableObjectAccountSpaceStore} */
+    let store
+
+    before(async () => {
+      mf = new Miniflare({
+        modules: true,
+        scriptPath: 'src/durableObjects/accountSpaceRegistry.js',
+        durableObjects: { KMS_ACCOUNT_SPACES_DO: 'AccountSpaceRegistry' }
+      })
+      store = new DurableObjectAccountSpaceStore(/** @type {any} */ (await mf.getDurableObjectNamespace('KMS_ACCOUNT_SPACES_DO')))
+    })
+
+    after(async () => {
+      await mf?.dispose()
+    })
+
+    it('should list no spaces for an account without spaces', async () => {
+      expect(await store.list('did:mailto:example.com:empty')).to.deep.equal([])
+    })
+
+    it('should record each space once', async () => {
+      const account = 'did:mailto:example.com:once'
+
+      expect(await store.reserve(account, 'did:key:space1')).to.deep.equal({ reserved: true, added: true })
+      expect(await store.reserve(account, 'did:key:space2')).to.deep.equal({ reserved: true, added: true })
+      expect(await store.reserve(account, 'did:key:space1')).to.deep.equal({ reserved: true, added: false })
+
+      expect(await store.list(account)).to.deep.equal(['did:key:space1', 'did:key:space2'])
+    })
+
+    it('should reserve spaces already recorded at the limit', async () => {
+      const account = 'did:mailto:example.com:limit'
+
+      expect(await store.reserve(account, 'did:key:space1', 1)).to.deep.equal({ reserved: true, added: true })
+      expect(await store.reserve(account, 'did:key:space2', 1)).to.deep.equal({ reserved: false, added: false })
+      expect(await store.reserve(account, 'did:key:space1', 1)).to.deep.equal({ reserved: true, added: false })
+    })
+
+    it('should reserve exactly the limit under concurrent reservations', async () => {
+      const account = 'did:mailto:example.com:concurrent'
+
+      const reservations = await Promise.all(Array.from({ length: 10 }, (_, i) => store.reserve(account, `did:key:space${i}`, 3)))
+
+      expect(reservations.filter(reservation => reservation.reserved)).to.have.lengthOf(3)
+      expect(await store.list(account)).to.have.lengthOf(3)
+    })
+
+    it('should not lose concurrent reservations', async () => {
+      const account = 'did:mailto:example.com:unlimited'
+
+      await Promise.all(Array.from({ length: 10 }, (_, i) => store.reserve(account, `did:key:space${i}`)))
+
+      expect(await store.list(account)).to.have.lengthOf(10)
+    })
+
+    it('should release spaces to make room for others', async () => {
+      const account = 'did:mailto:example.com:release'
+      await store.reserve(account, 'did:key:space1', 1)
+
+      await store.release(account, 'did:key:space1')
+
+      expect(await store.list(account)).to.deep.equal([])
+      expect(await store.reserve(account, 'did:key:space2', 1)).to.deep.equal({ reserved: true, added: true })
+    })
+
+    it('should reject invalid reservations', async () => {
+      try {
+        await store.reserve('did:mailto:example.com:invalid', 'did:key:space1', -1)
+        expect.fail('Expected reserve to throw')
+      } catch (err) {
+        expect(/** @type {Error} */ (err).message).to.include('400')
+      }
+    })
+  })
+})
@@ -168,6 +168,91 @@ describe('AuditLogService', () => {
       expect(loggedData.status).to.equal('500')
       expect(loggedData.duration).to.equal(150)
     })
+
+    it('should log KMS key rotation success', () => {
+      auditService.logKMSKeyRotationSuccess(spaceDID, '3', 800)
+
+      expect(consoleLogStub.calledOnce).to.be.true
+      const loggedData = JSON.parse(consoleLogStub.firstCall.args[0])
+      expect(loggedData.eventType).to.equal(SecurityEventType.KMS_KEY_ROTATION_SUCCESS)
+      expect(loggedData.operation).to.equal('kms_key_rotation')
+      expect(loggedData.keyVersion).to.equal('3')
+      expect(loggedData.status).to.equal('success')
+    })
+
+    it('should log KMS key rotation failure', () => {
+      auditService.logKMSKeyRotationFailure(spaceDID, 'Rotation failed', 409, 100)
+
+      expect(consoleLogStub.calledOnce).to.be.true
+      const loggedData = JSON.parse(consoleLogStub.firstCall.args[0])
+      expect(loggedData.eventType).to.equal(SecurityEventType.KMS_KEY_ROTATION_FAILURE)
+      expect(loggedData.operation).to.equal('kms_key_rotation')
+      expect(loggedData.error).to.equal('Rotation failed')
+      expect(loggedData.status).to.equal('409')
+    })
+
+    it('should log KMS key destruction success', () => {
+      auditService.logKMSKeyDestructionSuccess(spaceDID, ['1', '2'], 300)
+
+      expect(consoleLogStub.calledOnce).to.be.true
+      const loggedData = JSON.parse(consoleLogStub.firstCall.args[0])
+      expect(loggedData.eventType).to.equal(SecurityEventType.KMS_KEY_DESTRUCTION_SUCCESS)
+      expect(loggedData.operation).to.equal('kms_key_destruction')
+      expect(loggedData.metadata.keyVersions).to.deep.equal(['1', '2'])
+      expect(loggedData.status).to.equal('success')
+    })
+
+    it('should log KMS key destruction failure', () => {
+      auditService.logKMSKeyDestructionFailure(spaceDID, 'Destruction failed', 403, 100)
+
+      expect(consoleLogStub.calledOnce).to.be.true
+      const loggedData = JSON.parse(consoleLogStub.firstCall.args[0])
+      expect(loggedData.eventType).to.equal(SecurityEventType.KMS_KEY_DESTRUCTION_FAILURE)
+      expect(loggedData.error).to.equal('Destruction failed')
+      expect(loggedData.status).to.equal('403')
+    })
+
+    it('should log KMS key disable success', () => {
+      auditService.logKMSKeyDisableSuccess(spaceDID, ['1', '2'], 200)
+
+      expect(consoleLogStub.calledOnce).to.be.true
+      const loggedData = JSON.parse(consoleLogStub.firstCall.args[0])
+      expect(loggedData.eventType).to.equal(SecurityEventType.KMS_KEY_DISABLE_SUCCESS)
+      expect(loggedData.operation).to.equal('kms_key_disable')
+      expect(loggedData.metadata.keyVersions).to.deep.equal(['1', '2'])
+      expect(loggedData.status).to.equal('success')
+    })
+
+    it('should log KMS key enable failure', () => {
+      auditService.logKMSKeyEnableFailure(spaceDID, 'Enable failed', 500, 100)
+
+      expect(consoleLogStub.calledOnce).to.be.true
+      const loggedData = JSON.parse(consoleLogStub.firstCall.args[0])
+      expect(loggedData.eventType).to.equal(SecurityEventType.KMS_KEY_ENABLE_FAILURE)
+      expect(loggedData.operation).to.equal('kms_key_enable')
+      expect(loggedData.error).to.equal('Enable failed')
+      expect(loggedData.status).to.equal('500')
+    })
+
+    it('should log KMS public key retrieval success', () => {
+      auditService.logKMSPublicKeyRetrievalSuccess(spaceDID, '2', 50)
+
+      expect(consoleLogStub.calledOnce).to.be.true
+      const loggedData = JSON.parse(consoleLogStub.firstCall.args[0])
+      expect(loggedData.eventType).to.equal(SecurityEventType.KMS_PUBLIC_KEY_RETRIEVAL_SUCCESS)
+      expect(loggedData.operation).to.equal('kms_public_key_retrieval')
+      expect(loggedData.keyVersion).to.equal('2')
+    })
+
+    it('should log KMS public key retrieval failure', () => {
+      auditService.logKMSPublicKeyRetrievalFailure(spaceDID, 'Key not found', 404, 20)
+
+      expect(consoleLogStub.calledOnce).to.be.true
+      const loggedData = JSON.parse(consoleLogStub.firstCall.args[0])
+      expect(loggedData.eventType).to.equal(SecurityEventType.KMS_PUBLIC_KEY_RETRIEVAL_FAILURE)
+      expect(loggedData.error).to.equal('Key not found')
+      expect(loggedData.status).to.equal('404')
+    })
   })
 
   describe('UCAN validation logging methods', () => {
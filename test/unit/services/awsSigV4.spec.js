@@ -0,0 +1,47 @@
+/* eslint-disable no-unused-expressions
+   ---
+   `no-unused-expressions` doesn't understand that several of Chai's assertions
+   are implemented as getters rather than explicit function calls; it thinks
+   the assertions are unused expressions. */
+import { describe, it } from 'mocha'
+import { expect } from 'chai'
+import { signRequest, toAmzDate } from '../../../src/services/awsSigV4.js'
+
+describe('signRequest', () => {
+  it('should match the AWS SigV4 get-vanilla test vector', async () => {
+    const headers = await signRequest({
+      method: 'GET',
+      url: new URL('https://example.amazonaws.com/'),
+      headers: {},
+      body: '',
+      region: 'us-east-1',
+      service: 'service',
+      credentials: { accessKeyId: 'AKIDEXAMPLE', secretAccessKey: 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY' },
+      date: new Date('2015-08-30T12:36:00Z')
+    })
+
+    expect(headers.authorization).to.equal(
+      'AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE/20150830/us-east-1/service/aws4_request, SignedHeaders=host;x-amz-date, Signature=5fa00fa31553b73ebf1942676e86291e8372ff2a2260956d9b8aae1d763fbf31'
+    )
+    expect(headers['x-amz-date']).to.equal('20150830T123600Z')
+  })
+
+  it('should sign the session token for temporary credentials', async () => {
+    const headers = await signRequest({
+      method: 'POST',
+      url: new URL('https://kms.us-east-1.amazonaws.com/'),
+      headers: { 'content-type': 'application/x-amz-json-1.1' },
+      body: '{}',
+      region: 'us-east-1',
+      service: 'kms',
+      credentials: { accessKeyId: 'AKIDEXAMPLE', secretAccessKey: 'secret', sessionToken: 'session-token' }
+    })
+
+    expect(headers['x-amz-security-token']).to.equal('session-token')
+    expect(headers.authorization).to.include('SignedHeaders=content-type;host;x-amz-date;x-amz-security-token,')
+  })
+
+  it('should format SigV4 timestamps without separators or milliseconds', () => {
+    expect(toAmzDate(new Date('2024-01-02T03:04:05.678Z'))).to.equal('20240102T030405Z')
+  })
+})
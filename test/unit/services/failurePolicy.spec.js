@@ -0,0 +1,75 @@
+/* eslint-disable no-unused-expressions
+   ---
+   `no-unused-expressions` doesn't understand that several of Chai's assertions
+   are implemented as getters rather than explicit function calls; it thinks
+   the assertions are unused expressions. */
+import { describe, it, beforeEach, afterEach } from 'mocha'
+import { expect } from 'chai'
+import sinon from 'sinon'
+import { getFailurePolicy, shouldFailOpen } from '../../../src/services/failurePolicy.js'
+
+describe('Failure policy', () => {
+  /** @type {sinon.SinonSandbox} */
+  let sandbox
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+  })
+
+  afterEach(() => {
+    sandbox.restore()
+  })
+
+  describe('getFailurePolicy', () => {
+    it('should default to open for the rate limiter and revocation, closed for the plan', () => {
+      const env = /** @type {any} */ ({})
+
+      expect(getFailurePolicy(env, 'rate-limiter')).to.equal('open')
+      expect(getFailurePolicy(env, 'revocation')).to.equal('open')
+      expect(getFailurePolicy(env, 'plan')).to.equal('closed')
+    })
+
+    it('should read the policy of each dependency from the environment', () => {
+      const env = /** @type {any} */ ({
+        FAIL_POLICY_RATE_LIMITER: 'closed',
+        FAIL_POLICY_REVOCATION: ' Closed ',
+        FAIL_POLICY_PLAN: 'open'
+      })
+
+      expect(getFailurePolicy(env, 'rate-limiter')).to.equal('closed')
+      expect(getFailurePolicy(env, 'revocation')).to.equal('closed')
+      expect(getFailurePolicy(env, 'plan')).to.equal('open')
+    })
+
+    it('should fail closed on invalid values', () => {
+      sandbox.stub(console, 'warn')
+      const env = /** @type {any} */ ({ FAIL_POLICY_REVOCATION: 'opne' })
+
+      expect(getFailurePolicy(env, 'revocation')).to.equal('closed')
+    })
+  })
+
+  describe('shouldFailOpen', () => {
+    it('should audit-log the decision', () => {
+      const auditLog = /** @type {any} */ ({ logSecurityEvent: sandbox.stub() })
+      const env = /** @type {any} */ ({ FAIL_POLICY_RATE_LIMITER: 'closed' })
+
+      const failOpen = shouldFailOpen(env, 'rate-limiter', new Error('KV unavailable'), { auditLog, metadata: { spaceDID: 'did:key:space' } })
+
+      expect(failOpen).to.be.false
+      expect(auditLog.logSecurityEvent.calledWith('failure_policy_applied', {
+        operation: 'rate-limiter',
+        status: 'fail_closed',
+        error: 'KV unavailable',
+        metadata: { policy: 'closed', spaceDID: 'did:key:space' }
+      })).to.be.true
+    })
+
+    it('should log the decision to the console without audit log', () => {
+      const warn = sandbox.stub(console, 'warn')
+
+      expect(shouldFailOpen(/** @type {any} */ ({}), 'revocation', 'timeout')).to.be.true
+      expect(warn.calledOnce).to.be.true
+    })
+  })
+})
@@ -7,6 +7,8 @@ import { describe, it, beforeEach, afterEach } from 'mocha'
 import { expect } from 'chai'
 import sinon from 'sinon'
 import { GoogleKMSService } from '../../../src/services/googleKms.js'
+import { KVKeyMetadataStore } from '../../../src/services/keyMetadata.js'
+import { encodeEnvelope } from '../../../src/envelope.js'
 
 describe('GoogleKMSService', () => {
   /** @type {sinon.SinonSandbox} */
@@ -358,6 +360,522 @@ describe('GoogleKMSService', () => {
     })
   })
 
+  describe('key metadata registry', () => {
+    const spaceDID = 'did:key:z6Mko5igLB7NBgBcDYjM7MnRZDFKCLYAfbsEYAnx8HRJGJmu'
+    const mockPublicKey = '-----BEGIN PUBLIC KEY-----\nMOCK_KEY\n-----END PUBLIC KEY-----'
+    const euKeyName = `projects/test-project/locations/europe-west1/keyRings/eu-keyring/cryptoKeys/${spaceDID.replace('did:key:', '')}`
+
+    /** @type {KVKeyMetadataStore} */
+    let keyMetadataStore
+
+    beforeEach(() => {
+      /** @type {Map<string, string>} */
+      const entries = new Map()
+      keyMetadataStore = new KVKeyMetadataStore(/** @type {any} */ ({
+        get: async (/** @type {string} */ key) => entries.get(key) ?? null,
+        put: async (/** @type {string} */ key, /** @type {string} */ value) => { entries.set(key, value) }
+      }))
+      service = new GoogleKMSService(env, { keyMetadataStore })
+    })
+
+    it('should record the location and keyring used at setup time', async () => {
+      fetchStub.onCall(0).resolves(new Response('Not Found', { status: 404 }))
+      fetchStub.onCall(1).resolves(new Response('{}', { status: 200 }))
+      fetchStub.onCall(2).resolves(new Response(JSON.stringify({ pem: mockPublicKey, algorithm: 'RSA_DECRYPT_OAEP_3072_SHA256' }), { status: 200 }))
+
+      const result = await service.setupKeyForSpace({ space: spaceDID, location: 'europe-west1', keyring: 'eu-keyring' }, env)
+
+      expect(result.ok).to.exist
+      const metadata = await keyMetadataStore.get(spaceDID)
+      expect(metadata).to.include({ provider: 'google-kms', location: 'europe-west1', keyring: 'eu-keyring', keyVersion: '1' })
+      expect(metadata?.createdAt).to.be.a('string')
+    })
+
+    it('should decrypt through the recorded location instead of the defaults', async () => {
+      await keyMetadataStore.put(spaceDID, {
+        provider: 'google-kms',
+        location: 'europe-west1',
+        keyring: 'eu-keyring',
+        keyVersion: '1',
+        createdAt: '2025-01-01T00:00:00.000Z',
+        updatedAt: '2025-01-01T00:00:00.000Z'
+      })
+      fetchStub.onCall(0).resolves(new Response(JSON.stringify({ primary: { name: `${euKeyName}/cryptoKeyVersions/1` } }), { status: 200 }))
+      fetchStub.onCall(1).resolves(new Response(JSON.stringify({ plaintext: Buffer.from('key').toString('base64') }), { status: 200 }))
+
+      const result = await service.decryptSymmetricKey({ encryptedSymmetricKey: Buffer.from('encrypted'), space: spaceDID }, env)
+
+      expect(result.ok).to.exist
+      expect(fetchStub.firstCall.args[0]).to.equal(`https://cloudkms.googleapis.com/v1/${euKeyName}`)
+      expect(fetchStub.secondCall.args[0]).to.equal(`https://cloudkms.googleapis.com/v1/${euKeyName}/cryptoKeyVersions/1:asymmetricDecrypt`)
+    })
+
+    it('should fall back to the default location for spaces without a record', async () => {
+      fetchStub.onCall(0).resolves(new Response(JSON.stringify({ primary: { name: 'projects/test-project/locations/global/keyRings/test-keyring/cryptoKeys/k/cryptoKeyVersions/1' } }), { status: 200 }))
+      fetchStub.onCall(1).resolves(new Response(JSON.stringify({ plaintext: Buffer.from('key').toString('base64') }), { status: 200 }))
+
+      const result = await service.decryptSymmetricKey({ encryptedSymmetricKey: Buffer.from('encrypted'), space: spaceDID }, env)
+
+      expect(result.ok).to.exist
+      expect(fetchStub.firstCall.args[0]).to.match(/\/locations\/global\/keyRings\/test-keyring\//)
+    })
+
+    it('should reject setup overrides that conflict with the registered key', async () => {
+      await keyMetadataStore.put(spaceDID, {
+        provider: 'google-kms',
+        location: 'europe-west1',
+        keyring: 'eu-keyring',
+        keyVersion: '1',
+        createdAt: '2025-01-01T00:00:00.000Z',
+        updatedAt: '2025-01-01T00:00:00.000Z'
+      })
+
+      const result = await service.setupKeyForSpace({ space: spaceDID, location: 'us-east1' }, env)
+
+      expect(result.error?.message).to.equal('Encryption setup failed')
+      expect(fetchStub.called).to.be.false
+    })
+
+    it('should refuse to decrypt a space registered with another provider', async () => {
+      await keyMetadataStore.put(spaceDID, {
+        provider: 'aws-kms',
+        keyVersion: '1',
+        createdAt: '2025-01-01T00:00:00.000Z',
+        updatedAt: '2025-01-01T00:00:00.000Z'
+      })
+      sandbox.stub(console, 'error')
+
+      const result = await service.decryptSymmetricKey({ encryptedSymmetricKey: Buffer.from('encrypted'), space: spaceDID }, env)
+
+      expect(result.error?.message).to.equal('KMS decryption failed')
+      expect(fetchStub.called).to.be.false
+    })
+  })
+
+  describe('key rotation', () => {
+    const spaceDID = 'did:key:z6Mko5igLB7NBgBcDYjM7MnRZDFKCLYAfbsEYAnx8HRJGJmu'
+    const keyName = `projects/test-project/locations/global/keyRings/test-keyring/cryptoKeys/${spaceDID.replace('did:key:', '')}`
+    const mockPublicKey = '-----BEGIN PUBLIC KEY-----\nROTATED_KEY\n-----END PUBLIC KEY-----'
+    const plaintext = Buffer.from('symmetric-key').toString('base64')
+
+    /**
+     * Routes fetch calls of a key with two enabled versions where only `validVersion` decrypts the ciphertext
+     *
+     * @param {string} validVersion
+     */
+    const stubKeyVersions = (validVersion) => {
+      fetchStub.callsFake(async (/** @type {string} */ url) => {
+        if (url === `https://cloudkms.googleapis.com/v1/${keyName}`) {
+          return new Response(JSON.stringify({ name: keyName, purpose: 'ASYMMETRIC_DECRYPT' }), { status: 200 })
+        }
+        if (url === `https://cloudkms.googleapis.com/v1/${keyName}/cryptoKeyVersions`) {
+          return new Response(JSON.stringify({
+            cryptoKeyVersions: [
+              { name: `${keyName}/cryptoKeyVersions/1`, state: 'ENABLED' },
+              { name: `${keyName}/cryptoKeyVersions/2`, state: 'ENABLED' },
+              { name: `${keyName}/cryptoKeyVersions/3`, state: 'DISABLED' }
+            ]
+          }), { status: 200 })
+        }
+        if (url === `https://cloudkms.googleapis.com/v1/${keyName}/cryptoKeyVersions/${validVersion}:asymmetricDecrypt`) {
+          return new Response(JSON.stringify({ plaintext }), { status: 200 })
+        }
+        if (url.endsWith(':asymmetricDecrypt')) {
+          return new Response('Decryption failed: verify that \'name\' refers to the correct CryptoKey.', { status: 400 })
+        }
+        return new Response('Not Found', { status: 404 })
+      })
+    }
+
+    it('should create a new key version and return its public key', async () => {
+      fetchStub.onCall(0).resolves(new Response(JSON.stringify({
+        name: `${keyName}/cryptoKeyVersions/2`,
+        state: 'PENDING_GENERATION'
+      }), { status: 200 }))
+      fetchStub.onCall(1).resolves(new Response(JSON.stringify({
+        pem: mockPublicKey,
+        algorithm: 'RSA_DECRYPT_OAEP_3072_SHA256'
+      }), { status: 200 }))
+
+      const result = await service.rotateKeyForSpace({ space: spaceDID }, env)
+
+      expect(result.ok).to.deep.equal({
+        publicKey: mockPublicKey,
+        algorithm: 'RSA_DECRYPT_OAEP_3072_SHA256',
+        provider: 'google-kms',
+        keyVersion: '2'
+      })
+      expect(fetchStub.firstCall.args[0]).to.equal(`https://cloudkms.googleapis.com/v1/${keyName}/cryptoKeyVersions`)
+      expect(fetchStub.firstCall.args[1].method).to.equal('POST')
+    })
+
+    it('should return generic error when version creation fails', async () => {
+      fetchStub.resolves(new Response('Permission denied', { status: 403 }))
+
+      const result = await service.rotateKeyForSpace({ space: spaceDID }, env)
+
+      expect(result.error?.message).to.equal('Key rotation failed')
+    })
+
+    it('should use the newest enabled version as the active version', async () => {
+      stubKeyVersions('2')
+
+      const result = await service.decryptSymmetricKey({ encryptedSymmetricKey: Buffer.from('encrypted'), space: spaceDID }, env)
+
+      expect(result.ok).to.exist
+      const decryptCalls = fetchStub.getCalls().filter(call => call.args[0].endsWith(':asymmetricDecrypt'))
+      expect(decryptCalls.map(call => call.args[0])).to.deep.equal([
+        `https://cloudkms.googleapis.com/v1/${keyName}/cryptoKeyVersions/2:asymmetricDecrypt`
+      ])
+    })
+
+    it('should try the requested key version first', async () => {
+      stubKeyVersions('1')
+
+      const result = await service.decryptSymmetricKey({ encryptedSymmetricKey: Buffer.from('encrypted'), space: spaceDID, keyVersion: '1' }, env)
+
+      expect(result.ok?.decryptedKey).to.exist
+      expect(fetchStub.callCount).to.equal(1)
+      expect(fetchStub.firstCall.args[0]).to.equal(`https://cloudkms.googleapis.com/v1/${keyName}/cryptoKeyVersions/1:asymmetricDecrypt`)
+    })
+
+    it('should fall back to the other enabled versions', async () => {
+      stubKeyVersions('1')
+
+      const result = await service.decryptSymmetricKey({ encryptedSymmetricKey: Buffer.from('encrypted'), space: spaceDID }, env)
+
+      expect(result.ok).to.exist
+      const decryptCalls = fetchStub.getCalls().filter(call => call.args[0].endsWith(':asymmetricDecrypt'))
+      expect(decryptCalls.map(call => call.args[0].split('/').pop())).to.deep.equal(['2:asymmetricDecrypt', '1:asymmetricDecrypt'])
+    })
+
+    it('should fail when no enabled version decrypts the ciphertext', async () => {
+      stubKeyVersions('3')
+      sandbox.stub(console, 'error')
+
+      const result = await service.decryptSymmetricKey({ encryptedSymmetricKey: Buffer.from('encrypted'), space: spaceDID, keyVersion: '5' }, env)
+
+      expect(result.error?.message).to.equal('KMS decryption failed')
+      const decryptCalls = fetchStub.getCalls().filter(call => call.args[0].endsWith(':asymmetricDecrypt'))
+      expect(decryptCalls).to.have.length(3)
+    })
+
+    it('should decrypt an envelope with the key version named in its header', async () => {
+      stubKeyVersions('1')
+      const encryptedSymmetricKey = encodeEnvelope({ provider: 'google-kms', keyVersion: '1', algorithm: 'RSA_DECRYPT_OAEP_3072_SHA256', space: spaceDID }, Buffer.from('encrypted'))
+
+      const result = await service.decryptSymmetricKey({ encryptedSymmetricKey, space: spaceDID }, env)
+
+      expect(result.ok?.decryptedKey).to.exist
+      expect(fetchStub.callCount).to.equal(1)
+      expect(fetchStub.firstCall.args[0]).to.equal(`https://cloudkms.googleapis.com/v1/${keyName}/cryptoKeyVersions/1:asymmetricDecrypt`)
+      expect(JSON.parse(fetchStub.firstCall.args[1].body).ciphertext).to.equal(Buffer.from('encrypted').toString('base64'))
+    })
+
+    it('should not fall back to other versions for an envelope', async () => {
+      stubKeyVersions('1')
+      sandbox.stub(console, 'error')
+      const encryptedSymmetricKey = encodeEnvelope({ provider: 'google-kms', keyVersion: '2', algorithm: 'RSA_DECRYPT_OAEP_3072_SHA256', space: spaceDID }, Buffer.from('encrypted'))
+
+      const result = await service.decryptSymmetricKey({ encryptedSymmetricKey, space: spaceDID }, env)
+
+      expect(result.error?.message).to.equal('KMS decryption failed')
+      expect(fetchStub.callCount).to.equal(1)
+    })
+
+    it('should reject an envelope of another space', async () => {
+      stubKeyVersions('1')
+      sandbox.stub(console, 'error')
+      const encryptedSymmetricKey = encodeEnvelope({ provider: 'google-kms', keyVersion: '1', algorithm: 'RSA_DECRYPT_OAEP_3072_SHA256', space: 'did:key:z6MkhaFjCbGGPG6LyFz28drtvGTt1gTX3KRByq6PnVPJpvKj' }, Buffer.from('encrypted'))
+
+      const result = await service.decryptSymmetricKey({ encryptedSymmetricKey, space: spaceDID }, env)
+
+      expect(result.error?.message).to.equal('KMS decryption failed')
+      expect(fetchStub.called).to.be.false
+    })
+
+    it('should not fall back on authorization errors', async () => {
+      fetchStub.resolves(new Response('Permission denied', { status: 403 }))
+      sandbox.stub(console, 'error')
+
+      const result = await service.decryptSymmetricKey({ encryptedSymmetricKey: Buffer.from('encrypted'), space: spaceDID, keyVersion: '1' }, env)
+
+      expect(result.error?.message).to.equal('KMS decryption failed')
+      expect(fetchStub.callCount).to.equal(1)
+    })
+  })
+
+  describe('getPublicKeyInfo', () => {
+    const spaceDID = 'did:key:z6Mko5igLB7NBgBcDYjM7MnRZDFKCLYAfbsEYAnx8HRJGJmu'
+    const keyName = `projects/test-project/locations/global/keyRings/test-keyring/cryptoKeys/${spaceDID.replace('did:key:', '')}`
+    const mockPublicKey = '-----BEGIN PUBLIC KEY-----\nCURRENT_KEY\n-----END PUBLIC KEY-----'
+
+    it('should return the active version public key and creation time', async () => {
+      fetchStub.callsFake(async (/** @type {string} */ url) => {
+        if (url === `https://cloudkms.googleapis.com/v1/${keyName}`) {
+          return new Response(JSON.stringify({ name: keyName, purpose: 'ASYMMETRIC_DECRYPT' }), { status: 200 })
+        }
+        if (url === `https://cloudkms.googleapis.com/v1/${keyName}/cryptoKeyVersions`) {
+          return new Response(JSON.stringify({
+            cryptoKeyVersions: [
+              { name: `${keyName}/cryptoKeyVersions/1`, state: 'ENABLED' },
+              { name: `${keyName}/cryptoKeyVersions/2`, state: 'ENABLED' }
+            ]
+          }), { status: 200 })
+        }
+        if (url === `https://cloudkms.googleapis.com/v1/${keyName}/cryptoKeyVersions/2/publicKey`) {
+          return new Response(JSON.stringify({ pem: mockPublicKey, algorithm: 'RSA_DECRYPT_OAEP_3072_SHA256' }), { status: 200 })
+        }
+        if (url === `https://cloudkms.googleapis.com/v1/${keyName}/cryptoKeyVersions/2`) {
+          return new Response(JSON.stringify({ name: `${keyName}/cryptoKeyVersions/2`, createTime: '2025-03-01T12:00:00.000000Z' }), { status: 200 })
+        }
+        return new Response('Not Found', { status: 404 })
+      })
+
+      const result = await service.getPublicKeyInfo({ space: spaceDID }, env)
+
+      expect(result.ok).to.deep.equal({
+        publicKey: mockPublicKey,
+        algorithm: 'RSA_DECRYPT_OAEP_3072_SHA256',
+        provider: 'google-kms',
+        keyVersion: '2',
+        createdAt: '2025-03-01T12:00:00.000000Z'
+      })
+      const methods = fetchStub.getCalls().map(call => call.args[1]?.method || 'GET')
+      expect(methods.every(method => method === 'GET')).to.be.true
+    })
+
+    it('should report a missing key without creating one', async () => {
+      fetchStub.resolves(new Response('Not Found', { status: 404 }))
+
+      const result = await service.getPublicKeyInfo({ space: spaceDID }, env)
+
+      expect(result.error?.message).to.equal('Encryption key not found')
+      expect(fetchStub.callCount).to.equal(1)
+    })
+
+    it('should return generic error when KMS fails', async () => {
+      fetchStub.resolves(new Response('Permission denied', { status: 403 }))
+
+      const result = await service.getPublicKeyInfo({ space: spaceDID }, env)
+
+      expect(result.error?.message).to.equal('Key info retrieval failed')
+    })
+  })
+
+  describe('key destruction', () => {
+    const spaceDID = 'did:key:z6Mko5igLB7NBgBcDYjM7MnRZDFKCLYAfbsEYAnx8HRJGJmu'
+    const keyName = `projects/test-project/locations/global/keyRings/test-keyring/cryptoKeys/${spaceDID.replace('did:key:', '')}`
+
+    /** @type {KVKeyMetadataStore} */
+    let keyMetadataStore
+
+    beforeEach(() => {
+      /** @type {Map<string, string>} */
+      const entries = new Map()
+      keyMetadataStore = new KVKeyMetadataStore(/** @type {any} */ ({
+        get: async (/** @type {string} */ key) => entries.get(key) ?? null,
+        put: async (/** @type {string} */ key, /** @type {string} */ value) => { entries.set(key, value) }
+      }))
+      service = new GoogleKMSService(env, { keyMetadataStore })
+
+      fetchStub.callsFake(async (/** @type {string} */ url) => {
+        if (url === `https://cloudkms.googleapis.com/v1/${keyName}/cryptoKeyVersions`) {
+          return new Response(JSON.stringify({
+            cryptoKeyVersions: [
+              { name: `${keyName}/cryptoKeyVersions/1`, state: 'DISABLED' },
+              { name: `${keyName}/cryptoKeyVersions/2`, state: 'ENABLED' },
+              { name: `${keyName}/cryptoKeyVersions/3`, state: 'DESTROY_SCHEDULED' }
+            ]
+          }), { status: 200 })
+        }
+        if (url.endsWith(':destroy')) {
+          return new Response(JSON.stringify({ state: 'DESTROY_SCHEDULED' }), { status: 200 })
+        }
+        return new Response('Not Found', { status: 404 })
+      })
+    })
+
+    it('should schedule destruction of every live key version and tombstone the space', async () => {
+      const result = await service.destroyKeyForSpace({ space: spaceDID }, env)
+
+      expect(result.ok?.keyVersions).to.deep.equal(['1', '2'])
+      const destroyCalls = fetchStub.getCalls().filter(call => call.args[0].endsWith(':destroy'))
+      expect(destroyCalls.map(call => call.args[0])).to.deep.equal([
+        `https://cloudkms.googleapis.com/v1/${keyName}/cryptoKeyVersions/1:destroy`,
+        `https://cloudkms.googleapis.com/v1/${keyName}/cryptoKeyVersions/2:destroy`
+      ])
+      const metadata = await keyMetadataStore.get(spaceDID)
+      expect(metadata).to.include({ provider: 'google-kms', status: 'destroyed', destroyedAt: result.ok?.destroyedAt })
+    })
+
+    it('should log the destruction to the audit log', async () => {
+      const destructionSuccess = sandbox.stub(service.auditLog, 'logKMSKeyDestructionSuccess')
+
+      await service.destroyKeyForSpace({ space: spaceDID }, env)
+
+      expect(destructionSuccess.calledOnceWith(spaceDID, ['1', '2'])).to.be.true
+    })
+
+    it('should keep the tombstone when a version fails to be destroyed so the request can be retried', async () => {
+      const destructionFailure = sandbox.stub(service.auditLog, 'logKMSKeyDestructionFailure')
+      fetchStub.withArgs(`https://cloudkms.googleapis.com/v1/${keyName}/cryptoKeyVersions/2:destroy`)
+        .resolves(new Response('Permission denied', { status: 403 }))
+
+      const result = await service.destroyKeyForSpace({ space: spaceDID }, env)
+
+      expect(result.error?.message).to.equal('Key destruction failed')
+      expect(destructionFailure.calledOnce).to.be.true
+      expect((await keyMetadataStore.get(spaceDID))?.status).to.equal('destroyed')
+    })
+
+    it('should require the key metadata registry', async () => {
+      service = new GoogleKMSService(env)
+
+      const result = await service.destroyKeyForSpace({ space: spaceDID }, env)
+
+      expect(result.error?.message).to.equal('Key destruction failed')
+      expect(fetchStub.called).to.be.false
+    })
+
+    it('should refuse setup, decrypt, rotation and key info for a destroyed key', async () => {
+      await service.destroyKeyForSpace({ space: spaceDID }, env)
+      fetchStub.resetHistory()
+
+      const results = await Promise.all([
+        service.setupKeyForSpace({ space: spaceDID }, env),
+        service.decryptSymmetricKey({ encryptedSymmetricKey: Buffer.from('encrypted'), space: spaceDID }, env),
+        service.rotateKeyForSpace({ space: spaceDID }, env),
+        service.getPublicKeyInfo({ space: spaceDID }, env)
+      ])
+
+      for (const result of results) {
+        expect(result.error?.name).to.equal('KeyDestroyed')
+        expect(result.error?.message).to.equal('Space encryption key has been destroyed')
+      }
+      expect(fetchStub.called).to.be.false
+    })
+  })
+
+  describe('key suspension', () => {
+    const spaceDID = 'did:key:z6Mko5igLB7NBgBcDYjM7MnRZDFKCLYAfbsEYAnx8HRJGJmu'
+    const keyName = `projects/test-project/locations/global/keyRings/test-keyring/cryptoKeys/${spaceDID.replace('did:key:', '')}`
+
+    /** @type {KVKeyMetadataStore} */
+    let keyMetadataStore
+    /** @type {Record<string, string>} */
+    let versionStates
+
+    beforeEach(() => {
+      /** @type {Map<string, string>} */
+      const entries = new Map()
+      keyMetadataStore = new KVKeyMetadataStore(/** @type {any} */ ({
+        get: async (/** @type {string} */ key) => entries.get(key) ?? null,
+        put: async (/** @type {string} */ key, /** @type {string} */ value) => { entries.set(key, value) }
+      }))
+      service = new GoogleKMSService(env, { keyMetadataStore })
+
+      versionStates = { 1: 'DISABLED', 2: 'ENABLED', 3: 'ENABLED' }
+      fetchStub.callsFake(async (/** @type {string} */ url, /** @type {any} */ init) => {
+        if (url === `https://cloudkms.googleapis.com/v1/${keyName}/cryptoKeyVersions`) {
+          return new Response(JSON.stringify({
+            cryptoKeyVersions: Object.entries(versionStates).map(([version, state]) => ({ name: `${keyName}/cryptoKeyVersions/${version}`, state }))
+          }), { status: 200 })
+        }
+        if (init?.method === 'PATCH') {
+          const version = url.split('?')[0].split('/').pop() || ''
+          versionStates[version] = JSON.parse(init.body).state
+          return new Response(JSON.stringify({ state: versionStates[version] }), { status: 200 })
+        }
+        return new Response('Not Found', { status: 404 })
+      })
+    })
+
+    it('should disable every enabled key version and mark the key suspended', async () => {
+      const result = await service.disableKeyForSpace({ space: spaceDID }, env)
+
+      expect(result.ok).to.deep.equal({ keyVersions: ['2', '3'], suspended: true })
+      const patchCalls = fetchStub.getCalls().filter(call => call.args[1]?.method === 'PATCH')
+      expect(patchCalls.map(call => call.args[0])).to.deep.equal([
+        `https://cloudkms.googleapis.com/v1/${keyName}/cryptoKeyVersions/2?updateMask=state`,
+        `https://cloudkms.googleapis.com/v1/${keyName}/cryptoKeyVersions/3?updateMask=state`
+      ])
+      expect(versionStates).to.deep.equal({ 1: 'DISABLED', 2: 'DISABLED', 3: 'DISABLED' })
+      const metadata = await keyMetadataStore.get(spaceDID)
+      expect(metadata).to.include({ status: 'suspended' })
+      expect(metadata?.suspendedKeyVersions).to.deep.equal(['2', '3'])
+      expect(await service.getKeyStatus({ space: spaceDID }, env)).to.equal('suspended')
+    })
+
+    it('should only re-enable the versions disabled by the suspension', async () => {
+      await service.disableKeyForSpace({ space: spaceDID }, env)
+
+      const result = await service.enableKeyForSpace({ space: spaceDID }, env)
+
+      expect(result.ok).to.deep.equal({ keyVersions: ['2', '3'], suspended: false })
+      expect(versionStates).to.deep.equal({ 1: 'DISABLED', 2: 'ENABLED', 3: 'ENABLED' })
+      const metadata = await keyMetadataStore.get(spaceDID)
+      expect(metadata?.status).to.be.undefined
+      expect(metadata?.suspendedKeyVersions).to.be.undefined
+      expect(await service.getKeyStatus({ space: spaceDID }, env)).to.equal('active')
+    })
+
+    it('should keep the suspension when a version fails to be re-enabled so the request can be retried', async () => {
+      await service.disableKeyForSpace({ space: spaceDID }, env)
+      const enableFailure = sandbox.stub(service.auditLog, 'logKMSKeyEnableFailure')
+      fetchStub.withArgs(`https://cloudkms.googleapis.com/v1/${keyName}/cryptoKeyVersions/3?updateMask=state`)
+        .resolves(new Response('Permission denied', { status: 403 }))
+
+      const result = await service.enableKeyForSpace({ space: spaceDID }, env)
+
+      expect(result.error?.message).to.equal('Key enable failed')
+      expect(enableFailure.calledOnce).to.be.true
+      expect((await keyMetadataStore.get(spaceDID))?.status).to.equal('suspended')
+    })
+
+    it('should treat enabling a key that is not suspended as a no-op', async () => {
+      const result = await service.enableKeyForSpace({ space: spaceDID }, env)
+
+      expect(result.ok).to.deep.equal({ keyVersions: [], suspended: false })
+      expect(fetchStub.called).to.be.false
+    })
+
+    it('should refuse setup, decrypt, rotation and key info for a suspended key', async () => {
+      await service.disableKeyForSpace({ space: spaceDID }, env)
+      fetchStub.resetHistory()
+
+      const results = await Promise.all([
+        service.setupKeyForSpace({ space: spaceDID }, env),
+        service.decryptSymmetricKey({ encryptedSymmetricKey: Buffer.from('encrypted'), space: spaceDID }, env),
+        service.rotateKeyForSpace({ space: spaceDID }, env),
+        service.getPublicKeyInfo({ space: spaceDID }, env)
+      ])
+
+      for (const result of results) {
+        expect(result.error?.name).to.equal('KeySuspended')
+        expect(result.error?.message).to.equal('Space encryption is suspended')
+      }
+      expect(fetchStub.called).to.be.false
+    })
+
+    it('should refuse to suspend a destroyed key', async () => {
+      await keyMetadataStore.put(spaceDID, {
+        provider: 'google-kms',
+        location: 'global',
+        keyring: 'test-keyring',
+        keyVersion: '1',
+        createdAt: '2025-01-01T00:00:00.000Z',
+        updatedAt: '2025-01-01T00:00:00.000Z',
+        status: 'destroyed'
+      })
+
+      const result = await service.disableKeyForSpace({ space: spaceDID }, env)
+
+      expect(result.error?.name).to.equal('KeyDestroyed')
+      expect(fetchStub.called).to.be.false
+    })
+  })
+
   // Helper to create a test environment with all required fields
   function createTestEnv (overrides = {}) {
     return {
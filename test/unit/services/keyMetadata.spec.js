@@ -0,0 +1,46 @@
+/* eslint-disable no-unused-expressions
+   ---
+   `no-unused-expressions` doesn't understand that several of Chai's assertions
+   are implemented as getters rather than explicit function calls; it thinks
+   the assertions are unused expressions. */
+import { describe, it, beforeEach } from 'mocha'
+import { expect } from 'chai'
+import { KVKeyMetadataStore } from '../../../src/services/keyMetadata.js'
+
+describe('KVKeyMetadataStore', () => {
+  const spaceDID = 'did:key:z6Mko5igLB7NBgBcDYjM7MnRZDFKCLYAfbsEYAnx8HRJGJmu'
+
+  /** @type {Map<string, string>} */
+  let entries
+  /** @type {KVKeyMetadataStore} */
+  let store
+
+  beforeEach(() => {
+    entries = new Map()
+    const kv = {
+      get: async (/** @type {string} */ key) => entries.get(key) ?? null,
+      put: async (/** @type {string} */ key, /** @type {string} */ value) => { entries.set(key, value) }
+    }
+    store = new KVKeyMetadataStore(/** @type {any} */ (kv))
+  })
+
+  it('should return null for a space without a record', async () => {
+    expect(await store.get(spaceDID)).to.be.null
+  })
+
+  it('should round-trip the metadata of a space', async () => {
+    const metadata = {
+      provider: 'google-kms',
+      location: 'europe-west1',
+      keyring: 'eu-keyring',
+      keyVersion: '1',
+      createdAt: '2025-01-01T00:00:00.000Z',
+      updatedAt: '2025-01-01T00:00:00.000Z'
+    }
+
+    await store.put(spaceDID, metadata)
+
+    expect(await store.get(spaceDID)).to.deep.equal(metadata)
+    expect([...entries.keys()]).to.deep.equal([KVKeyMetadataStore.storageKey(spaceDID)])
+  })
+})
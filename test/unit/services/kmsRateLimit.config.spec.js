@@ -44,7 +44,9 @@ describe('Service Integration - KMS Rate Limiting', () => {
 
     mockRateLimiter = {
       checkRateLimit: sandbox.stub(),
-      recordOperation: sandbox.stub(),
+      checkUserRateLimit: sandbox.stub(),
+      checkSpaceRateLimit: sandbox.stub(),
+      releaseRateLimit: sandbox.stub(),
       getRateLimitStatus: sandbox.stub()
     }
 
@@ -119,7 +121,9 @@ describe('Service Integration - KMS Rate Limiting', () => {
       expect(mockContext.kmsRateLimiter).to.exist
       expect(mockContext.kmsRateLimiter).to.equal(mockRateLimiter)
       expect(typeof mockContext.kmsRateLimiter.checkRateLimit).to.equal('function')
-      expect(typeof mockContext.kmsRateLimiter.recordOperation).to.equal('function')
+      expect(typeof mockContext.kmsRateLimiter.checkUserRateLimit).to.equal('function')
+      expect(typeof mockContext.kmsRateLimiter.checkSpaceRateLimit).to.equal('function')
+      expect(typeof mockContext.kmsRateLimiter.releaseRateLimit).to.equal('function')
     })
 
     it('should verify that context contains all required services', () => {
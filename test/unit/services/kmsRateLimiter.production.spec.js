@@ -8,6 +8,7 @@ import { expect } from 'chai'
 import sinon from 'sinon'
 import * as ed25519 from '@ucanto/principal/ed25519'
 import { KmsRateLimiter } from '../../../src/services/kmsRateLimiter.js'
+import { RateLimitExceeded } from '../../../src/errors.js'
 
 describe('KmsRateLimiter - Production Scenarios', () => {
   /** @type {sinon.SinonSandbox} */
@@ -82,8 +83,8 @@ describe('KmsRateLimiter - Production Scenarios', () => {
       const result = await rateLimiter.checkRateLimit(validInvocation, 'space/encryption/setup', spaceDID)
 
       // Should correctly rate limit when number is huge
-      expect(result).to.be.a('string')
-      expect(result).to.include('Rate limit exceeded')
+      expect(result).to.be.instanceOf(RateLimitExceeded)
+      expect(result?.message).to.include('Rate limit exceeded')
     })
 
     it('should handle KV timeouts and network errors', async () => {
@@ -217,12 +218,12 @@ describe('KmsRateLimiter - Production Scenarios', () => {
 
       const result = await rateLimiter.checkRateLimit(validInvocation, 'space/encryption/setup', spaceDID)
 
-      expect(result).to.be.a('string')
-      expect(result).to.include('Rate limit exceeded')
-      expect(result).to.include('try again in')
+      expect(result).to.be.instanceOf(RateLimitExceeded)
+      expect(result?.message).to.include('Rate limit exceeded')
+      expect(result?.message).to.include('try again in')
 
       // Verify retry time is within reasonable bounds
-      const retryMatch = result?.match(/try again in (\d+) minutes/)
+      const retryMatch = result?.message.match(/try again in (\d+) minutes/)
       if (retryMatch) {
         const retryMinutes = parseInt(retryMatch[1], 10)
         expect(retryMinutes).to.be.at.most(15) // Should not exceed window size
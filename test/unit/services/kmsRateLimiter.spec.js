@@ -7,7 +7,10 @@ import { describe, it, beforeEach, afterEach } from 'mocha'
 import { expect } from 'chai'
 import sinon from 'sinon'
 import * as ed25519 from '@ucanto/principal/ed25519'
-import { KmsRateLimiter } from '../../../src/services/kmsRateLimiter.js'
+import { delegate } from '@ucanto/core'
+import { decrypt as ContentDecrypt } from '@storacha/capabilities/space'
+import { KmsRateLimiter, PLAN_RATE_LIMITS_KV_KEY, parsePlanRateLimits } from '../../../src/services/kmsRateLimiter.js'
+import { RateLimitExceeded, DecryptQuotaExceeded } from '../../../src/errors.js'
 
 describe('KmsRateLimiter', () => {
   /** @type {sinon.SinonSandbox} */
@@ -97,35 +100,60 @@ describe('KmsRateLimiter', () => {
 
       const result = await rateLimiter.checkRateLimit(mockInvocation, 'space/encryption/setup', spaceDID)
 
-      expect(result).to.be.a('string')
-      expect(result).to.include('per-space')
-      expect(result).to.include('Rate limit exceeded')
+      expect(result).to.be.instanceOf(RateLimitExceeded)
+      expect(result).to.include({ limitType: 'per-space' })
+      expect(result?.message).to.include('Rate limit exceeded')
+    })
+
+    it('should block batches that would exceed the per-space limit', async () => {
+      mockKV.get.resolves('90') // 10 key info reads left for the space (limit is 100)
+
+      const allowed = await rateLimiter.checkRateLimit(mockInvocation, 'space/encryption/key/info', spaceDID, 10)
+      const blocked = await rateLimiter.checkRateLimit(mockInvocation, 'space/encryption/key/info', spaceDID, 11)
+
+      expect(allowed).to.be.null
+      expect(blocked).to.include({ limitType: 'per-space' })
+    })
+
+    it('should describe the exceeded limit for clients to back off', async () => {
+      sandbox.stub(Date, 'now').returns(1000 * 15 * 60 * 1000 + 600 * 1000) // 10 minutes into a window
+      mockKV.get.resolves('95')
+
+      const result = await rateLimiter.checkRateLimit(mockInvocation, 'space/encryption/key/info', spaceDID, 10)
+
+      expect(result?.name).to.equal('RateLimitExceeded')
+      expect(result).to.include({ limitType: 'per-space', limit: 100, remaining: 5, retryAfterSeconds: 300 })
+      expect(result?.message).to.equal('Rate limit exceeded for space/encryption/key/info (per-space). Please try again in 5 minutes.')
+      // The fields are part of the serialized error in the receipt
+      expect(result?.toJSON()).to.include({
+        name: 'RateLimitExceeded',
+        limitType: 'per-space',
+        limit: 100,
+        remaining: 5,
+        retryAfterSeconds: 300
+      })
     })
 
     it('should block operations when per-user limit exceeded', async () => {
-      // Setup calls: space=0, user=20 (at limit), global=0
-      mockKV.get.onFirstCall().resolves('0') // space count
-      mockKV.get.onSecondCall().resolves('20') // user count (at limit)
-      mockKV.get.onThirdCall().resolves('0') // global count
+      // Setup counts: space=0, user=20 (at limit), global=0
+      mockKV.get.callsFake(async (/** @type {string} */ key) => key.includes(':user:') ? '20' : null)
 
       const result = await rateLimiter.checkRateLimit(mockInvocation, 'space/encryption/setup', spaceDID)
 
-      expect(result).to.be.a('string')
-      expect(result).to.include('per-user')
-      expect(result).to.include('Rate limit exceeded')
+      expect(result).to.be.instanceOf(RateLimitExceeded)
+      expect(result).to.include({ limitType: 'per-user' })
+      expect(result?.message).to.include('Rate limit exceeded')
     })
 
     it('should block operations when global limit exceeded', async () => {
-      // Setup calls: space=0, user=0, global=500 (at limit)
-      mockKV.get.onFirstCall().resolves('0') // space count
-      mockKV.get.onSecondCall().resolves('0') // user count
-      mockKV.get.onThirdCall().resolves('500') // global count (at limit)
+      // Setup counts: space=0, user=0, global=500 (at limit)
+      mockKV.get.callsFake(async (/** @type {string} */ key) => key.includes(':global:') ? '500' : null)
 
       const result = await rateLimiter.checkRateLimit(mockInvocation, 'space/encryption/setup', spaceDID)
 
-      expect(result).to.be.a('string')
-      expect(result).to.include('global')
-      expect(result).to.include('Rate limit exceeded')
+      expect(result).to.be.instanceOf(RateLimitExceeded)
+      expect(result).to.include({ limitType: 'global' })
+      expect(result?.message).to.include('Rate limit exceeded')
     })
 
     it('should handle different limits for different operations', async () => {
@@ -137,7 +165,7 @@ describe('KmsRateLimiter', () => {
 
       // Should block setup
       const setupResult = await rateLimiter.checkRateLimit(mockInvocation, 'space/encryption/setup', spaceDID)
-      expect(setupResult).to.be.a('string')
+      expect(setupResult).to.be.instanceOf(RateLimitExceeded)
     })
 
     it('should fail open when KV operations fail', async () => {
@@ -148,6 +176,16 @@ describe('KmsRateLimiter', () => {
       expect(result).to.be.null // Should allow operation when rate limiter fails
     })
 
+    it('should fail closed when KV operations fail and the policy is closed', async () => {
+      env.FAIL_POLICY_RATE_LIMITER = 'closed'
+      mockKV.get.rejects(new Error('KV unavailable'))
+
+      const result = await rateLimiter.checkRateLimit(mockInvocation, 'space/encryption/setup', spaceDID)
+
+      expect(result).to.not.be.instanceOf(RateLimitExceeded)
+      expect(result?.message).to.equal('Rate limit check failed')
+    })
+
     it('should handle unknown operations gracefully', async () => {
       const result = await rateLimiter.checkRateLimit(mockInvocation, 'unknown/operation', spaceDID)
 
@@ -167,8 +205,8 @@ describe('KmsRateLimiter', () => {
 
       const result = await rateLimiterWithAudit.checkRateLimit(mockInvocation, 'space/encryption/setup', spaceDID)
 
-      expect(result).to.be.a('string')
-      expect(result).to.include('per-space')
+      expect(result).to.be.instanceOf(RateLimitExceeded)
+      expect(result).to.include({ limitType: 'per-space' })
 
       // Verify audit log was called with correct parameters
       expect(mockAuditLog.logRateLimitExceeded.calledOnce).to.be.true
@@ -177,77 +215,126 @@ describe('KmsRateLimiter', () => {
     })
   })
 
-  describe('recordOperation', () => {
+  describe('reservations', () => {
     const spaceDID = 'did:key:z6Mko5igLB7NBgBcDYjM7MnRZDFKCLYAfbsEYAnx8HRJGJmu'
 
-    it('should not record when rate limiter is disabled', async () => {
+    it('should not reserve when rate limiter is disabled', async () => {
       env.FF_KMS_RATE_LIMITER_ENABLED = 'false'
 
-      await rateLimiter.recordOperation(mockInvocation, 'space/encryption/setup', spaceDID)
+      await rateLimiter.checkRateLimit(mockInvocation, 'space/encryption/setup', spaceDID)
 
       expect(mockKV.put.called).to.be.false
     })
 
-    it('should not record when KV is not available', async () => {
-      env.KMS_RATE_LIMIT_KV = undefined
-
-      await rateLimiter.recordOperation(mockInvocation, 'space/encryption/setup', spaceDID)
-
-      expect(mockKV.put.called).to.be.false
-    })
-
-    it('should record operation counts in KV', async () => {
+    it('should reserve operations in the per-space, per-user and global counters', async () => {
       mockKV.get.resolves('0') // Current count
 
-      await rateLimiter.recordOperation(mockInvocation, 'space/encryption/setup', spaceDID)
+      const result = await rateLimiter.checkRateLimit(mockInvocation, 'space/encryption/setup', spaceDID)
 
-      // Should increment three counters: space, user, global
+      expect(result).to.be.null
       expect(mockKV.put.callCount).to.equal(3)
-
+      expect(mockKV.put.firstCall.args[0]).to.match(/^kms:space\/encryption\/setup:space:/)
+      expect(mockKV.put.secondCall.args[0]).to.match(/^kms:space\/encryption\/setup:user:/)
+      expect(mockKV.put.thirdCall.args[0]).to.match(/^kms:space\/encryption\/setup:global:/)
       // All counters should be incremented to 1
-      expect(mockKV.put.firstCall.args[1]).to.equal('1')
-      expect(mockKV.put.secondCall.args[1]).to.equal('1')
-      expect(mockKV.put.thirdCall.args[1]).to.equal('1')
+      expect(mockKV.put.getCalls().map((/** @type {any} */ call) => call.args[1])).to.deep.equal(['1', '1', '1'])
     })
 
-    it('should increment existing counts', async () => {
+    it('should reserve the number of operations checked', async () => {
       mockKV.get.resolves('5') // Current count
 
-      await rateLimiter.recordOperation(mockInvocation, 'space/encryption/setup', spaceDID)
+      await rateLimiter.checkRateLimit(mockInvocation, 'space/encryption/key/info', spaceDID, 4)
 
-      // All counters should be incremented to 6
-      expect(mockKV.put.firstCall.args[1]).to.equal('6')
-      expect(mockKV.put.secondCall.args[1]).to.equal('6')
-      expect(mockKV.put.thirdCall.args[1]).to.equal('6')
+      // All counters should be incremented to 9
+      expect(mockKV.put.getCalls().map((/** @type {any} */ call) => call.args[1])).to.deep.equal(['9', '9', '9'])
     })
 
     it('should set appropriate TTL for KV entries', async () => {
       mockKV.get.resolves('0')
 
-      await rateLimiter.recordOperation(mockInvocation, 'space/encryption/setup', spaceDID)
+      await rateLimiter.checkRateLimit(mockInvocation, 'space/encryption/setup', spaceDID)
 
       // TTL should be 15 minutes (900 seconds) for all entries
-      expect(mockKV.put.firstCall.args[2]).to.deep.equal({ expirationTtl: 900 })
-      expect(mockKV.put.secondCall.args[2]).to.deep.equal({ expirationTtl: 900 })
-      expect(mockKV.put.thirdCall.args[2]).to.deep.equal({ expirationTtl: 900 })
+      for (const call of mockKV.put.getCalls()) {
+        expect(call.args[2]).to.deep.equal({ expirationTtl: 900 })
+      }
     })
 
-    it('should handle KV errors gracefully', async () => {
-      mockKV.get.rejects(new Error('KV unavailable'))
+    it('should release the counters reserved before the exceeded limit', async () => {
+      // Setup counts: space=0, user=20 (at limit), read back by the releases of the space and user counters
+      const values = new Map()
+      mockKV.get.callsFake(async (/** @type {string} */ key) => values.get(key) ?? (key.includes(':user:') ? '20' : null))
+      mockKV.put.callsFake(async (/** @type {string} */ key, /** @type {string} */ value) => { values.set(key, value) })
 
-      // Should not throw
-      await rateLimiter.recordOperation(mockInvocation, 'space/encryption/setup', spaceDID)
+      const result = await rateLimiter.checkRateLimit(mockInvocation, 'space/encryption/setup', spaceDID)
 
-      expect(mockKV.put.called).to.be.false
+      expect(result).to.include({ limitType: 'per-user' })
+      // The space and user counters are reserved, then both are released
+      expect(mockKV.put.getCalls().map((/** @type {any} */ call) => call.args[1])).to.deep.equal(['1', '21', '0', '20'])
+      expect(mockKV.put.thirdCall.args[0]).to.equal(mockKV.put.firstCall.args[0])
+      expect(mockKV.put.lastCall.args[0]).to.equal(mockKV.put.secondCall.args[0])
     })
 
-    it('should not record unknown operations', async () => {
-      await rateLimiter.recordOperation(mockInvocation, 'unknown/operation', spaceDID)
+    it('should release operations that were not performed', async () => {
+      mockKV.get.resolves('0')
+      await rateLimiter.checkRateLimit(mockInvocation, 'space/encryption/key/info', spaceDID, 4)
+      const reserved = mockKV.put.getCalls().map((/** @type {any} */ call) => call.args[0])
+      mockKV.put.resetHistory()
+      mockKV.get.resolves('4')
+
+      await rateLimiter.releaseRateLimit(mockInvocation, 'space/encryption/key/info', 3)
+
+      expect(mockKV.put.getCalls().map((/** @type {any} */ call) => call.args[0])).to.deep.equal(reserved)
+      expect(mockKV.put.getCalls().map((/** @type {any} */ call) => call.args[1])).to.deep.equal(['1', '1', '1'])
+    })
+
+    it('should not release more operations than were reserved', async () => {
+      mockKV.get.resolves('0')
+      await rateLimiter.checkRateLimit(mockInvocation, 'space/encryption/setup', spaceDID)
+      mockKV.put.resetHistory()
+      mockKV.get.resolves('1')
+
+      await rateLimiter.releaseRateLimit(mockInvocation, 'space/encryption/setup', 5)
+      await rateLimiter.releaseRateLimit(mockInvocation, 'space/encryption/setup')
+
+      expect(mockKV.put.callCount).to.equal(3)
+      expect(mockKV.put.getCalls().map((/** @type {any} */ call) => call.args[1])).to.deep.equal(['0', '0', '0'])
+    })
+
+    it('should not release operations of other invocations or operations', async () => {
+      mockKV.get.resolves('0')
+      await rateLimiter.checkRateLimit(mockInvocation, 'space/encryption/setup', spaceDID)
+      mockKV.put.resetHistory()
+
+      await rateLimiter.releaseRateLimit({ ...mockInvocation }, 'space/encryption/setup')
+      await rateLimiter.releaseRateLimit(mockInvocation, 'space/encryption/key/decrypt')
 
       expect(mockKV.put.called).to.be.false
     })
 
-    it('should log successful operation recording to audit log', async () => {
+    it('should release the reserved counters when a check fails', async () => {
+      mockKV.get.resolves('0')
+      mockKV.put.onThirdCall().rejects(new Error('KV unavailable'))
+
+      const result = await rateLimiter.checkRateLimit(mockInvocation, 'space/encryption/setup', spaceDID)
+
+      expect(result).to.be.null // Fails open
+      // The global counter failed, the space and user counters are released
+      expect(mockKV.put.callCount).to.equal(5)
+      expect(mockKV.put.getCall(3).args[0]).to.equal(mockKV.put.firstCall.args[0])
+      expect(mockKV.put.getCall(4).args[0]).to.equal(mockKV.put.secondCall.args[0])
+    })
+
+    it('should log release errors without throwing', async () => {
+      mockKV.get.resolves('0')
+      await rateLimiter.checkRateLimit(mockInvocation, 'space/encryption/setup', spaceDID)
+      mockKV.get.rejects(new Error('KV unavailable'))
+
+      // Should not throw
+      await rateLimiter.releaseRateLimit(mockInvocation, 'space/encryption/setup')
+    })
+
+    it('should log successful reservations to audit log', async () => {
       mockKV.get.resolves('0')
 
       /** @type {any} */
@@ -258,12 +345,8 @@ describe('KmsRateLimiter', () => {
 
       const rateLimiterWithAudit = new KmsRateLimiter(env, { auditLog: mockAuditLog })
 
-      await rateLimiterWithAudit.recordOperation(mockInvocation, 'space/encryption/setup', spaceDID)
-
-      // Should record operations in KV
-      expect(mockKV.put.callCount).to.equal(3)
+      await rateLimiterWithAudit.checkRateLimit(mockInvocation, 'space/encryption/setup', spaceDID)
 
-      // Should log to audit log
       expect(mockAuditLog.logSecurityEvent.calledOnce).to.be.true
       expect(mockAuditLog.logSecurityEvent.firstCall.args[0]).to.equal('kms_rate_limit_operation_recorded')
       expect(mockAuditLog.logSecurityEvent.firstCall.args[1].operation).to.equal('space/encryption/setup')
@@ -274,9 +357,8 @@ describe('KmsRateLimiter', () => {
     const spaceDID = 'did:key:z6Mko5igLB7NBgBcDYjM7MnRZDFKCLYAfbsEYAnx8HRJGJmu'
 
     it('should return status for valid operations', async () => {
-      mockKV.get.onFirstCall().resolves('5') // space count
-      mockKV.get.onSecondCall().resolves('10') // user count
-      mockKV.get.onThirdCall().resolves('50') // global count
+      const counts = { ':space:': '5', ':user:': '10', ':global:': '50' }
+      mockKV.get.callsFake(async (/** @type {string} */ key) => Object.entries(counts).find(([tier]) => key.includes(tier))?.[1] ?? null)
 
       const status = await rateLimiter.getRateLimitStatus(mockInvocation, 'space/encryption/setup', spaceDID)
 
@@ -332,8 +414,440 @@ describe('KmsRateLimiter', () => {
         perSpace: 2000,
         perUser: 5000,
         global: 50000,
-        windowMinutes: 15
+        windowMinutes: 15,
+        algorithm: 'token-bucket'
       })
     })
   })
+
+  describe('token bucket', () => {
+    const spaceDID = 'did:key:z6Mko5igLB7NBgBcDYjM7MnRZDFKCLYAfbsEYAnx8HRJGJmu'
+    const operation = 'test/token-bucket'
+    const spaceBucket = `kms:${operation}:space:${spaceDID}:bucket`
+    /** @type {any} */
+    let auditLog
+    /** @type {Map<string, string>} */
+    let entries
+    let now = 1000 * 15 * 60 * 1000
+
+    beforeEach(() => {
+      // 10 tokens per space, refilled at one token every 90 seconds
+      KmsRateLimiter.RATE_LIMITS[operation] = { perSpace: 10, perUser: 100, global: 1000, windowMinutes: 15, algorithm: 'token-bucket' }
+      auditLog = { logRateLimitExceeded: sandbox.stub(), logSecurityEvent: sandbox.stub() }
+      rateLimiter = new KmsRateLimiter(env, { auditLog })
+      entries = new Map()
+      mockKV.get.callsFake(async (/** @type {string} */ key) => entries.get(key) ?? null)
+      mockKV.put.callsFake(async (/** @type {string} */ key, /** @type {string} */ value) => { entries.set(key, value) })
+      sandbox.stub(Date, 'now').callsFake(() => now)
+      sandbox.stub(console, 'warn')
+    })
+
+    afterEach(() => {
+      delete KmsRateLimiter.RATE_LIMITS[operation]
+    })
+
+    /**
+     * @param {number} [count]
+     */
+    const check = (count) => rateLimiter.checkRateLimit(mockInvocation, operation, spaceDID, count)
+
+    it('should allow a burst up to the limit', async () => {
+      for (let i = 0; i < 10; i++) {
+        expect(await check()).to.be.null
+      }
+
+      expect(await check()).to.include({ limitType: 'per-space', remaining: 0 })
+    })
+
+    it('should refill tokens continuously', async () => {
+      expect(await check(10)).to.be.null
+
+      now += 91 * 1000
+      expect(await check()).to.be.null
+      expect(await check()).to.include({ limitType: 'per-space' })
+    })
+
+    it('should not allow twice the limit across a window boundary', async () => {
+      now = 1001 * 15 * 60 * 1000 - 1000 // A second before the end of a window
+      expect(await check(10)).to.be.null
+
+      now += 2000
+      expect(await check()).to.include({ limitType: 'per-space' })
+    })
+
+    it('should retry after the missing tokens are refilled', async () => {
+      expect(await check(7)).to.be.null
+
+      // 2 tokens are missing, refilled in 2 * 90 seconds
+      const result = await check(5)
+
+      expect(result).to.include({ retryAfterSeconds: 180, remaining: 3 })
+      expect(result?.message).to.include('Please try again in 3 minutes.')
+      expect(auditLog.logRateLimitExceeded.firstCall.args[2].retryAfter).to.equal(180)
+    })
+
+    it('should report retry times under a minute in seconds', async () => {
+      entries.set(spaceBucket, JSON.stringify({ tokens: 0.5, updatedAt: now }))
+
+      const result = await check()
+
+      expect(result?.message).to.include('Please try again in 45 seconds.')
+    })
+
+    it('should give back the tokens of released operations', async () => {
+      expect(await check(10)).to.be.null
+
+      await rateLimiter.releaseRateLimit(mockInvocation, operation, 4)
+
+      expect(await check(4)).to.be.null
+      expect(await check()).to.include({ limitType: 'per-space' })
+    })
+
+    it('should give back the tokens taken from other tiers when a tier is exceeded', async () => {
+      entries.set(`kms:${operation}:user:${mockInvocation.issuer.did()}:bucket`, JSON.stringify({ tokens: 0, updatedAt: now }))
+
+      expect(await check()).to.include({ limitType: 'per-user' })
+
+      expect(JSON.parse(/** @type {string} */ (entries.get(spaceBucket))).tokens).to.equal(10)
+    })
+
+    it('should expire buckets once they have refilled', async () => {
+      await check(2)
+
+      expect(mockKV.put.firstCall.args[0]).to.equal(spaceBucket)
+      expect(mockKV.put.firstCall.args[2].expirationTtl).to.be.closeTo(180, 1)
+    })
+
+    it('should report the tokens used in the status', async () => {
+      await check(4)
+
+      const status = await rateLimiter.getRateLimitStatus(mockInvocation, operation, spaceDID)
+
+      expect(status.spaceCount).to.equal(4)
+      expect(status.userCount).to.equal(4)
+    })
+  })
+
+  describe('split checks', () => {
+    const spaceDID = 'did:key:z6Mko5igLB7NBgBcDYjM7MnRZDFKCLYAfbsEYAnx8HRJGJmu'
+    const decrypt = 'space/encryption/key/decrypt'
+    const info = 'space/encryption/key/info'
+
+    it('should only check the per-user and global limits before the plan lookup', async () => {
+      mockKV.get.resolves('400')
+
+      expect(await rateLimiter.checkUserRateLimit(mockInvocation, info, spaceDID)).to.be.null
+
+      // The space counter is over the per-space limit but is neither checked nor reserved
+      expect(mockKV.put.getCalls().map((/** @type {any} */ call) => call.args[0])).to.deep.equal([
+        `kms:${info}:user:${mockInvocation.issuer.did()}:${Math.floor(Date.now() / (15 * 60 * 1000))}`,
+        `kms:${info}:global:${Math.floor(Date.now() / (15 * 60 * 1000))}`
+      ])
+    })
+
+    it('should deny callers over the per-user limit', async () => {
+      mockKV.get.resolves('500')
+
+      expect(await rateLimiter.checkUserRateLimit(mockInvocation, info, spaceDID)).to.include({ limitType: 'per-user' })
+    })
+
+    it('should only check the per-space limit of the plan after the plan lookup', async () => {
+      sandbox.stub(console, 'warn')
+      const now = 1000 * 15 * 60 * 1000
+      sandbox.stub(Date, 'now').returns(now)
+      // An empty space bucket, refilled for 200ms: 2.2 tokens at the business refill rate, 0.4 at the default one
+      mockKV.get.callsFake(async (/** @type {string} */ key) => key.includes(':space:') ? JSON.stringify({ tokens: 0, updatedAt: now - 200 }) : null)
+
+      expect(await rateLimiter.checkSpaceRateLimit(mockInvocation, decrypt, spaceDID, 1, 'did:web:business.web3.storage')).to.be.null
+      expect(await rateLimiter.checkSpaceRateLimit(mockInvocation, decrypt, spaceDID, 1, 'did:web:lite.web3.storage')).to.include({ limitType: 'per-space' })
+      expect(mockKV.put.getCalls().every((/** @type {any} */ call) => call.args[0].includes(':space:'))).to.be.true
+    })
+
+    it('should release the operations reserved by both checks', async () => {
+      mockKV.get.resolves('0')
+      await rateLimiter.checkUserRateLimit(mockInvocation, info, spaceDID, 2)
+      await rateLimiter.checkSpaceRateLimit(mockInvocation, info, spaceDID, 2)
+      mockKV.put.resetHistory()
+      mockKV.get.resolves('2')
+
+      await rateLimiter.releaseRateLimit(mockInvocation, info, 2)
+
+      expect(mockKV.put.callCount).to.equal(3)
+      expect(mockKV.put.getCalls().map((/** @type {any} */ call) => call.args[1])).to.deep.equal(['0', '0', '0'])
+    })
+  })
+
+  describe('plan rate limits', () => {
+    const spaceDID = 'did:key:z6Mko5igLB7NBgBcDYjM7MnRZDFKCLYAfbsEYAnx8HRJGJmu'
+    const decrypt = 'space/encryption/key/decrypt'
+    const setup = 'space/encryption/setup'
+    const lite = 'did:web:lite.web3.storage'
+    const business = 'did:web:business.web3.storage'
+    const now = 1000 * 15 * 60 * 1000
+
+    /**
+     * Stubs the plan rate limits stored in KV and the same value for every counter or bucket
+     * @param {string | null} planRateLimits
+     * @param {string} value
+     */
+    const stubKV = (planRateLimits, value) => {
+      mockKV.get.callsFake(async (/** @type {string} */ key) => key === PLAN_RATE_LIMITS_KV_KEY ? planRateLimits : value)
+    }
+
+    beforeEach(() => {
+      sandbox.stub(console, 'warn')
+    })
+
+    it('should give business plans higher per-space decrypt limits by default', async () => {
+      // Empty buckets, refilled for 200ms: 2.2 tokens at the business refill rate, 0.4 at the default one
+      sandbox.stub(Date, 'now').returns(now)
+      stubKV(null, JSON.stringify({ tokens: 0, updatedAt: now - 200 }))
+
+      expect(await rateLimiter.checkRateLimit(mockInvocation, decrypt, spaceDID, 1, business)).to.be.null
+      expect(await rateLimiter.checkRateLimit(mockInvocation, decrypt, spaceDID, 1, lite)).to.include({ limitType: 'per-space' })
+    })
+
+    it('should use the default limits without a plan', async () => {
+      sandbox.stub(Date, 'now').returns(now)
+      stubKV(null, JSON.stringify({ tokens: 0, updatedAt: now }))
+
+      expect(await rateLimiter.checkRateLimit(mockInvocation, decrypt, spaceDID)).to.include({ limitType: 'per-space', limit: 2000 })
+    })
+
+    it('should load the plan rate limits from KV', async () => {
+      stubKV(JSON.stringify({ [lite]: { [setup]: { perSpace: 5 } } }), '4')
+
+      expect(await rateLimiter.checkRateLimit(mockInvocation, setup, spaceDID, 1, lite)).to.be.null
+      // The KV table replaces the built-in one
+      expect(await rateLimiter.checkRateLimit(mockInvocation, setup, spaceDID, 1, business)).to.include({ limitType: 'per-space' })
+    })
+
+    it('should load the plan rate limits from the environment when KV has none', async () => {
+      env.KMS_PLAN_RATE_LIMITS = JSON.stringify({ [lite]: { [setup]: { perSpace: 5 } } })
+      stubKV(null, '4')
+
+      expect(await rateLimiter.checkRateLimit(mockInvocation, setup, spaceDID, 1, lite)).to.be.null
+    })
+
+    it('should ignore invalid plan rate limits in KV', async () => {
+      env.KMS_PLAN_RATE_LIMITS = JSON.stringify({ [lite]: { [setup]: { perSpace: 5 } } })
+      stubKV('{"did:web:lite.web3.storage":', '4')
+
+      expect(await rateLimiter.checkRateLimit(mockInvocation, setup, spaceDID, 1, lite)).to.be.null
+    })
+
+    it('should load the plan rate limits once per isolate until the refresh interval', async () => {
+      const clock = sandbox.stub(Date, 'now').returns(now)
+      stubKV(null, '0')
+
+      await rateLimiter.checkRateLimit(mockInvocation, decrypt, spaceDID, 1, business)
+      await new KmsRateLimiter(env).checkRateLimit(mockInvocation, setup, spaceDID, 1, business)
+      expect(mockKV.get.withArgs(PLAN_RATE_LIMITS_KV_KEY).callCount).to.equal(1)
+
+      clock.returns(now + 60 * 1000)
+      await rateLimiter.checkRateLimit(mockInvocation, setup, spaceDID, 1, business)
+      expect(mockKV.get.withArgs(PLAN_RATE_LIMITS_KV_KEY).callCount).to.equal(2)
+    })
+
+    it('should let a business user decrypt past the default per-user limit on one space', async () => {
+      sandbox.stub(Date, 'now').returns(now)
+      const values = new Map()
+      mockKV.get.callsFake(async (/** @type {string} */ key) => values.get(key) ?? null)
+      mockKV.put.callsFake(async (/** @type {string} */ key, /** @type {string} */ value) => { values.set(key, value) })
+
+      // The per-user limit is checked at the highest limit of all plans before the plan is known
+      expect(await rateLimiter.checkUserRateLimit(mockInvocation, decrypt, spaceDID, 6000)).to.be.null
+      expect(await rateLimiter.checkSpaceRateLimit(mockInvocation, decrypt, spaceDID, 6000, business)).to.be.null
+
+      // The lower per-user limit of other plans is checked once the plan is known
+      const liteSpaceDIDs = ['did:key:z6MkrZ1r5XBFZjBU34qyD8fueMbMRkKw17BZaq2ivKFjnz2z', 'did:key:z6MkjchhfUsD6mmvni8mCdXHw216Xrm9bQe2mBH1P5RDjVJG']
+      for (const liteSpaceDID of liteSpaceDIDs) {
+        expect(await rateLimiter.checkUserRateLimit(mockInvocation, decrypt, liteSpaceDID, 1800)).to.be.null
+        expect(await rateLimiter.checkSpaceRateLimit(mockInvocation, decrypt, liteSpaceDID, 1800, lite)).to.be.null
+      }
+      expect(await rateLimiter.checkUserRateLimit(mockInvocation, decrypt, spaceDID, 1800)).to.be.null
+      expect(await rateLimiter.checkSpaceRateLimit(mockInvocation, decrypt, 'did:key:z6MknGc3ocHs3zdPiJbnaaqDi58NGb4pk1Sp9WxWufuXSdxf', 1800, lite))
+        .to.include({ limitType: 'per-user', limit: 5000, remaining: 1400 })
+    })
+
+    it('should report the per-user usage of the plan in the status', async () => {
+      sandbox.stub(Date, 'now').returns(now)
+      mockKV.get.callsFake(async (/** @type {string} */ key) => key.includes(':plan:default:') ? JSON.stringify({ tokens: 4000, updatedAt: now }) : null)
+
+      const status = await rateLimiter.getRateLimitStatus(mockInvocation, decrypt, spaceDID, lite)
+
+      expect(status.userCount).to.equal(1000)
+      expect(status.limits?.perUser).to.equal(5000)
+    })
+
+    it('should report the limits of the plan in the status', async () => {
+      sandbox.stub(Date, 'now').returns(now)
+      stubKV(null, JSON.stringify({ tokens: 9995, updatedAt: now }))
+
+      const status = await rateLimiter.getRateLimitStatus(mockInvocation, decrypt, spaceDID, business)
+
+      expect(status.limits?.perSpace).to.equal(10000)
+      expect(status.spaceCount).to.equal(5)
+    })
+
+    it('should only accept per-space and per-user limit overrides in plan rate limits', () => {
+      expect(parsePlanRateLimits(JSON.stringify({ [lite]: { [setup]: { perSpace: 5 } } })))
+        .to.deep.equal({ [lite]: { [setup]: { perSpace: 5 } } })
+      expect(parsePlanRateLimits(JSON.stringify({ [lite]: { [setup]: { perSpace: 5, perUser: 10 } } })))
+        .to.deep.equal({ [lite]: { [setup]: { perSpace: 5, perUser: 10 } } })
+      expect(parsePlanRateLimits(JSON.stringify({ [lite]: { [setup]: { perUser: -1 } } }))).to.be.undefined
+      expect(parsePlanRateLimits(JSON.stringify({ [lite]: { [setup]: { global: 0 } } }))).to.be.undefined
+      expect(parsePlanRateLimits(JSON.stringify({ [lite]: { [setup]: { windowMinutes: 5 } } }))).to.be.undefined
+      expect(parsePlanRateLimits(JSON.stringify({ [lite]: { [setup]: { perSpace: -1 } } }))).to.be.undefined
+      expect(parsePlanRateLimits(JSON.stringify({ [lite]: { [setup]: { perSpace: '5' } } }))).to.be.undefined
+      expect(parsePlanRateLimits(JSON.stringify([]))).to.be.undefined
+      expect(parsePlanRateLimits('not json')).to.be.undefined
+    })
+  })
+
+  describe('decrypt quotas', () => {
+    /** @type {ed25519.EdSigner} */
+    let space
+    /** @type {ed25519.EdSigner} */
+    let alice
+    /** @type {ed25519.EdSigner} */
+    let bob
+    /** @type {Map<string, number>} */
+    let counts
+    /** @type {any} */
+    let counterStore
+
+    beforeEach(async () => {
+      space = await ed25519.Signer.generate()
+      alice = await ed25519.Signer.generate()
+      bob = await ed25519.Signer.generate()
+
+      // In-memory counter store
+      counts = new Map()
+      counterStore = {
+        get: sandbox.stub().callsFake(async key => counts.get(key) ?? 0),
+        increment: sandbox.stub().callsFake(async (key, amount) => {
+          counts.set(key, Math.max(0, (counts.get(key) ?? 0) + amount))
+          return counts.get(key)
+        })
+      }
+      rateLimiter = new KmsRateLimiter(env, { counterStore })
+      sandbox.stub(console, 'warn')
+    })
+
+    /**
+     * @param {ed25519.EdSigner} issuer
+     * @param {ed25519.EdSigner} audience
+     * @param {Record<string, unknown>} [caveats]
+     * @param {any[]} [proofs]
+     * @param {number} [expiration]
+     */
+    const delegateDecrypt = (issuer, audience, caveats = {}, proofs = [], expiration) => delegate({
+      issuer,
+      audience,
+      capabilities: [{
+        can: ContentDecrypt.can,
+        with: space.did(),
+        nb: { resource: /** @type {any} */ ('bafkreihash'), ...caveats }
+      }],
+      proofs,
+      expiration
+    })
+
+    it('should not touch the counters of delegations without quota', async () => {
+      const delegation = await delegateDecrypt(space, alice)
+
+      expect(await rateLimiter.reserveDecryptQuota(delegation, space.did())).to.be.null
+      expect(counterStore.increment.called).to.be.false
+    })
+
+    it('should allow decrypts until the quota of the delegation is used', async () => {
+      const delegation = await delegateDecrypt(space, alice, { maxDecrypts: 2 })
+
+      expect(await rateLimiter.reserveDecryptQuota(delegation, space.did())).to.be.null
+      expect(await rateLimiter.reserveDecryptQuota(delegation, space.did())).to.be.null
+      const result = await rateLimiter.reserveDecryptQuota(delegation, space.did())
+
+      expect(result).to.be.instanceOf(DecryptQuotaExceeded)
+      expect(result).to.include({ delegation: delegation.cid.toString(), limit: 2, remaining: 0 })
+      expect(counts.get(`kms:space/encryption/key/decrypt:delegation:${delegation.cid}`)).to.equal(2)
+    })
+
+    it('should reject batches larger than the remaining quota without consuming it', async () => {
+      const delegation = await delegateDecrypt(space, alice, { maxDecrypts: 10 })
+      await rateLimiter.reserveDecryptQuota(delegation, space.did(), 7)
+
+      const result = await rateLimiter.reserveDecryptQuota(delegation, space.did(), 5)
+
+      expect(/** @type {DecryptQuotaExceeded} */ (result).remaining).to.equal(3)
+      expect(await rateLimiter.reserveDecryptQuota(delegation, space.did(), 3)).to.be.null
+    })
+
+    it('should give back released decrypts', async () => {
+      const delegation = await delegateDecrypt(space, alice, { maxDecrypts: 1 })
+      await rateLimiter.reserveDecryptQuota(delegation, space.did())
+
+      await rateLimiter.releaseDecryptQuota(delegation, space.did())
+
+      expect(await rateLimiter.reserveDecryptQuota(delegation, space.did())).to.be.null
+    })
+
+    it('should count re-delegated decrypts against the quota of the parent delegation', async () => {
+      const share = await delegateDecrypt(space, alice, { maxDecrypts: 1 })
+      const redelegation = await delegateDecrypt(alice, bob, {}, [share])
+
+      expect(await rateLimiter.reserveDecryptQuota(redelegation, space.did())).to.be.null
+      const result = await rateLimiter.reserveDecryptQuota(redelegation, space.did())
+
+      expect(/** @type {DecryptQuotaExceeded} */ (result).delegation).to.equal(share.cid.toString())
+      expect(await rateLimiter.reserveDecryptQuota(share, space.did())).to.be.instanceOf(DecryptQuotaExceeded)
+    })
+
+    it('should release the other quotas of the chain when one is exceeded', async () => {
+      const share = await delegateDecrypt(space, alice, { maxDecrypts: 5 })
+      const redelegation = await delegateDecrypt(alice, bob, { maxDecrypts: 1 }, [share])
+
+      await rateLimiter.reserveDecryptQuota(redelegation, space.did())
+      expect(await rateLimiter.reserveDecryptQuota(redelegation, space.did())).to.be.instanceOf(DecryptQuotaExceeded)
+
+      expect(counts.get(`kms:space/encryption/key/decrypt:delegation:${share.cid}`)).to.equal(1)
+    })
+
+    it('should enforce quotas when the rate limiter is disabled', async () => {
+      env.FF_KMS_RATE_LIMITER_ENABLED = 'false'
+      const delegation = await delegateDecrypt(space, alice, { maxDecrypts: 0 })
+
+      expect(await rateLimiter.reserveDecryptQuota(delegation, space.did())).to.be.instanceOf(DecryptQuotaExceeded)
+    })
+
+    it('should deny decrypts of delegations with a malformed quota', async () => {
+      const delegation = await delegateDecrypt(space, alice, { maxDecrypts: 'unlimited' })
+
+      const result = await rateLimiter.reserveDecryptQuota(delegation, space.did())
+
+      expect(/** @type {DecryptQuotaExceeded} */ (result).limit).to.equal(0)
+    })
+
+    it('should keep the quota counter for the lifetime of the delegation', async () => {
+      const expiration = Math.floor(Date.now() / 1000) + 3600
+      const delegation = await delegateDecrypt(space, alice, { maxDecrypts: 3 }, [], expiration)
+
+      await rateLimiter.reserveDecryptQuota(delegation, space.did())
+
+      const [, , ttlSeconds] = counterStore.increment.firstCall.args
+      expect(ttlSeconds).to.be.within(3590, 3600)
+    })
+
+    it('should fail closed when the counters are not available', async () => {
+      sandbox.stub(console, 'error')
+      const delegation = await delegateDecrypt(space, alice, { maxDecrypts: 3 })
+      counterStore.increment.rejects(new Error('Counter unavailable'))
+
+      const result = await rateLimiter.reserveDecryptQuota(delegation, space.did())
+      expect(result?.message).to.equal('Decrypt quota check failed')
+
+      const withoutStore = new KmsRateLimiter(/** @type {any} */ ({ ...env, KMS_RATE_LIMIT_KV: undefined }))
+      expect((await withoutStore.reserveDecryptQuota(delegation, space.did()))?.message).to.equal('Decrypt quota check failed')
+    })
+  })
 })
@@ -0,0 +1,201 @@
+/* eslint-disable no-unused-expressions
+   ---
+   `no-unused-expressions` doesn't understand that several of Chai's assertions
+   are implemented as getters rather than explicit function calls; it thinks
+   the assertions are unused expressions. */
+import { describe, it, beforeEach, afterEach } from 'mocha'
+import { expect } from 'chai'
+import sinon from 'sinon'
+import { base64 } from 'multiformats/bases/base64'
+import { LocalKMSService } from '../../../src/services/localKms.js'
+import { encodeEnvelope } from '../../../src/envelope.js'
+
+/**
+ * Minimal in-memory stand-in for a Cloudflare KV namespace
+ */
+function createMemoryKV () {
+  const store = new Map()
+  return {
+    store,
+    get: async (/** @type {string} */ key) => store.has(key) ? store.get(key) : null,
+    put: async (/** @type {string} */ key, /** @type {string} */ value) => { store.set(key, value) }
+  }
+}
+
+/**
+ * Encrypts data with a PEM public key the same way clients do
+ *
+ * @param {string} pem
+ * @param {Uint8Array} data
+ */
+async function encryptWithPem (pem, data) {
+  const der = Uint8Array.from(atob(pem.replace(/-----(BEGIN|END) PUBLIC KEY-----/g, '').replace(/\s/g, '')), c => c.charCodeAt(0))
+  const publicKey = await crypto.subtle.importKey('spki', der, { name: 'RSA-OAEP', hash: 'SHA-256' }, false, ['encrypt'])
+  return new Uint8Array(await crypto.subtle.encrypt({ name: 'RSA-OAEP' }, publicKey, data))
+}
+
+/**
+ * Key metadata store holding a single space record with the given status
+ *
+ * @param {import('../../../src/services/keyMetadata.types.js').KeyStatus} status
+ */
+function createStatusStore (status) {
+  return {
+    get: async () => ({ provider: 'google-kms', keyVersion: '1', createdAt: '2025-01-01T00:00:00.000Z', updatedAt: '2025-01-01T00:00:00.000Z', status }),
+    put: async () => {}
+  }
+}
+
+describe('LocalKMSService', function () {
+  // RSA-3072 key generation can take a few seconds on slow machines
+  this.timeout(15000)
+
+  /** @type {sinon.SinonSandbox} */
+  let sandbox
+  /** @type {LocalKMSService} */
+  let service
+  /** @type {any} */
+  let env
+  /** @type {ReturnType<typeof createMemoryKV>} */
+  let kv
+
+  const spaceDID = 'did:key:z6Mko5igLB7NBgBcDYjM7MnRZDFKCLYAfbsEYAnx8HRJGJmu'
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+    kv = createMemoryKV()
+    env = {
+      ENVIRONMENT: 'development',
+      KMS_PROVIDER: 'local',
+      LOCAL_KMS_KV: kv
+    }
+    service = new LocalKMSService(env)
+  })
+
+  afterEach(() => {
+    sandbox.restore()
+  })
+
+  describe('constructor', () => {
+    it('should refuse to run in production', () => {
+      expect(() => new LocalKMSService({ ...env, ENVIRONMENT: 'production' })).to.throw('Local KMS provider cannot be used in production')
+    })
+
+    it('should require the LOCAL_KMS_KV namespace', () => {
+      expect(() => new LocalKMSService({ ...env, LOCAL_KMS_KV: undefined })).to.throw('LOCAL_KMS_KV')
+    })
+  })
+
+  describe('setupKeyForSpace', () => {
+    it('should create a new RSA key pair and return its public key', async () => {
+      const result = await service.setupKeyForSpace({ space: spaceDID }, env)
+
+      expect(result.ok).to.exist
+      expect(result.ok?.publicKey).to.match(/^-----BEGIN PUBLIC KEY-----\n/)
+      expect(result.ok?.algorithm).to.equal('RSA_DECRYPT_OAEP_3072_SHA256')
+      expect(result.ok?.provider).to.equal('local')
+      expect(kv.store.size).to.equal(1)
+    })
+
+    it('should return the existing public key on subsequent calls', async () => {
+      const first = await service.setupKeyForSpace({ space: spaceDID }, env)
+      const second = await service.setupKeyForSpace({ space: spaceDID }, env)
+
+      expect(second.ok?.publicKey).to.equal(first.ok?.publicKey)
+      expect(kv.store.size).to.equal(1)
+    })
+
+    it('should return generic error for invalid space DID', async () => {
+      const result = await service.setupKeyForSpace({ space: /** @type {any} */ ('did:key:invalid') }, env)
+
+      expect(result.error).to.exist
+      expect(result.error?.message).to.equal('Encryption setup failed')
+    })
+  })
+
+  describe('decryptSymmetricKey', () => {
+    it('should decrypt a key encrypted with the space public key', async () => {
+      const setup = await service.setupKeyForSpace({ space: spaceDID }, env)
+      const symmetricKey = crypto.getRandomValues(new Uint8Array(48))
+      const encryptedSymmetricKey = await encryptWithPem(/** @type {string} */ (setup.ok?.publicKey), symmetricKey)
+
+      const result = await service.decryptSymmetricKey({ space: spaceDID, encryptedSymmetricKey }, env)
+
+      expect(result.ok).to.exist
+      expect(base64.decode(/** @type {string} */ (result.ok?.decryptedKey))).to.deep.equal(symmetricKey)
+    })
+
+    it('should decrypt a key wrapped in an envelope', async () => {
+      const setup = await service.setupKeyForSpace({ space: spaceDID }, env)
+      const symmetricKey = crypto.getRandomValues(new Uint8Array(48))
+      const ciphertext = await encryptWithPem(/** @type {string} */ (setup.ok?.publicKey), symmetricKey)
+      const encryptedSymmetricKey = encodeEnvelope({ provider: 'local', keyVersion: '1', algorithm: 'RSA_DECRYPT_OAEP_3072_SHA256', space: spaceDID }, ciphertext)
+
+      const result = await service.decryptSymmetricKey({ space: spaceDID, encryptedSymmetricKey }, env)
+
+      expect(base64.decode(/** @type {string} */ (result.ok?.decryptedKey))).to.deep.equal(symmetricKey)
+    })
+
+    it('should return generic error when the space has no key', async () => {
+      const result = await service.decryptSymmetricKey({ space: spaceDID, encryptedSymmetricKey: new Uint8Array(384) }, env)
+
+      expect(result.error).to.exist
+      expect(result.error?.message).to.equal('KMS decryption failed')
+    })
+
+    it('should return generic error for a corrupted ciphertext', async () => {
+      await service.setupKeyForSpace({ space: spaceDID }, env)
+
+      const result = await service.decryptSymmetricKey({ space: spaceDID, encryptedSymmetricKey: new Uint8Array(384).fill(7) }, env)
+
+      expect(result.error).to.exist
+      expect(result.error?.message).to.equal('KMS decryption failed')
+    })
+  })
+  describe('getPublicKeyInfo', () => {
+    it('should return the stored public key and creation time', async () => {
+      const setup = await service.setupKeyForSpace({ space: spaceDID }, env)
+
+      const result = await service.getPublicKeyInfo({ space: spaceDID }, env)
+
+      expect(result.ok?.publicKey).to.equal(setup.ok?.publicKey)
+      expect(result.ok?.keyVersion).to.equal('1')
+      expect(Date.parse(/** @type {string} */ (result.ok?.createdAt))).to.be.a('number').and.not.NaN
+    })
+
+    it('should report a missing key without creating one', async () => {
+      const result = await service.getPublicKeyInfo({ space: spaceDID }, env)
+
+      expect(result.error?.message).to.equal('Encryption key not found')
+      expect(kv.store.size).to.equal(0)
+    })
+  })
+
+  describe('key status', () => {
+    it('should report spaces without a status record as active', async () => {
+      expect(await service.getKeyStatus({ space: spaceDID }, env)).to.equal('active')
+      service = new LocalKMSService(env, { keyMetadataStore: { get: async () => null, put: async () => {} } })
+      expect(await service.getKeyStatus({ space: spaceDID }, env)).to.equal('active')
+    })
+
+    it('should refuse to decrypt for a space suspended with another provider', async () => {
+      const setup = await service.setupKeyForSpace({ space: spaceDID }, env)
+      const encryptedSymmetricKey = await encryptWithPem(/** @type {string} */ (setup.ok?.publicKey), new Uint8Array(48))
+      service = new LocalKMSService(env, { keyMetadataStore: createStatusStore('suspended') })
+
+      expect(await service.getKeyStatus({ space: spaceDID }, env)).to.equal('suspended')
+      expect((await service.decryptSymmetricKey({ space: spaceDID, encryptedSymmetricKey }, env)).error?.name).to.equal('KeySuspended')
+      expect((await service.getPublicKeyInfo({ space: spaceDID }, env)).error?.name).to.equal('KeySuspended')
+    })
+
+    it('should not re-create the key of a destroyed space', async () => {
+      service = new LocalKMSService(env, { keyMetadataStore: createStatusStore('destroyed') })
+
+      const result = await service.setupKeyForSpace({ space: spaceDID }, env)
+
+      expect(result.error?.name).to.equal('KeyDestroyed')
+      expect(kv.store.size).to.equal(0)
+      expect((await service.decryptSymmetricKey({ space: spaceDID, encryptedSymmetricKey: new Uint8Array(384) }, env)).error?.name).to.equal('KeyDestroyed')
+    })
+  })
+})
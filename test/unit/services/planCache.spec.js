@@ -0,0 +1,78 @@
+/* eslint-disable no-unused-expressions
+   ---
+   `no-unused-expressions` doesn't understand that several of Chai's assertions
+   are implemented as getters rather than explicit function calls; it thinks
+   the assertions are unused expressions. */
+import { describe, it, beforeEach, afterEach } from 'mocha'
+import { expect } from 'chai'
+import sinon from 'sinon'
+import { KVPlanCache, createPlanCache, DEFAULT_PLAN_CACHE_TTL_SECONDS } from '../../../src/services/planCache.js'
+
+describe('Plan cache', () => {
+  /** @type {sinon.SinonSandbox} */
+  let sandbox
+  /** @type {any} */
+  let kv
+
+  const accountDID = 'did:mailto:example.com:alice'
+  const plan = { product: 'did:web:lite.web3.storage', delegations: ['bafy-plan-get'] }
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+    kv = { get: sandbox.stub().resolves(null), put: sandbox.stub().resolves(), delete: sandbox.stub().resolves() }
+  })
+
+  afterEach(() => {
+    sandbox.restore()
+  })
+
+  describe('KVPlanCache', () => {
+    it('should cache plans with the TTL', async () => {
+      const cache = new KVPlanCache(kv, 120)
+
+      await cache.put(accountDID, plan)
+
+      expect(kv.put.calledWith(`plan:${accountDID}`, JSON.stringify(plan), { expirationTtl: 120 })).to.be.true
+    })
+
+    it('should return cached plans and ignore malformed values', async () => {
+      const cache = new KVPlanCache(kv)
+      kv.get.withArgs(`plan:${accountDID}`, 'json').resolves(plan)
+      kv.get.withArgs('plan:did:mailto:example.com:bob', 'json').resolves({ product: 42 })
+
+      expect(await cache.get(accountDID)).to.deep.equal(plan)
+      expect(await cache.get('did:mailto:example.com:bob')).to.be.undefined
+      expect(await cache.get('did:mailto:example.com:carol')).to.be.undefined
+    })
+
+    it('should delete cached plans', async () => {
+      const cache = new KVPlanCache(kv)
+
+      await cache.delete(accountDID)
+
+      expect(kv.delete.calledWith(`plan:${accountDID}`)).to.be.true
+    })
+  })
+
+  describe('createPlanCache', () => {
+    it('should return undefined when the namespace is not bound', () => {
+      expect(createPlanCache(/** @type {any} */ ({}))).to.be.undefined
+    })
+
+    it('should default the TTL', async () => {
+      const cache = createPlanCache(/** @type {any} */ ({ KMS_PLAN_CACHE_KV: kv }))
+
+      await cache?.put(accountDID, plan)
+
+      expect(kv.put.firstCall.args[2]).to.deep.equal({ expirationTtl: DEFAULT_PLAN_CACHE_TTL_SECONDS })
+    })
+
+    it('should not cache plans for less than 60 seconds', async () => {
+      const cache = createPlanCache(/** @type {any} */ ({ KMS_PLAN_CACHE_KV: kv, PLAN_CACHE_TTL_SECONDS: '10' }))
+
+      await cache?.put(accountDID, plan)
+
+      expect(kv.put.firstCall.args[2]).to.deep.equal({ expirationTtl: 60 })
+    })
+  })
+})
@@ -0,0 +1,150 @@
+/* eslint-disable no-unused-expressions
+   ---
+   `no-unused-expressions` doesn't understand that several of Chai's assertions
+   are implemented as getters rather than explicit function calls; it thinks
+   the assertions are unused expressions. */
+import { describe, it, beforeEach, afterEach } from 'mocha'
+import { expect } from 'chai'
+import sinon from 'sinon'
+import { PlanCatalogueService, parsePlanCatalogue, PLAN_CATALOGUE_KV_KEY } from '../../../src/services/planCatalogue.js'
+
+describe('Plan catalogue', () => {
+  /** @type {sinon.SinonSandbox} */
+  let sandbox
+  /** @type {any} */
+  let kv
+
+  const catalogue = {
+    'did:web:starter.web3.storage': { encryption: true, batchDecrypt: false, maxEncryptedSpaces: 1, rateLimitTier: 'did:web:lite.web3.storage' },
+    'did:web:free.web3.storage': { encryption: false }
+  }
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+    kv = { get: sandbox.stub().resolves(null) }
+  })
+
+  afterEach(() => {
+    sandbox.restore()
+  })
+
+  describe('default catalogue', () => {
+    /** @type {PlanCatalogueService} */
+    let service
+
+    beforeEach(() => {
+      service = new PlanCatalogueService(/** @type {any} */ ({}))
+    })
+
+    it('should entitle the lite plan', async () => {
+      expect(await service.getEntitlements('did:web:lite.web3.storage')).to.deep.equal({
+        encryption: true,
+        batchDecrypt: true,
+        maxEncryptedSpaces: undefined,
+        rateLimitTier: 'did:web:lite.web3.storage'
+      })
+    })
+
+    it('should entitle the business plan', async () => {
+      expect((await service.getEntitlements('did:web:business.web3.storage'))?.encryption).to.be.true
+    })
+
+    it('should not entitle plans outside the catalogue', async () => {
+      expect(await service.getEntitlements('did:web:free.web3.storage')).to.be.undefined
+      expect(await service.getEntitlements('did:web:trial.web3.storage')).to.be.undefined
+      expect(await service.getEntitlements('')).to.be.undefined
+      expect(await service.getEntitlements('constructor')).to.be.undefined
+    })
+  })
+
+  it('should load the catalogue from KV first', async () => {
+    kv.get.withArgs(PLAN_CATALOGUE_KV_KEY).resolves(JSON.stringify(catalogue))
+    const service = new PlanCatalogueService(/** @type {any} */ ({
+      KMS_RATE_LIMIT_KV: kv,
+      KMS_PLAN_CATALOGUE: JSON.stringify({ 'did:web:starter.web3.storage': { encryption: false } })
+    }))
+
+    expect(await service.getEntitlements('did:web:starter.web3.storage')).to.deep.equal({
+      encryption: true,
+      batchDecrypt: false,
+      maxEncryptedSpaces: 1,
+      rateLimitTier: 'did:web:lite.web3.storage'
+    })
+    expect(await service.getEntitlements('did:web:lite.web3.storage')).to.be.undefined
+  })
+
+  it('should load the catalogue once', async () => {
+    kv.get.withArgs(PLAN_CATALOGUE_KV_KEY).resolves(JSON.stringify(catalogue))
+    const service = new PlanCatalogueService(/** @type {any} */ ({ KMS_RATE_LIMIT_KV: kv }))
+
+    await service.getEntitlements('did:web:starter.web3.storage')
+    await service.getEntitlements('did:web:free.web3.storage')
+
+    expect(kv.get.calledOnce).to.be.true
+  })
+
+  it('should share the catalogue between the services of an isolate', async () => {
+    kv.get.withArgs(PLAN_CATALOGUE_KV_KEY).resolves(JSON.stringify(catalogue))
+    const env = /** @type {any} */ ({ KMS_RATE_LIMIT_KV: kv })
+
+    // A service is created for every request
+    await new PlanCatalogueService(env).getEntitlements('did:web:starter.web3.storage')
+    await new PlanCatalogueService(env).getEntitlements('did:web:free.web3.storage')
+
+    expect(kv.get.calledOnce).to.be.true
+  })
+
+  it('should load the catalogue again after a minute', async () => {
+    const now = sandbox.stub(Date, 'now').returns(1_000_000)
+    kv.get.withArgs(PLAN_CATALOGUE_KV_KEY).resolves(JSON.stringify(catalogue))
+    const env = /** @type {any} */ ({ KMS_RATE_LIMIT_KV: kv })
+    expect((await new PlanCatalogueService(env).getEntitlements('did:web:free.web3.storage'))?.encryption).to.be.false
+
+    kv.get.withArgs(PLAN_CATALOGUE_KV_KEY).resolves(JSON.stringify({ 'did:web:free.web3.storage': { encryption: true } }))
+    now.returns(1_059_999)
+    expect((await new PlanCatalogueService(env).getEntitlements('did:web:free.web3.storage'))?.encryption).to.be.false
+    now.returns(1_060_000)
+    expect((await new PlanCatalogueService(env).getEntitlements('did:web:free.web3.storage'))?.encryption).to.be.true
+    expect(kv.get.calledTwice).to.be.true
+  })
+
+  it('should load the catalogue from the environment when KV has none', async () => {
+    const service = new PlanCatalogueService(/** @type {any} */ ({
+      KMS_RATE_LIMIT_KV: kv,
+      KMS_PLAN_CATALOGUE: JSON.stringify(catalogue)
+    }))
+
+    expect((await service.getEntitlements('did:web:free.web3.storage'))?.encryption).to.be.false
+  })
+
+  it('should ignore invalid catalogues and KV errors', async () => {
+    const warn = sandbox.stub(console, 'warn')
+    const consoleError = sandbox.stub(console, 'error')
+    kv.get.rejects(new Error('KV unavailable'))
+    const service = new PlanCatalogueService(/** @type {any} */ ({
+      KMS_RATE_LIMIT_KV: kv,
+      KMS_PLAN_CATALOGUE: '{"did:web:lite.web3.storage":{}}'
+    }))
+
+    expect((await service.getEntitlements('did:web:lite.web3.storage'))?.encryption).to.be.true
+    expect(consoleError.calledOnce).to.be.true
+    expect(warn.calledWith('Invalid KMS_PLAN_CATALOGUE, ignoring')).to.be.true
+  })
+
+  describe('parsePlanCatalogue', () => {
+    it('should parse valid catalogues', () => {
+      expect(parsePlanCatalogue(JSON.stringify(catalogue))).to.deep.equal(catalogue)
+    })
+
+    it('should reject invalid catalogues', () => {
+      expect(parsePlanCatalogue('not json')).to.be.undefined
+      expect(parsePlanCatalogue('[]')).to.be.undefined
+      expect(parsePlanCatalogue('{"did:web:lite.web3.storage":true}')).to.be.undefined
+      expect(parsePlanCatalogue('{"did:web:lite.web3.storage":{"encryption":"yes"}}')).to.be.undefined
+      expect(parsePlanCatalogue('{"did:web:lite.web3.storage":{"encryption":true,"batchDecrypt":1}}')).to.be.undefined
+      expect(parsePlanCatalogue('{"did:web:lite.web3.storage":{"encryption":true,"maxEncryptedSpaces":-1}}')).to.be.undefined
+      expect(parsePlanCatalogue('{"did:web:lite.web3.storage":{"encryption":true,"maxEncryptedSpaces":1.5}}')).to.be.undefined
+      expect(parsePlanCatalogue('{"did:web:lite.web3.storage":{"encryption":true,"rateLimitTier":3}}')).to.be.undefined
+    })
+  })
+})
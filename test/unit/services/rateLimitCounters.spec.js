@@ -0,0 +1,228 @@
+/* eslint-disable no-unused-expressions
+   ---
+   `no-unused-expressions` doesn't understand that several of Chai's assertions
+   are implemented as getters rather than explicit function calls; it thinks
+   the assertions are unused expressions. */
+import { describe, it, before, after, beforeEach, afterEach } from 'mocha'
+import { expect } from 'chai'
+import sinon from 'sinon'
+import { Miniflare } from 'miniflare'
+import * as ed25519 from '@ucanto/principal/ed25519'
+import { EncryptionSetup } from '@storacha/capabilities/space'
+import {
+  KVRateLimitCounterStore,
+  DurableObjectRateLimitCounterStore,
+  createRateLimitCounterStore
+} from '../../../src/services/rateLimitCounters.js'
+import { KmsRateLimiter } from '../../../src/services/kmsRateLimiter.js'
+
+describe('Rate limit counters', () => {
+  /** @type {sinon.SinonSandbox} */
+  let sandbox
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+  })
+
+  afterEach(() => {
+    sandbox.restore()
+  })
+
+  describe('createRateLimitCounterStore', () => {
+    it('should prefer the Durable Object namespace over KV', () => {
+      const env = /** @type {any} */ ({ KMS_RATE_LIMIT_DO: {}, KMS_RATE_LIMIT_KV: {} })
+      expect(createRateLimitCounterStore(env)).to.be.instanceOf(DurableObjectRateLimitCounterStore)
+    })
+
+    it('should fall back to KV', () => {
+      const env = /** @type {any} */ ({ KMS_RATE_LIMIT_KV: {} })
+      expect(createRateLimitCounterStore(env)).to.be.instanceOf(KVRateLimitCounterStore)
+    })
+
+    it('should return undefined when no backend is bound', () => {
+      expect(createRateLimitCounterStore(/** @type {any} */ ({}))).to.be.undefined
+    })
+  })
+
+  describe('KVRateLimitCounterStore', () => {
+    it('should add to the stored count with the window TTL', async () => {
+      const kv = { get: sandbox.stub().resolves('4'), put: sandbox.stub().resolves() }
+      const store = new KVRateLimitCounterStore(/** @type {any} */ (kv))
+
+      expect(await store.increment('counter', 2, 900)).to.equal(6)
+      expect(kv.put.calledWith('counter', '6', { expirationTtl: 900 })).to.be.true
+    })
+
+    it('should keep counters without TTL and release operations', async () => {
+      const kv = { get: sandbox.stub().resolves('4'), put: sandbox.stub().resolves() }
+      const store = new KVRateLimitCounterStore(/** @type {any} */ (kv))
+
+      expect(await store.increment('counter', -1)).to.equal(3)
+      expect(kv.put.calledWith('counter', '3', {})).to.be.true
+    })
+
+    it('should treat invalid stored values as 0', async () => {
+      sandbox.stub(console, 'warn')
+      const kv = { get: sandbox.stub().resolves('-3'), put: sandbox.stub() }
+      const store = new KVRateLimitCounterStore(/** @type {any} */ (kv))
+
+      expect(await store.get('counter')).to.equal(0)
+    })
+
+    it('should take tokens from a full bucket and expire it once refilled', async () => {
+      sandbox.stub(Date, 'now').returns(1_000_000)
+      const kv = { get: sandbox.stub().resolves(null), put: sandbox.stub().resolves() }
+      const store = new KVRateLimitCounterStore(/** @type {any} */ (kv))
+
+      expect(await store.take('bucket', 3, { capacity: 10, refillPerSecond: 0.5 })).to.deep.equal({ allowed: true, tokens: 7 })
+      expect(kv.put.calledWith('bucket', JSON.stringify({ tokens: 7, updatedAt: 1_000_000 }), { expirationTtl: 60 })).to.be.true
+    })
+
+    it('should refill buckets and deny takes larger than the tokens left', async () => {
+      sandbox.stub(Date, 'now').returns(1_004_000)
+      const kv = { get: sandbox.stub().resolves(JSON.stringify({ tokens: 1, updatedAt: 1_000_000 })), put: sandbox.stub().resolves() }
+      const store = new KVRateLimitCounterStore(/** @type {any} */ (kv))
+
+      // 1 token plus 4 seconds at 0.5 tokens per second
+      expect(await store.take('bucket', 4, { capacity: 10, refillPerSecond: 0.5 })).to.deep.equal({ allowed: false, tokens: 3 })
+      expect(await store.take('bucket', 0, { capacity: 10, refillPerSecond: 0.5 })).to.deep.equal({ allowed: true, tokens: 3 })
+      expect(await store.take('bucket', -20, { capacity: 10, refillPerSecond: 0.5 })).to.deep.equal({ allowed: true, tokens: 10 })
+    })
+  })
+
+  describe('DurableObjectRateLimitCounterStore', function () {
+    // Starting the local workerd runtime can be slow
+    this.timeout(60_000)
+
+    /** @type {Miniflare} */
+    let mf
+    /** @type {any} */
+    let namespace
+
+    before(async () => {
+      mf = new Miniflare({
+        modules: true,
+        scriptPath: 'src/durableObjects/rateLimitCounter.js',
+        durableObjects: { KMS_RATE_LIMIT_DO: 'RateLimitCounter' }
+      })
+      namespace = await mf.getDurableObjectNamespace('KMS_RATE_LIMIT_DO')
+    })
+
+    after(async () => {
+      await mf?.dispose()
+    })
+
+    it('should return 0 for a counter that does not exist', async () => {
+      const store = new DurableObjectRateLimitCounterStore(namespace)
+      expect(await store.get('kms:missing')).to.equal(0)
+    })
+
+    it('should increment and read a counter', async () => {
+      const store = new DurableObjectRateLimitCounterStore(namespace)
+
+      expect(await store.increment('kms:sequential', 1, 900)).to.equal(1)
+      expect(await store.increment('kms:sequential', 3, 900)).to.equal(4)
+      expect(await store.get('kms:sequential')).to.equal(4)
+    })
+
+    it('should not lose concurrent increments', async () => {
+      const store = new DurableObjectRateLimitCounterStore(namespace)
+
+      await Promise.all(Array.from({ length: 25 }, () => store.increment('kms:concurrent', 1, 900)))
+
+      expect(await store.get('kms:concurrent')).to.equal(25)
+    })
+
+    it('should keep counters with different keys apart', async () => {
+      const store = new DurableObjectRateLimitCounterStore(namespace)
+
+      await store.increment('kms:a', 2, 900)
+      await store.increment('kms:b', 5, 900)
+
+      expect(await store.get('kms:a')).to.equal(2)
+      expect(await store.get('kms:b')).to.equal(5)
+    })
+
+    it('should release operations of counters without TTL', async () => {
+      const store = new DurableObjectRateLimitCounterStore(namespace)
+
+      expect(await store.increment('kms:quota', 3)).to.equal(3)
+      expect(await store.increment('kms:quota', -1)).to.equal(2)
+      expect(await store.increment('kms:quota', -5)).to.equal(0)
+    })
+
+    it('should reject invalid increments', async () => {
+      const store = new DurableObjectRateLimitCounterStore(namespace)
+
+      try {
+        await store.increment('kms:invalid', 0, 900)
+        expect.fail('Expected increment to throw')
+      } catch (err) {
+        expect(/** @type {Error} */ (err).message).to.include('400')
+      }
+      expect(await store.get('kms:invalid')).to.equal(0)
+    })
+
+    it('should take exactly the tokens of a bucket under concurrent takes', async () => {
+      const store = new DurableObjectRateLimitCounterStore(namespace)
+      const bucket = { capacity: 10, refillPerSecond: 0.001 }
+
+      const results = await Promise.all(Array.from({ length: 25 }, () => store.take('kms:bucket', 1, bucket)))
+
+      expect(results.filter(result => result.allowed)).to.have.lengthOf(10)
+      expect((await store.take('kms:bucket', 0, bucket)).tokens).to.be.lessThan(1)
+    })
+
+    it('should give tokens back up to the capacity', async () => {
+      const store = new DurableObjectRateLimitCounterStore(namespace)
+      const bucket = { capacity: 10, refillPerSecond: 0.001 }
+
+      expect((await store.take('kms:refund', 6, bucket)).allowed).to.be.true
+      expect((await store.take('kms:refund', -2, bucket)).tokens).to.be.closeTo(6, 0.1)
+      expect(await store.take('kms:refund', -20, bucket)).to.deep.equal({ allowed: true, tokens: 10 })
+    })
+
+    it('should reject invalid buckets', async () => {
+      const store = new DurableObjectRateLimitCounterStore(namespace)
+
+      try {
+        await store.take('kms:invalid-bucket', 1, { capacity: -1, refillPerSecond: 1 })
+        expect.fail('Expected take to throw')
+      } catch (err) {
+        expect(/** @type {Error} */ (err).message).to.include('400')
+      }
+    })
+
+    it('should allow exactly the limit of a burst of concurrent checks', async () => {
+      const env = /** @type {any} */ ({
+        FF_KMS_RATE_LIMITER_ENABLED: 'true',
+        KMS_RATE_LIMIT_DO: namespace
+      })
+      const rateLimiter = new KmsRateLimiter(env)
+      const signer = await ed25519.Signer.generate()
+      const space = 'did:key:z6MkwDK3M4PxU1FqcSt6quBH1xRBSGnPRdQYP9B13h3Wq5X1'
+      sandbox.stub(console, 'warn')
+
+      // Check the setup limit and then some concurrently, as parallel invocations would
+      const { perSpace } = KmsRateLimiter.RATE_LIMITS[EncryptionSetup.can]
+      const invocations = Array.from({ length: perSpace + 4 }, () => /** @type {any} */ ({ issuer: { did: () => signer.did() } }))
+      const results = await Promise.all(invocations.map(invocation => rateLimiter.checkRateLimit(invocation, EncryptionSetup.can, space)))
+
+      expect(results.filter(result => result === null)).to.have.lengthOf(perSpace)
+      for (const result of results.filter(result => result !== null)) {
+        expect(result).to.include({ limitType: 'per-space' })
+      }
+      // Denied checks give back what they reserved
+      const status = await rateLimiter.getRateLimitStatus(invocations[0], EncryptionSetup.can, space)
+      expect(status.spaceCount).to.equal(perSpace)
+      expect(status.userCount).to.equal(perSpace)
+      expect(status.globalCount).to.equal(perSpace)
+
+      // Releasing an allowed operation makes room for another one
+      const allowed = invocations[results.indexOf(null)]
+      await rateLimiter.releaseRateLimit(allowed, EncryptionSetup.can)
+      expect(await rateLimiter.checkRateLimit(invocations[0], EncryptionSetup.can, space)).to.be.null
+      expect(await rateLimiter.checkRateLimit(invocations[1], EncryptionSetup.can, space)).to.include({ limitType: 'per-space' })
+    })
+  })
+})
@@ -193,41 +193,4 @@ describe('StorachaStorageService', () => {
       }
     })
   })
-
-  describe('isPaidPlan', () => {
-    it('should return true for lite plan', () => {
-      const result = service.isPaidPlan('did:web:lite.web3.storage')
-      expect(result).to.be.true
-    })
-
-    it('should return true for business plan', () => {
-      const result = service.isPaidPlan('did:web:business.web3.storage')
-      expect(result).to.be.true
-    })
-
-    it('should return false for free plan', () => {
-      const result = service.isPaidPlan('did:web:free.web3.storage')
-      expect(result).to.be.false
-    })
-
-    it('should return false for unknown plan', () => {
-      const result = service.isPaidPlan('did:web:unknown.web3.storage')
-      expect(result).to.be.false
-    })
-
-    it('should return false for trial plan', () => {
-      const result = service.isPaidPlan('did:web:trial.web3.storage')
-      expect(result).to.be.false
-    })
-
-    it('should return false for empty string', () => {
-      const result = service.isPaidPlan('')
-      expect(result).to.be.false
-    })
-
-    it('should return false for null/undefined', () => {
-      expect(service.isPaidPlan(/** @type {any} */(null))).to.be.false
-      expect(service.isPaidPlan(/** @type {any} */(undefined))).to.be.false
-    })
-  })
 })
@@ -9,6 +9,7 @@ import sinon from 'sinon'
 import { PlanSubscriptionServiceImpl } from '../../../src/services/subscription.js'
 import { AuditLogService } from '../../../src/services/auditLog.js'
 import { StorachaStorageService } from '../../../src/services/storacha-storage.js'
+import { PlanCatalogueService, FAIL_OPEN_ENTITLEMENTS } from '../../../src/services/planCatalogue.js'
 import { Plan } from '@storacha/capabilities'
 import * as ed25519 from '@ucanto/principal/ed25519'
 
@@ -210,7 +211,6 @@ describe('PlanSubscriptionService', () => {
         accountDID
       }
       mockStorachaStorage.getPlan.resolves(planInfo)
-      mockStorachaStorage.isPaidPlan.returns(false)
 
       // Create mock proof with plan/get capability
       const mockProof = /** @type {any} */({
@@ -247,7 +247,6 @@ describe('PlanSubscriptionService', () => {
         accountDID
       }
       mockStorachaStorage.getPlan.resolves(planInfo)
-      mockStorachaStorage.isPaidPlan.returns(true)
 
       // Create mock proof with plan/get capability
       const mockProof = /** @type {any} */({
@@ -261,6 +260,7 @@ describe('PlanSubscriptionService', () => {
 
       expect(result.ok).to.exist
       expect(result.ok?.isProvisioned).to.be.true
+      expect(result.ok?.product).to.equal('did:web:lite.web3.storage')
       sinon.assert.calledWith(
         mockAuditLog.logSecurityEvent,
         'subscription_plan_validated',
@@ -277,6 +277,26 @@ describe('PlanSubscriptionService', () => {
       )
     })
 
+    it('should resolve the entitlements of the plan from the catalogue', async () => {
+      service.planCatalogue = new PlanCatalogueService(/** @type {any} */ ({
+        KMS_PLAN_CATALOGUE: JSON.stringify({
+          'did:web:free.web3.storage': { encryption: true, batchDecrypt: false, maxEncryptedSpaces: 1, rateLimitTier: 'free' }
+        })
+      }))
+      mockStorachaStorage.getPlan.resolves({ plan: { product: 'did:web:free.web3.storage' }, accountDID })
+      const mockProof = /** @type {any} */({
+        capabilities: [{
+          can: Plan.get.can,
+          with: accountDID
+        }]
+      })
+
+      const result = await service.isProvisioned(spaceDID, [mockProof], mockContext)
+
+      expect(result.ok?.accountDID).to.equal(accountDID)
+      expect(result.ok?.entitlements).to.deep.equal({ encryption: true, batchDecrypt: false, maxEncryptedSpaces: 1, rateLimitTier: 'free' })
+    })
+
     it('should handle business plan as valid paid plan', async () => {
       // Mock StorachaStorageService to return a business plan
       const planInfo = {
@@ -284,7 +304,6 @@ describe('PlanSubscriptionService', () => {
         accountDID
       }
       mockStorachaStorage.getPlan.resolves(planInfo)
-      mockStorachaStorage.isPaidPlan.returns(true)
 
       // Create mock proof with plan/get capability
       const mockProof = /** @type {any} */({
@@ -334,7 +353,6 @@ describe('PlanSubscriptionService', () => {
         accountDID
       }
       mockStorachaStorage.getPlan.resolves(planInfo)
-      mockStorachaStorage.isPaidPlan.returns(true)
 
       // Create multiple proofs, only one with plan/get capability
       const proofs = /** @type {any} */([
@@ -367,4 +385,149 @@ describe('PlanSubscriptionService', () => {
       sinon.assert.calledWith(mockStorachaStorage.getPlan, proofs[1])
     })
   })
+  describe('failure policy', () => {
+    const mockProof = /** @type {any} */({
+      capabilities: [{
+        can: Plan.get.can,
+        with: 'did:mailto:example.com:alice'
+      }]
+    })
+
+    it('should provision the space with conservative entitlements when the plan service is unavailable and the policy is open', async () => {
+      service.env.FAIL_POLICY_PLAN = 'open'
+      mockStorachaStorage.getPlan.rejects(new Error('Network error'))
+
+      const result = await service.isProvisioned(spaceDID, [mockProof], mockContext)
+
+      expect(result.ok).to.deep.equal({ isProvisioned: true, entitlements: FAIL_OPEN_ENTITLEMENTS })
+      expect(result.ok?.entitlements).to.deep.equal({ encryption: true, batchDecrypt: false, maxEncryptedSpaces: 0 })
+      expect(result.ok?.entitlements?.rateLimitTier).to.be.undefined
+      // The entitlements are shared by every request, so they cannot be changed by one
+      expect(Object.isFrozen(result.ok?.entitlements)).to.be.true
+      sinon.assert.calledWith(
+        mockAuditLog.logSecurityEvent,
+        'failure_policy_applied',
+        sinon.match({ operation: 'plan', status: 'fail_open', error: 'Network error' })
+      )
+    })
+
+    it('should refuse the space when the plan service is unavailable by default', async () => {
+      mockStorachaStorage.getPlan.rejects(new Error('Network error'))
+
+      const result = await service.isProvisioned(spaceDID, [mockProof], mockContext)
+
+      expect(result.error?.message).to.equal('Subscription validation failed')
+      sinon.assert.calledWith(
+        mockAuditLog.logSecurityEvent,
+        'failure_policy_applied',
+        sinon.match({ operation: 'plan', status: 'fail_closed' })
+      )
+    })
+
+    it('should not apply the policy to errors returned by the plan service', async () => {
+      service.env.FAIL_POLICY_PLAN = 'open'
+      mockStorachaStorage.getPlan.rejects(new Error('Plan/Get invocation failed: Unauthorized', { cause: new Error('Unauthorized') }))
+
+      const result = await service.isProvisioned(spaceDID, [mockProof], mockContext)
+
+      expect(result.error?.message).to.equal('Subscription validation failed')
+      sinon.assert.neverCalledWith(mockAuditLog.logSecurityEvent, 'failure_policy_applied')
+    })
+  })
+
+  describe('plan cache', () => {
+    /** @type {Map<string, import('../../../src/services/subscription.types.js').CachedPlan>} */
+    let cached
+    /** @type {any} */
+    let planProof
+
+    beforeEach(() => {
+      cached = new Map()
+      service.planCache = {
+        get: async accountDID => cached.get(accountDID),
+        put: async (accountDID, plan) => { cached.set(accountDID, plan) },
+        delete: async accountDID => { cached.delete(accountDID) }
+      }
+      planProof = {
+        cid: { toString: () => 'bafy-plan-get' },
+        expiration: Infinity,
+        capabilities: [{ can: Plan.get.can, with: accountDID }]
+      }
+      mockStorachaStorage.getPlan.resolves({ plan: { product: 'did:web:lite.web3.storage' }, accountDID })
+    })
+
+    it('should serve paid plans from the cache to delegations already looked up', async () => {
+      await service.isProvisioned(spaceDID, [planProof], mockContext)
+      const result = await service.isProvisioned(spaceDID, [planProof], mockContext)
+
+      expect(result.ok).to.deep.equal({
+        isProvisioned: true,
+        product: 'did:web:lite.web3.storage',
+        accountDID,
+        entitlements: { encryption: true, batchDecrypt: true, maxEncryptedSpaces: undefined, rateLimitTier: 'did:web:lite.web3.storage' }
+      })
+      expect(mockStorachaStorage.getPlan.callCount).to.equal(1)
+      sinon.assert.calledWith(mockAuditLog.logSecurityEvent, 'subscription_plan_validated', sinon.match({
+        metadata: sinon.match({ accountDID, cache: 'miss' })
+      }))
+      sinon.assert.calledWith(mockAuditLog.logSecurityEvent, 'subscription_plan_validated', sinon.match({
+        metadata: sinon.match({ accountDID, planProduct: 'did:web:lite.web3.storage', cache: 'hit' })
+      }))
+    })
+
+    it('should look up other delegations of a cached account', async () => {
+      cached.set(accountDID, { product: 'did:web:lite.web3.storage', delegations: ['bafy-other-plan-get'] })
+
+      await service.isProvisioned(spaceDID, [planProof], mockContext)
+
+      expect(mockStorachaStorage.getPlan.callCount).to.equal(1)
+      expect(cached.get(accountDID)?.delegations).to.deep.equal(['bafy-plan-get', 'bafy-other-plan-get'])
+    })
+
+    it('should look up expired delegations', async () => {
+      cached.set(accountDID, { product: 'did:web:lite.web3.storage', delegations: ['bafy-plan-get'] })
+      planProof.expiration = Math.floor(Date.now() / 1000) - 1
+
+      await service.isProvisioned(spaceDID, [planProof], mockContext)
+
+      expect(mockStorachaStorage.getPlan.callCount).to.equal(1)
+    })
+
+    it('should invalidate the cached plan when the account is no longer paid', async () => {
+      cached.set(accountDID, { product: 'did:web:lite.web3.storage', delegations: ['bafy-other-plan-get'] })
+      mockStorachaStorage.getPlan.resolves({ plan: { product: 'did:web:free.web3.storage' }, accountDID })
+
+      const result = await service.isProvisioned(spaceDID, [planProof], mockContext)
+
+      expect(result.error?.message).to.equal('User is not subscribed to a paid plan')
+      expect(cached.has(accountDID)).to.be.false
+    })
+
+    it('should look up cached plans the catalogue no longer entitles', async () => {
+      cached.set(accountDID, { product: 'did:web:lite.web3.storage', delegations: ['bafy-plan-get'] })
+      service.planCatalogue = new PlanCatalogueService(/** @type {any} */ ({
+        KMS_PLAN_CATALOGUE: JSON.stringify({ 'did:web:lite.web3.storage': { encryption: false } })
+      }))
+
+      const result = await service.isProvisioned(spaceDID, [planProof], mockContext)
+
+      expect(result.error?.message).to.equal('User is not subscribed to a paid plan')
+      expect(mockStorachaStorage.getPlan.callCount).to.equal(1)
+      expect(cached.has(accountDID)).to.be.false
+    })
+
+    it('should fall back to the plan service when the cache fails', async () => {
+      sandbox.stub(console, 'error')
+      service.planCache = {
+        get: async () => { throw new Error('KV unavailable') },
+        put: async () => { throw new Error('KV unavailable') },
+        delete: async () => { throw new Error('KV unavailable') }
+      }
+
+      const result = await service.isProvisioned(spaceDID, [planProof], mockContext)
+
+      expect(result.ok?.product).to.equal('did:web:lite.web3.storage')
+      expect(mockStorachaStorage.getPlan.callCount).to.equal(1)
+    })
+  })
 })
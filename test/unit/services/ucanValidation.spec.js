@@ -10,6 +10,7 @@ import * as ed25519 from '@ucanto/principal/ed25519'
 import { UcanPrivacyValidationServiceImpl } from '../../../src/services/ucanValidation.js'
 import { EncryptionSetup, EncryptionKeyDecrypt, decrypt as ContentDecrypt } from '@storacha/capabilities/space'
 import { Link } from '@ucanto/server'
+import { EncryptionKeyRotate, EncryptionKeyDestroy, KeyDisable, KeyEnable } from '../../../src/capabilities.js'
 
 describe('UcanPrivacyValidationService', () => {
   /** @type {sinon.SinonSandbox} */
@@ -208,6 +209,174 @@ describe('UcanPrivacyValidationService', () => {
     })
   })
 
+  describe('validateKeyManagement', () => {
+    it('should successfully validate a key rotation invocation', async () => {
+      const invocation = await EncryptionKeyRotate.invoke({
+        issuer: spaceOwnerSigner,
+        audience: ucanKmsIdentity,
+        with: spaceDID
+      }).buildIPLDView()
+
+      const result = await service.validateKeyManagement(invocation, spaceDID, EncryptionKeyRotate.can)
+
+      expect(result.ok).to.be.true
+    })
+
+    it('should return error when invocation lacks the capability', async () => {
+      const invocation = await EncryptionSetup.invoke({
+        issuer: spaceOwnerSigner,
+        audience: ucanKmsIdentity,
+        with: spaceDID,
+        nb: {}
+      }).buildIPLDView()
+
+      const result = await service.validateKeyManagement(invocation, spaceDID, EncryptionKeyRotate.can)
+
+      expect(result.error?.message).to.equal('Key management validation failed')
+    })
+
+    it('should return error when capability "with" does not match the space DID', async () => {
+      const otherSpaceSigner = await ed25519.Signer.generate()
+      const invocation = await EncryptionKeyRotate.invoke({
+        issuer: otherSpaceSigner,
+        audience: ucanKmsIdentity,
+        with: otherSpaceSigner.did()
+      }).buildIPLDView()
+
+      const result = await service.validateKeyManagement(invocation, spaceDID, EncryptionKeyRotate.can)
+
+      expect(result.error?.message).to.equal('Key management validation failed')
+    })
+  })
+
+  describe('validateKeyDestruction', () => {
+    it('should validate a destruction invoked by the space itself', async () => {
+      const invocation = await EncryptionKeyDestroy.invoke({
+        issuer: spaceOwnerSigner,
+        audience: ucanKmsIdentity,
+        with: spaceDID
+      }).buildIPLDView()
+
+      const result = await service.validateKeyDestruction(invocation, spaceDID, /** @type {any} */ ({ ucanKmsIdentity }), env)
+
+      expect(result.ok).to.be.true
+    })
+
+    it('should validate a destruction delegated by the space owner', async () => {
+      const destroyDelegation = await EncryptionKeyDestroy.delegate({
+        issuer: spaceOwnerSigner,
+        audience: clientSigner,
+        with: spaceDID,
+        expiration: Infinity
+      })
+      const invocation = await EncryptionKeyDestroy.invoke({
+        issuer: clientSigner,
+        audience: ucanKmsIdentity,
+        with: spaceDID,
+        proofs: [destroyDelegation]
+      }).buildIPLDView()
+
+      const result = await service.validateKeyDestruction(invocation, spaceDID, /** @type {any} */ ({ ucanKmsIdentity }), env)
+
+      expect(result.ok).to.be.true
+    })
+
+    it('should reject a destruction that is not rooted at the space', async () => {
+      // The client claims the space without any delegation from it
+      const invocation = await EncryptionKeyDestroy.invoke({
+        issuer: clientSigner,
+        audience: ucanKmsIdentity,
+        with: spaceDID
+      }).buildIPLDView()
+
+      const result = await service.validateKeyDestruction(invocation, spaceDID, /** @type {any} */ ({ ucanKmsIdentity }), env)
+
+      expect(result.error?.message).to.equal('Key destruction validation failed')
+    })
+
+    it('should reject an invocation without the destroy capability', async () => {
+      const invocation = await EncryptionKeyRotate.invoke({
+        issuer: spaceOwnerSigner,
+        audience: ucanKmsIdentity,
+        with: spaceDID
+      }).buildIPLDView()
+
+      const result = await service.validateKeyDestruction(invocation, spaceDID, /** @type {any} */ ({ ucanKmsIdentity }), env)
+
+      expect(result.error?.message).to.equal('Key destruction validation failed')
+    })
+  })
+
+  describe('validateAdministration', () => {
+    it('should validate an admin invocation delegated by the service', async () => {
+      const adminDelegation = await KeyDisable.delegate({
+        issuer: ucanKmsIdentity,
+        audience: clientSigner,
+        with: ucanKmsIdentity.did(),
+        expiration: Infinity
+      })
+      const invocation = await KeyDisable.invoke({
+        issuer: clientSigner,
+        audience: ucanKmsIdentity,
+        with: ucanKmsIdentity.did(),
+        nb: { space: spaceDID },
+        proofs: [adminDelegation]
+      }).buildIPLDView()
+
+      const result = await service.validateAdministration(invocation, KeyDisable, spaceDID, /** @type {any} */ ({ ucanKmsIdentity }), env)
+
+      expect(result.ok).to.be.true
+    })
+
+    it('should reject an admin invocation delegated for another space', async () => {
+      const adminDelegation = await KeyEnable.delegate({
+        issuer: ucanKmsIdentity,
+        audience: clientSigner,
+        with: ucanKmsIdentity.did(),
+        nb: { space: clientSigner.did() },
+        expiration: Infinity
+      })
+      const invocation = await KeyEnable.invoke({
+        issuer: clientSigner,
+        audience: ucanKmsIdentity,
+        with: ucanKmsIdentity.did(),
+        nb: { space: spaceDID },
+        proofs: [adminDelegation]
+      }).buildIPLDView()
+
+      const result = await service.validateAdministration(invocation, KeyEnable, spaceDID, /** @type {any} */ ({ ucanKmsIdentity }), env)
+
+      expect(result.error?.message).to.equal('Admin validation failed')
+    })
+
+    it('should reject an admin invocation that is not delegated by the service', async () => {
+      const invocation = await KeyDisable.invoke({
+        issuer: clientSigner,
+        audience: ucanKmsIdentity,
+        with: ucanKmsIdentity.did(),
+        nb: { space: spaceDID }
+      }).buildIPLDView()
+
+      const result = await service.validateAdministration(invocation, KeyDisable, spaceDID, /** @type {any} */ ({ ucanKmsIdentity }), env)
+
+      expect(result.error?.message).to.equal('Admin validation failed')
+    })
+
+    it('should reject an admin invocation on a DID other than the service', async () => {
+      // Self-issued, so ucanto would authorize it - only the service DID may be the subject
+      const invocation = await KeyDisable.invoke({
+        issuer: clientSigner,
+        audience: ucanKmsIdentity,
+        with: clientSigner.did(),
+        nb: { space: spaceDID }
+      }).buildIPLDView()
+
+      const result = await service.validateAdministration(invocation, KeyDisable, spaceDID, /** @type {any} */ ({ ucanKmsIdentity }), env)
+
+      expect(result.error?.message).to.equal('Admin validation failed')
+    })
+  })
+
   describe('validateDecryption', () => {
     it('should successfully validate decrypt invocation with valid proofs', async () => {
       // Use the space owner's DID directly as the space DID (similar to validateEncryption test)
@@ -0,0 +1,356 @@
+/* eslint-disable no-unused-expressions
+   ---
+   `no-unused-expressions` doesn't understand that several of Chai's assertions
+   are implemented as getters rather than explicit function calls; it thinks
+   the assertions are unused expressions. */
+import { describe, it, before, beforeEach, afterEach } from 'mocha'
+import { expect } from 'chai'
+import sinon from 'sinon'
+import { base64 } from 'multiformats/bases/base64'
+import { VaultTransitKMSService } from '../../../src/services/vaultKms.js'
+import { AuditLogService } from '../../../src/services/auditLog.js'
+import { sanitizeSpaceDIDForKMSKeyId, encodePublicKeyPem } from '../../../src/utils.js'
+import { encodeEnvelope } from '../../../src/envelope.js'
+
+/**
+ * Key metadata store holding a single space record with the given status
+ *
+ * @param {import('../../../src/services/keyMetadata.types.js').KeyStatus} status
+ */
+function createStatusStore (status) {
+  return {
+    get: async () => ({ provider: 'google-kms', keyVersion: '1', createdAt: '2025-01-01T00:00:00.000Z', updatedAt: '2025-01-01T00:00:00.000Z', status }),
+    put: async () => {}
+  }
+}
+
+describe('VaultTransitKMSService', function () {
+  // RSA-3072 key generation can take a few seconds on slow machines
+  this.timeout(15000)
+
+  /** @type {sinon.SinonSandbox} */
+  let sandbox
+  /** @type {sinon.SinonStub} */
+  let fetchStub
+  /** @type {CryptoKeyPair} */
+  let keyPair
+  /** @type {string} */
+  let publicKeyPem
+  /** @type {CryptoKeyPair} */
+  let rotatedKeyPair
+  /** @type {string} */
+  let rotatedPublicKeyPem
+  /** @type {Array<{ keyPair: CryptoKeyPair, pem: string }>} */
+  let versions
+  /** @type {any} */
+  let env
+  /** @type {VaultTransitKMSService} */
+  let service
+  /** @type {Array<{ method: string, url: string, headers: Record<string, string>, body: any }>} */
+  let requests
+  /** @type {boolean} */
+  let keyExists
+
+  const spaceDID = 'did:key:z6Mko5igLB7NBgBcDYjM7MnRZDFKCLYAfbsEYAnx8HRJGJmu'
+  const keyName = sanitizeSpaceDIDForKMSKeyId(spaceDID)
+
+  const generateKeyPair = async () => {
+    const pair = /** @type {CryptoKeyPair} */ (await crypto.subtle.generateKey(
+      { name: 'RSA-OAEP', modulusLength: 3072, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+      true,
+      ['encrypt', 'decrypt']
+    ))
+    const pem = encodePublicKeyPem(new Uint8Array(/** @type {ArrayBuffer} */ (await crypto.subtle.exportKey('spki', pair.publicKey))))
+    return { pair, pem }
+  }
+
+  before(async () => {
+    ({ pair: keyPair, pem: publicKeyPem } = await generateKeyPair());
+    ({ pair: rotatedKeyPair, pem: rotatedPublicKeyPem } = await generateKeyPair())
+  })
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+    requests = []
+    keyExists = false
+    versions = [{ keyPair, pem: publicKeyPem }]
+
+    // Minimal stand-in for the Vault transit HTTP API
+    fetchStub = sandbox.stub(globalThis, 'fetch').callsFake(async (input, init = {}) => {
+      const url = String(input)
+      const method = init.method || 'GET'
+      const body = init.body ? JSON.parse(String(init.body)) : undefined
+      requests.push({ method, url, headers: /** @type {Record<string, string>} */ (init.headers), body })
+
+      if (url === `https://vault.example.com:8200/v1/transit/keys/${keyName}`) {
+        if (method === 'POST') {
+          keyExists = true
+          return new Response(null, { status: 204 })
+        }
+        if (!keyExists) {
+          return new Response(JSON.stringify({ errors: [] }), { status: 404 })
+        }
+        return Response.json({
+          data: {
+            name: keyName,
+            type: 'rsa-3072',
+            latest_version: versions.length,
+            keys: Object.fromEntries(versions.map((version, i) => [i + 1, { public_key: version.pem, creation_time: '2025-01-01T00:00:00Z' }]))
+          }
+        })
+      }
+
+      if (url === `https://vault.example.com:8200/v1/transit/keys/${keyName}/rotate` && method === 'POST') {
+        versions.push({ keyPair: rotatedKeyPair, pem: rotatedPublicKeyPem })
+        return Response.json({ data: { latest_version: versions.length } })
+      }
+
+      if (url === `https://vault.example.com:8200/v1/transit/decrypt/${keyName}` && method === 'POST') {
+        const [prefix, version, ciphertext] = body.ciphertext.split(':')
+        const keyVersion = versions[Number(version.slice(1)) - 1]
+        if (prefix !== 'vault' || !keyVersion) {
+          return Response.json({ errors: ['invalid ciphertext'] }, { status: 400 })
+        }
+        try {
+          const plaintext = await crypto.subtle.decrypt({ name: 'RSA-OAEP' }, keyVersion.keyPair.privateKey, Buffer.from(ciphertext, 'base64'))
+          return Response.json({ data: { plaintext: Buffer.from(plaintext).toString('base64') } })
+        } catch {
+          return Response.json({ errors: ['invalid ciphertext'] }, { status: 400 })
+        }
+      }
+
+      return Response.json({ errors: ['unexpected request'] }, { status: 500 })
+    })
+
+    env = {
+      KMS_PROVIDER: 'vault-transit',
+      VAULT_ADDR: 'https://vault.example.com:8200/',
+      VAULT_TOKEN: 'hvs.test-token'
+    }
+    service = new VaultTransitKMSService(env)
+  })
+
+  afterEach(() => {
+    sandbox.restore()
+  })
+
+  describe('constructor', () => {
+    it('should reject an invalid Vault address', () => {
+      expect(() => new VaultTransitKMSService({ ...env, VAULT_ADDR: 'not a url' }))
+        .to.throw('Vault transit configuration validation failed')
+    })
+
+    it('should require a Vault token', () => {
+      expect(() => new VaultTransitKMSService({ ...env, VAULT_TOKEN: undefined }))
+        .to.throw('VAULT_TOKEN')
+    })
+
+    it('should use the configured transit mount and namespace', async () => {
+      service = new VaultTransitKMSService({ ...env, VAULT_TRANSIT_MOUNT: 'ucan-kms/transit', VAULT_NAMESPACE: 'storacha' })
+      sandbox.stub(console, 'error')
+
+      await service.setupKeyForSpace({ space: spaceDID }, env)
+
+      expect(requests[0].url).to.equal(`https://vault.example.com:8200/v1/ucan-kms/transit/keys/${keyName}`)
+      expect(requests[0].headers['X-Vault-Namespace']).to.equal('storacha')
+    })
+  })
+
+  describe('setupKeyForSpace', () => {
+    it('should create an rsa-3072 transit key for a new space', async () => {
+      const result = await service.setupKeyForSpace({ space: spaceDID }, env)
+
+      expect(result.ok).to.deep.equal({
+        publicKey: publicKeyPem,
+        algorithm: 'RSA_DECRYPT_OAEP_3072_SHA256',
+        provider: 'vault-transit'
+      })
+      expect(requests.map(r => r.method)).to.deep.equal(['GET', 'POST', 'GET'])
+      expect(requests[1].body.type).to.equal('rsa-3072')
+      expect(requests[0].headers['X-Vault-Token']).to.equal('hvs.test-token')
+    })
+
+    it('should return the existing public key without creating a new key', async () => {
+      keyExists = true
+
+      const result = await service.setupKeyForSpace({ space: spaceDID }, env)
+
+      expect(result.ok?.publicKey).to.equal(publicKeyPem)
+      expect(requests.map(r => r.method)).to.deep.equal(['GET'])
+    })
+
+    it('should return generic error when Vault fails', async () => {
+      fetchStub.callsFake(async () => new Response('permission denied', { status: 403 }))
+      sandbox.stub(console, 'error')
+
+      const result = await service.setupKeyForSpace({ space: spaceDID }, env)
+
+      expect(result.error).to.exist
+      expect(result.error?.message).to.equal('Encryption setup failed')
+    })
+
+    it('should reject transit keys of another type', async () => {
+      fetchStub.callsFake(async () => Response.json({
+        data: { type: 'aes256-gcm96', latest_version: 1, keys: { 1: 1735689600 } }
+      }))
+      sandbox.stub(console, 'error')
+
+      const result = await service.setupKeyForSpace({ space: spaceDID }, env)
+
+      expect(result.error?.message).to.equal('Encryption setup failed')
+    })
+  })
+
+  describe('rotateKeyForSpace', () => {
+    it('should rotate the transit key and return the new public key', async () => {
+      keyExists = true
+
+      const result = await service.rotateKeyForSpace({ space: spaceDID }, env)
+
+      expect(result.ok).to.deep.equal({
+        publicKey: rotatedPublicKeyPem,
+        algorithm: 'RSA_DECRYPT_OAEP_3072_SHA256',
+        provider: 'vault-transit',
+        keyVersion: '2'
+      })
+      expect(requests[0].url).to.equal(`https://vault.example.com:8200/v1/transit/keys/${keyName}/rotate`)
+    })
+
+    it('should return generic error when rotation fails', async () => {
+      fetchStub.callsFake(async () => new Response('permission denied', { status: 403 }))
+      sandbox.stub(console, 'error')
+
+      const result = await service.rotateKeyForSpace({ space: spaceDID }, env)
+
+      expect(result.error?.message).to.equal('Key rotation failed')
+    })
+  })
+
+  describe('getPublicKeyInfo', () => {
+    it('should return the latest public key and its creation time', async () => {
+      keyExists = true
+      versions.push({ keyPair: rotatedKeyPair, pem: rotatedPublicKeyPem })
+
+      const result = await service.getPublicKeyInfo({ space: spaceDID }, env)
+
+      expect(result.ok).to.deep.equal({
+        publicKey: rotatedPublicKeyPem,
+        algorithm: 'RSA_DECRYPT_OAEP_3072_SHA256',
+        provider: 'vault-transit',
+        keyVersion: '2',
+        createdAt: '2025-01-01T00:00:00Z'
+      })
+      expect(requests.map(r => r.method)).to.deep.equal(['GET'])
+    })
+
+    it('should report a missing key without creating one', async () => {
+      const result = await service.getPublicKeyInfo({ space: spaceDID }, env)
+
+      expect(result.error?.message).to.equal('Encryption key not found')
+      expect(requests.map(r => r.method)).to.deep.equal(['GET'])
+    })
+  })
+
+  describe('decryptSymmetricKey', () => {
+    it('should decrypt a key encrypted with the space public key', async () => {
+      keyExists = true
+      const symmetricKey = crypto.getRandomValues(new Uint8Array(48))
+      const encryptedSymmetricKey = new Uint8Array(await crypto.subtle.encrypt({ name: 'RSA-OAEP' }, keyPair.publicKey, symmetricKey))
+
+      const result = await service.decryptSymmetricKey({ space: spaceDID, encryptedSymmetricKey }, env)
+
+      expect(result.ok).to.exist
+      expect(base64.decode(/** @type {string} */ (result.ok?.decryptedKey))).to.deep.equal(symmetricKey)
+      expect(requests[1].url).to.equal(`https://vault.example.com:8200/v1/transit/decrypt/${keyName}`)
+      expect(requests[1].body.ciphertext).to.match(/^vault:v1:/)
+    })
+
+    it('should fall back to older versions after a rotation', async () => {
+      keyExists = true
+      const symmetricKey = crypto.getRandomValues(new Uint8Array(48))
+      const encryptedSymmetricKey = new Uint8Array(await crypto.subtle.encrypt({ name: 'RSA-OAEP' }, keyPair.publicKey, symmetricKey))
+      await service.rotateKeyForSpace({ space: spaceDID }, env)
+      requests.length = 0
+
+      const result = await service.decryptSymmetricKey({ space: spaceDID, encryptedSymmetricKey }, env)
+
+      expect(base64.decode(/** @type {string} */ (result.ok?.decryptedKey))).to.deep.equal(symmetricKey)
+      expect(requests.filter(r => r.url.includes('/decrypt/')).map(r => r.body.ciphertext.split(':')[1])).to.deep.equal(['v2', 'v1'])
+    })
+
+    it('should try the requested key version first', async () => {
+      keyExists = true
+      versions.push({ keyPair: rotatedKeyPair, pem: rotatedPublicKeyPem })
+      const symmetricKey = crypto.getRandomValues(new Uint8Array(48))
+      const encryptedSymmetricKey = new Uint8Array(await crypto.subtle.encrypt({ name: 'RSA-OAEP' }, keyPair.publicKey, symmetricKey))
+
+      const result = await service.decryptSymmetricKey({ space: spaceDID, encryptedSymmetricKey, keyVersion: '1' }, env)
+
+      expect(result.ok).to.exist
+      expect(requests.filter(r => r.url.includes('/decrypt/')).map(r => r.body.ciphertext.split(':')[1])).to.deep.equal(['v1'])
+    })
+
+    it('should only try the key version named in an envelope', async () => {
+      keyExists = true
+      versions.push({ keyPair: rotatedKeyPair, pem: rotatedPublicKeyPem })
+      const symmetricKey = crypto.getRandomValues(new Uint8Array(48))
+      const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: 'RSA-OAEP' }, rotatedKeyPair.publicKey, symmetricKey))
+      const encryptedSymmetricKey = encodeEnvelope({ provider: 'vault-transit', keyVersion: '1', algorithm: 'RSA_DECRYPT_OAEP_3072_SHA256', space: spaceDID }, ciphertext)
+      sandbox.stub(console, 'error')
+
+      const result = await service.decryptSymmetricKey({ space: spaceDID, encryptedSymmetricKey }, env)
+
+      expect(result.error?.message).to.equal('KMS decryption failed')
+      expect(requests.filter(r => r.url.includes('/decrypt/')).map(r => r.body.ciphertext.split(':')[1])).to.deep.equal(['v1'])
+    })
+
+    it('should return generic error when the space has no key', async () => {
+      sandbox.stub(console, 'error')
+
+      const result = await service.decryptSymmetricKey({ space: spaceDID, encryptedSymmetricKey: new Uint8Array(384) }, env)
+
+      expect(result.error).to.exist
+      expect(result.error?.message).to.equal('KMS decryption failed')
+    })
+
+    it('should log the failure and return generic error for an invalid ciphertext', async () => {
+      keyExists = true
+      const auditLog = new AuditLogService()
+      const decryptFailure = sandbox.stub(auditLog, 'logKMSDecryptFailure')
+      sandbox.stub(console, 'error')
+      service = new VaultTransitKMSService(env, { auditLog })
+
+      const result = await service.decryptSymmetricKey({ space: spaceDID, encryptedSymmetricKey: new Uint8Array(384).fill(1) }, env)
+
+      expect(result.error?.message).to.equal('KMS decryption failed')
+      expect(decryptFailure.calledOnce).to.be.true
+      expect(decryptFailure.firstCall.args[0]).to.equal(spaceDID)
+    })
+  })
+
+  describe('key status', () => {
+    it('should report spaces without a status record as active', async () => {
+      expect(await service.getKeyStatus({ space: spaceDID }, env)).to.equal('active')
+    })
+
+    it('should refuse to decrypt or rotate for a space suspended with another provider', async () => {
+      keyExists = true
+      service = new VaultTransitKMSService(env, { keyMetadataStore: createStatusStore('suspended') })
+
+      expect(await service.getKeyStatus({ space: spaceDID }, env)).to.equal('suspended')
+      expect((await service.decryptSymmetricKey({ space: spaceDID, encryptedSymmetricKey: new Uint8Array(384) }, env)).error?.name).to.equal('KeySuspended')
+      expect((await service.rotateKeyForSpace({ space: spaceDID }, env)).error?.name).to.equal('KeySuspended')
+      expect((await service.getPublicKeyInfo({ space: spaceDID }, env)).error?.name).to.equal('KeySuspended')
+      expect(requests).to.be.empty
+    })
+
+    it('should not re-create the key of a destroyed space', async () => {
+      service = new VaultTransitKMSService(env, { keyMetadataStore: createStatusStore('destroyed') })
+
+      const result = await service.setupKeyForSpace({ space: spaceDID }, env)
+
+      expect(result.error?.name).to.equal('KeyDestroyed')
+      expect(requests).to.be.empty
+    })
+  })
+})
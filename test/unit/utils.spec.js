@@ -5,7 +5,7 @@
    the assertions are unused expressions. */
 import { describe, it } from 'mocha'
 import { expect } from 'chai'
-import { sanitizeSpaceDIDForKMSKeyId } from '../../src/utils.js'
+import { sanitizeSpaceDIDForKMSKeyId, encodePublicKeyPem } from '../../src/utils.js'
 
 describe('Server Utils', () => {
   describe('sanitizeSpaceDIDForKMSKeyId', () => {
@@ -207,4 +207,17 @@ describe('Server Utils', () => {
       })
     })
   })
+
+  describe('encodePublicKeyPem', () => {
+    it('should wrap the base64 DER in PEM armor with 64 character lines', () => {
+      const der = new Uint8Array(100).map((_, i) => i)
+      const pem = encodePublicKeyPem(der)
+      const lines = pem.trim().split('\n')
+
+      expect(lines[0]).to.equal('-----BEGIN PUBLIC KEY-----')
+      expect(lines[lines.length - 1]).to.equal('-----END PUBLIC KEY-----')
+      expect(lines.slice(1, -1).every(line => line.length <= 64)).to.equal(true)
+      expect(Uint8Array.from(atob(lines.slice(1, -1).join('')), c => c.charCodeAt(0))).to.deep.equal(der)
+    })
+  })
 })